@@ -4,19 +4,86 @@
     // State
     let dashboardData = {};
     let refreshInterval;
+    let authToken = localStorage.getItem('matasa_token');
+    let currentUser = null;
     
     // Initialize
     document.addEventListener('DOMContentLoaded', () => {
-      loadDashboard();
-      refreshInterval = setInterval(loadDashboard, 30000); // Refresh every 30s
-      
       // Setup form submission
       document.getElementById('alert-form').addEventListener('submit', submitAlert);
+      document.getElementById('alert-form').addEventListener('input', scheduleAlertEstimate);
+      document.getElementById('alert-form').addEventListener('change', scheduleAlertEstimate);
+      document.getElementById('login-form').addEventListener('submit', submitLogin);
+      document.getElementById('incident-note-form').addEventListener('submit', submitIncidentNote);
+      document.getElementById('ussd-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') ussdCallKey();
+      });
       
       // Check API status on load
       checkApiStatus();
+      
+      if (authToken) {
+        startSession();
+      } else {
+        showLogin();
+      }
     });
     
+    // Authentication
+    async function startSession() {
+      const response = await apiGet('/auth/me');
+      if (!response.success) return;
+      
+      currentUser = response.user;
+      document.getElementById('login-overlay').style.display = 'none';
+      document.getElementById('current-user').textContent = `${currentUser.name} (${currentUser.role.replace(/_/g, ' ')})`;
+      
+      loadDashboard();
+      clearInterval(refreshInterval);
+      refreshInterval = setInterval(loadDashboard, 30000); // Refresh every 30s
+    }
+    
+    function showLogin() {
+      clearInterval(refreshInterval);
+      document.getElementById('login-overlay').style.display = 'flex';
+    }
+    
+    async function submitLogin(e) {
+      e.preventDefault();
+      const form = e.target;
+      const data = Object.fromEntries(new FormData(form));
+      
+      const response = await apiPost('/auth/login', data);
+      
+      if (response.success) {
+        authToken = response.token;
+        localStorage.setItem('matasa_token', authToken);
+        form.reset();
+        startSession();
+      } else {
+        showToast(response.message || 'Login failed', 'error');
+      }
+    }
+    
+    function logout() {
+      authToken = null;
+      currentUser = null;
+      localStorage.removeItem('matasa_token');
+      showLogin();
+    }
+    
+    function authHeaders() {
+      return authToken ? { 'Authorization': `Bearer ${authToken}` } : {};
+    }
+    
+    function handleUnauthorized(response) {
+      if (response.status === 401) {
+        authToken = null;
+        localStorage.removeItem('matasa_token');
+        showLogin();
+      }
+    }
+    
     // Navigation
     function showPage(page) {
       // Hide all pages
@@ -31,16 +98,21 @@
       // Load page data
       if (page === 'live') loadLiveIncidents();
       if (page === 'heatmap') loadHeatmapData();
+      if (page === 'funnel') loadUssdFunnel();
       if (page === 'alerts') loadAlerts();
       if (page === 'rules') loadRules();
       if (page === 'responders') loadResponders();
+      if (page === 'ussd') initUssdEmulator();
       if (page === 'settings') checkApiStatus();
     }
     
     // API helper
     async function apiGet(endpoint) {
       try {
-        const response = await fetch(`${API_BASE}${endpoint}`);
+        const response = await fetch(`${API_BASE}${endpoint}`, {
+          headers: authHeaders(),
+        });
+        handleUnauthorized(response);
         return await response.json();
       } catch (error) {
         console.error('API Error:', error);
@@ -49,12 +121,17 @@
     }
     
     async function apiPost(endpoint, data) {
+      return apiRequest('POST', endpoint, data);
+    }
+    
+    async function apiRequest(method, endpoint, data) {
       try {
         const response = await fetch(`${API_BASE}${endpoint}`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          method,
+          headers: { 'Content-Type': 'application/json', ...authHeaders() },
           body: JSON.stringify(data),
         });
+        handleUnauthorized(response);
         return await response.json();
       } catch (error) {
         console.error('API Error:', error);
@@ -141,11 +218,11 @@
           <div class="incident-info">
             <div class="type">${formatIncidentType(incident.incidentType)}</div>
             <div class="meta">
-              ${incident.locationVillage || incident.locationLga || 'Unknown'} • 
+              ${escapeHtml(incident.locationVillage || incident.locationLga || 'Unknown')} • 
               ${formatTimeAgo(incident.createdAt)}
             </div>
           </div>
-          <span class="incident-status ${incident.status}">${incident.status}</span>
+          <span class="incident-status ${escapeHtml(incident.status)}">${escapeHtml(incident.status)}</span>
         </div>
       `).join('');
     }
@@ -166,7 +243,7 @@
           <td><code>${incident.incidentId?.substring(0, 12)}...</code></td>
           <td>${formatIncidentType(incident.incidentType)}</td>
           <td><span class="incident-status ${incident.severity}" style="background: ${getSeverityColor(incident.severity)}20; color: ${getSeverityColor(incident.severity)}">${incident.severity}</span></td>
-          <td>${incident.locationVillage || incident.locationLga || '-'}</td>
+          <td>${escapeHtml(incident.locationVillage || incident.locationLga || '-')}</td>
           <td><span class="incident-status ${incident.status}">${incident.status}</span></td>
           <td>${incident.confidenceScore || 50}%</td>
           <td>${formatTimeAgo(incident.createdAt)}</td>
@@ -205,8 +282,23 @@
     }
     
     // Alerts
+    let alertLocations = null;
+    let alertEstimateTimer = null;
+    let alerts = [];
+    let editingAlertId = null;
+    let alertFollowUp = null;
+    
+    const FOLLOW_UP_NAMES = { update: 'Update', all_clear: 'All clear' };
+    
+    function can(permission) {
+      const permissions = (currentUser && currentUser.permissions) || [];
+      return permissions.includes('*') || permissions.includes(permission);
+    }
+    
     async function loadAlerts() {
-      const response = await apiGet('/admin/alerts?status=active');
+      loadAlertLocations();
+      
+      const response = await apiGet('/admin/alerts');
       
       const list = document.getElementById('all-alerts-list');
       
@@ -215,40 +307,258 @@
         return;
       }
       
-      list.innerHTML = response.alerts.map(alert => `
+      alerts = response.alerts;
+      list.innerHTML = alerts.map(alert => `
         <div class="alert-item">
           <div class="alert-badge ${alert.severity}"></div>
           <div>
-            <strong>${alert.titleHausa || 'Alert'}</strong>
+            <strong>${alert.followUpType ? `${FOLLOW_UP_NAMES[alert.followUpType]}: ` : ''}${escapeHtml(alert.titleHausa || 'Alert')}</strong>
+            <span class="alert-status ${alert.status}">${alert.status.replace(/_/g, ' ')}</span>
             <p style="font-size: 0.75rem; color: #6b7280;">
-              ${formatTimeAgo(alert.createdAt)} • Sent to ${alert.statsSentCount || 0}
+              ${describeAlert(alert)}
             </p>
+            ${alert.status === 'draft' && alert.rejectionReason ? `
+              <p style="font-size: 0.75rem; color: #b91c1c;">Rejected by ${escapeHtml(alert.rejectedByName)}: ${escapeHtml(alert.rejectionReason)}</p>
+            ` : ''}
+            <div class="alert-actions">${alertActions(alert)}</div>
           </div>
         </div>
       `).join('');
     }
     
+    function describeAlert(alert) {
+      const author = escapeHtml(alert.createdByName || 'Unknown');
+      if (alert.status === 'draft') return `Draft by ${author} • ${formatTimeAgo(alert.updatedAt)}`;
+      if (alert.status === 'pending_approval') return `Submitted by ${escapeHtml(alert.submittedByName || author)} • ${formatTimeAgo(alert.submittedAt)}`;
+      if (alert.status === 'scheduled') return `Sends ${new Date(alert.validFrom).toLocaleString()}${alert.approvedByName ? ` • Approved by ${escapeHtml(alert.approvedByName)}` : ''}`;
+      if (!alert.sentAt) return `${author} • ${formatTimeAgo(alert.createdAt)}`;
+      
+      return `${formatTimeAgo(alert.sentAt)} • Sent to ${alert.statsSentCount || 0}` +
+        (alert.deliveryRate !== null ? ` • ${alert.deliveryRate}% delivered • ${alert.readRate}% read` : '') +
+        (alert.approvedByName ? ` • Approved by ${escapeHtml(alert.approvedByName)}` : '');
+    }
+    
+    // Buttons for what the current user may do next with an alert
+    function alertActions(alert) {
+      const button = (label, action, style = 'btn-secondary') =>
+        `<button class="btn ${style}" onclick="${action}('${alert.alertId}')">${label}</button>`;
+      const own = currentUser && [alert.createdByUserId, alert.submittedByUserId].includes(String(currentUser.id));
+      const actions = [];
+      
+      if (can('alerts:create') && alert.status === 'draft') {
+        actions.push(button('Edit', 'editAlert'), button('Submit', 'submitAlertDraft', 'btn-primary'));
+      }
+      if (can('alerts:approve') && !own && alert.status === 'pending_approval') {
+        actions.push(button('Approve', 'approveAlert', 'btn-primary'), button('Reject', 'rejectAlert'));
+      }
+      if (can('alerts:create') && alert.sentAt && ['active', 'expired'].includes(alert.status) && alert.followUpType !== 'all_clear') {
+        actions.push(button('Update', 'startAlertUpdate'), button('All Clear', 'startAlertAllClear'));
+      }
+      if (can('alerts:create') && ['draft', 'pending_approval', 'scheduled', 'active'].includes(alert.status)) {
+        actions.push(button('Cancel', 'cancelAlert'));
+      }
+      
+      return actions.join('');
+    }
+    
+    async function alertAction(alertId, action, data = {}) {
+      const response = await apiPost(`/admin/alerts/${alertId}/${action}`, data);
+      if (response.success) {
+        showToast(response.message || `Alert ${alertId} updated`, 'success');
+        loadAlerts();
+      } else {
+        showToast(`Failed to ${action} alert: ` + (response.message || response.error || 'Unknown error'), 'error');
+      }
+    }
+    
+    function submitAlertDraft(alertId) {
+      alertAction(alertId, 'submit');
+    }
+    
+    function approveAlert(alertId) {
+      if (confirm(`Approve alert ${alertId}? It will be sent to its recipients.`)) {
+        alertAction(alertId, 'approve');
+      }
+    }
+    
+    function rejectAlert(alertId) {
+      const reason = prompt('Reason for sending the alert back to its author:');
+      if (reason) alertAction(alertId, 'reject', { reason });
+    }
+    
+    function cancelAlert(alertId) {
+      if (confirm(`Cancel alert ${alertId}?`)) {
+        alertAction(alertId, 'cancel');
+      }
+    }
+    
+    // Load a draft into the form
+    function editAlert(alertId) {
+      const alert = alerts.find(a => a.alertId === alertId);
+      if (!alert) return;
+      
+      resetAlertForm();
+      editingAlertId = alertId;
+      const form = document.getElementById('alert-form');
+      ['alertType', 'severity', 'titleHausa', 'contentHausa', 'targetAreaLatitude', 'targetAreaLongitude', 'targetAreaRadius'].forEach((field) => {
+        form.elements[field].value = alert[field] ?? '';
+      });
+      form.elements.targetAreaGeohashes.value = (alert.targetAreaGeohashes || []).join(', ');
+      form.elements.targetAllAreas.checked = Boolean(alert.targetAllAreas);
+      form.elements.targetAreaState.value = alert.targetAreaState || '';
+      renderAlertLgas();
+      form.querySelectorAll('input[name="targetAreaLgas"]').forEach((box) => {
+        box.checked = (alert.targetAreaLgas || []).includes(box.value);
+      });
+      if (alert.validFrom && new Date(alert.validFrom) > new Date()) {
+        form.elements.validFrom.value = toLocalInput(alert.validFrom);
+      }
+      
+      if (alert.parentAlertId) {
+        alertFollowUp = { parentAlertId: alert.parentAlertId, followUpType: alert.followUpType };
+      }
+      showAlertFormMode(`Editing draft ${alertId}`);
+    }
+    
+    function startAlertUpdate(alertId) {
+      startAlertFollowUp(alertId, 'update');
+    }
+    
+    function startAlertAllClear(alertId) {
+      startAlertFollowUp(alertId, 'all_clear');
+    }
+    
+    // Follow-ups keep the original's type, severity and recipients, so only the text is asked for
+    function startAlertFollowUp(alertId, followUpType) {
+      resetAlertForm();
+      alertFollowUp = { parentAlertId: alertId, followUpType };
+      showAlertFormMode(`${FOLLOW_UP_NAMES[followUpType]} to ${alertId}, sent to the same recipients`);
+      document.getElementById('alert-form').elements.titleHausa.focus();
+    }
+    
+    function showAlertFormMode(text) {
+      const banner = document.getElementById('alert-follow-up');
+      banner.style.display = 'block';
+      banner.innerHTML = `${escapeHtml(text)} • <a href="#" onclick="resetAlertForm(); return false;">Start a new alert</a>`;
+      document.querySelectorAll('#alert-form .original-only').forEach((el) => {
+        el.style.display = alertFollowUp ? 'none' : '';
+      });
+      estimateAlertRecipients();
+    }
+    
+    function resetAlertForm() {
+      editingAlertId = null;
+      alertFollowUp = null;
+      document.getElementById('alert-form').reset();
+      document.getElementById('alert-follow-up').style.display = 'none';
+      document.querySelectorAll('#alert-form .original-only').forEach((el) => {
+        el.style.display = '';
+      });
+      renderAlertLgas();
+      estimateAlertRecipients();
+    }
+    
+    function toLocalInput(date) {
+      const value = new Date(date);
+      value.setMinutes(value.getMinutes() - value.getTimezoneOffset());
+      return value.toISOString().slice(0, 16);
+    }
+    
+    // States and LGAs for the target picker (loaded once)
+    async function loadAlertLocations() {
+      if (alertLocations) return;
+      
+      const response = await apiGet('/admin/locations');
+      if (!response.success) return;
+      
+      alertLocations = response.states;
+      document.getElementById('alert-state').innerHTML = '<option value="">No state</option>' +
+        alertLocations.map(state => `<option value="${escapeHtml(state.name)}">${escapeHtml(state.name)}</option>`).join('');
+      estimateAlertRecipients();
+    }
+    
+    function renderAlertLgas() {
+      const stateName = document.getElementById('alert-state').value;
+      const state = (alertLocations || []).find(s => s.name === stateName);
+      const lgas = state ? state.lgas : [];
+      
+      document.getElementById('alert-lgas-group').style.display = lgas.length > 0 ? 'block' : 'none';
+      document.getElementById('alert-lgas').innerHTML = lgas.map(lga => `
+        <label><input type="checkbox" name="targetAreaLgas" value="${escapeHtml(lga)}"> ${escapeHtml(lga)}</label>
+      `).join('');
+    }
+    
+    // Form fields as the API expects them (ticked LGAs as a list, All areas as a boolean, send time in UTC)
+    function readAlertForm(form) {
+      const formData = new FormData(form);
+      const data = Object.fromEntries(formData);
+      data.targetAreaLgas = formData.getAll('targetAreaLgas');
+      data.targetAllAreas = form.elements.targetAllAreas.checked;
+      data.validFrom = data.validFrom ? new Date(data.validFrom).toISOString() : '';
+      return { ...data, ...alertFollowUp };
+    }
+    
+    function scheduleAlertEstimate() {
+      clearTimeout(alertEstimateTimer);
+      alertEstimateTimer = setTimeout(estimateAlertRecipients, 400);
+    }
+    
+    async function estimateAlertRecipients() {
+      const el = document.getElementById('alert-estimate');
+      const response = await apiPost('/admin/alerts/estimate', readAlertForm(document.getElementById('alert-form')));
+      
+      el.classList.toggle('error', !response.success);
+      el.classList.toggle('warning', Boolean(response.success && response.warning));
+      el.innerHTML = response.success
+        ? [`Estimated recipients: ${response.recipients.toLocaleString()}`, response.warning, ...smsPreviewLines(response)]
+          .filter(Boolean).map(escapeHtml).join('<br>')
+        : escapeHtml(`Estimated recipients: - (${response.message || response.error || 'unavailable'})`);
+    }
+    
+    // Segments per recipient in each alert language, and what sending to everyone costs
+    function smsPreviewLines(estimate) {
+      const lines = Object.entries(estimate.sms || {}).map(([language, preview]) => {
+        const { encoding } = preview.messages[0];
+        const characters = preview.messages.reduce((total, message) => total + message.characters, 0);
+        const parts = preview.messages.length > 1 ? `, ${preview.messages.length} numbered SMS` : '';
+        const name = language.charAt(0).toUpperCase() + language.slice(1);
+        return `${name} SMS: ${preview.segments} segment${preview.segments === 1 ? '' : 's'} (${encoding}, ${characters} characters${parts})`;
+      });
+      if (estimate.currency) {
+        const cost = estimate.cost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        lines.push(`Estimated cost: ${estimate.currency} ${cost} (${estimate.segments.toLocaleString()} segments)`);
+      }
+      return lines;
+    }
+    
+    // Save Draft or Submit; an edited draft is saved first, then submitted
     async function submitAlert(e) {
       e.preventDefault();
       const form = e.target;
-      const formData = new FormData(form);
-      const data = Object.fromEntries(formData);
+      const data = readAlertForm(form);
+      const submit = e.submitter && e.submitter.value === 'submit';
       
-      const btn = form.querySelector('button[type="submit"]');
-      btn.disabled = true;
-      btn.textContent = 'Sending...';
+      const buttons = form.querySelectorAll('button[type="submit"]');
+      buttons.forEach((btn) => { btn.disabled = true; });
       
-      const response = await apiPost('/admin/alerts', data);
+      let response;
+      if (editingAlertId) {
+        response = await apiRequest('PATCH', `/admin/alerts/${editingAlertId}`, data);
+        if (response.success && submit) {
+          response = await apiPost(`/admin/alerts/${editingAlertId}/submit`, {});
+        }
+      } else {
+        response = await apiPost('/admin/alerts', { ...data, submit });
+      }
       
-      btn.disabled = false;
-      btn.textContent = 'Send Alert';
+      buttons.forEach((btn) => { btn.disabled = false; });
       
       if (response.success) {
-        showToast('Alert sent successfully!', 'success');
-        form.reset();
+        showToast(response.message || 'Alert saved', 'success');
+        resetAlertForm();
         loadAlerts();
       } else {
-        showToast('Failed to send alert: ' + (response.message || 'Unknown error'), 'error');
+        showToast('Failed to save alert: ' + (response.message || response.error || 'Unknown error'), 'error');
       }
     }
     
@@ -265,9 +575,9 @@
       
       tbody.innerHTML = response.rules.map(rule => `
         <tr>
-          <td>${rule.name}</td>
-          <td>${rule.conditionsIncidentTypes?.join(', ') || 'All'}</td>
-          <td>${rule.escalationAssigneeName || '-'}</td>
+          <td>${escapeHtml(rule.name)}</td>
+          <td>${escapeHtml(rule.conditionsIncidentTypes?.join(', ') || 'All')}</td>
+          <td>${escapeHtml(rule.escalationAssigneeName || '-')}</td>
           <td>${rule.escalationSlaMinutes || 30}min</td>
           <td><span style="color: ${rule.active ? '#16a34a' : '#dc2626'}">${rule.active ? 'Active' : 'Inactive'}</span></td>
           <td>
@@ -290,10 +600,10 @@
       
       tbody.innerHTML = response.responders.map(responder => `
         <tr>
-          <td>${responder.name}</td>
-          <td>${responder.organization}</td>
-          <td>${responder.phone}</td>
-          <td>${responder.type}</td>
+          <td>${escapeHtml(responder.name)}</td>
+          <td>${escapeHtml(responder.organization)}</td>
+          <td>${escapeHtml(responder.phone)}</td>
+          <td>${escapeHtml(responder.type)}</td>
           <td><span style="color: ${responder.status === 'active' ? '#16a34a' : '#dc2626'}">${responder.status}</span></td>
           <td>
             <button class="btn btn-secondary" onclick="editResponder('${responder.id}')">Edit</button>
@@ -315,6 +625,210 @@
       }
     }
     
+    // USSD funnel
+    async function loadUssdFunnel() {
+      const period = document.getElementById('funnel-period').value;
+      const provider = document.getElementById('funnel-provider').value;
+      const query = `period=${period}${provider ? `&provider=${encodeURIComponent(provider)}` : ''}`;
+      const response = await apiGet(`/admin/analytics/ussd-funnel?${query}`);
+      
+      if (!response.success) {
+        document.getElementById('funnel-chart').innerHTML =
+          `<div class="empty-state">${escapeHtml(response.message || response.error || 'Failed to load')}</div>`;
+        return;
+      }
+      
+      loadFunnelProviders(response.providers);
+      document.getElementById('funnel-summary').textContent =
+        `${response.started} sessions, ${response.submitted} reports submitted`;
+      
+      document.getElementById('funnel-chart').innerHTML = response.started === 0
+        ? '<div class="empty-state">No USSD sessions in this period</div>'
+        : response.funnel.map(step => `
+          <div class="funnel-row">
+            <span>${escapeHtml(step.stage.replace(/_/g, ' '))}</span>
+            <div class="funnel-bar"><div style="width: ${step.rate}%">${step.sessions} (${step.rate}%)</div></div>
+            <span class="drop">${step.dropOff > 0 ? `${step.dropOff} dropped here` : ''}</span>
+          </div>
+        `).join('');
+      
+      const completionRow = (row, kind) => `
+        <tr>
+          <td>${escapeHtml(row.name)} <span style="color: #6b7280; font-size: 0.75rem;">${kind}</span></td>
+          <td>${row.sessions}</td>
+          <td>${row.reports}</td>
+          <td>${row.submitted}</td>
+          <td>${row.completionRate}%</td>
+        </tr>
+      `;
+      document.getElementById('funnel-completion-table').innerHTML = [
+        ...response.providers.map(row => completionRow(row, 'provider')),
+        ...response.operators.map(row => completionRow(row, 'operator')),
+      ].join('') || '<tr><td colspan="5" class="empty-state">No sessions</td></tr>';
+      
+      document.getElementById('funnel-screens-table').innerHTML = response.screens.map(screen => `
+        <tr>
+          <td>${escapeHtml(screen.state)}</td>
+          <td>${escapeHtml(screen.stage || '-')}</td>
+          <td>${screen.visits}</td>
+          <td>${screen.medianSeconds === null ? '-' : `${screen.medianSeconds}s`}</td>
+          <td>${screen.timeouts}</td>
+          <td>${screen.hangUps}</td>
+          <td>${screen.invalidInputs}</td>
+        </tr>
+      `).join('') || '<tr><td colspan="7" class="empty-state">No sessions</td></tr>';
+    }
+    
+    // Provider filter options, kept as providers show up in the data
+    function loadFunnelProviders(providers) {
+      const select = document.getElementById('funnel-provider');
+      const known = Array.from(select.options).map(o => o.value);
+      providers
+        .filter(row => row.name !== 'unknown' && !known.includes(row.name))
+        .forEach(row => select.add(new Option(row.name, row.name)));
+    }
+    
+    // USSD emulator
+    const ussdEmulator = {
+      sessionId: null,
+      entries: [],      // Replies sent this session (Africa's Talking sends them all, '*'-joined)
+      active: false,
+      demo: false,
+      shortCode: '*384*154011#',
+      providersLoaded: false,
+    };
+    
+    async function initUssdEmulator() {
+      if (!document.getElementById('ussd-phone').value) {
+        newUssdPhone();
+      }
+      if (ussdEmulator.providersLoaded) return;
+      
+      const response = await apiGet('/ussd/health');
+      const providers = response.providers || ['africastalking'];
+      if (response.shortCode) ussdEmulator.shortCode = response.shortCode;
+      document.getElementById('ussd-provider').innerHTML = providers
+        .map(p => `<option value="${escapeHtml(p)}">${escapeHtml(p)}</option>`)
+        .join('');
+      ussdEmulator.providersLoaded = true;
+    }
+    
+    // A fresh test number, so the emulator starts as a first-time caller
+    function newUssdPhone() {
+      const digits = String(Math.floor(Math.random() * 1e7)).padStart(7, '0');
+      document.getElementById('ussd-phone').value = `+234800${digits}`;
+    }
+    
+    function pressUssdKey(key) {
+      const input = document.getElementById('ussd-input');
+      input.value += key;
+      input.focus();
+    }
+    
+    function clearUssdKey() {
+      const input = document.getElementById('ussd-input');
+      input.value = input.value.slice(0, -1);
+    }
+    
+    // Green key: dial when idle, otherwise send the reply
+    function ussdCallKey() {
+      if (!ussdEmulator.active) {
+        dialUssd();
+      } else {
+        const input = document.getElementById('ussd-input');
+        const reply = input.value;
+        input.value = '';
+        sendUssd(reply);
+      }
+    }
+    
+    function dialUssd() {
+      ussdEmulator.sessionId = `SIM-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+      ussdEmulator.entries = [];
+      ussdEmulator.active = true;
+      document.getElementById('ussd-session-id').value = ussdEmulator.sessionId;
+      sendUssd('');
+    }
+    
+    function hangUpUssd() {
+      ussdEmulator.active = false;
+      document.getElementById('ussd-input').value = '';
+      document.getElementById('ussd-response-type').textContent = '--';
+      document.getElementById('ussd-screen').textContent = 'Session ended. Press the green key to dial';
+    }
+    
+    async function sendUssd(reply) {
+      const provider = document.getElementById('ussd-provider').value || 'africastalking';
+      if (reply !== '') ussdEmulator.entries.push(reply);
+      
+      const payload = buildUssdPayload(provider, reply);
+      document.getElementById('ussd-request-raw').textContent = JSON.stringify(payload, null, 2);
+      
+      const response = await apiPost('/ussd/simulate', {
+        provider,
+        payload,
+        language: document.getElementById('ussd-language').value || undefined,
+        demo: ussdEmulator.demo,
+      });
+      
+      if (!response.success) {
+        showToast(response.message || response.error || 'Simulation failed', 'error');
+        hangUpUssd();
+        return;
+      }
+      
+      renderUssdScreen(response);
+    }
+    
+    // The webhook payload each provider would send for this reply
+    function buildUssdPayload(provider, reply) {
+      const sessionId = ussdEmulator.sessionId;
+      const phoneNumber = document.getElementById('ussd-phone').value;
+      const serviceCode = ussdEmulator.shortCode;
+      
+      switch (provider) {
+        case 'africastalking':
+          return { sessionId, phoneNumber, serviceCode, networkCode: '62130', text: ussdEmulator.entries.join('*') };
+        case 'hub2':
+          return { session_id: sessionId, msisdn: phoneNumber.replace(/^\+/, ''), ussd_text: reply, service_code: serviceCode, operator_name: 'MTN' };
+        case 'twilio':
+          return { SessionId: sessionId, MobileNumber: phoneNumber, UserInput: reply, ServiceCode: serviceCode, Operator: 'MTN' };
+        default:
+          return { sessionId, phoneNumber, input: reply, serviceCode, operator: 'MTN' };
+      }
+    }
+    
+    function renderUssdScreen(response) {
+      const { message, response: type } = response.response;
+      const max = response.maxMessageLength;
+      const budget = document.getElementById('ussd-budget');
+      
+      document.getElementById('ussd-screen').textContent = message;
+      document.getElementById('ussd-response-type').textContent = type === 'end' ? 'END' : 'CON';
+      budget.textContent = `${message.length} / ${max}`;
+      budget.className = message.length > max ? 'over' : '';
+      
+      const raw = response.providerResponse;
+      document.getElementById('ussd-response-raw').textContent =
+        typeof raw === 'string' ? raw : JSON.stringify(raw, null, 2);
+      
+      // The server runs every production session in demo mode
+      if (response.sessionInfo.demo && !ussdEmulator.demo) setUssdDemo(true);
+      if (type === 'end') ussdEmulator.active = false;
+    }
+    
+    function toggleUssdDemo() {
+      setUssdDemo(!ussdEmulator.demo);
+      hangUpUssd();
+    }
+    
+    // Demo mode for sensitisation sessions: phone only, and reports are not filed
+    function setUssdDemo(demo) {
+      ussdEmulator.demo = demo;
+      document.getElementById('ussd-emulator').classList.toggle('demo', demo);
+      document.getElementById('ussd-demo-toggle').textContent = demo ? 'Exit demo mode' : 'Start demo mode';
+    }
+    
     // Helpers
     function getIncidentIcon(type) {
       const icons = {
@@ -326,6 +840,7 @@
         'kidnap': '👤',
         'suspicious_activity': '👁️',
         'medical_emergency': '🚑',
+        'help_request': '🆘',
         'incident_in_progress': '⚠️',
       };
       return icons[type] || '📋';
@@ -354,7 +869,114 @@
       return colors[severity] || '#6b7280';
     }
     
-    function viewIncident(id) {
-      console.log('View incident:', id);
-      showToast('Incident view: ' + id);
+    // Incident detail panel with audit timeline
+    let currentIncidentId = null;
+    
+    async function viewIncident(id) {
+      currentIncidentId = id;
+      document.getElementById('incident-panel-title').textContent = id;
+      document.getElementById('incident-panel-details').innerHTML = '<dd>Loading...</dd>';
+      document.getElementById('incident-panel-timeline').innerHTML = '';
+      document.getElementById('incident-panel').classList.add('open');
+      
+      const [incidentResponse, timelineResponse] = await Promise.all([
+        apiGet(`/incidents/${id}`),
+        apiGet(`/incidents/${id}/timeline`),
+      ]);
+      
+      if (!incidentResponse.success) {
+        document.getElementById('incident-panel-details').innerHTML = '<dd>Failed to load incident</dd>';
+        return;
+      }
+      
+      renderIncidentDetails(incidentResponse.incident);
+      renderTimeline(timelineResponse.success ? timelineResponse.events : []);
+    }
+    
+    function closeIncidentPanel() {
+      currentIncidentId = null;
+      document.getElementById('incident-panel').classList.remove('open');
+    }
+    
+    function renderIncidentDetails(incident) {
+      const rows = [
+        ['Type', formatIncidentType(incident.incidentType)],
+        ['Severity', incident.severity],
+        ['Status', incident.status],
+        ['Channel', incident.channel],
+        ['Location', [incident.locationVillage, incident.locationLga, incident.locationState].filter(Boolean).join(', ') || 'Unknown'],
+        ['Escalation', incident.escalationLevel ? `Level ${incident.escalationLevel}` : 'None'],
+        ['Assigned to', incident.escalationAssignedToName || 'Unassigned'],
+        ['Reported', new Date(incident.createdAt).toLocaleString()],
+        ['Description', incident.descriptionText || ''],
+      ];
+      
+      document.getElementById('incident-panel-details').innerHTML = rows.map(([label, value]) => `
+        <dt>${label}</dt>
+        <dd>${escapeHtml(value)}</dd>
+      `).join('');
+    }
+    
+    function renderTimeline(events) {
+      const list = document.getElementById('incident-panel-timeline');
+      
+      if (!events || events.length === 0) {
+        list.innerHTML = '<li class="empty-state">No timeline events</li>';
+        return;
+      }
+      
+      list.innerHTML = events.map(event => `
+        <li class="timeline-event ${event.eventType}">
+          <div><strong>${formatIncidentType(event.eventType)}</strong> ${escapeHtml(describeEvent(event))}</div>
+          ${event.note ? `<div>${escapeHtml(event.note)}</div>` : ''}
+          <div class="meta">${escapeHtml(event.actorName || event.actorType)} • ${new Date(event.createdAt).toLocaleString()}</div>
+        </li>
+      `).join('');
+    }
+    
+    function describeEvent(event) {
+      const from = event.fromValue || {};
+      const to = event.toValue || {};
+      
+      switch (event.eventType) {
+        case 'status_change':
+          return `${from.status || '?'} → ${to.status}`;
+        case 'escalation':
+          return `level ${from.level || 0} → ${to.level}` + (to.assignee?.name ? `, ${to.assignee.name}` : '');
+        case 'assignment':
+          return `to ${to.assignee?.name || 'unknown'}`;
+        case 'merge':
+          return to.mergedInto ? `into ${to.mergedInto}` : `from ${to.mergedFrom}`;
+        case 'notification':
+          return `${to.type || 'sms'} to ${to.recipient}`;
+        case 'sla_breach':
+          return `at level ${from.level || 0}`;
+        default:
+          return '';
+      }
+    }
+    
+    async function submitIncidentNote(event) {
+      event.preventDefault();
+      if (!currentIncidentId) return;
+      
+      const form = event.target;
+      const result = await apiPost(`/incidents/${currentIncidentId}/notes`, {
+        note: form.note.value,
+      });
+      
+      if (result.success) {
+        form.reset();
+        viewIncident(currentIncidentId);
+      } else {
+        showToast('Failed to save note: ' + (result.message || result.error), 'error');
+      }
+    }
+    
+    function escapeHtml(value) {
+      return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
     }
\ No newline at end of file
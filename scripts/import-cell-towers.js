@@ -0,0 +1,44 @@
+/**
+ * Cell Tower Import Script
+ * Loads an OpenCelliD-style CSV into the cell_towers table
+ *
+ * Usage: node scripts/import-cell-towers.js <file.csv> [--mcc=621]
+ */
+
+const config = require('../src/config');
+const { sequelize } = require('../src/models');
+const cellTowerService = require('../src/services/cellTowerService');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const filePath = args.find(arg => !arg.startsWith('--'));
+  const mccArg = args.find(arg => arg.startsWith('--mcc='));
+  const mcc = mccArg ? mccArg.split('=')[1] : config.location.defaultMcc;
+
+  if (!filePath) {
+    console.error('Usage: node scripts/import-cell-towers.js <file.csv> [--mcc=621]');
+    process.exit(1);
+  }
+
+  try {
+    await sequelize.authenticate();
+    console.log(`Importing cell towers from ${filePath} (MCC ${mcc})...`);
+
+    const results = await cellTowerService.importCsv(filePath, { mcc });
+
+    console.log(`✅ Imported ${results.imported} towers, skipped ${results.skipped} rows`);
+    await sequelize.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Cell tower import failed:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  main,
+};
@@ -68,7 +68,7 @@ function defineIncident(sequelize) {
       allowNull: false,
     },
     channel: {
-      type: DataTypes.ENUM('ussd', 'web', 'mobile', 'api'),
+      type: DataTypes.ENUM('ussd', 'sms', 'web', 'mobile', 'api'),
       allowNull: false,
     },
     reporterPhoneNumber: {
@@ -99,10 +99,12 @@ function defineIncident(sequelize) {
         'kidnap',
         'explosion',
         'medical_emergency',
+        'help_request',
         'other'
       ),
       allowNull: false,
     },
+    requestedService: { type: DataTypes.ENUM('police', 'fire_service', 'ambulance', 'community_focal'), allowNull: true },
     severity: {
       type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
       defaultValue: 'medium',
@@ -138,17 +140,23 @@ function defineIncident(sequelize) {
         'escalated',
         'closed',
         'false_alarm',
-        'expired'
+        'expired',
+        'merged'
       ),
       defaultValue: 'received',
     },
     escalationLevel: { type: DataTypes.INTEGER, defaultValue: 0 },
     escalationRulesTriggered: { type: DataTypes.ARRAY(DataTypes.STRING), defaultValue: [] },
-    escalationAssignedToType: { type: DataTypes.ENUM('security_team', 'community_focal', 'agency_liaison'), allowNull: true },
+    escalationAssignedToType: { type: DataTypes.ENUM('security_team', 'community_focal', 'agency_liaison', 'police', 'fire_service', 'ambulance'), allowNull: true },
     escalationAssignedToName: { type: DataTypes.STRING, allowNull: true },
     escalationAssignedToPhone: { type: DataTypes.STRING, allowNull: true },
     escalationAssignedToOrganization: { type: DataTypes.STRING, allowNull: true },
     escalationEscalatedAt: { type: DataTypes.DATE, allowNull: true },
+    escalationSlaMinutes: { type: DataTypes.INTEGER, allowNull: true },
+    escalationSlaDueAt: { type: DataTypes.DATE, allowNull: true },
+    escalationAcknowledgedAt: { type: DataTypes.DATE, allowNull: true },
+    escalationSlaBreachCount: { type: DataTypes.INTEGER, defaultValue: 0 },
+    escalationLastBreachAt: { type: DataTypes.DATE, allowNull: true },
     responseFirstResponder: { type: DataTypes.STRING, allowNull: true },
     responseTime: { type: DataTypes.INTEGER, allowNull: true },
     responseArrivalTime: { type: DataTypes.DATE, allowNull: true },
@@ -161,6 +169,7 @@ function defineIncident(sequelize) {
     metadataReceivedVia: { type: DataTypes.STRING, allowNull: true },
     metadataProcessingTime: { type: DataTypes.INTEGER, allowNull: true },
     metadataQueueTime: { type: DataTypes.INTEGER, allowNull: true },
+    metadataProcessedSteps: { type: DataTypes.ARRAY(DataTypes.STRING), defaultValue: [] },
     expiresAt: { type: DataTypes.DATE, allowNull: true },
   }, {
     tableName: 'incidents',
@@ -198,7 +207,7 @@ function defineAlert(sequelize) {
     content: { type: DataTypes.JSON, allowNull: true },
     language: { type: DataTypes.STRING, defaultValue: 'hausa' },
     status: {
-      type: DataTypes.ENUM('draft', 'active', 'expired', 'cancelled'),
+      type: DataTypes.ENUM('draft', 'pending_approval', 'scheduled', 'active', 'expired', 'cancelled'),
       defaultValue: 'draft',
     },
     priority: { type: DataTypes.INTEGER, defaultValue: 0 },
@@ -370,7 +379,7 @@ async function seedEscalationRules() {
         active: true,
         conditionsIncidentTypes: ['fire', 'explosion', 'kidnap'],
         conditionsSeverities: ['critical'],
-        conditionsChannels: ['ussd', 'web', 'mobile', 'api'],
+        conditionsChannels: ['ussd', 'sms', 'web', 'mobile', 'api'],
         escalationLevel: 3,
         escalationAssigneeType: 'agency_liaison',
         escalationAssigneeName: 'Police Emergency Response',
@@ -404,7 +413,7 @@ async function seedEscalationRules() {
         priority: 50,
         active: true,
         conditionsSeverities: ['medium'],
-        conditionsChannels: ['ussd', 'web', 'mobile', 'api'],
+        conditionsChannels: ['ussd', 'sms', 'web', 'mobile', 'api'],
         escalationLevel: 1,
         escalationAssigneeType: 'community_focal',
         escalationAssigneeName: 'Community Focal Point',
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 // Validate required database environment variables
 const requiredDbVars = ['DB_HOST', 'DB_USERNAME', 'DB_PASSWORD', 'DB_NAME'];
@@ -7,6 +8,11 @@ if (missingVars.length > 0) {
   throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
 }
 
+// Operator tokens must not be signed with the development secret in production
+if ((process.env.NODE_ENV || 'production') === 'production' && !process.env.JWT_SECRET) {
+  throw new Error('Missing required environment variable: JWT_SECRET');
+}
+
 module.exports = {
   env: process.env.NODE_ENV || 'production',
   host: process.env.HOST || 'localhost',
@@ -40,6 +46,11 @@ module.exports = {
     port: parseInt(process.env.REDIS_PORT, 10) || 6379,
     password: process.env.REDIS_PASSWORD || undefined,
   },
+
+  // Bull job queues (Redis key prefix)
+  queue: {
+    prefix: process.env.QUEUE_PREFIX || 'matasa',
+  },
   
   // Africa's Talking Configuration (replaces Twilio)
   africastalking: {
@@ -48,6 +59,19 @@ module.exports = {
     shortCode: process.env.AFRICAS_TALKING_SHORT_CODE,
     keyword: process.env.AFRICAS_TALKING_KEYWORD || 'INCIDENT',
     callbackUrl: process.env.AFRICAS_TALKING_CALLBACK_URL,
+    // Shared token on the SMS callback URLs (?token= or X-Webhook-Token); callbacks are not signed
+    webhookToken: process.env.AFRICAS_TALKING_WEBHOOK_TOKEN,
+  },
+  
+  // SMS encoding and pricing
+  sms: {
+    // How alert SMS that need more than one segment go out: "transliterate" to GSM-7 and send
+    // as one long SMS, or "split" into numbered single SMS keeping the text as written
+    alertMode: process.env.SMS_ALERT_MODE || 'transliterate',
+    segmentCost: parseFloat(process.env.SMS_SEGMENT_COST) || 4, // per segment, for the alert form estimate
+    currency: process.env.SMS_CURRENCY || 'NGN',
+    // Public origin of the SMS webhooks when a proxy changes the host (Twilio signs the full URL)
+    webhookBaseUrl: process.env.SMS_WEBHOOK_BASE_URL,
   },
   
   // Twilio (kept for fallback/SMS)
@@ -56,12 +80,28 @@ module.exports = {
     authToken: process.env.TWILIO_AUTH_TOKEN,
     phoneNumber: process.env.TWILIO_PHONE_NUMBER,
     whatsappNumber: process.env.TWILIO_WHATSAPP_NUMBER,
+    // Public URL of /api/v1/sms/delivery/twilio, sent with each SMS to get status callbacks
+    statusCallbackUrl: process.env.TWILIO_STATUS_CALLBACK_URL,
   },
   
   ussd: {
     shortCode: process.env.USSD_SHORT_CODE || '*384*154011#',
     sessionTimeoutMs: parseInt(process.env.USSD_SESSION_TIMEOUT_MS, 10) || 120000,
-    provider: process.env.USSD_PROVIDER || 'africastalking', // 'africastalking' or 'hub2'
+    // Unfinished reports from the same phone within this window are offered for resumption
+    resumeWindowMs: parseInt(process.env.USSD_RESUME_WINDOW_MS, 10) || 600000,
+    // How often sessions abandoned in Redis are written to the database
+    sessionFlushIntervalMs: parseInt(process.env.USSD_SESSION_FLUSH_INTERVAL_MS, 10) || 30000,
+    // Provider on the shared webhook: 'africastalking', 'hub2', 'twilio', 'generic', or 'auto' to detect
+    // from the payload. Each provider also has its own route, /api/v1/ussd/<provider>
+    provider: process.env.USSD_PROVIDER || 'africastalking',
+    // Language for callers who have not picked one yet (and for unknown languages)
+    defaultLanguage: process.env.USSD_DEFAULT_LANGUAGE || 'hausa',
+    // Longest screen a handset shows in one USSD message
+    maxMessageLength: parseInt(process.env.USSD_MAX_MESSAGE_LENGTH, 10) || 182,
+    // Menu flow definition (JSON, see src/data/ussdFlow.json), validated at startup
+    flowPath: process.env.USSD_FLOW_PATH || path.join(__dirname, '../data/ussdFlow.json'),
+    // Per-language message catalogs (JSON, see src/data/messages/)
+    messagesPath: process.env.USSD_MESSAGES_PATH || path.join(__dirname, '../data/messages'),
   },
   
   rateLimit: {
@@ -69,41 +109,53 @@ module.exports = {
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 10,
   },
   
+  // Per-level acknowledgement SLAs (minutes) and breach watcher interval
+  escalation: {
+    maxLevel: 5,
+    slaCheckIntervalMs: parseInt(process.env.SLA_CHECK_INTERVAL_MS, 10) || 60000,
+    slaMinutesByLevel: {
+      1: 30,
+      2: 30,
+      3: 60,
+      4: 120,
+      5: 15, // Emergency command: reminder interval at the top level
+    },
+  },
+  
   location: {
     defaultCountry: process.env.DEFAULT_COUNTRY || 'Nigeria',
     defaultState: process.env.DEFAULT_STATE || 'Kano',
+    defaultMcc: process.env.DEFAULT_MCC || '621', // Nigeria
+    timeZone: process.env.TIME_ZONE || 'Africa/Lagos', // for times shown to callers
+    // State -> LGA -> ward dataset for USSD location menus (JSON, see src/data/gazetteer.json)
+    gazetteerPath: process.env.GAZETTEER_PATH || path.join(__dirname, '../data/gazetteer.json'),
   },
   
+  // Common Alerting Protocol exchange with partner agencies (NEMA, SEMAs)
+  cap: {
+    sender: process.env.CAP_SENDER || 'matasa-alerts', // no spaces or commas
+    senderName: process.env.CAP_SENDER_NAME || 'MATASA',
+  },
+  
+  // Public alert feeds for radio stations (/feeds)
+  feeds: {
+    title: process.env.FEED_TITLE || 'MATASA safety alerts',
+    maxAgeSeconds: parseInt(process.env.FEED_MAX_AGE_SECONDS, 10) || 60,
+    maxRequests: parseInt(process.env.FEED_RATE_LIMIT_MAX_REQUESTS, 10) || 120, // per rate limit window
+  },
+  
+  // Bootstrap operator account, created on first start when no users exist
   admin: {
     username: process.env.ADMIN_USERNAME || 'admin',
     password: process.env.ADMIN_PASSWORD || 'admin123',
   },
-  
+
+  auth: {
+    jwtSecret: process.env.JWT_SECRET || 'matasa-dev-secret',
+    tokenExpiresIn: process.env.JWT_EXPIRES_IN || '8h',
+  },
+
   ws: {
     port: parseInt(process.env.WS_PORT, 10) || 3001,
   },
-
-  // Hausa USSD menu text (numeric prompts)
-  ussdMenus: {
-    hausa: {
-      welcome: 'MATASA Incident Report\n1. Rahota Hatsari\n2. Rahota Ayyuka\n3. Neman Taimako\n4. Karanta Alerta\n5. Maimaita',
-      suspiciousActivity: 'Ka gani wani abu?:\n1. Mace ta yi\n2. Bindiga\n3. Kwashe\n4. Satar dukiya\n5. Wani',
-      incidentInProgress: 'Nau\'in ayyuka:\n1. Guba\n2. Fashe\n3. Satar\n4. Ladanci\n5. Wani',
-      requestHelp: 'Taimako:\n1. Police\n2. Fire service\n3. Ambulance\n4. Community focal',
-      alert: 'Alerta ya shiga\n{alert}',
-      thankYou: 'Na gode! Rahotonka ya isa. ID: {incidentId}',
-      timeout: 'Session ya ƙare. Don sake fara, sake duba *384*154011#',
-      invalid: 'Shigarwa ba daidai ba. Gwada sake.',
-    },
-    english: {
-      welcome: 'MATASA Incident Report\n1. Report Suspicious\n2. Report Incident\n3. Request Help\n4. Read Alerts\n5. Repeat',
-      suspiciousActivity: 'What did you see?:\n1. Fight\n2. Gunshot\n3. Kidnap\n4. Theft\n5. Other',
-      incidentInProgress: 'Incident type:\n1. Fire\n2. Explosion\n3. Theft\n4. Violence\n5. Other',
-      requestHelp: 'Help needed:\n1. Police\n2. Fire service\n3. Ambulance\n4. Community focal',
-      alert: 'New alert received\n{alert}',
-      thankYou: 'Thank you! Your report submitted. ID: {incidentId}',
-      timeout: 'Session timed out. To restart, dial *384*154011#',
-      invalid: 'Invalid input. Try again.',
-    }
-  }
 };
\ No newline at end of file
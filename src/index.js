@@ -9,7 +9,17 @@ const rateLimit = require('express-rate-limit');
 const winston = require('winston');
 
 const config = require('./config');
-const { rateLimiterService } = require('./services');
+const {
+  rateLimiterService,
+  authService,
+  queueService,
+  notificationService,
+  alertBroadcastService,
+  incidentIngestionService,
+  slaWatcherService,
+  ussdSessionStoreService,
+  ussdFlowService,
+} = require('./services');
 const { sequelize, initModels, syncDatabase } = require('./models');
 
 // Configure Winston logger
@@ -87,10 +97,25 @@ const apiLimiter = rateLimit({
 });
 app.use('/api/v1', apiLimiter);
 
+// Public alert feeds are polled, so they get a higher limit
+const feedLimiter = rateLimit({
+  windowMs: config.rateLimit.windowMs,
+  max: config.feeds.maxRequests,
+  message: {
+    error: 'Too Many Requests',
+    message: 'Rate limit exceeded. Please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Routes
+app.use('/api/v1/auth', require('./routes/auth'));
 app.use('/api/v1/incidents', require('./routes/incidents'));
 app.use('/api/v1/ussd', require('./routes/ussd'));
+app.use('/api/v1/sms', require('./routes/sms'));
 app.use('/api/v1/admin', require('./routes/admin'));
+app.use('/feeds', feedLimiter, require('./routes/feeds'));
 
 // Health check with simple caching
 let dbStatus = 'unknown';
@@ -125,21 +150,55 @@ app.get('/api/v1', (req, res) => {
     name: 'MATASA Incident Report Platform API',
     version: config.apiVersion,
     endpoints: {
+      auth: {
+        'POST /api/v1/auth/login': 'Operator login (returns bearer token)',
+        'GET /api/v1/auth/me': 'Current operator',
+      },
       incidents: {
         'POST /api/v1/incidents': 'Submit incident report',
         'GET /api/v1/incidents': 'List incidents',
         'GET /api/v1/incidents/:id': 'Get incident details',
         'PATCH /api/v1/incidents/:id/status': 'Update incident status',
+        'GET /api/v1/incidents/:id/timeline': 'Get incident audit timeline',
+        'POST /api/v1/incidents/:id/notes': 'Add a note to the incident timeline',
       },
       ussd: {
-        'POST /api/v1/ussd': 'USSD webhook endpoint',
+        'POST /api/v1/ussd': 'USSD webhook endpoint (USSD_PROVIDER, or detected from the payload)',
+        'POST /api/v1/ussd/:provider': 'USSD webhook for one provider (africastalking, hub2, twilio, generic)',
+        'POST /api/v1/ussd/:provider/callback': 'USSD session-end callback for one provider',
         'POST /api/v1/ussd/simulate': 'Simulate USSD request',
       },
+      sms: {
+        'POST /api/v1/sms/inbound/:provider': 'Inbound SMS webhook (africastalking, twilio)',
+        'POST /api/v1/sms/delivery/:provider': 'SMS delivery report webhook (africastalking, twilio)',
+      },
       admin: {
         'GET /api/v1/admin/dashboard': 'Dashboard data',
         'GET /api/v1/admin/incidents': 'List all incidents',
-        'POST /api/v1/admin/alerts': 'Create alert',
+        'POST /api/v1/admin/alerts': 'Create draft alert or follow-up',
+        'PATCH /api/v1/admin/alerts/:alertId': 'Edit draft alert',
+        'POST /api/v1/admin/alerts/:alertId/submit': 'Submit alert for approval or sending',
+        'POST /api/v1/admin/alerts/:alertId/approve': 'Approve alert (second person)',
+        'POST /api/v1/admin/alerts/:alertId/reject': 'Reject alert back to draft',
+        'POST /api/v1/admin/alerts/:alertId/cancel': 'Cancel alert',
+        'GET /api/v1/admin/alerts/:alertId/cap': 'Alert as a CAP 1.2 document',
+        'POST /api/v1/admin/alerts/cap': 'Import CAP 1.2 alert as a draft',
+        'POST /api/v1/admin/alerts/estimate': 'Estimated recipients, SMS segments and cost for an alert',
+        'GET /api/v1/admin/locations': 'States and LGAs for alert targeting',
         'GET /api/v1/admin/analytics': 'Analytics data',
+        'GET /api/v1/admin/analytics/ussd-funnel': 'USSD funnel and drop-off report',
+        'GET /api/v1/admin/subscribers/:phoneNumber/consent': 'Alert consent and opt-out records for a phone',
+        'GET /api/v1/admin/sla/breaches': 'Incidents that missed an acknowledgement SLA',
+        'GET /api/v1/admin/queues': 'Job queue counts',
+        'GET /api/v1/admin/queues/:name/jobs': 'Inspect jobs by status',
+        'POST /api/v1/admin/queues/dead-letter/:jobId/replay': 'Replay dead-lettered job',
+        'GET /api/v1/admin/users': 'List operator accounts',
+        'POST /api/v1/admin/users': 'Create operator account',
+      },
+      feeds: {
+        'GET /feeds/alerts.atom': 'Alerts in force as Atom (state, lga, language)',
+        'GET /feeds/alerts.rss': 'Alerts in force as RSS 2.0 (state, lga, language)',
+        'GET /feeds/alerts.json': 'Alerts in force as JSON Feed 1.1 (state, lga, language)',
       },
     },
   });
@@ -173,6 +232,15 @@ async function start() {
   let dbConnected = false;
   const skipDb = process.env.SKIP_DATABASE === 'true';
 
+  // Refuse to start with a broken USSD flow (unknown nodes, unreachable nodes, oversized screens)
+  try {
+    const flow = ussdFlowService.load();
+    logger.info(`USSD flow loaded (${Object.keys(flow.nodes).length} nodes)`);
+  } catch (error) {
+    logger.error('USSD flow definition is invalid', { errors: error.errors || [error.message] });
+    process.exit(1);
+  }
+
   // Database connection (unless skipped)
   if (!skipDb) {
     try {
@@ -206,6 +274,19 @@ async function start() {
     logger.warn('SKIP_DATABASE=true – running without database (limited functionality)');
   }
 
+  // Create the bootstrap admin account on an empty users table
+  if (dbConnected) {
+    try {
+      const bootstrap = await authService.ensureBootstrapAdmin();
+      if (bootstrap.created) {
+        logger.warn(`Created bootstrap admin user "${bootstrap.username}" – change its password`);
+      }
+    } catch (error) {
+      logger.error('Bootstrap admin creation failed', { error: error.message });
+      if (config.env === 'production') process.exit(1);
+    }
+  }
+
   // Initialise rate limiter (may attempt Redis, fallback to in-memory)
   try {
     await rateLimiterService.init();
@@ -214,6 +295,38 @@ async function start() {
     logger.warn('Rate limiter init failed, using in-memory fallback', { error: error.message });
   }
 
+  // Initialise job queues (Bull on Redis, in-process fallback) and register processors
+  try {
+    await queueService.init();
+    const { QUEUES } = queueService;
+    queueService.process(QUEUES.NOTIFICATIONS, job => notificationService.processQueuedMessage(job.data, job));
+    queueService.process(QUEUES.ALERT_BROADCASTS, job => alertBroadcastService.processBroadcastJob(job.data));
+    queueService.process(QUEUES.INCIDENT_PROCESSING, job => incidentIngestionService.processIncident(job.data.incidentId));
+    logger.info(`Job queues initialised (${queueService.backend})`);
+
+    if (dbConnected) {
+      const scheduled = await alertBroadcastService.requeueScheduled();
+      if (scheduled > 0) logger.info(`Queued ${scheduled} scheduled alerts`);
+    }
+  } catch (error) {
+    logger.error('Job queue init failed', { error: error.message });
+  }
+
+  // Keep USSD sessions in Redis (database fallback) and write abandoned ones behind
+  try {
+    await ussdSessionStoreService.init();
+    if (dbConnected) ussdSessionStoreService.start();
+    logger.info(`USSD session store initialised (${ussdSessionStoreService.backend})`);
+  } catch (error) {
+    logger.error('USSD session store init failed', { error: error.message });
+  }
+
+  // Watch escalated incidents for missed acknowledgement SLAs
+  if (dbConnected) {
+    slaWatcherService.start();
+    logger.info(`SLA watcher running every ${slaWatcherService.intervalMs / 1000}s`);
+  }
+
   // Start HTTP server
   const server = app.listen(config.port, () => {
     logger.info(`Server running on port ${config.port}`);
@@ -227,9 +340,19 @@ async function start() {
   const shutdown = async (signal) => {
     logger.info(`${signal} received, shutting down gracefully...`);
 
+    slaWatcherService.stop();
+
     server.close(async () => {
       logger.info('HTTP server closed');
 
+      // Flush USSD sessions to the database before closing it
+      try {
+        await ussdSessionStoreService.stop();
+        logger.info('USSD session store closed');
+      } catch (error) {
+        logger.error('Error closing USSD session store', { error: error.message });
+      }
+
       if (dbConnected) {
         try {
           await sequelize.close();
@@ -240,6 +363,13 @@ async function start() {
       }
 
       // Close other connections (e.g., Redis)
+      try {
+        await queueService.close();
+        logger.info('Job queues closed');
+      } catch (error) {
+        logger.error('Error closing job queues', { error: error.message });
+      }
+
       process.exit(0);
     });
 
@@ -0,0 +1,52 @@
+const { authService } = require('../services');
+
+/**
+ * Resolve the Bearer token on the request into req.user
+ * Responds 401 when the token is missing, invalid or expired
+ */
+async function authenticate(req, res, next) {
+  try {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Missing bearer token',
+      });
+    }
+
+    const principal = await authService.verifyToken(token);
+    if (!principal) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid or expired token',
+      });
+    }
+
+    req.user = principal;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Require the authenticated principal to hold a permission
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!authService.hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Missing permission: ${permission}`,
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requirePermission,
+};
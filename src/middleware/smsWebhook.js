@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Compare two strings in constant time
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * URL the provider posted to, as it signed it
+ * Behind a proxy that rewrites the host, set SMS_WEBHOOK_BASE_URL to the public origin
+ */
+function getWebhookUrl(req) {
+  const base = config.sms.webhookBaseUrl || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}${req.originalUrl}`;
+}
+
+// Checks by provider; each returns true, false, or null when no secret is configured
+const verifiers = {
+  // X-Twilio-Signature: HMAC-SHA1 of the URL and sorted POST parameters with the auth token
+  twilio: (req) => {
+    if (!config.twilio.authToken) return null;
+    const signature = req.get('X-Twilio-Signature');
+    if (!signature) return false;
+
+    const { validateRequest } = require('twilio');
+    return validateRequest(config.twilio.authToken, signature, getWebhookUrl(req), req.body || {});
+  },
+  // Africa's Talking does not sign callbacks; the callback URL carries a shared token instead
+  africastalking: (req) => {
+    if (!config.africastalking.webhookToken) return null;
+    const token = req.get('X-Webhook-Token') || req.query.token;
+    return Boolean(token) && safeEqual(token, config.africastalking.webhookToken);
+  },
+};
+
+/**
+ * Reject SMS provider callbacks that do not carry the provider's signature or shared token
+ * Unknown providers are left to the route's 404. Without a configured secret requests are let
+ * through outside production and refused in production
+ */
+function verifySmsWebhook(req, res, next) {
+  const verify = verifiers[req.params.provider];
+  if (!verify) return next();
+
+  const verified = verify(req);
+  if (verified === null) {
+    if (config.env !== 'production') return next();
+    console.error(`SMS webhook secret for ${req.params.provider} is not configured; refusing callback`);
+  }
+
+  if (!verified) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Invalid webhook signature',
+    });
+  }
+  next();
+}
+
+module.exports = {
+  verifySmsWebhook,
+};
@@ -46,6 +46,10 @@ module.exports = (sequelize) => {
     },
     
     // Target area - Single values
+    targetAllAreas: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false, // every subscriber; must be chosen, an empty target reaches nobody
+    },
     targetAreaState: {
       type: DataTypes.STRING,
       allowNull: true,
@@ -89,11 +93,25 @@ module.exports = (sequelize) => {
       allowNull: true,
     },
     
-    // Status
+    // Status: draft -> pending_approval (critical/security) -> scheduled (future validFrom) -> active
     status: {
-      type: DataTypes.ENUM('draft', 'active', 'expired', 'cancelled'),
+      type: DataTypes.ENUM('draft', 'pending_approval', 'scheduled', 'active', 'expired', 'cancelled'),
       defaultValue: 'draft',
     },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    
+    // Follow-up ("update" or "all clear") to an alert already sent; goes to that alert's recipients
+    parentAlertId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    followUpType: {
+      type: DataTypes.ENUM('update', 'all_clear'),
+      allowNull: true,
+    },
     
     // Statistics
     statsSentCount: {
@@ -104,6 +122,11 @@ module.exports = (sequelize) => {
       type: DataTypes.INTEGER,
       defaultValue: 0,
     },
+    // Failed or rejected, from delivery reports
+    statsFailedCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+    },
     statsReadCount: {
       type: DataTypes.INTEGER,
       defaultValue: 0,
@@ -123,6 +146,55 @@ module.exports = (sequelize) => {
       allowNull: true,
     },
     
+    // Review
+    submittedByUserId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    submittedByName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    submittedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    approvedByUserId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    approvedByName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    approvedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // Last rejection; the alert goes back to draft
+    rejectedByName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    rejectionReason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    cancelledByName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    
+    // CAP sender and identifier of an alert imported from a partner agency
+    capSender: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    capIdentifier: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    
   }, {
     tableName: 'alerts',
     timestamps: true,
@@ -131,6 +203,8 @@ module.exports = (sequelize) => {
       { fields: ['alertType'] },
       { fields: ['severity'] },
       { fields: ['status'] },
+      { fields: ['parentAlertId'] },
+      { unique: true, fields: ['capSender', 'capIdentifier'] },
     ],
   });
 
@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // One alert SMS to one recipient, updated from the provider's delivery reports
+  const AlertDelivery = sequelize.define('AlertDelivery', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    // Custom alert ID (ALT-...)
+    alertId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+
+    phoneNumber: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+
+    // Recipient's language
+    language: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
+    // queued -> sent -> delivered | failed | rejected
+    status: {
+      type: DataTypes.ENUM('queued', 'sent', 'delivered', 'failed', 'rejected'),
+      defaultValue: 'queued',
+    },
+
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    providerMessageId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    // Provider status or error as reported (e.g. AbsentSubscriber, 30003)
+    failureReason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+
+    // First time the recipient opened the alert on USSD
+    readAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+
+  }, {
+    tableName: 'alert_deliveries',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['alert_id', 'phone_number'] },
+      { fields: ['provider_message_id'] },
+      { fields: ['phone_number', 'read_at'] },
+    ],
+  });
+
+  return AlertDelivery;
+};
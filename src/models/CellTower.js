@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const CellTower = sequelize.define('CellTower', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    radio: {
+      type: DataTypes.STRING, // GSM, UMTS, LTE, NR
+      allowNull: true,
+    },
+
+    // Cell identity (OpenCelliD: mcc, net, area, cell)
+    mcc: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    mnc: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    lac: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    cellId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+
+    latitude: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+    },
+    longitude: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+    },
+    // Estimated coverage radius in meters
+    range: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    samples: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+    },
+
+    source: {
+      type: DataTypes.STRING,
+      defaultValue: 'opencellid',
+    },
+
+  }, {
+    tableName: 'cell_towers',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['mcc', 'mnc', 'lac', 'cell_id'] },
+      { fields: ['mcc', 'mnc', 'lac'] },
+    ],
+  });
+
+  return CellTower;
+};
@@ -48,6 +48,7 @@ module.exports = (sequelize) => {
         'kidnap',
         'explosion',
         'medical_emergency',
+        'help_request',
         'other'
       )),
       defaultValue: [],
@@ -118,7 +119,7 @@ module.exports = (sequelize) => {
     },
     
     escalationAssigneeType: {
-      type: DataTypes.ENUM('security_team', 'community_focal', 'agency_liaison', 'custom'),
+      type: DataTypes.ENUM('security_team', 'community_focal', 'agency_liaison', 'police', 'fire_service', 'ambulance', 'custom'),
       allowNull: true,
     },
     
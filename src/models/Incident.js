@@ -1,6 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
-const geolib = require('geolib');
+const geohash = require('../utils/geohash');
 
 module.exports = (sequelize) => {
   const Incident = sequelize.define('Incident', {
@@ -20,7 +20,7 @@ module.exports = (sequelize) => {
     
     // Report channel
     channel: {
-      type: DataTypes.ENUM('ussd', 'web', 'mobile', 'api'),
+      type: DataTypes.ENUM('ussd', 'sms', 'web', 'mobile', 'api'),
       allowNull: false,
     },
     
@@ -55,10 +55,17 @@ module.exports = (sequelize) => {
         'kidnap',
         'explosion',
         'medical_emergency',
+        'help_request',
         'other'
       ),
       allowNull: false,
     },
+
+    // Service a help request asks for; help requests skip rule evaluation
+    requestedService: {
+      type: DataTypes.ENUM('police', 'fire_service', 'ambulance', 'community_focal'),
+      allowNull: true,
+    },
     
     severity: {
       type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
@@ -172,7 +179,8 @@ module.exports = (sequelize) => {
         'escalated',
         'closed',
         'false_alarm',
-        'expired'
+        'expired',
+        'merged'
       ),
       defaultValue: 'received',
     },
@@ -187,7 +195,7 @@ module.exports = (sequelize) => {
       defaultValue: [],
     },
     escalationAssignedToType: {
-      type: DataTypes.ENUM('security_team', 'community_focal', 'agency_liaison'),
+      type: DataTypes.ENUM('security_team', 'community_focal', 'agency_liaison', 'police', 'fire_service', 'ambulance'),
       allowNull: true,
     },
     escalationAssignedToName: {
@@ -207,6 +215,28 @@ module.exports = (sequelize) => {
       allowNull: true,
     },
     
+    // SLA tracking
+    escalationSlaMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    escalationSlaDueAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    escalationAcknowledgedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    escalationSlaBreachCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+    },
+    escalationLastBreachAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    
     // Response tracking
     responseFirstResponder: {
       type: DataTypes.STRING,
@@ -260,6 +290,11 @@ module.exports = (sequelize) => {
       type: DataTypes.INTEGER,
       allowNull: true,
     },
+    // Post-processing steps already done, so a retried or replayed job skips them
+    metadataProcessedSteps: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: [],
+    },
     
     // Retention
     expiresAt: {
@@ -281,12 +316,13 @@ module.exports = (sequelize) => {
       { fields: ['location_geohash'] },
       { fields: ['location_latitude', 'location_longitude'] },
       { fields: ['escalation_level'] },
+      { fields: ['status', 'escalation_sla_due_at'] },
     ],
     hooks: {
       beforeSave: (instance) => {
         // Calculate geohash from coordinates
         if (instance.locationLatitude && instance.locationLongitude) {
-          instance.locationGeohash = geolib.encode([instance.locationLatitude, instance.locationLongitude], 6);
+          instance.locationGeohash = geohash.encode(Number(instance.locationLatitude), Number(instance.locationLongitude), 6);
         }
       },
     },
@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const IncidentEvent = sequelize.define('IncidentEvent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    // Custom incident ID (INC-XXXXXXXX)
+    incidentId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+
+    eventType: {
+      type: DataTypes.ENUM(
+        'created',
+        'status_change',
+        'escalation',
+        'assignment',
+        'acknowledgement',
+        'note',
+        'merge',
+        'notification',
+        'sla_breach'
+      ),
+      allowNull: false,
+    },
+
+    // Who caused the event
+    actorType: {
+      type: DataTypes.ENUM('system', 'user', 'responder', 'reporter'),
+      defaultValue: 'system',
+    },
+    actorId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    actorName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
+    // Before/after values of the fields the event changed
+    fromValue: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    toValue: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+    },
+
+  }, {
+    tableName: 'incident_events',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { fields: ['incident_id', 'created_at'] },
+      { fields: ['event_type'] },
+    ],
+  });
+
+  return IncidentEvent;
+};
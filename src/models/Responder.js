@@ -21,7 +21,7 @@ module.exports = (sequelize) => {
       unique: true,
     },
     type: {
-      type: DataTypes.ENUM('security_team', 'community_focal', 'agency_liaison'),
+      type: DataTypes.ENUM('security_team', 'community_focal', 'agency_liaison', 'police', 'fire_service', 'ambulance'),
       allowNull: false,
     },
     status: {
@@ -0,0 +1,101 @@
+const { DataTypes } = require('sequelize');
+const geohash = require('../utils/geohash');
+
+module.exports = (sequelize) => {
+  // A phone that receives alerts for its home area
+  const Subscriber = sequelize.define('Subscriber', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    // International format (+234...)
+    phoneNumber: {
+      type: DataTypes.STRING,
+      unique: true,
+      allowNull: false,
+    },
+
+    language: {
+      type: DataTypes.ENUM('hausa', 'english', 'yoruba', 'igbo', 'fulfulde', 'pidgin'),
+      allowNull: false,
+      defaultValue: 'hausa',
+    },
+
+    // Home area (null state: only alerts without a target area)
+    homeState: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    homeLga: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    homeWard: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    homeLatitude: {
+      type: DataTypes.DECIMAL(10, 8),
+      allowNull: true,
+    },
+    homeLongitude: {
+      type: DataTypes.DECIMAL(11, 8),
+      allowNull: true,
+    },
+    // Set from the coordinates, for geohash-targeted alerts
+    homeGeohash: {
+      type: DataTypes.STRING(12),
+      allowNull: true,
+    },
+
+    // Alert types wanted (Alert.alertType values); null means every type
+    alertTypes: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: true,
+    },
+
+    // opted_out numbers must not be sent alerts (NCC do-not-disturb)
+    status: {
+      type: DataTypes.ENUM('active', 'opted_out'),
+      defaultValue: 'active',
+    },
+
+    // Latest consent and opt-out; the full history is in subscription_events
+    consentedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    consentChannel: {
+      type: DataTypes.ENUM('ussd', 'sms', 'admin'),
+      allowNull: false,
+    },
+    optedOutAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    optOutChannel: {
+      type: DataTypes.ENUM('ussd', 'sms', 'admin'),
+      allowNull: true,
+    },
+
+  }, {
+    tableName: 'subscribers',
+    timestamps: true,
+    indexes: [
+      { fields: ['status', 'home_state', 'home_lga'] },
+      { fields: ['home_geohash'] },
+      { fields: ['home_latitude', 'home_longitude'] },
+    ],
+    hooks: {
+      beforeSave: (instance) => {
+        instance.homeGeohash = instance.homeLatitude != null && instance.homeLongitude != null
+          ? geohash.encode(Number(instance.homeLatitude), Number(instance.homeLongitude), 7)
+          : null;
+      },
+    },
+  });
+
+  return Subscriber;
+};
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Append-only record of every consent and opt-out, kept for NCC do-not-disturb compliance
+  const SubscriptionEvent = sequelize.define('SubscriptionEvent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    phoneNumber: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+
+    eventType: {
+      type: DataTypes.ENUM('subscribed', 'updated', 'opted_out', 'opted_in'),
+      allowNull: false,
+    },
+
+    channel: {
+      type: DataTypes.ENUM('ussd', 'sms', 'admin'),
+      allowNull: false,
+    },
+
+    // What the subscriber sent or chose (SMS text, USSD session ID)
+    source: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
+    // Home area and alert types after the event
+    details: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+    },
+
+  }, {
+    tableName: 'subscription_events',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { fields: ['phone_number', 'created_at'] },
+    ],
+  });
+
+  return SubscriptionEvent;
+};
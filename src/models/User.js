@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const User = sequelize.define('User', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    username: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+
+    displayName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
+    // scrypt hash in the form "scrypt$<salt>$<hash>"
+    passwordHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+
+    role: {
+      type: DataTypes.ENUM('admin', 'supervisor', 'dispatcher', 'alert_author', 'analyst'),
+      allowNull: false,
+      defaultValue: 'analyst',
+    },
+
+    status: {
+      type: DataTypes.ENUM('active', 'inactive'),
+      defaultValue: 'active',
+    },
+
+    phone: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
+    organization: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
+    lastLoginAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+
+  }, {
+    tableName: 'users',
+    timestamps: true,
+    indexes: [
+      { fields: ['username'] },
+      { fields: ['role'] },
+    ],
+    defaultScope: {
+      attributes: { exclude: ['passwordHash'] },
+    },
+    scopes: {
+      withPassword: {
+        attributes: { include: ['passwordHash'] },
+      },
+    },
+  });
+
+  return User;
+};
@@ -0,0 +1,34 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Per-phone preferences remembered across USSD sessions
+  const UssdProfile = sequelize.define('UssdProfile', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    phoneNumber: {
+      type: DataTypes.STRING,
+      unique: true,
+      allowNull: false,
+    },
+
+    language: {
+      type: DataTypes.ENUM('hausa', 'english', 'yoruba', 'igbo', 'fulfulde', 'pidgin'),
+      allowNull: false,
+    },
+
+    languageSelectedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+
+  }, {
+    tableName: 'ussd_profiles',
+    timestamps: true,
+  });
+
+  return UssdProfile;
+};
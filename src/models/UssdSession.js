@@ -20,24 +20,33 @@ module.exports = (sequelize) => {
     },
     
     language: {
-      type: DataTypes.ENUM('hausa', 'english'),
+      type: DataTypes.ENUM('hausa', 'english', 'yoruba', 'igbo', 'fulfulde', 'pidgin'),
       defaultValue: 'hausa',
     },
+
+    // Where the session came in (provider adapter, short code dialled, mobile network)
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    serviceCode: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    operator: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    // Demonstration session from the admin emulator: no report is filed
+    demo: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+    },
     
+    // Built-in screen (idle, language_selection, resume_prompt, completed, timeout,
+    // terminated) or the id of a node in the USSD flow definition
     state: {
-      type: DataTypes.ENUM(
-        'idle',
-        'main_menu',
-        'incident_type_selection',
-        'incident_category',
-        'severity_selection',
-        'location_selection',
-        'description',
-        'callback_consent',
-        'confirmation',
-        'completed',
-        'timeout'
-      ),
+      type: DataTypes.STRING,
       defaultValue: 'idle',
     },
     
@@ -50,10 +59,30 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING,
       allowNull: true,
     },
+    dataRequestedService: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
     dataLocationCellTowerId: {
       type: DataTypes.STRING,
       allowNull: true,
     },
+    dataLocationCellTowerLac: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    dataLocationCellTowerMcc: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    dataLocationCellTowerMnc: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    dataLocationAccuracy: {
+      type: DataTypes.INTEGER, // meters, from the cell-tower lookup
+      allowNull: true,
+    },
     dataLocationState: {
       type: DataTypes.STRING,
       allowNull: true,
@@ -74,6 +103,15 @@ module.exports = (sequelize) => {
       type: DataTypes.FLOAT,
       allowNull: true,
     },
+    // Location picker position (state/lga/ward level and page)
+    locationPickerLevel: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    locationPickerPage: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+    },
     dataDescription: {
       type: DataTypes.TEXT,
       allowNull: true,
@@ -82,12 +120,37 @@ module.exports = (sequelize) => {
       type: DataTypes.BOOLEAN,
       defaultValue: false,
     },
+    // Alert types chosen on the subscribe menu (null: every type)
+    dataAlertTypes: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: true,
+    },
     
     // Step tracking
     currentStep: {
       type: DataTypes.INTEGER,
       defaultValue: 0,
     },
+    // Screens in the order the caller reached them: [{ state, at }]
+    stepHistory: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+    },
+    // Invalid entries per screen: { state: count }
+    invalidInputs: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+    },
+    // State the session was in when it completed or timed out
+    lastState: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    // Earlier unfinished session from the same phone offered for resumption
+    resumeFromSessionId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
     
     // Timing
     startedAt: {
@@ -135,7 +198,7 @@ module.exports = (sequelize) => {
     return this.destroy({
       where: {
         lastActivityAt: { [Op.lt]: cutoff },
-        state: { [Op.notIn]: ['completed', 'timeout'] },
+        state: { [Op.notIn]: ['completed', 'timeout', 'terminated'] },
       },
     });
   };
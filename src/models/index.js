@@ -6,6 +6,13 @@ const Alert = require('./Alert');
 const UssdSession = require('./UssdSession');
 const EscalationRule = require('./EscalationRule');
 const Responder = require('./Responder');
+const User = require('./User');
+const IncidentEvent = require('./IncidentEvent');
+const CellTower = require('./CellTower');
+const UssdProfile = require('./UssdProfile');
+const Subscriber = require('./Subscriber');
+const SubscriptionEvent = require('./SubscriptionEvent');
+const AlertDelivery = require('./AlertDelivery');
 
 // Initialize models with sequelize instance
 const initModels = (sequelize) => {
@@ -15,6 +22,13 @@ const initModels = (sequelize) => {
     UssdSession: UssdSession(sequelize),
     EscalationRule: EscalationRule(sequelize),
     Responder: Responder(sequelize),
+    User: User(sequelize),
+    IncidentEvent: IncidentEvent(sequelize),
+    CellTower: CellTower(sequelize),
+    UssdProfile: UssdProfile(sequelize),
+    Subscriber: Subscriber(sequelize),
+    SubscriptionEvent: SubscriptionEvent(sequelize),
+    AlertDelivery: AlertDelivery(sequelize),
   };
 
   // Set up associations if needed
@@ -36,4 +50,11 @@ module.exports = {
   UssdSession,
   EscalationRule,
   Responder,
+  User,
+  IncidentEvent,
+  CellTower,
+  UssdProfile,
+  Subscriber,
+  SubscriptionEvent,
+  AlertDelivery,
 };
@@ -1,13 +1,29 @@
 const express = require('express');
 const router = express.Router();
-const { incidentIngestionService, escalationService, confidenceScoringService, alertBroadcastService } = require('../services');
+const {
+  incidentIngestionService,
+  escalationService,
+  confidenceScoringService,
+  alertBroadcastService,
+  authService,
+  queueService,
+  ussdAnalyticsService,
+  subscriberService,
+  notificationService,
+  gazetteerService,
+  capService,
+} = require('../services');
 const { Incident, Alert, EscalationRule } = require('../models');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+// Every admin route requires an authenticated operator
+router.use(authenticate);
 
 /**
  * @route GET /api/v1/admin/stats/dashboard
  * @description Get dashboard statistics
  */
-router.get('/stats/dashboard', async (req, res) => {
+router.get('/stats/dashboard', requirePermission('dashboard:view'), async (req, res) => {
   try {
     const { period = '24h' } = req.query;
     
@@ -37,7 +53,7 @@ router.get('/stats/dashboard', async (req, res) => {
     });
 
     // Get response stats
-    const responseStats = await this.getResponseStats(dateFrom);
+    const responseStats = await getResponseStats(dateFrom);
 
     res.json({
       success: true,
@@ -66,12 +82,12 @@ router.get('/stats/dashboard', async (req, res) => {
  * @route GET /api/v1/admin/incidents/live
  * @description Get live incidents (recent, unresolved)
  */
-router.get('/incidents/live', async (req, res) => {
+router.get('/incidents/live', requirePermission('incidents:view'), async (req, res) => {
   try {
     const { limit = 50, status } = req.query;
 
     const where = {
-      status: { [Op.notIn]: ['resolved', 'closed', 'expired', 'false_alarm'] },
+      status: { [Op.notIn]: ['resolved', 'closed', 'expired', 'false_alarm', 'merged'] },
       createdAt: { [Op.gte]: new Date(Date.now() - 24 * 60 * 60 * 1000) }, // Last 24 hours
     };
 
@@ -114,7 +130,7 @@ router.get('/incidents/live', async (req, res) => {
  * @route GET /api/v1/admin/incidents/heatmap
  * @description Get incident heatmap data
  */
-router.get('/incidents/heatmap', async (req, res) => {
+router.get('/incidents/heatmap', requirePermission('dashboard:view'), async (req, res) => {
   try {
     const { 
       period = '7d',
@@ -148,7 +164,7 @@ router.get('/incidents/heatmap', async (req, res) => {
     for (const incident of incidents) {
       if (!incident.locationLatitude || !incident.locationLongitude) continue;
 
-      const geohash = this.calculateGeohash(incident.locationLatitude, incident.locationLongitude, 4);
+      const geohash = calculateGeohash(incident.locationLatitude, incident.locationLongitude, 4);
       
       if (!heatmap[geohash]) {
         heatmap[geohash] = {
@@ -192,7 +208,7 @@ router.get('/incidents/heatmap', async (req, res) => {
  * @route GET /api/v1/admin/incidents/map
  * @description Get incidents for map display
  */
-router.get('/incidents/map', async (req, res) => {
+router.get('/incidents/map', requirePermission('incidents:view'), async (req, res) => {
   try {
     const { 
       status = 'active',
@@ -201,7 +217,7 @@ router.get('/incidents/map', async (req, res) => {
     } = req.query;
 
     const where = {
-      status: { [Op.notIn]: ['resolved', 'closed', 'expired'] },
+      status: { [Op.notIn]: ['resolved', 'closed', 'expired', 'merged'] },
       createdAt: { [Op.gte]: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
     };
 
@@ -243,7 +259,7 @@ router.get('/incidents/map', async (req, res) => {
  * @route GET /api/v1/admin/response/status
  * @description Get response status overview
  */
-router.get('/response/status', async (req, res) => {
+router.get('/response/status', requirePermission('analytics:view'), async (req, res) => {
   try {
     const { period = '24h' } = req.query;
     
@@ -293,7 +309,7 @@ router.get('/response/status', async (req, res) => {
       byAssignee,
       totalIncidents: incidents.length,
       averageResponseTime: avgResponseTime,
-      slaCompliance: await this.getSlaCompliance(dateFrom),
+      slaCompliance: await getSlaCompliance(dateFrom),
     });
   } catch (error) {
     console.error('Response status error:', error);
@@ -304,11 +320,89 @@ router.get('/response/status', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/v1/admin/analytics/ussd-funnel
+ * @description USSD funnel: how far sessions got, timeouts, median time and invalid entries per
+ * screen, and report completion by provider and operator
+ */
+router.get('/analytics/ussd-funnel', requirePermission('analytics:view'), async (req, res) => {
+  try {
+    const { period = '7d', provider } = req.query;
+
+    const periodMs = {
+      '24h': 24 * 60 * 60 * 1000,
+      '7d': 7 * 24 * 60 * 60 * 1000,
+      '30d': 30 * 24 * 60 * 60 * 1000,
+    }[period] || 7 * 24 * 60 * 60 * 1000;
+
+    const report = await ussdAnalyticsService.getFunnel({
+      from: new Date(Date.now() - periodMs),
+      provider,
+    });
+
+    res.json({ success: true, period, provider: provider || 'all', ...report });
+  } catch (error) {
+    console.error('USSD funnel error:', error);
+    res.status(500).json({
+      error: 'Failed to get USSD funnel',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/sla/breaches
+ * @description Get incidents that missed an acknowledgement SLA
+ */
+router.get('/sla/breaches', requirePermission('incidents:view'), async (req, res) => {
+  try {
+    const { period = '24h', limit = 50 } = req.query;
+
+    const periodMs = {
+      '24h': 24 * 60 * 60 * 1000,
+      '7d': 7 * 24 * 60 * 60 * 1000,
+      '30d': 30 * 24 * 60 * 60 * 1000,
+    }[period] || 24 * 60 * 60 * 1000;
+
+    const incidents = await Incident.findAll({
+      where: {
+        escalationSlaBreachCount: { [Op.gt]: 0 },
+        escalationLastBreachAt: { [Op.gte]: new Date(Date.now() - periodMs) },
+      },
+      order: [['escalationLastBreachAt', 'DESC']],
+      limit: parseInt(limit, 10),
+    });
+
+    res.json({
+      success: true,
+      period,
+      count: incidents.length,
+      incidents: incidents.map(i => ({
+        incidentId: i.incidentId,
+        incidentType: i.incidentType,
+        severity: i.severity,
+        status: i.status,
+        escalationLevel: i.escalationLevel,
+        assignedTo: i.escalationAssignedToName,
+        slaDueAt: i.escalationSlaDueAt,
+        breachCount: i.escalationSlaBreachCount,
+        lastBreachAt: i.escalationLastBreachAt,
+      })),
+    });
+  } catch (error) {
+    console.error('SLA breaches error:', error);
+    res.status(500).json({
+      error: 'Failed to get SLA breaches',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * @route GET /api/v1/admin/rules
  * @description Get escalation rules
  */
-router.get('/rules', async (req, res) => {
+router.get('/rules', requirePermission('rules:view'), async (req, res) => {
   try {
     const rules = await EscalationRule.findAll({
       order: [['priority', 'ASC']],
@@ -331,9 +425,13 @@ router.get('/rules', async (req, res) => {
  * @route POST /api/v1/admin/rules
  * @description Create escalation rule
  */
-router.post('/rules', async (req, res) => {
+router.post('/rules', requirePermission('rules:manage'), async (req, res) => {
   try {
-    const rule = await EscalationRule.create(req.body);
+    const rule = await EscalationRule.create({
+      ...req.body,
+      createdBy: req.user.username,
+      updatedBy: req.user.username,
+    });
 
     res.status(201).json({
       success: true,
@@ -348,38 +446,222 @@ router.post('/rules', async (req, res) => {
   }
 });
 
+// Response message for an alert's status after it is saved or moved on
+const ALERT_STATUS_MESSAGES = {
+  draft: 'Alert saved as a draft',
+  pending_approval: 'Alert submitted for approval',
+  scheduled: 'Alert scheduled',
+  active: 'Alert broadcast queued',
+};
+
+/**
+ * Respond with a service error that carries a status (bad request, not allowed, not found, conflict) or a 500
+ */
+function sendStatusError(res, error, action) {
+  if ([400, 403, 404, 409].includes(error.status)) {
+    return res.status(error.status).json({ error: error.message, errors: error.errors });
+  }
+  console.error(`${action} error:`, error);
+  res.status(500).json({
+    error: `Failed to ${action.toLowerCase()}`,
+    message: error.message,
+  });
+}
+
 /**
  * @route POST /api/v1/admin/alerts
- * @description Create and broadcast alert
+ * @description Create an alert as a draft (or a follow-up with parentAlertId and followUpType);
+ * with submit: true it is also submitted
+ */
+router.post('/alerts', requirePermission('alerts:create'), async (req, res) => {
+  try {
+    let alert = await alertBroadcastService.createDraft(req.body, req.user);
+    if (req.body.submit) {
+      alert = await alertBroadcastService.submit(alert.alertId, req.user);
+    }
+
+    res.status(201).json({
+      success: true,
+      alert,
+      message: ALERT_STATUS_MESSAGES[alert.status],
+    });
+  } catch (error) {
+    sendStatusError(res, error, 'Create alert');
+  }
+});
+
+/**
+ * @route PATCH /api/v1/admin/alerts/:alertId
+ * @description Edit a draft alert
  */
-router.post('/alerts', async (req, res) => {
+router.patch('/alerts/:alertId', requirePermission('alerts:create'), async (req, res) => {
   try {
-    const { createdByUserId, createdByName } = req.user || {};
+    const alert = await alertBroadcastService.updateDraft(req.params.alertId, req.body);
 
-    const alert = await alertBroadcastService.createAndBroadcast(req.body, {
-      createdByUserId,
-      createdByName,
+    res.json({
+      success: true,
+      alert,
     });
+  } catch (error) {
+    sendStatusError(res, error, 'Update alert');
+  }
+});
 
-    res.status(201).json({
+/**
+ * @route POST /api/v1/admin/alerts/:alertId/submit
+ * @description Submit a draft: critical and security alerts wait for approval, others are scheduled or sent
+ */
+router.post('/alerts/:alertId/submit', requirePermission('alerts:create'), async (req, res) => {
+  try {
+    const alert = await alertBroadcastService.submit(req.params.alertId, req.user);
+
+    res.json({
+      success: true,
+      alert,
+      message: ALERT_STATUS_MESSAGES[alert.status],
+    });
+  } catch (error) {
+    sendStatusError(res, error, 'Submit alert');
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/alerts/:alertId/approve
+ * @description Approve an alert waiting for approval (not by its author or submitter)
+ */
+router.post('/alerts/:alertId/approve', requirePermission('alerts:approve'), async (req, res) => {
+  try {
+    const alert = await alertBroadcastService.approve(req.params.alertId, req.user);
+
+    res.json({
+      success: true,
+      alert,
+      message: ALERT_STATUS_MESSAGES[alert.status],
+    });
+  } catch (error) {
+    sendStatusError(res, error, 'Approve alert');
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/alerts/:alertId/reject
+ * @description Send an alert waiting for approval back to draft, with a reason
+ */
+router.post('/alerts/:alertId/reject', requirePermission('alerts:approve'), async (req, res) => {
+  try {
+    const alert = await alertBroadcastService.reject(req.params.alertId, req.user, req.body.reason);
+
+    res.json({
       success: true,
       alert,
-      message: 'Alert created and broadcast queued',
     });
   } catch (error) {
-    console.error('Create alert error:', error);
+    sendStatusError(res, error, 'Reject alert');
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/alerts/:alertId/cancel
+ * @description Cancel a draft, pending, scheduled or active alert
+ */
+router.post('/alerts/:alertId/cancel', requirePermission('alerts:create'), async (req, res) => {
+  try {
+    const alert = await alertBroadcastService.cancelAlert(req.params.alertId, req.user);
+
+    res.json({
+      success: true,
+      alert,
+    });
+  } catch (error) {
+    sendStatusError(res, error, 'Cancel alert');
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/alerts/:alertId/cap
+ * @description The alert as a CAP 1.2 document
+ */
+router.get('/alerts/:alertId/cap', requirePermission('alerts:view'), async (req, res) => {
+  try {
+    const document = await capService.exportAlert(req.params.alertId);
+
+    res.type('application/cap+xml').send(document);
+  } catch (error) {
+    sendStatusError(res, error, 'Export alert');
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/alerts/cap
+ * @description Import a partner's CAP 1.2 alert (XML body) as a draft
+ */
+router.post(
+  '/alerts/cap',
+  requirePermission('alerts:create'),
+  express.text({ type: ['application/cap+xml', 'application/xml', 'text/xml'], limit: '1mb' }),
+  async (req, res) => {
+    if (typeof req.body !== 'string') {
+      return res.status(415).json({ error: 'Send the CAP document as application/cap+xml' });
+    }
+
+    try {
+      const { alert, warnings } = await capService.importAlert(req.body, req.user);
+
+      res.status(201).json({
+        success: true,
+        alert,
+        warnings,
+        message: 'CAP alert imported as a draft',
+      });
+    } catch (error) {
+      sendStatusError(res, error, 'Import CAP alert');
+    }
+  }
+);
+
+/**
+ * @route POST /api/v1/admin/alerts/estimate
+ * @description Estimated recipients for an alert's type and target area, with the SMS each language gets and the segments and cost of sending them
+ */
+router.post('/alerts/estimate', requirePermission('alerts:create'), async (req, res) => {
+  try {
+    const estimate = await alertBroadcastService.estimateRecipients(req.body);
+
+    res.json({
+      success: true,
+      ...estimate,
+    });
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ error: 'Invalid target area', message: error.message });
+    }
+    console.error('Estimate recipients error:', error);
     res.status(500).json({
-      error: 'Failed to create alert',
+      error: 'Failed to estimate recipients',
       message: error.message,
     });
   }
 });
 
+/**
+ * @route GET /api/v1/admin/locations
+ * @description States and their LGAs, for the alert target picker
+ */
+router.get('/locations', requirePermission('alerts:view'), (req, res) => {
+  res.json({
+    success: true,
+    states: gazetteerService.getStates().map(name => ({
+      name,
+      lgas: gazetteerService.getLgas(name),
+    })),
+  });
+});
+
 /**
  * @route GET /api/v1/admin/alerts
- * @description List alerts
+ * @description List alerts (status may list several, e.g. draft,pending_approval)
  */
-router.get('/alerts', async (req, res) => {
+router.get('/alerts', requirePermission('alerts:view'), async (req, res) => {
   try {
     const result = await alertBroadcastService.listAlerts(req.query);
 
@@ -396,6 +678,31 @@ router.get('/alerts', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/v1/admin/subscribers/:phoneNumber/consent
+ * @description Alert subscription and every consent/opt-out record for a phone (NCC do-not-disturb queries)
+ */
+router.get('/subscribers/:phoneNumber/consent', requirePermission('subscribers:view'), async (req, res) => {
+  if (!notificationService.formatPhoneNumber(req.params.phoneNumber)) {
+    return res.status(400).json({ error: 'Invalid phone number' });
+  }
+
+  try {
+    const history = await subscriberService.getConsentHistory(req.params.phoneNumber);
+
+    res.json({
+      success: true,
+      ...history,
+    });
+  } catch (error) {
+    console.error('Subscriber consent error:', error);
+    res.status(500).json({
+      error: 'Failed to get consent records',
+      message: error.message,
+    });
+  }
+});
+
 // Helper functions
 function calculateGeohash(lat, lng, precision = 4) {
   const base32 = '0123456789bcdefghjkmnpqrstuvwxyz';
@@ -458,7 +765,8 @@ async function getSlaCompliance(dateFrom) {
   const escalated = await Incident.findAll({
     where: {
       createdAt: { [Op.gte]: dateFrom },
-      status: 'escalated',
+      escalationLevel: { [Op.gt]: 0 },
+      status: { [Op.notIn]: ['merged', 'false_alarm'] },
     },
   });
 
@@ -466,7 +774,11 @@ async function getSlaCompliance(dateFrom) {
   for (const incident of escalated) {
     // SLA is based on escalation level (30min per level)
     const slaMinutes = (incident.escalationLevel || 1) * 30;
-    const responseTime = incident.responseTime || 0;
+
+    // Open incidents are measured against the time elapsed so far
+    const responseTime = incident.responseTime != null
+      ? incident.responseTime
+      : incident.getAgeInMinutes();
     if (responseTime <= slaMinutes) {
       onTime++;
     }
@@ -488,7 +800,7 @@ const { Op } = require('sequelize');
  * @route GET /api/v1/admin/responders
  * @description Get all responders
  */
-router.get('/responders', async (req, res) => {
+router.get('/responders', requirePermission('responders:view'), async (req, res) => {
   try {
     const { Responder } = require('../models');
     const responders = await Responder.findAll({
@@ -508,4 +820,161 @@ router.get('/responders', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/v1/admin/queues
+ * @description Get job counts for every queue
+ */
+router.get('/queues', requirePermission('queues:manage'), async (req, res) => {
+  try {
+    const stats = await queueService.getStats();
+
+    res.json({
+      success: true,
+      ...stats,
+    });
+  } catch (error) {
+    console.error('Queue stats error:', error);
+    res.status(500).json({
+      error: 'Failed to get queue stats',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/queues/:name/jobs
+ * @description Inspect jobs in a queue by status (default: failed)
+ */
+router.get('/queues/:name/jobs', requirePermission('queues:manage'), async (req, res) => {
+  try {
+    const { status = 'failed', limit = 50 } = req.query;
+
+    const jobs = await queueService.getJobs(req.params.name, status, {
+      limit: parseInt(limit, 10),
+    });
+
+    res.json({
+      success: true,
+      queue: req.params.name,
+      status,
+      jobs,
+    });
+  } catch (error) {
+    sendStatusError(res, error, 'List queue jobs');
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/queues/dead-letter/:jobId/replay
+ * @description Replay a dead-lettered job onto its original queue
+ */
+router.post('/queues/dead-letter/:jobId/replay', requirePermission('queues:manage'), async (req, res) => {
+  try {
+    const result = await queueService.replayDeadLetter(req.params.jobId);
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    sendStatusError(res, error, 'Replay job');
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/queues/:name/jobs/:jobId/retry
+ * @description Retry a failed job in place
+ */
+router.post('/queues/:name/jobs/:jobId/retry', requirePermission('queues:manage'), async (req, res) => {
+  try {
+    const result = await queueService.retryFailed(req.params.name, req.params.jobId);
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    sendStatusError(res, error, 'Retry job');
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/users
+ * @description List operator accounts
+ */
+router.get('/users', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const users = await authService.listUsers();
+
+    res.json({
+      success: true,
+      users,
+    });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({
+      error: 'Failed to list users',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/users
+ * @description Create operator account
+ */
+router.post('/users', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { username, password, displayName, role, phone, organization } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({
+        error: 'Missing required fields: username, password',
+      });
+    }
+
+    const user = await authService.createUser({
+      username,
+      password,
+      displayName,
+      role,
+      phone,
+      organization,
+    });
+
+    res.status(201).json({
+      success: true,
+      user,
+    });
+  } catch (error) {
+    sendStatusError(res, error, 'Create user');
+  }
+});
+
+/**
+ * @route PATCH /api/v1/admin/users/:id
+ * @description Update operator role, status or password
+ */
+router.patch('/users/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { role, status, displayName, phone, organization, password } = req.body;
+
+    const user = await authService.updateUser(req.params.id, {
+      role,
+      status,
+      displayName,
+      phone,
+      organization,
+      password,
+    });
+
+    res.json({
+      success: true,
+      user,
+    });
+  } catch (error) {
+    sendStatusError(res, error, 'Update user');
+  }
+});
+
 module.exports = router;
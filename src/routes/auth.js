@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const { authService, rateLimiterService } = require('../services');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @route POST /api/v1/auth/login
+ * @description Operator login, returns a bearer token
+ */
+router.post('/login',
+  rateLimiterService.createMiddleware({
+    prefix: 'login',
+    maxRequests: 10,
+    windowMs: 900000, // 15 minutes
+  }),
+  async (req, res) => {
+    try {
+      const { username, password } = req.body;
+
+      if (!username || !password) {
+        return res.status(400).json({
+          error: 'Missing required fields: username, password',
+        });
+      }
+
+      const result = await authService.login(username, password);
+
+      if (!result) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Invalid username or password',
+        });
+      }
+
+      res.json({
+        success: true,
+        token: result.token,
+        user: result.user,
+      });
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({
+        error: 'Failed to log in',
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/auth/me
+ * @description Get the authenticated operator
+ */
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    user: req.user,
+  });
+});
+
+module.exports = router;
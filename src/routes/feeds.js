@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const { alertFeedService } = require('../services');
+
+// Feed formats by file extension
+const FORMATS = {
+  atom: {
+    type: 'application/atom+xml; charset=utf-8',
+    render: (feed, urls) => alertFeedService.toAtom(feed, urls.self),
+  },
+  rss: {
+    type: 'application/rss+xml; charset=utf-8',
+    render: (feed, urls) => alertFeedService.toRss(feed, urls.site),
+  },
+  json: {
+    type: 'application/feed+json; charset=utf-8',
+    render: (feed, urls) => JSON.stringify(alertFeedService.toJson(feed, urls.self, urls.site)),
+  },
+};
+
+/**
+ * Send an alert feed, or 304 Not Modified when the client's ETag or Last-Modified is current
+ */
+function sendFeed(format) {
+  return async (req, res) => {
+    try {
+      const filters = alertFeedService.readFilters(req.query);
+      const feed = await alertFeedService.getFeed(filters);
+
+      res.set({
+        'Cache-Control': `public, max-age=${config.feeds.maxAgeSeconds}`,
+        'Last-Modified': feed.lastModified.toUTCString(),
+        ETag: feed.etag,
+      });
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      const site = `${req.protocol}://${req.get('host')}`;
+      res.type(FORMATS[format].type).send(FORMATS[format].render(feed, { site, self: `${site}${req.originalUrl}` }));
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Alert feed error:', error);
+      res.status(500).json({
+        error: 'Failed to load alert feed',
+        message: error.message,
+      });
+    }
+  };
+}
+
+/**
+ * @route GET /feeds/alerts.atom
+ * @description Alerts in force as Atom (optional state, lga and language)
+ */
+router.get('/alerts.atom', sendFeed('atom'));
+
+/**
+ * @route GET /feeds/alerts.rss
+ * @description Alerts in force as RSS 2.0 (optional state, lga and language)
+ */
+router.get('/alerts.rss', sendFeed('rss'));
+
+/**
+ * @route GET /feeds/alerts.json
+ * @description Alerts in force as JSON Feed 1.1 (optional state, lga and language)
+ */
+router.get('/alerts.json', sendFeed('json'));
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { incidentIngestionService } = require('../services');
+const { incidentIngestionService, incidentEventService } = require('../services');
 const { rateLimiterService } = require('../services');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 /**
  * @route POST /api/v1/incidents
@@ -17,6 +18,7 @@ router.post('/',
       const {
         channel = 'web',
         incidentType,
+        requestedService,
         severity,
         latitude,
         longitude,
@@ -39,9 +41,16 @@ router.post('/',
         });
       }
 
+      if (incidentType === 'help_request' && !requestedService) {
+        return res.status(400).json({
+          error: 'Missing required field for help requests: requestedService',
+        });
+      }
+
       const reportData = {
         channel,
         incidentType,
+        requestedService,
         severity,
         latitude,
         longitude,
@@ -109,6 +118,67 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/v1/incidents/:id/timeline
+ * @description Get the audit timeline (status changes, escalations, assignments, notes, merges, notifications)
+ */
+router.get('/:id/timeline', authenticate, requirePermission('incidents:view'), async (req, res) => {
+  try {
+    const events = await incidentIngestionService.getTimeline(req.params.id);
+
+    if (!events) {
+      return res.status(404).json({
+        error: 'Incident not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      incidentId: req.params.id,
+      events,
+    });
+  } catch (error) {
+    console.error('Get timeline error:', error);
+    res.status(500).json({
+      error: 'Failed to get timeline',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/incidents/:id/notes
+ * @description Add an operator note to the incident timeline
+ */
+router.post('/:id/notes', authenticate, requirePermission('incidents:update'), async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    if (!note) {
+      return res.status(400).json({
+        error: 'Missing required field: note',
+      });
+    }
+
+    const event = await incidentIngestionService.addNote(
+      req.params.id,
+      note,
+      incidentEventService.fromUser(req.user)
+    );
+
+    res.status(201).json({
+      success: true,
+      event,
+    });
+  } catch (error) {
+    console.error('Add note error:', error);
+    res.status(500).json({
+      error: 'Failed to add note',
+      message: error.message,
+    });
+  }
+});
+
 /**
  * @route GET /api/v1/incidents
  * @description List incidents with filters
@@ -161,11 +231,11 @@ router.get('/', async (req, res) => {
 
 /**
  * @route PATCH /api/v1/incidents/:id/status
- * @description Update incident status
+ * @description Update incident status (409 on an illegal transition, resolution required to resolve/close)
  */
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', authenticate, requirePermission('incidents:update'), async (req, res) => {
   try {
-    const { status, note, noteAuthor } = req.body;
+    const { status, note, resolution } = req.body;
 
     if (!status) {
       return res.status(400).json({
@@ -176,7 +246,7 @@ router.patch('/:id/status', async (req, res) => {
     const incident = await incidentIngestionService.updateStatus(
       req.params.id,
       status,
-      { note, noteAuthor }
+      { note, resolution, actor: incidentEventService.fromUser(req.user) }
     );
 
     res.json({
@@ -184,6 +254,12 @@ router.patch('/:id/status', async (req, res) => {
       incident,
     });
   } catch (error) {
+    if (error.status === 400 || error.status === 409) {
+      return res.status(error.status).json({
+        error: error.message,
+        allowedTransitions: error.allowedTransitions,
+      });
+    }
     console.error('Update status error:', error);
     res.status(500).json({
       error: 'Failed to update status',
@@ -196,7 +272,7 @@ router.patch('/:id/status', async (req, res) => {
  * @route POST /api/v1/incidents/:id/assign
  * @description Assign incident to responder
  */
-router.post('/:id/assign', async (req, res) => {
+router.post('/:id/assign', authenticate, requirePermission('incidents:update'), async (req, res) => {
   try {
     const {
       type,
@@ -218,13 +294,19 @@ router.post('/:id/assign', async (req, res) => {
       contactPhone,
       organization,
       reason,
-    });
+    }, incidentEventService.fromUser(req.user));
 
     res.json({
       success: true,
       incident,
     });
   } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        error: error.message,
+        allowedTransitions: error.allowedTransitions,
+      });
+    }
     console.error('Assign incident error:', error);
     res.status(500).json({
       error: 'Failed to assign incident',
@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const { inboundSmsService, notificationService, rateLimiterService, alertDeliveryService } = require('../services');
+const { verifySmsWebhook } = require('../middleware/smsWebhook');
+const xml = require('../utils/xml');
+
+// Provider payload extractors for inbound SMS
+const providerMessageExtractors = {
+  africastalking: (body) => ({
+    from: body.from,
+    to: body.to,
+    text: body.text,
+    messageId: body.id,
+  }),
+  twilio: (body) => ({
+    from: body.From,
+    to: body.To,
+    text: body.Body,
+    messageId: body.MessageSid,
+  }),
+};
+
+// Provider payload extractors for delivery reports
+const deliveryReportExtractors = {
+  africastalking: (body) => ({
+    messageId: body.id,
+    status: body.status,
+    failureReason: body.failureReason,
+  }),
+  twilio: (body) => ({
+    messageId: body.MessageSid,
+    status: body.MessageStatus,
+    failureReason: body.ErrorCode,
+  }),
+};
+
+/**
+ * @route POST /api/v1/sms/inbound/:provider
+ * @description Inbound SMS webhook (africastalking or twilio) for responder commands and keyword reports.
+ * Twilio requests need a valid X-Twilio-Signature, Africa's Talking ones the shared webhook token
+ */
+router.post('/inbound/:provider', verifySmsWebhook, async (req, res) => {
+  const { provider } = req.params;
+  const extractor = providerMessageExtractors[provider];
+
+  if (!extractor) {
+    return res.status(404).json({ error: `Unknown SMS provider: ${provider}` });
+  }
+
+  const message = extractor(req.body);
+
+  if (!message.from || !message.text) {
+    return res.status(400).json({ error: 'Missing required fields: from, text' });
+  }
+
+  try {
+    const rateLimitResult = await rateLimiterService.checkRateLimit(message.from.replace(/\D/g, ''), {
+      prefix: 'sms',
+      maxRequests: 30,
+      windowMs: 3600000, // 1 hour
+    });
+
+    if (rateLimitResult.limited) {
+      return sendReply(res, provider, message.from, null);
+    }
+
+    const result = await inboundSmsService.handleMessage({ ...message, provider });
+    await sendReply(res, provider, message.from, result.reply, result.incidentId);
+  } catch (error) {
+    console.error('Inbound SMS error:', error);
+    res.status(500).json({
+      error: 'Failed to process SMS',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/sms/delivery/:provider
+ * @description Delivery report webhook (Africa's Talking DLR or Twilio status callback) for alert SMS.
+ * Verified like inbound SMS, so a forged report cannot mark alerts delivered or failed
+ */
+router.post('/delivery/:provider', verifySmsWebhook, async (req, res) => {
+  const { provider } = req.params;
+  const extractor = deliveryReportExtractors[provider];
+
+  if (!extractor) {
+    return res.status(404).json({ error: `Unknown SMS provider: ${provider}` });
+  }
+
+  try {
+    // Reports for messages that are not alerts are acknowledged and ignored
+    await alertDeliveryService.applyReport(provider, extractor(req.body));
+    res.status(200).send('OK');
+  } catch (error) {
+    console.error('Delivery report error:', error);
+    res.status(500).json({
+      error: 'Failed to process delivery report',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Reply in the provider's format
+ * Twilio takes the reply as TwiML; Africa's Talking needs a separate outbound SMS
+ */
+async function sendReply(res, provider, to, reply, incidentId) {
+  if (provider === 'twilio') {
+    const body = reply ? `<Message>${xml.escape(reply)}</Message>` : '';
+    return res.type('text/xml').send(`<?xml version="1.0" encoding="UTF-8"?><Response>${body}</Response>`);
+  }
+
+  if (reply) {
+    await notificationService.sendSms(to, reply, { type: 'sms_reply', incidentId });
+  }
+  res.status(200).send('OK');
+}
+
+module.exports = router;
@@ -1,77 +1,49 @@
 const express = require('express');
 const router = express.Router();
-const { ussdService, rateLimiterService } = require('../services');
+const { ussdService, rateLimiterService, ussdSessionStoreService, ussdProviderService } = require('../services');
 const config = require('../config');
-
-// Import models once at the top
-const { UssdSession } = require('../models');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 // Structured logger placeholder – replace with actual logger (e.g., Winston, Pino)
 const logger = {
   info: (...args) => console.log(new Date().toISOString(), ...args),
+  warn: (...args) => console.warn(new Date().toISOString(), ...args),
   error: (...args) => console.error(new Date().toISOString(), ...args),
 };
 
-// Provider parameter extractors
-const providerParamExtractors = {
-  africastalking: (body) => ({
-    sessionId: body.sessionId,
-    phoneNumber: body.phoneNumber,
-    input: body.text,
-    serviceCode: body.serviceCode,
-    operator: body.operator,
-  }),
-  hub2: (body) => ({
-    sessionId: body.session_id,
-    phoneNumber: body.msisdn,
-    input: body.ussd_text,
-    serviceCode: config.ussd.shortCode,
-    operator: body.operator_name,
-  }),
-  // Fallback (Twilio-like)
-  default: (body) => ({
-    sessionId: body.SessionId,
-    phoneNumber: body.MobileNumber,
-    input: body.UserInput,
-    serviceCode: body.ServiceCode || config.ussd.shortCode,
-    operator: body.Operator,
-  }),
-};
-
-// Provider response formatters
-const providerResponseFormatters = {
-  africastalking: (message, isEnd) => ({
-    type: 'text',
-    body: `${isEnd ? 'END' : 'CON'} ${message}`,
-  }),
-  hub2: (message, isEnd, sessionId) => ({
-    type: 'json',
-    body: {
-      ussd_response: {
-        SESSIONID: sessionId,
-        MENU: message,
-        ACTION: isEnd ? 0 : 1,
-      },
-    },
-  }),
-  default: (message, isEnd) => ({
-    type: 'text',
-    body: `${isEnd ? 'END' : 'CON'} ${message}`,
-  }),
-};
+// Demo sessions are stored under this prefix so they can never share an ID with a real dial
+const DEMO_SESSION_PREFIX = 'demo-';
 
 /**
  * @route POST /api/v1/ussd
- * @description Handle incoming USSD requests
+ * @description Handle incoming USSD requests (USSD_PROVIDER, or detected from the payload when 'auto')
  */
 router.post('/', async (req, res) => {
-  logger.info('Incoming USSD request', { body: req.body });
-  const provider = config.ussd.provider;
-  const extractor = providerParamExtractors[provider] || providerParamExtractors.default;
-  const params = extractor(req.body);
+  const provider = ussdProviderService.resolve(req.body);
+  if (!provider) {
+    logger.error('Unrecognised USSD payload', { body: req.body });
+    return res.status(400).json({ error: 'Unrecognised USSD payload' });
+  }
+  return handleUssdRequest(req, res, provider);
+});
+
+/**
+ * @route POST /api/v1/ussd/callback
+ * @description Handle USSD callback for session completion (shared webhook provider)
+ */
+router.post('/callback', async (req, res) => {
+  return handleUssdCallback(req, res, ussdProviderService.resolve(req.body));
+});
+
+/**
+ * Run one USSD request through the provider's adapter and the USSD service
+ */
+async function handleUssdRequest(req, res, provider) {
+  logger.info('Incoming USSD request', { provider, body: req.body });
+  const params = ussdProviderService.get(provider).parseRequest(req.body);
   logger.info('Extracted USSD params', { params });
 
-  const { sessionId, phoneNumber, input, serviceCode, operator } = params;
+  const { sessionId, phoneNumber, input, serviceCode, operator, telco } = params;
 
   // Validate required fields
   if (!sessionId || !phoneNumber) {
@@ -101,6 +73,7 @@ router.post('/', async (req, res) => {
       serviceCode,
       operator,
       provider,
+      telco,
     });
 
     sendProviderResponse(res, provider, sessionId, result.message, result.response === 'end');
@@ -108,95 +81,116 @@ router.post('/', async (req, res) => {
     logger.error('USSD handling error', { error: error.message, sessionId, phoneNumber });
     sendProviderResponse(res, provider, sessionId, 'An error occurred. Please try again.', true);
   }
-});
+}
 
 /**
- * Helper to send provider‑specific responses
+ * Close the session when the provider reports a timeout or hang-up
  */
-function sendProviderResponse(res, provider, sessionId, message, isEnd) {
-  const formatter = providerResponseFormatters[provider] || providerResponseFormatters.default;
-  const response = formatter(message, isEnd, sessionId);
+async function handleUssdCallback(req, res, provider) {
+  try {
+    const adapter = ussdProviderService.get(provider);
+    const { sessionId, state } = adapter ? adapter.parseCallback(req.body) : {};
 
-  if (response.type === 'text') {
-    res.set('Content-Type', 'text/plain; charset=utf-8').send(response.body);
-  } else {
-    res.json(response.body);
+    logger.info('USSD Callback received', { provider, sessionId, state });
+
+    if (sessionId && state) {
+      await ussdSessionStoreService.end(sessionId, state);
+    }
+
+    res.status(200).send('OK');
+  } catch (error) {
+    logger.error('USSD callback error', { error: error.message, body: req.body });
+    res.status(500).send('Error processing callback');
   }
 }
 
 /**
- * Helper to send error responses (client or server)
+ * Helper to send provider‑specific responses
  */
-function sendErrorResponse(res, provider, message, status = 400) {
-  if (provider === 'africastalking' || provider === 'default') {
-    res.set('Content-Type', 'text/plain; charset=utf-8').status(status).send(`END ${message}`);
-  } else {
-    res.status(status).json({ error: message });
-  }
+function sendProviderResponse(res, provider, sessionId, message, isEnd) {
+  sendFormatted(res, ussdProviderService.formatResponse(provider, message, isEnd, sessionId));
 }
 
 /**
- * @route POST /api/v1/ussd/callback
- * @description Handle USSD callback for session completion (Africa's Talking)
+ * Helper to send error responses (client or server)
  */
-router.post('/callback', async (req, res) => {
-  try {
-    const { sessionId, phoneNumber, text, status } = req.body;
-
-    logger.info('USSD Callback received', { sessionId, phoneNumber, status });
-
-    if (status === 'Timeout' || status === 'Terminated') {
-      await UssdSession.update(
-        {
-          endedAt: new Date(),
-          state: status.toLowerCase(),
-        },
-        { where: { sessionId } }
-      );
-    }
+function sendErrorResponse(res, provider, message, status = 400) {
+  sendFormatted(res.status(status), ussdProviderService.formatError(provider, message));
+}
 
-    res.status(200).send('OK');
-  } catch (error) {
-    logger.error('USSD callback error', { error: error.message, body: req.body });
-    res.status(500).send('Error processing callback');
+function sendFormatted(res, response) {
+  if (response.type === 'text') {
+    res.set('Content-Type', 'text/plain; charset=utf-8').send(response.body);
+  } else {
+    res.json(response.body);
   }
-});
+}
 
 /**
  * @route POST /api/v1/ussd/simulate
- * @description Simulate USSD request – disabled in production
+ * @description Simulate USSD request (admin emulator). In production only operators with
+ * ussd:simulate can use it, and only in demo mode
+ * Takes sessionId, phoneNumber and input, or a raw provider payload; the reply is also
+ * returned in the provider's format. language skips the language menu; demo files no report
+ * Demo sessions get DEMO_SESSION_PREFIX on their ID, cannot continue a real session, and never
+ * look anything up by the phone number they give
  */
-if (config.env !== 'production') {
-  router.post('/simulate', async (req, res) => {
-    try {
-      const { sessionId, phoneNumber, input, language = 'hausa', provider = 'africastalking' } = req.body;
+async function simulateRequest(req, res, { forceDemo = false } = {}) {
+  try {
+    const { provider = 'africastalking', payload, language } = req.body;
+    const demo = forceDemo || req.body.demo === true;
+    const adapter = ussdProviderService.get(provider);
 
-      if (!sessionId || !phoneNumber) {
-        return res.status(400).json({ error: 'Missing required fields: sessionId, phoneNumber' });
-      }
+    if (!adapter) {
+      return res.status(400).json({ error: `Unknown USSD provider: ${provider}` });
+    }
 
-      const result = await ussdService.handleRequest({
-        sessionId,
-        phoneNumber,
-        input,
+    // A raw provider payload goes through the adapter exactly as the webhook would
+    const params = payload
+      ? adapter.parseRequest(payload)
+      : {
+        sessionId: req.body.sessionId,
+        phoneNumber: req.body.phoneNumber,
+        input: req.body.input,
         serviceCode: config.ussd.shortCode,
         operator: 'SIMULATION',
-        provider,
-      });
-
-      res.json({
-        success: true,
-        response: result,
-        sessionInfo: { sessionId, phoneNumber, provider },
-      });
-    } catch (error) {
-      logger.error('USSD simulation error', { error: error.message });
-      res.status(500).json({ error: 'Simulation failed', message: error.message });
+      };
+    const { phoneNumber } = params;
+    let { sessionId } = params;
+
+    if (!sessionId || !phoneNumber) {
+      return res.status(400).json({ error: 'Missing required fields: sessionId, phoneNumber' });
     }
-  });
+
+    if (demo) {
+      if (!sessionId.startsWith(DEMO_SESSION_PREFIX)) sessionId = `${DEMO_SESSION_PREFIX}${sessionId}`;
+      const existing = await ussdSessionStoreService.find(sessionId);
+      if (existing && !existing.demo) {
+        return res.status(409).json({ error: 'Session is not a demo session' });
+      }
+    }
+
+    const result = await ussdService.handleRequest({ ...params, sessionId, provider, language, demo });
+
+    res.json({
+      success: true,
+      response: result,
+      providerResponse: ussdProviderService.formatResponse(
+        provider, result.message, result.response === 'end', sessionId
+      ).body,
+      maxMessageLength: config.ussd.maxMessageLength,
+      sessionInfo: { sessionId, phoneNumber, provider, demo },
+    });
+  } catch (error) {
+    logger.error('USSD simulation error', { error: error.message });
+    res.status(500).json({ error: 'Simulation failed', message: error.message });
+  }
+}
+
+if (config.env !== 'production') {
+  router.post('/simulate', (req, res) => simulateRequest(req, res));
 } else {
-  // Return 404 in production
-  router.post('/simulate', (req, res) => res.status(404).json({ error: 'Not found' }));
+  router.post('/simulate', authenticate, requirePermission('ussd:simulate'), (req, res) => simulateRequest(req, res, { forceDemo: true }));
 }
 
 /**
@@ -205,10 +199,7 @@ if (config.env !== 'production') {
  */
 router.get('/session/:sessionId', async (req, res) => {
   try {
-    const session = await UssdSession.findOne({
-      where: { sessionId: req.params.sessionId },
-      attributes: { exclude: ['stepHistory'] }, // Exclude large field directly
-    });
+    const session = await ussdSessionStoreService.find(req.params.sessionId, { includeFlushed: true });
 
     if (!session) {
       return res.status(404).json({ error: 'Session not found' });
@@ -229,9 +220,34 @@ router.get('/health', (req, res) => {
   res.json({
     success: true,
     provider: config.ussd.provider,
+    providers: ussdProviderService.getNames(),
     shortCode: config.ussd.shortCode,
     status: 'operational',
   });
 });
 
+/**
+ * @route POST /api/v1/ussd/:provider
+ * @description Handle incoming USSD requests from one provider (its own short code/webhook)
+ */
+router.post('/:provider', async (req, res) => {
+  const { provider } = req.params;
+  if (!ussdProviderService.get(provider)) {
+    return res.status(404).json({ error: `Unknown USSD provider: ${provider}` });
+  }
+  return handleUssdRequest(req, res, provider);
+});
+
+/**
+ * @route POST /api/v1/ussd/:provider/callback
+ * @description Handle one provider's session-end callback
+ */
+router.post('/:provider/callback', async (req, res) => {
+  const { provider } = req.params;
+  if (!ussdProviderService.get(provider)) {
+    return res.status(404).json({ error: `Unknown USSD provider: ${provider}` });
+  }
+  return handleUssdCallback(req, res, provider);
+});
+
 module.exports = router;
\ No newline at end of file
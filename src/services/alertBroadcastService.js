@@ -1,85 +1,351 @@
 const { Op } = require('sequelize');
-const { Alert, Incident } = require('../models');
+const config = require('../config');
+const { Alert } = require('../models');
 const notificationService = require('./notificationService');
+const queueService = require('./queueService');
+const alertTargetService = require('./alertTargetService');
+const alertDeliveryService = require('./alertDeliveryService');
+const smsEncoding = require('../utils/smsEncoding');
+
+// A second person must approve these before they go out
+const APPROVAL_SEVERITIES = ['critical'];
+const APPROVAL_TYPES = ['security'];
+
+// Alert fields the author writes; the workflow sets the rest
+const CONTENT_FIELDS = [
+  'titleHausa', 'titleEnglish', 'contentHausa', 'contentEnglish',
+  'alertType', 'severity', 'validFrom', 'validUntil',
+];
+const TARGET_FIELDS = [
+  'targetAllAreas', 'targetAreaState', 'targetAreaLgas', 'targetAreaWards', 'targetAreaVillages',
+  'targetAreaGeohashes', 'targetAreaRadius', 'targetAreaLatitude', 'targetAreaLongitude',
+];
+
+// Follow-up kinds and the label they replace the severity with in the SMS
+const FOLLOW_UP_LABELS = { update: 'UPDATE', all_clear: 'ALL CLEAR' };
+
+// Alerts that can still be stopped
+const CANCELLABLE_STATUSES = ['draft', 'pending_approval', 'scheduled', 'active'];
+
+function statusError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function pick(source, fields) {
+  const picked = {};
+  fields.forEach((field) => {
+    if (source[field] !== undefined) picked[field] = source[field];
+  });
+  return picked;
+}
 
+/**
+ * Alert lifecycle
+ *
+ *   draft -> submit -> pending_approval -> approve -> scheduled / active
+ *                  \-> (no approval needed) ------/
+ *
+ * Critical and security alerts wait in pending_approval until a second user with alerts:approve
+ * approves them; a rejection sends them back to draft. Approved alerts whose validFrom is in the
+ * future wait as scheduled (a delayed broadcast job) and become active when the job runs.
+ * Follow-ups ("update", "all clear") are drafts of their own that go through the same steps.
+ */
 class AlertBroadcastService {
-  constructor() {
-    this.broadcastQueue = [];
-    this.isProcessing = false;
+
+  /**
+   * Save a new alert as a draft
+   * With parentAlertId and followUpType it is a follow-up to an alert already sent: it keeps that
+   * alert's type, severity and target and goes to the same recipients
+   * source records where an imported alert came from ({ capSender, capIdentifier })
+   */
+  async createDraft(alertData, author = {}, source = {}) {
+    const fields = alertData.parentAlertId
+      ? await this.buildFollowUp(alertData)
+      : { ...this.readContent(alertData), ...alertTargetService.normalizeTarget(alertData) };
+
+    return Alert.create({
+      ...fields,
+      ...source,
+      status: 'draft',
+      createdByUserId: author.id,
+      createdByName: author.name,
+      createdByRole: author.role,
+    });
   }
 
   /**
-   * Create and broadcast a new alert
+   * Change a draft's text, timing or (for alerts that are not follow-ups) target
    */
-  async createAndBroadcast(alertData, options = {}) {
-    // Create alert
-    const alert = await Alert.create({
-      titleHausa: alertData.titleHausa,
-      titleEnglish: alertData.titleEnglish,
-      contentHausa: alertData.contentHausa,
-      contentEnglish: alertData.contentEnglish,
-      alertType: alertData.alertType,
-      severity: alertData.severity,
-      targetAreaState: alertData.targetAreaState,
-      targetAreaLgas: alertData.targetAreaLgas || [],
-      targetAreaVillages: alertData.targetAreaVillages || [],
-      targetAreaGeohashes: alertData.targetAreaGeohashes || [],
-      targetAreaRadius: alertData.targetAreaRadius,
-      targetAreaLatitude: alertData.targetAreaLatitude,
-      targetAreaLongitude: alertData.targetAreaLongitude,
-      validFrom: alertData.validFrom || new Date(),
-      validUntil: alertData.validUntil,
-      status: 'active',
-      createdByUserId: options.createdByUserId,
-      createdByName: options.createdByName,
-      createdByRole: options.createdByRole,
+  async updateDraft(alertId, alertData) {
+    const alert = await this.requireAlert(alertId);
+    if (alert.status !== 'draft') {
+      throw statusError(`Only drafts can be edited; alert ${alertId} is ${alert.status}`, 409);
+    }
+
+    const fields = alert.parentAlertId
+      ? this.readContent({ ...alertData, alertType: alert.alertType, severity: alert.severity }, alert.get())
+      : {
+        ...this.readContent(alertData, alert.get()),
+        ...alertTargetService.normalizeTarget({ ...pick(alert.get(), TARGET_FIELDS), ...pick(alertData, TARGET_FIELDS) }),
+      };
+
+    return alert.update(fields);
+  }
+
+  /**
+   * Send a draft on: to approval when it needs one, otherwise scheduled or broadcast
+   */
+  async submit(alertId, user = {}) {
+    const alert = await this.requireAlert(alertId);
+    if (alert.status !== 'draft') {
+      throw statusError(`Only drafts can be submitted; alert ${alertId} is ${alert.status}`, 409);
+    }
+    if (!alert.parentAlertId && !alertTargetService.hasTarget(alert)) {
+      throw statusError('Pick a target area, or tick All areas to send to every subscriber', 400);
+    }
+
+    const submission = {
+      submittedByUserId: user.id,
+      submittedByName: user.name,
+      submittedAt: new Date(),
+      rejectedByName: null,
+      rejectionReason: null,
+    };
+
+    if (this.requiresApproval(alert)) {
+      this.assertNotExpired(alert);
+      return alert.update({ ...submission, status: 'pending_approval' });
+    }
+    return this.release(alert, submission);
+  }
+
+  /**
+   * Approve an alert waiting for approval; the approver must not have written or submitted it
+   */
+  async approve(alertId, user = {}) {
+    const alert = await this.requireAlert(alertId);
+    if (alert.status !== 'pending_approval') {
+      throw statusError(`Alert ${alertId} is not waiting for approval (${alert.status})`, 409);
+    }
+    if ([alert.createdByUserId, alert.submittedByUserId].includes(String(user.id))) {
+      throw statusError('A second person must approve this alert', 403);
+    }
+
+    return this.release(alert, {
+      approvedByUserId: user.id,
+      approvedByName: user.name,
+      approvedAt: new Date(),
     });
+  }
 
-    // Start broadcast asynchronously
-    this.queueBroadcast(alert, options);
+  /**
+   * Send an alert waiting for approval back to its author as a draft
+   */
+  async reject(alertId, user = {}, reason) {
+    const alert = await this.requireAlert(alertId);
+    if (alert.status !== 'pending_approval') {
+      throw statusError(`Alert ${alertId} is not waiting for approval (${alert.status})`, 409);
+    }
+    if (!reason || !String(reason).trim()) {
+      throw statusError('A reason is required to reject an alert', 400);
+    }
 
+    return alert.update({
+      status: 'draft',
+      rejectedByName: user.name,
+      rejectionReason: String(reason).trim(),
+    });
+  }
+
+  /**
+   * Critical and security alerts (and their follow-ups) need a second person's approval
+   */
+  requiresApproval(alert) {
+    return APPROVAL_SEVERITIES.includes(alert.severity) || APPROVAL_TYPES.includes(alert.alertType);
+  }
+
+  /**
+   * Approved: broadcast now, or at validFrom when that is in the future
+   */
+  async release(alert, fields = {}) {
+    this.assertNotExpired(alert);
+
+    const scheduled = new Date(alert.validFrom) > new Date();
+    await alert.update({
+      ...fields,
+      status: scheduled ? 'scheduled' : 'active',
+      sentAt: scheduled ? null : new Date(),
+    });
+
+    await this.queueBroadcast(alert);
     return alert;
   }
 
+  assertNotExpired(alert) {
+    if (alert.validUntil && new Date(alert.validUntil) <= new Date()) {
+      throw statusError(`Alert ${alert.alertId} expired before it was sent`, 409);
+    }
+  }
+
   /**
-   * Queue broadcast for async processing
+   * Content fields from request data, checked together with the values they change
    */
-  queueBroadcast(alert, options = {}) {
-    this.broadcastQueue.push({
-      alert,
-      options,
-      queuedAt: new Date(),
+  readContent(alertData, current = {}) {
+    const content = {};
+    CONTENT_FIELDS.forEach((field) => {
+      if (alertData[field] !== undefined) {
+        content[field] = alertData[field] === '' ? null : alertData[field];
+      }
     });
 
-    // Start processing if not already running
-    if (!this.isProcessing) {
-      this.processQueue();
+    const alert = { ...current, ...content };
+    if (!alert.titleHausa || !alert.contentHausa) {
+      throw statusError('titleHausa and contentHausa are required', 400);
     }
+    if (!alert.alertType) {
+      throw statusError('alertType is required', 400);
+    }
+    ['validFrom', 'validUntil'].forEach((field) => {
+      if (alert[field] && Number.isNaN(new Date(alert[field]).getTime())) {
+        throw statusError(`${field} is not a valid date`, 400);
+      }
+    });
+    if (alert.validFrom && alert.validUntil && new Date(alert.validUntil) <= new Date(alert.validFrom)) {
+      throw statusError('validUntil must be after validFrom', 400);
+    }
+
+    // Blank send time: as soon as it is approved
+    if (content.validFrom === null) content.validFrom = new Date();
+    return content;
   }
 
   /**
-   * Process broadcast queue
+   * Fields for a follow-up draft; a follow-up to a follow-up refers to the original alert
    */
-  async processQueue() {
-    if (this.broadcastQueue.length === 0) {
-      this.isProcessing = false;
-      return;
+  async buildFollowUp(alertData) {
+    if (!FOLLOW_UP_LABELS[alertData.followUpType]) {
+      throw statusError(`followUpType must be one of: ${Object.keys(FOLLOW_UP_LABELS).join(', ')}`, 400);
+    }
+
+    const parent = await this.requireAlert(alertData.parentAlertId);
+    if (!parent.sentAt) {
+      throw statusError(`Alert ${parent.alertId} has not been sent; edit or cancel it instead`, 409);
     }
 
-    this.isProcessing = true;
-    const { alert, options } = this.broadcastQueue.shift();
+    return {
+      ...this.readContent({ ...alertData, alertType: parent.alertType, severity: parent.severity }),
+      ...pick(parent.get(), TARGET_FIELDS),
+      parentAlertId: parent.parentAlertId || parent.alertId,
+      followUpType: alertData.followUpType,
+    };
+  }
 
-    try {
-      const result = await this.broadcastAlert(alert, options);
-      console.log(`Alert ${alert.alertId} broadcast completed:`, result);
-    } catch (error) {
-      console.error(`Alert ${alert.alertId} broadcast failed:`, error);
-      // Requeue for retry
-      this.broadcastQueue.unshift({ alert, options, retryCount: (options.retryCount || 0) + 1 });
+  /**
+   * Recipients an alert would reach, with the SMS they get and the segments and cost of
+   * sending them, before it is created
+   * An alert without a target gets a warning, and one for all areas a note that it reaches everyone
+   */
+  async estimateRecipients(alertData) {
+    let estimate;
+    let warning;
+    if (alertData.parentAlertId) {
+      const parent = await this.requireAlert(alertData.parentAlertId);
+      estimate = await alertTargetService.estimateRecipients({ parentAlertId: parent.parentAlertId || parent.alertId });
+    } else {
+      const target = alertTargetService.normalizeTarget(alertData);
+      estimate = await alertTargetService.estimateRecipients({ alertType: alertData.alertType, ...target });
+      if (target.targetAllAreas) {
+        warning = 'All areas: this alert goes to every subscriber';
+      } else if (!alertTargetService.hasTarget(target)) {
+        warning = 'No target area: pick one, or tick All areas to send to every subscriber';
+      }
     }
 
-    // Continue processing
-    this.processQueue();
+    // Segments each recipient is billed for, in the language they will get
+    const sms = this.previewSms(alertData);
+    const segments = Object.entries(estimate.byLanguage).reduce((total, [language, count]) => (
+      total + count * sms[this.getAlertLanguage(alertData, language)].segments
+    ), 0);
+
+    return {
+      ...estimate,
+      sms,
+      segments,
+      cost: Math.round(segments * config.sms.segmentCost * 100) / 100,
+      currency: config.sms.currency,
+      warning: warning || null,
+    };
+  }
+
+  /**
+   * Queue broadcast on the alert-broadcasts queue, delayed until validFrom
+   * Scheduled jobs get an id from the alert and send time, so Bull keeps one copy when requeued
+   */
+  async queueBroadcast(alert, options = {}) {
+    const sendAt = new Date(alert.validFrom).getTime();
+    const delay = sendAt - Date.now();
+
+    return queueService.add(
+      queueService.QUEUES.ALERT_BROADCASTS,
+      { alertId: alert.alertId, options },
+      delay > 0 ? { delay, jobId: `${alert.alertId}:${sendAt}` } : {}
+    );
+  }
+
+  /**
+   * Queue scheduled alerts again at startup; the in-process queue loses delayed jobs on restart
+   */
+  async requeueScheduled() {
+    const alerts = await Alert.findAll({ where: { status: 'scheduled' } });
+    for (const alert of alerts) {
+      await this.queueBroadcast(alert);
+    }
+    return alerts.length;
+  }
+
+  /**
+   * Process a job from the alert-broadcasts queue
+   */
+  async processBroadcastJob(data) {
+    const alert = await this.getById(data.alertId);
+    if (!alert) {
+      throw new Error(`Alert not found: ${data.alertId}`);
+    }
+
+    if (alert.status === 'scheduled') {
+      // A job queued again at startup may run early; the one for the send time follows
+      if (new Date(alert.validFrom).getTime() > Date.now() + 1000) {
+        return { skipped: 'not_due' };
+      }
+
+      // Only one job may take the alert from scheduled to active
+      const [claimed] = await Alert.update(
+        { status: 'active', sentAt: new Date() },
+        { where: { alertId: alert.alertId, status: 'scheduled' } }
+      );
+      if (claimed === 0) {
+        return { skipped: 'already_sent' };
+      }
+      await alert.reload();
+    } else if (alert.status !== 'active') {
+      // Drafts, alerts awaiting approval, cancelled and expired alerts are not sent
+      return { skipped: alert.status };
+    }
+
+    const result = await this.broadcastAlert(alert, data.options);
+    console.log(`Alert ${alert.alertId} broadcast completed:`, { sent: result.sent, failed: result.failed });
+
+    // The all clear ends the original alert
+    if (alert.followUpType === 'all_clear') {
+      await Alert.update(
+        { status: 'expired' },
+        { where: { alertId: alert.parentAlertId, status: 'active' } }
+      );
+    }
+
+    return { sent: result.sent, failed: result.failed, total: result.total };
   }
 
   /**
@@ -94,85 +360,139 @@ class AlertBroadcastService {
       return { sent: 0, failed: 0, total: 0 };
     }
 
-    // Format message
-    const message = this.formatAlertMessage(alert);
+    // A delivery record per recipient; a retried job only sends to those not sent yet
+    const pending = await alertDeliveryService.prepare(alert, subscribers);
 
-    // Send bulk SMS
-    const result = await notificationService.sendBulkSms(subscribers, message, {
-      type: 'alert',
-      alertId: alert.alertId,
+    // One message per alert language: Hausa subscribers (and alerts without English text) get Hausa
+    const byLanguage = {};
+    pending.forEach((subscriber) => {
+      const language = this.getAlertLanguage(alert, subscriber.language);
+      (byLanguage[language] = byLanguage[language] || []).push(subscriber);
     });
 
-    // Update alert stats
+    const result = { total: 0, sent: 0, failed: 0, results: [] };
+    for (const [language, recipients] of Object.entries(byLanguage)) {
+      const sent = await notificationService.sendBulkSms(recipients, this.formatAlertSms(alert, language), {
+        type: 'alert',
+        alertId: alert.alertId,
+      });
+      result.total += sent.total;
+      result.sent += sent.sent;
+      result.failed += sent.failed;
+      result.results.push(...sent.results);
+    }
+
+    // Delivered, failed and read counts follow from delivery reports and USSD reads
     await alert.update({
-      statsSentCount: result.total,
-      statsDeliveredCount: result.sent,
+      statsSentCount: await alertDeliveryService.countRecipients(alert.alertId),
     });
 
     return result;
   }
 
   /**
-   * Find subscribers in target area
+   * Find active subscribers in the target area who want this alert type
    */
   async findSubscribers(alert) {
-    // For MVP, we broadcast to all subscribers who opted in
-    // In production, filter by geolocation
-
-    // Find recent incident reporters who gave consent
-    const recentReporters = await Incident.findAll({
-      where: {
-        reporterCallbackConsent: true,
-        createdAt: { [Op.gte]: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }, // Last 7 days
-      },
-      attributes: ['reporterPhoneNumber'],
-      group: ['reporterPhoneNumber'],
-    });
+    const subscribers = await alertTargetService.findRecipients(alert);
 
-    return recentReporters.map(r => ({
-      phone: r.reporterPhoneNumber,
+    return subscribers.map(s => ({
+      phone: s.phoneNumber,
       name: 'Subscriber',
+      language: s.language,
     }));
   }
 
   /**
-   * Format alert message for SMS
+   * Alert text language for a subscriber: English for non-Hausa speakers when the alert has it
    */
-  formatAlertMessage(alert) {
-    const content = alert.contentHausa || '';
-    const title = alert.titleHausa || '';
+  getAlertLanguage(alert, language) {
+    return language !== 'hausa' && alert.contentEnglish ? 'english' : 'hausa';
+  }
 
-    // Truncate for SMS (160 chars)
-    const maxLength = 150;
-    let message = `[${alert.severity.toUpperCase()}] ${title}\n${content}`;
-    
-    if (message.length > maxLength) {
-      message = message.substring(0, maxLength - 3) + '...';
-    }
+  /**
+   * Full alert text: label, title and content
+   */
+  formatAlertMessage(alert, language = 'hausa') {
+    const english = language === 'english';
+    const content = (english ? alert.contentEnglish : alert.contentHausa) || '';
+    const title = (english ? alert.titleEnglish : alert.titleHausa) || '';
+    const label = FOLLOW_UP_LABELS[alert.followUpType] || String(alert.severity || '').toUpperCase();
+
+    return `[${label}] ${title}\n${content}`;
+  }
+
+  /**
+   * The SMS that carry an alert; nothing is cut off
+   * A message that fits one SMS goes as written. A longer one is transliterated to GSM-7
+   * (the Hausa hooked letters force UCS-2, with 70 characters a segment) or, with
+   * SMS_ALERT_MODE=split, sent as numbered parts
+   */
+  formatAlertSms(alert, language = 'hausa') {
+    const message = this.formatAlertMessage(alert, language);
+    if (smsEncoding.measure(message).segments <= 1) return [message];
+
+    return config.sms.alertMode === 'split'
+      ? smsEncoding.split(message)
+      : [smsEncoding.transliterate(message)];
+  }
+
+  /**
+   * Per alert language, the SMS a recipient would get with their encoding and segments
+   */
+  previewSms(alertData) {
+    const languages = alertData.contentEnglish ? ['hausa', 'english'] : ['hausa'];
+    const preview = {};
+
+    languages.forEach((language) => {
+      const messages = this.formatAlertSms(alertData, language).map(text => ({ text, ...smsEncoding.measure(text) }));
+      preview[language] = {
+        messages,
+        segments: messages.reduce((total, message) => total + message.segments, 0),
+      };
+    });
 
-    return message;
+    return preview;
   }
 
   /**
-   * Get active alerts
+   * Get sent alerts that are still in force (active and not past validUntil), newest first
+   * A state or LGA filter keeps the alerts that cover it: those for the state as a whole
+   * or naming the LGA, and nationwide alerts (no state, radius or geohash target). An LGA
+   * without a state only matches alerts naming it, since whole-state alerts may be elsewhere
    */
   async getActiveAlerts(filters = {}) {
-    const where = {
-      status: 'active',
-    };
+    const conditions = [
+      { status: 'active' },
+      { [Op.or]: [{ validUntil: null }, { validUntil: { [Op.gt]: new Date() } }] },
+    ];
 
     // Filter by location if provided
-    if (filters.state) {
-      where.targetAreaState = filters.state;
-    }
+    if (filters.state || filters.lga) {
+      const area = {};
+      if (filters.state) {
+        area.targetAreaState = filters.state;
+      }
+      if (filters.lga) {
+        const wholeState = filters.state ? [{ targetAreaLgas: null }, { targetAreaLgas: [] }] : [];
+        area[Op.or] = [{ targetAreaLgas: { [Op.contains]: [filters.lga] } }, ...wholeState];
+      }
 
-    if (filters.lga) {
-      where.targetAreaLgas = { [Op.contains]: [filters.lga] };
+      conditions.push({
+        [Op.or]: [
+          area,
+          {
+            targetAreaState: null,
+            targetAreaRadius: null,
+            [Op.or]: [{ targetAreaGeohashes: null }, { targetAreaGeohashes: [] }],
+          },
+        ],
+      });
     }
 
     return Alert.findAll({
-      where,
-      order: [['createdAt', 'DESC']],
+      where: { [Op.and]: conditions },
+      order: [['sentAt', 'DESC'], ['createdAt', 'DESC']],
     });
   }
 
@@ -208,6 +528,7 @@ class AlertBroadcastService {
     }
 
     const alerts = await Alert.findAll({ where });
+    const sum = field => alerts.reduce((total, a) => total + (a[field] || 0), 0);
 
     return {
       total: alerts.length,
@@ -215,28 +536,35 @@ class AlertBroadcastService {
         active: alerts.filter(a => a.status === 'active').length,
         expired: alerts.filter(a => a.status === 'expired').length,
         draft: alerts.filter(a => a.status === 'draft').length,
+        pendingApproval: alerts.filter(a => a.status === 'pending_approval').length,
+        scheduled: alerts.filter(a => a.status === 'scheduled').length,
       },
       byType: {},
       bySeverity: {},
-      totalRecipients: alerts.reduce((sum, a) => sum + (a.statsSentCount || 0), 0),
-      deliveryRate: 0,
+      totalRecipients: sum('statsSentCount'),
+      ...alertDeliveryService.getRates({
+        statsSentCount: sum('statsSentCount'),
+        statsDeliveredCount: sum('statsDeliveredCount'),
+        statsFailedCount: sum('statsFailedCount'),
+        statsReadCount: sum('statsReadCount'),
+      }),
     };
   }
 
   /**
-   * Cancel an alert
+   * Cancel an alert; a scheduled alert is then not sent, an active one stops showing on USSD
    */
-  async cancelAlert(alertId, cancelledBy) {
-    const alert = await Alert.findOne({ where: { alertId } });
-    
-    if (!alert) {
-      throw new Error(`Alert not found: ${alertId}`);
-    }
+  async cancelAlert(alertId, cancelledBy = {}) {
+    const alert = await this.requireAlert(alertId);
 
-    alert.status = 'cancelled';
-    await alert.save();
+    if (!CANCELLABLE_STATUSES.includes(alert.status)) {
+      throw statusError(`Alert ${alertId} is already ${alert.status}`, 409);
+    }
 
-    return alert;
+    return alert.update({
+      status: 'cancelled',
+      cancelledByName: cancelledBy.name,
+    });
   }
 
   /**
@@ -246,6 +574,17 @@ class AlertBroadcastService {
     return Alert.findOne({ where: { alertId } });
   }
 
+  /**
+   * Alert by ID, or a 404 error
+   */
+  async requireAlert(alertId) {
+    const alert = await this.getById(alertId);
+    if (!alert) {
+      throw statusError(`Alert not found: ${alertId}`, 404);
+    }
+    return alert;
+  }
+
   /**
    * List alerts with pagination
    */
@@ -255,7 +594,7 @@ class AlertBroadcastService {
     const offset = (page - 1) * limit;
 
     const where = {};
-    if (options.status) where.status = options.status;
+    if (options.status) where.status = String(options.status).split(',');
     if (options.alertType) where.alertType = options.alertType;
 
     const [alerts, total] = await Promise.all([
@@ -269,7 +608,7 @@ class AlertBroadcastService {
     ]);
 
     return {
-      alerts,
+      alerts: alerts.map(alert => ({ ...alert.toJSON(), ...alertDeliveryService.getRates(alert) })),
       pagination: {
         page,
         limit,
@@ -280,4 +619,7 @@ class AlertBroadcastService {
   }
 }
 
-module.exports = new AlertBroadcastService();
+const alertBroadcastService = new AlertBroadcastService();
+alertBroadcastService.FOLLOW_UP_LABELS = FOLLOW_UP_LABELS;
+
+module.exports = alertBroadcastService;
@@ -0,0 +1,174 @@
+const { Op } = require('sequelize');
+const { Alert, AlertDelivery } = require('../models');
+
+// Delivery report statuses per SMS provider -> AlertDelivery status (unlisted: ignored)
+const REPORT_STATUSES = {
+  // Africa's Talking DLR "status"
+  africastalking: {
+    Sent: 'sent',
+    Submitted: 'sent',
+    Buffered: 'sent',
+    Success: 'delivered',
+    Failed: 'failed',
+    Rejected: 'rejected',
+  },
+  // Twilio status callback "MessageStatus"
+  twilio: {
+    sent: 'sent',
+    delivered: 'delivered',
+    read: 'delivered',
+    undelivered: 'failed',
+    failed: 'rejected',
+    canceled: 'rejected',
+  },
+};
+
+// Statuses a later report cannot change
+const FINAL_STATUSES = ['delivered', 'failed', 'rejected'];
+
+// Alert counter for each final status
+const STATUS_COUNTERS = {
+  delivered: 'statsDeliveredCount',
+  failed: 'statsFailedCount',
+  rejected: 'statsFailedCount',
+};
+
+class AlertDeliveryService {
+  /**
+   * Create a queued delivery for each recipient that has none yet
+   * Returns the recipients still to send to (a retried broadcast skips those already sent)
+   */
+  async prepare(alert, recipients) {
+    const existing = await AlertDelivery.findAll({
+      where: { alertId: alert.alertId, phoneNumber: { [Op.in]: recipients.map(r => r.phone) } },
+      attributes: ['phoneNumber', 'status'],
+    });
+    const statusByPhone = new Map(existing.map(d => [d.phoneNumber, d.status]));
+
+    const missing = recipients.filter(r => !statusByPhone.has(r.phone));
+    if (missing.length > 0) {
+      await AlertDelivery.bulkCreate(missing.map(r => ({
+        alertId: alert.alertId,
+        phoneNumber: r.phone,
+        language: r.language,
+        status: 'queued',
+      })), { ignoreDuplicates: true });
+    }
+
+    return recipients.filter(r => ['queued', 'failed'].includes(statusByPhone.get(r.phone) || 'queued'));
+  }
+
+  /**
+   * Record the provider's answer to the send request (called for every alert SMS sent)
+   */
+  async recordSendResult(alertId, phoneNumber, result = {}) {
+    const delivery = await AlertDelivery.findOne({ where: { alertId, phoneNumber } });
+    // Only queued deliveries and failed ones being re-sent are waiting on a send
+    if (!delivery || !['queued', 'failed'].includes(delivery.status)) return null;
+
+    if (result.success) {
+      const previous = delivery.status;
+      await delivery.update({
+        status: 'sent',
+        provider: result.provider || null,
+        providerMessageId: result.messageId || null,
+        failureReason: null,
+        sentAt: new Date(),
+      });
+      if (previous === 'failed') {
+        await Alert.decrement(STATUS_COUNTERS.failed, { where: { alertId } });
+      }
+    } else if (!result.queued) {
+      await this.setFinalStatus(delivery, 'rejected', { provider: result.provider || null, failureReason: result.error });
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Apply a delivery report; returns the updated delivery, or null if the message is unknown
+   * or the report changes nothing
+   */
+  async applyReport(provider, { messageId, status, failureReason }) {
+    const mapped = (REPORT_STATUSES[provider] || {})[status];
+    if (!messageId || !mapped) return null;
+
+    const delivery = await AlertDelivery.findOne({ where: { providerMessageId: messageId } });
+    if (!delivery || FINAL_STATUSES.includes(delivery.status) || delivery.status === mapped) {
+      return null;
+    }
+
+    if (mapped === 'sent') {
+      await delivery.update({ status: 'sent' });
+    } else {
+      await this.setFinalStatus(delivery, mapped, { failureReason: failureReason || null });
+    }
+    return delivery;
+  }
+
+  /**
+   * Move a delivery to delivered/failed/rejected and count it on the alert
+   */
+  async setFinalStatus(delivery, status, fields = {}) {
+    const previous = delivery.status;
+    await delivery.update({
+      ...fields,
+      status,
+      deliveredAt: status === 'delivered' ? new Date() : delivery.deliveredAt,
+    });
+
+    const counter = STATUS_COUNTERS[status];
+    const previousCounter = STATUS_COUNTERS[previous];
+    if (counter === previousCounter) return;
+
+    await Alert.increment(counter, { where: { alertId: delivery.alertId } });
+    if (previousCounter) {
+      await Alert.decrement(previousCounter, { where: { alertId: delivery.alertId } });
+    }
+  }
+
+  /**
+   * Count alerts as read by a phone that opened them on USSD (first open only)
+   */
+  async recordRead(phoneNumber, alertIds) {
+    if (alertIds.length === 0) return 0;
+
+    const deliveries = await AlertDelivery.findAll({
+      where: { phoneNumber, alertId: { [Op.in]: alertIds }, readAt: null },
+    });
+
+    for (const delivery of deliveries) {
+      await delivery.update({ readAt: new Date() });
+      await Alert.increment('statsReadCount', { where: { alertId: delivery.alertId } });
+    }
+
+    return deliveries.length;
+  }
+
+  /**
+   * Recipients recorded for an alert
+   */
+  async countRecipients(alertId) {
+    return AlertDelivery.count({ where: { alertId } });
+  }
+
+  /**
+   * Delivery and read rates (percent of recipients) for an alert
+   */
+  getRates(alert) {
+    const percentage = count => (alert.statsSentCount > 0
+      ? Math.round((count / alert.statsSentCount) * 100)
+      : null);
+
+    return {
+      deliveryRate: percentage(alert.statsDeliveredCount || 0),
+      failureRate: percentage(alert.statsFailedCount || 0),
+      readRate: percentage(alert.statsReadCount || 0),
+    };
+  }
+}
+
+const alertDeliveryService = new AlertDeliveryService();
+alertDeliveryService.REPORT_STATUSES = REPORT_STATUSES;
+
+module.exports = alertDeliveryService;
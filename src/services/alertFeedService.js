@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const config = require('../config');
+const { Alert } = require('../models');
+const alertBroadcastService = require('./alertBroadcastService');
+const capService = require('./capService');
+const gazetteerService = require('./gazetteerService');
+const xml = require('../utils/xml');
+
+// Feed languages by name or code; every alert has Hausa text, English is optional
+const LANGUAGES = { hausa: 'ha', english: 'en' };
+const DEFAULT_LANGUAGE = 'hausa';
+
+const ATOM_NAMESPACE = 'http://www.w3.org/2005/Atom';
+const JSON_FEED_VERSION = 'https://jsonfeed.org/version/1.1';
+
+function statusError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class AlertFeedService {
+  /**
+   * Feed filters from query parameters: state, lga (needs state) and language
+   * Names are matched against the gazetteer; unknown ones are a 400
+   */
+  readFilters(query = {}) {
+    const filters = { language: DEFAULT_LANGUAGE };
+
+    if (query.language) {
+      const wanted = String(query.language).toLowerCase();
+      const language = Object.keys(LANGUAGES).find(name => name === wanted || LANGUAGES[name] === wanted);
+      if (!language) {
+        throw statusError(`language must be one of ${Object.keys(LANGUAGES).join(', ')}`, 400);
+      }
+      filters.language = language;
+    }
+
+    if (query.state) {
+      const state = gazetteerService.findState(String(query.state));
+      if (!state) throw statusError(`Unknown state "${query.state}"`, 400);
+      filters.state = state.name;
+    }
+
+    if (query.lga) {
+      if (!filters.state) throw statusError('lga needs a state', 400);
+      const lga = gazetteerService.findLga(filters.state, String(query.lga));
+      if (!lga) throw statusError(`Unknown LGA "${query.lga}" in ${filters.state}`, 400);
+      filters.lga = lga.name;
+    }
+
+    return filters;
+  }
+
+  /**
+   * Alerts in force for the filters, as public items, with the validators for conditional GETs
+   * Returns { filters, items, lastModified, etag }
+   */
+  async getFeed(filters) {
+    const [alerts, lastModified] = await Promise.all([
+      alertBroadcastService.getActiveAlerts({ state: filters.state, lga: filters.lga }),
+      this.getLastModified(),
+    ]);
+
+    // English feeds only carry alerts written in English
+    const items = alerts
+      .filter(alert => filters.language !== 'english' || (alert.titleEnglish && alert.contentEnglish))
+      .map(alert => this.toItem(alert, filters.language));
+
+    const etag = crypto.createHash('sha1')
+      .update(JSON.stringify([lastModified.getTime(), items.map(item => [item.alertId, item.updatedAt])]))
+      .digest('base64url');
+
+    return { filters, items, lastModified, etag: `W/"${etag}"` };
+  }
+
+  /**
+   * When any feed last changed: the latest update to a sent alert (sending, cancelling,
+   * expiring) or the latest validUntil that has passed, since those alerts drop out unchanged
+   */
+  async getLastModified() {
+    const sent = { sentAt: { [Op.ne]: null } };
+    const [updatedAt, lapsedAt] = await Promise.all([
+      Alert.max('updatedAt', { where: sent }),
+      Alert.max('validUntil', { where: { ...sent, validUntil: { [Op.lte]: new Date() } } }),
+    ]);
+
+    const times = [updatedAt, lapsedAt].filter(Boolean).map(time => new Date(time).getTime());
+    // HTTP dates have whole seconds
+    return new Date(Math.floor(Math.max(0, ...times) / 1000) * 1000);
+  }
+
+  /**
+   * Public view of an alert; authors, approvers, CAP source and delivery stats are left out
+   */
+  toItem(alert, language) {
+    const english = language === 'english';
+    const label = alertBroadcastService.FOLLOW_UP_LABELS[alert.followUpType] || alert.severity.toUpperCase();
+
+    return {
+      alertId: alert.alertId,
+      language: LANGUAGES[language],
+      label,
+      title: english ? alert.titleEnglish : alert.titleHausa,
+      content: english ? alert.contentEnglish : alert.contentHausa,
+      alertType: alert.alertType,
+      severity: alert.severity,
+      followUpType: alert.followUpType || null,
+      parentAlertId: alert.parentAlertId || null,
+      area: {
+        description: capService.describeArea(alert),
+        state: alert.targetAreaState || null,
+        lgas: alert.targetAreaLgas || [],
+        wards: alert.targetAreaWards || [],
+        villages: alert.targetAreaVillages || [],
+        geohashes: alert.targetAreaGeohashes || [],
+        radiusKm: alert.targetAreaRadius || null,
+        latitude: alert.targetAreaRadius ? alert.targetAreaLatitude : null,
+        longitude: alert.targetAreaRadius ? alert.targetAreaLongitude : null,
+      },
+      validFrom: alert.validFrom,
+      validUntil: alert.validUntil || null,
+      publishedAt: alert.sentAt,
+      updatedAt: alert.updatedAt,
+    };
+  }
+
+  /**
+   * Feed title, naming the area when filtered
+   */
+  getTitle(filters) {
+    if (!filters.state) return config.feeds.title;
+    const area = filters.lga ? `${filters.lga}, ${filters.state}` : filters.state;
+    return `${config.feeds.title} - ${area}`;
+  }
+
+  /**
+   * Atom 1.0 document; selfUrl is the URL the feed was requested with
+   */
+  toAtom(feed, selfUrl) {
+    const text = (name, value, attributes) => ({ name, text: value, attributes });
+    const category = (scheme, term, label) => ({
+      name: 'category',
+      attributes: label ? { scheme, term, label } : { scheme, term },
+    });
+
+    const tree = {
+      name: 'feed',
+      attributes: { xmlns: ATOM_NAMESPACE, 'xml:lang': LANGUAGES[feed.filters.language] },
+      children: [
+        text('id', selfUrl),
+        text('title', this.getTitle(feed.filters)),
+        text('updated', feed.lastModified.toISOString()),
+        { name: 'author', children: [text('name', config.cap.senderName)] },
+        { name: 'link', attributes: { rel: 'self', type: 'application/atom+xml', href: selfUrl } },
+        ...feed.items.map(item => ({
+          name: 'entry',
+          children: [
+            text('id', `urn:matasa:alert:${item.alertId}`),
+            text('title', `[${item.label}] ${item.title}`),
+            text('updated', new Date(item.updatedAt).toISOString()),
+            text('published', new Date(item.publishedAt).toISOString()),
+            text('summary', item.content, { type: 'text' }),
+            category('urn:matasa:alert-type', item.alertType),
+            category('urn:matasa:severity', item.severity),
+            item.followUpType ? category('urn:matasa:follow-up', item.followUpType) : null,
+            category('urn:matasa:area', item.area.state || 'all', item.area.description),
+          ],
+        })),
+      ],
+    };
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${xml.serialize(tree)}\n`;
+  }
+
+  /**
+   * RSS 2.0 document; siteUrl is the channel link
+   */
+  toRss(feed, siteUrl) {
+    const text = (name, value, attributes) => ({ name, text: value, attributes });
+    const category = (domain, value) => text('category', value, { domain });
+
+    const tree = {
+      name: 'rss',
+      attributes: { version: '2.0' },
+      children: [{
+        name: 'channel',
+        children: [
+          text('title', this.getTitle(feed.filters)),
+          text('link', siteUrl),
+          text('description', `Safety alerts from ${config.cap.senderName}`),
+          text('language', LANGUAGES[feed.filters.language]),
+          text('lastBuildDate', feed.lastModified.toUTCString()),
+          text('ttl', String(Math.ceil(config.feeds.maxAgeSeconds / 60))),
+          ...feed.items.map(item => ({
+            name: 'item',
+            children: [
+              text('title', `[${item.label}] ${item.title}`),
+              text('description', item.content),
+              text('guid', item.alertId, { isPermaLink: 'false' }),
+              text('pubDate', new Date(item.publishedAt).toUTCString()),
+              category('urn:matasa:alert-type', item.alertType),
+              category('urn:matasa:severity', item.severity),
+              item.followUpType ? category('urn:matasa:follow-up', item.followUpType) : null,
+              category('urn:matasa:area', item.area.description),
+            ],
+          })),
+        ],
+      }],
+    };
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${xml.serialize(tree)}\n`;
+  }
+
+  /**
+   * JSON Feed 1.1 object; each item carries the full public alert under _alert
+   */
+  toJson(feed, selfUrl, siteUrl) {
+    return {
+      version: JSON_FEED_VERSION,
+      title: this.getTitle(feed.filters),
+      home_page_url: siteUrl,
+      feed_url: selfUrl,
+      language: LANGUAGES[feed.filters.language],
+      authors: [{ name: config.cap.senderName }],
+      items: feed.items.map(item => ({
+        id: item.alertId,
+        title: `[${item.label}] ${item.title}`,
+        content_text: item.content,
+        date_published: new Date(item.publishedAt).toISOString(),
+        date_modified: new Date(item.updatedAt).toISOString(),
+        tags: [item.alertType, item.severity, item.followUpType].filter(Boolean),
+        _alert: item,
+      })),
+    };
+  }
+}
+
+const alertFeedService = new AlertFeedService();
+alertFeedService.LANGUAGES = LANGUAGES;
+
+module.exports = alertFeedService;
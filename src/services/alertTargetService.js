@@ -0,0 +1,242 @@
+const { Op } = require('sequelize');
+const geolib = require('geolib');
+const { Subscriber, AlertDelivery } = require('../models');
+const gazetteerService = require('./gazetteerService');
+const geohash = require('../utils/geohash');
+
+/**
+ * Alert targeting: which subscribers are inside an alert's target area
+ *
+ * A target is the union of up to three shapes:
+ *   areas      targetAreaState, narrowed by targetAreaLgas and then targetAreaWards/targetAreaVillages
+ *              (USSD stores the picked ward as the village, so both lists match the home ward)
+ *   geohashes  targetAreaGeohashes, prefixes of the subscriber's home geohash
+ *   radius     targetAreaRadius km around targetAreaLatitude/targetAreaLongitude (great-circle)
+ * An alert with none of them reaches nobody unless targetAllAreas is set, which sends it to every
+ * subscriber and cannot be combined with a shape. Geohash and radius only reach subscribers with
+ * home coordinates.
+ *
+ * Follow-ups (parentAlertId set) ignore the target and go to the original alert's recipients.
+ */
+class AlertTargetService {
+  /**
+   * Active subscribers who want the alert's type and are inside its target area
+   * The query narrows by area, geohash prefix and the radius' bounding box; matches() makes the final cut
+   */
+  async findRecipients(alert) {
+    if (alert.parentAlertId) {
+      return this.findFollowUpRecipients(alert);
+    }
+
+    const target = this.getTarget(alert);
+    if (!this.hasShape(target) && !alert.targetAllAreas) {
+      return [];
+    }
+
+    const conditions = [
+      { status: 'active' },
+      {
+        [Op.or]: [
+          { alertTypes: null },
+          { alertTypes: { [Op.contains]: [alert.alertType] } },
+        ],
+      },
+    ];
+
+    const shapes = this.buildShapeConditions(target);
+    if (shapes.length > 0) {
+      conditions.push({ [Op.or]: shapes });
+    }
+
+    const subscribers = await Subscriber.findAll({ where: { [Op.and]: conditions } });
+    return subscribers.filter(subscriber => this.matches(subscriber, target));
+  }
+
+  /**
+   * Everyone the original alert was sent to who is still subscribed, wherever they live now
+   */
+  async findFollowUpRecipients(alert) {
+    const deliveries = await AlertDelivery.findAll({
+      where: { alertId: alert.parentAlertId },
+      attributes: ['phoneNumber'],
+      raw: true,
+    });
+    if (deliveries.length === 0) return [];
+
+    return Subscriber.findAll({
+      where: {
+        status: 'active',
+        phoneNumber: { [Op.in]: deliveries.map(d => d.phoneNumber) },
+      },
+    });
+  }
+
+  /**
+   * Recipient count for an alert that has not been created yet, by subscriber language
+   */
+  async estimateRecipients(alert) {
+    const recipients = await this.findRecipients(alert);
+    const byLanguage = {};
+    recipients.forEach((subscriber) => {
+      byLanguage[subscriber.language] = (byLanguage[subscriber.language] || 0) + 1;
+    });
+    return { recipients: recipients.length, byLanguage };
+  }
+
+  /**
+   * The alert's target fields as { state, lgas, wards, geohashes, radius }
+   */
+  getTarget(alert) {
+    const hasRadius = alert.targetAreaRadius > 0 &&
+      alert.targetAreaLatitude != null && alert.targetAreaLongitude != null;
+
+    return {
+      state: alert.targetAreaState || null,
+      lgas: alert.targetAreaLgas || [],
+      wards: [...(alert.targetAreaWards || []), ...(alert.targetAreaVillages || [])],
+      geohashes: (alert.targetAreaGeohashes || []).map(hash => hash.toLowerCase()),
+      radius: hasRadius
+        ? {
+          latitude: Number(alert.targetAreaLatitude),
+          longitude: Number(alert.targetAreaLongitude),
+          meters: Number(alert.targetAreaRadius) * 1000,
+        }
+        : null,
+    };
+  }
+
+  hasShape(target) {
+    return Boolean(target.state || target.geohashes.length > 0 || target.radius);
+  }
+
+  /**
+   * Whether an alert says who it goes to: a target shape, or every subscriber with targetAllAreas
+   */
+  hasTarget(alert) {
+    return Boolean(alert.targetAllAreas) || this.hasShape(this.getTarget(alert));
+  }
+
+  /**
+   * Query conditions (any of which may match) for the target's shapes
+   */
+  buildShapeConditions(target) {
+    const shapes = [];
+
+    if (target.state) {
+      const area = { homeState: target.state };
+      if (target.lgas.length > 0) area.homeLga = { [Op.in]: target.lgas };
+      if (target.wards.length > 0) area.homeWard = { [Op.in]: target.wards };
+      shapes.push(area);
+    }
+
+    target.geohashes.forEach((prefix) => {
+      shapes.push({ homeGeohash: { [Op.startsWith]: prefix } });
+    });
+
+    if (target.radius) {
+      const [southWest, northEast] = geolib.getBoundsOfDistance(target.radius, target.radius.meters);
+      shapes.push({
+        homeLatitude: { [Op.between]: [southWest.latitude, northEast.latitude] },
+        homeLongitude: { [Op.between]: [southWest.longitude, northEast.longitude] },
+      });
+    }
+
+    return shapes;
+  }
+
+  /**
+   * Whether a subscriber's home is inside the target
+   */
+  matches(subscriber, target) {
+    if (!this.hasShape(target)) return true;
+    return this.inArea(subscriber, target) ||
+      this.inGeohashes(subscriber, target) ||
+      this.inRadius(subscriber, target);
+  }
+
+  inArea(subscriber, target) {
+    if (!target.state || subscriber.homeState !== target.state) return false;
+    if (target.lgas.length > 0 && !target.lgas.includes(subscriber.homeLga)) return false;
+    if (target.wards.length > 0 && !target.wards.includes(subscriber.homeWard)) return false;
+    return true;
+  }
+
+  inGeohashes(subscriber, target) {
+    return Boolean(subscriber.homeGeohash) &&
+      target.geohashes.some(prefix => subscriber.homeGeohash.startsWith(prefix));
+  }
+
+  inRadius(subscriber, target) {
+    if (!target.radius || subscriber.homeLatitude == null || subscriber.homeLongitude == null) {
+      return false;
+    }
+    const distance = geolib.getDistance(
+      { latitude: Number(subscriber.homeLatitude), longitude: Number(subscriber.homeLongitude) },
+      target.radius
+    );
+    return distance <= target.radius.meters;
+  }
+
+  /**
+   * Target fields from the admin form or API: lists may be arrays or comma-separated,
+   * state and LGA names are matched to the gazetteer, a radius needs its centre, and
+   * targetAllAreas (true, "true", "on" or "1") rules out every shape
+   * Throws a 400 error listing every problem
+   */
+  normalizeTarget(data) {
+    const list = value => (Array.isArray(value) ? value : String(value || '').split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean);
+    const number = value => (value === '' || value == null ? null : Number(value));
+
+    const errors = [];
+    const stateName = data.targetAreaState ? String(data.targetAreaState).trim() : null;
+    const state = stateName ? (gazetteerService.findState(stateName)?.name || stateName) : null;
+    const lgas = list(data.targetAreaLgas).map(lga => gazetteerService.findLga(state, lga)?.name || lga);
+    const wards = list(data.targetAreaWards);
+    const villages = list(data.targetAreaVillages);
+    const geohashes = list(data.targetAreaGeohashes).map(hash => hash.toLowerCase());
+    const radius = number(data.targetAreaRadius);
+    const latitude = number(data.targetAreaLatitude);
+    const longitude = number(data.targetAreaLongitude);
+    const allAreas = [true, 'true', 'on', '1'].includes(data.targetAllAreas);
+
+    if (!state && (lgas.length > 0 || wards.length > 0 || villages.length > 0)) {
+      errors.push('LGAs and wards need a target state');
+    }
+    geohashes.filter(hash => !geohash.isValid(hash)).forEach((hash) => {
+      errors.push(`"${hash}" is not a geohash`);
+    });
+    if (radius !== null) {
+      if (!(radius > 0)) errors.push('Radius must be a positive number of km');
+      const validCentre = latitude !== null && longitude !== null &&
+        latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+      if (!validCentre) {
+        errors.push('Radius needs a valid centre latitude and longitude');
+      }
+    }
+    if (allAreas && (state || geohashes.length > 0 || radius !== null)) {
+      errors.push('All areas cannot be combined with a target state, geohash or radius');
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.status = 400;
+      throw error;
+    }
+
+    return {
+      targetAllAreas: allAreas,
+      targetAreaState: state,
+      targetAreaLgas: lgas,
+      targetAreaWards: wards,
+      targetAreaVillages: villages,
+      targetAreaGeohashes: geohashes,
+      targetAreaRadius: radius,
+      targetAreaLatitude: radius !== null ? latitude : null,
+      targetAreaLongitude: radius !== null ? longitude : null,
+    };
+  }
+}
+
+module.exports = new AlertTargetService();
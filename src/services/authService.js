@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { User } = require('../models');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Permissions granted to each operator role
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  supervisor: [
+    'dashboard:view',
+    'incidents:view',
+    'incidents:update',
+    'rules:view',
+    'rules:manage',
+    'alerts:view',
+    'alerts:create',
+    'alerts:approve',
+    'subscribers:view',
+    'responders:view',
+    'analytics:view',
+    'queues:manage',
+    'ussd:simulate',
+  ],
+  dispatcher: [
+    'dashboard:view',
+    'incidents:view',
+    'incidents:update',
+    'rules:view',
+    'alerts:view',
+    'responders:view',
+  ],
+  alert_author: [
+    'dashboard:view',
+    'alerts:view',
+    'alerts:create',
+  ],
+  analyst: [
+    'dashboard:view',
+    'incidents:view',
+    'rules:view',
+    'alerts:view',
+    'analytics:view',
+    'ussd:simulate',
+  ],
+};
+
+// Account statuses an admin can set
+const USER_STATUSES = ['active', 'inactive'];
+
+function statusError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class AuthService {
+  constructor() {
+    this.rolePermissions = ROLE_PERMISSIONS;
+  }
+
+  /**
+   * Authenticate an operator and issue a signed token
+   */
+  async login(username, password) {
+    const user = await User.scope('withPassword').findOne({ where: { username } });
+
+    if (!user || user.status !== 'active') {
+      return null;
+    }
+
+    const valid = await this.verifyPassword(password, user.passwordHash);
+    if (!valid) {
+      return null;
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    return {
+      token: this.issueToken(user),
+      user: this.toPrincipal(user),
+    };
+  }
+
+  /**
+   * Sign a JWT for the given user
+   */
+  issueToken(user) {
+    return jwt.sign(
+      { sub: user.id, username: user.username, role: user.role },
+      config.auth.jwtSecret,
+      { expiresIn: config.auth.tokenExpiresIn }
+    );
+  }
+
+  /**
+   * Verify a token and resolve the current principal
+   * Returns null for invalid, expired or deactivated accounts
+   */
+  async verifyToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, config.auth.jwtSecret);
+    } catch (error) {
+      return null;
+    }
+
+    // Re-read the user so role changes and deactivation take effect immediately
+    const user = await User.findByPk(payload.sub);
+    if (!user || user.status !== 'active') {
+      return null;
+    }
+
+    return this.toPrincipal(user);
+  }
+
+  /**
+   * Shape exposed on req.user
+   */
+  toPrincipal(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      name: user.displayName || user.username,
+      role: user.role,
+      permissions: this.getPermissions(user.role),
+    };
+  }
+
+  /**
+   * Get permissions for a role
+   */
+  getPermissions(role) {
+    return this.rolePermissions[role] || [];
+  }
+
+  /**
+   * Check whether a principal holds a permission
+   */
+  hasPermission(principal, permission) {
+    if (!principal) return false;
+    const permissions = this.getPermissions(principal.role);
+    return permissions.includes('*') || permissions.includes(permission);
+  }
+
+  /**
+   * Hash a password with scrypt and a random salt
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derived = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${derived.toString('hex')}`;
+  }
+
+  /**
+   * Compare a password against a stored hash in constant time
+   */
+  async verifyPassword(password, storedHash) {
+    if (!password || !storedHash) return false;
+
+    const [scheme, salt, hash] = storedHash.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const derived = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, derived);
+  }
+
+  /**
+   * Create an operator account
+   */
+  async createUser(userData) {
+    if (!userData.username || !userData.password) {
+      throw statusError('username and password are required', 400);
+    }
+    if (userData.role && !this.rolePermissions[userData.role]) {
+      throw statusError(`Unknown role: ${userData.role}`, 400);
+    }
+
+    let user;
+    try {
+      user = await User.create({
+        username: userData.username,
+        displayName: userData.displayName,
+        passwordHash: await this.hashPassword(userData.password),
+        role: userData.role || 'analyst',
+        phone: userData.phone,
+        organization: userData.organization,
+      });
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw statusError(`Username already taken: ${userData.username}`, 409);
+      }
+      throw error;
+    }
+
+    return this.toPrincipal(user);
+  }
+
+  /**
+   * Update role, status or password of an operator account
+   */
+  async updateUser(userId, updates) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw statusError(`User not found: ${userId}`, 404);
+    }
+
+    if (updates.role) {
+      if (!this.rolePermissions[updates.role]) {
+        throw statusError(`Unknown role: ${updates.role}`, 400);
+      }
+      user.role = updates.role;
+    }
+    if (updates.status) {
+      if (!USER_STATUSES.includes(updates.status)) {
+        throw statusError(`Unknown status: ${updates.status}`, 400);
+      }
+      user.status = updates.status;
+    }
+    if (updates.displayName) user.displayName = updates.displayName;
+    if (updates.phone) user.phone = updates.phone;
+    if (updates.organization) user.organization = updates.organization;
+    if (updates.password) user.passwordHash = await this.hashPassword(updates.password);
+
+    await user.save();
+
+    return this.toPrincipal(user);
+  }
+
+  /**
+   * List operator accounts
+   */
+  async listUsers() {
+    return User.findAll({ order: [['createdAt', 'ASC']] });
+  }
+
+  /**
+   * Create the bootstrap admin from config.admin when the users table is empty
+   */
+  async ensureBootstrapAdmin() {
+    const count = await User.count();
+    if (count > 0) {
+      return { created: false };
+    }
+
+    if (config.env === 'production' && config.admin.password === 'admin123') {
+      throw new Error('Refusing to create bootstrap admin with the default password; set ADMIN_PASSWORD');
+    }
+
+    await this.createUser({
+      username: config.admin.username,
+      password: config.admin.password,
+      displayName: 'Administrator',
+      role: 'admin',
+    });
+
+    return { created: true, username: config.admin.username };
+  }
+}
+
+const authService = new AuthService();
+authService.USER_STATUSES = USER_STATUSES;
+
+module.exports = authService;
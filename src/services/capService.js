@@ -0,0 +1,709 @@
+const geolib = require('geolib');
+const config = require('../config');
+const { Alert } = require('../models');
+const alertBroadcastService = require('./alertBroadcastService');
+const gazetteerService = require('./gazetteerService');
+const geohash = require('../utils/geohash');
+const xml = require('../utils/xml');
+
+const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+
+// Value lists from the CAP 1.2 specification
+const STATUSES = ['Actual', 'Exercise', 'System', 'Test', 'Draft'];
+const MSG_TYPES = ['Alert', 'Update', 'Cancel', 'Ack', 'Error'];
+const SCOPES = ['Public', 'Restricted', 'Private'];
+const CATEGORIES = ['Geo', 'Met', 'Safety', 'Security', 'Rescue', 'Fire', 'Health', 'Env', 'Transport', 'Infra', 'CBRNE', 'Other'];
+const RESPONSE_TYPES = ['Shelter', 'Evacuate', 'Prepare', 'Execute', 'Avoid', 'Monitor', 'Assess', 'AllClear', 'None'];
+const URGENCIES = ['Immediate', 'Expected', 'Future', 'Past', 'Unknown'];
+const SEVERITIES = ['Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown'];
+const CERTAINTIES = ['Observed', 'Likely', 'Possible', 'Unlikely', 'Unknown'];
+
+/**
+ * CAP 1.2 element structure, from the OASIS schema
+ * Each type lists its child elements in schema order as [name, occurs, value]:
+ * occurs is '1', '?' (optional), '+' (one or more) or '*' (any number); value is a
+ * list of allowed values, a VALUE_CHECKS name or another type. Elements in other
+ * namespaces (such as a ds:Signature) are skipped.
+ */
+const SCHEMA = {
+  alert: [
+    ['identifier', '1', 'identifier'],
+    ['sender', '1', 'identifier'],
+    ['sent', '1', 'dateTime'],
+    ['status', '1', STATUSES],
+    ['msgType', '1', MSG_TYPES],
+    ['source', '?'],
+    ['scope', '1', SCOPES],
+    ['restriction', '?'],
+    ['addresses', '?'],
+    ['code', '*'],
+    ['note', '?'],
+    ['references', '?', 'references'],
+    ['incidents', '?'],
+    ['info', '*', 'info'],
+  ],
+  info: [
+    ['language', '?', 'language'],
+    ['category', '+', CATEGORIES],
+    ['event', '1'],
+    ['responseType', '*', RESPONSE_TYPES],
+    ['urgency', '1', URGENCIES],
+    ['severity', '1', SEVERITIES],
+    ['certainty', '1', CERTAINTIES],
+    ['audience', '?'],
+    ['eventCode', '*', 'valuePair'],
+    ['effective', '?', 'dateTime'],
+    ['onset', '?', 'dateTime'],
+    ['expires', '?', 'dateTime'],
+    ['senderName', '?'],
+    ['headline', '?'],
+    ['description', '?'],
+    ['instruction', '?'],
+    ['web', '?', 'uri'],
+    ['contact', '?'],
+    ['parameter', '*', 'valuePair'],
+    ['resource', '*', 'resource'],
+    ['area', '*', 'area'],
+  ],
+  resource: [
+    ['resourceDesc', '1'],
+    ['mimeType', '1'],
+    ['size', '?', 'integer'],
+    ['uri', '?', 'uri'],
+    ['derefUri', '?'],
+    ['digest', '?'],
+  ],
+  area: [
+    ['areaDesc', '1'],
+    ['polygon', '*', 'polygon'],
+    ['circle', '*', 'circle'],
+    ['geocode', '*', 'valuePair'],
+    ['altitude', '?', 'decimal'],
+    ['ceiling', '?', 'decimal'],
+  ],
+  valuePair: [
+    ['valueName', '1'],
+    ['value', '1'],
+  ],
+};
+
+const POINT = '(-?\\d+(?:\\.\\d+)?),(-?\\d+(?:\\.\\d+)?)';
+const validPoint = (lat, lng) => Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+const VALUE_CHECKS = {
+  // No spaces, commas or restricted characters, so identifiers can be listed in references
+  identifier: value => /^[^\s,<&]+$/.test(value),
+  // Offset required; CAP does not allow "Z"
+  dateTime: value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}[-+]\d{2}:\d{2}$/.test(value) &&
+    !Number.isNaN(new Date(value).getTime()),
+  references: value => value.split(/\s+/).every(reference => reference.split(',').length === 3),
+  language: value => /^[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*$/.test(value),
+  uri: value => value.length > 0,
+  integer: value => /^\d+$/.test(value),
+  decimal: value => /^-?\d+(\.\d+)?$/.test(value),
+  // Four or more points, the first repeated as the last
+  polygon: (value) => {
+    const pairs = value.split(/\s+/);
+    const points = pairs.map(pair => new RegExp(`^${POINT}$`).exec(pair));
+    return pairs.length >= 4 && pairs[0] === pairs[pairs.length - 1] &&
+      points.every(point => point && validPoint(Number(point[1]), Number(point[2])));
+  },
+  // "lat,lon radius" with the radius in km
+  circle: (value) => {
+    const circle = new RegExp(`^${POINT}\\s+(\\d+(?:\\.\\d+)?)$`).exec(value);
+    return Boolean(circle) && validPoint(Number(circle[1]), Number(circle[2]));
+  },
+};
+
+// Alert type <-> CAP category and event name
+const TYPE_CATEGORIES = {
+  security: 'Security',
+  weather: 'Met',
+  health: 'Health',
+  community: 'Other',
+  emergency: 'Safety',
+  update: 'Other',
+};
+const CATEGORY_TYPES = {
+  Security: 'security',
+  Met: 'weather',
+  Health: 'health',
+  Geo: 'emergency',
+  Safety: 'emergency',
+  Rescue: 'emergency',
+  Fire: 'emergency',
+  Env: 'emergency',
+  Transport: 'emergency',
+  Infra: 'emergency',
+  CBRNE: 'emergency',
+  Other: 'community',
+};
+const TYPE_EVENTS = {
+  security: 'Security alert',
+  weather: 'Weather alert',
+  health: 'Health alert',
+  community: 'Community notice',
+  emergency: 'Emergency',
+  update: 'Update',
+};
+
+// Alert severity <-> CAP urgency and severity
+const SEVERITY_LEVELS = {
+  critical: { urgency: 'Immediate', severity: 'Extreme' },
+  alert: { urgency: 'Immediate', severity: 'Severe' },
+  warning: { urgency: 'Expected', severity: 'Moderate' },
+  info: { urgency: 'Future', severity: 'Minor' },
+};
+const CAP_SEVERITIES = {
+  Extreme: 'critical',
+  Severe: 'alert',
+  Moderate: 'warning',
+  Minor: 'info',
+  Unknown: 'info',
+};
+
+// Geocode value names; states are also accepted by name
+const GEOCODES = {
+  state: 'ISO3166-2',
+  stateName: 'STATE',
+  lga: 'LGA',
+  ward: 'WARD',
+};
+
+// Most geohash cells a polygon or extra circle is approximated by
+const MAX_AREA_CELLS = 64;
+
+function textNode(name, value) {
+  return value === null || value === undefined || value === '' ? null : { name, text: String(value) };
+}
+
+function statusError(message, status, errors) {
+  const error = new Error(message);
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+}
+
+/**
+ * CAP dateTime in UTC ("-00:00", as CAP requires instead of "Z")
+ */
+function capDate(date) {
+  return new Date(date).toISOString().replace(/\.\d{3}Z$/, '-00:00');
+}
+
+/**
+ * Common Alerting Protocol (CAP 1.2) export and import
+ *
+ * Export renders an alert as one <info> per language (Hausa, and English when written)
+ * with the target area as polygons (geohash cells), a circle and geocodes.
+ * Import turns a partner's Actual, Public Alert or Update message into a draft alert;
+ * it still needs submitting (and approval) before anything is sent.
+ */
+class CapService {
+  /**
+   * CAP document for an alert
+   */
+  async exportAlert(alertId) {
+    const alert = await alertBroadcastService.requireAlert(alertId);
+    const parent = alert.parentAlertId ? await alertBroadcastService.getById(alert.parentAlertId) : null;
+    return this.toXml(this.fromAlert(alert, parent));
+  }
+
+  /**
+   * Create a draft alert from a CAP document
+   * Returns { alert, warnings }; warnings list what could not be carried over exactly
+   */
+  async importAlert(document, author = {}) {
+    const root = this.parse(document);
+    const errors = this.validate(root);
+    if (errors.length > 0) {
+      throw statusError('Invalid CAP 1.2 alert', 400, errors);
+    }
+
+    const { data, references, warnings } = this.toAlertData(root);
+    const source = {
+      capSender: xml.childText(root, 'sender'),
+      capIdentifier: xml.childText(root, 'identifier'),
+    };
+
+    const existing = await Alert.findOne({ where: source });
+    if (existing) {
+      throw statusError(`Already imported as ${existing.alertId}`, 409);
+    }
+
+    if (data.followUpType) {
+      Object.assign(data, await this.findFollowUpParent(references, data.followUpType, warnings));
+    }
+
+    const alert = await alertBroadcastService.createDraft(data, author, source);
+    return { alert, warnings };
+  }
+
+  /**
+   * Parse a CAP document; throws a 400 error for malformed XML or a root that is not a CAP 1.2 alert
+   */
+  parse(document) {
+    let root;
+    try {
+      root = xml.parse(String(document || ''));
+    } catch (error) {
+      throw statusError(`Invalid XML: ${error.message}`, 400);
+    }
+
+    if (root.name !== 'alert' || root.namespace !== CAP_NAMESPACE) {
+      throw statusError(`Not a CAP 1.2 alert: root element must be <alert xmlns="${CAP_NAMESPACE}">`, 400);
+    }
+    return root;
+  }
+
+  /**
+   * Check a parsed alert against the CAP 1.2 schema and rules; returns a list of problems
+   */
+  validate(root) {
+    const errors = [];
+    this.validateElement(root, 'alert', 'alert', errors);
+
+    const scope = xml.childText(root, 'scope');
+    if (scope === 'Restricted' && !xml.childText(root, 'restriction')) {
+      errors.push('alert: Restricted scope needs <restriction>');
+    }
+    if (scope === 'Private' && !xml.childText(root, 'addresses')) {
+      errors.push('alert: Private scope needs <addresses>');
+    }
+
+    return errors;
+  }
+
+  validateElement(element, type, path, errors) {
+    const rules = SCHEMA[type];
+    const counts = rules.map(() => 0);
+    let position = 0;
+
+    element.children.filter(child => child.namespace === CAP_NAMESPACE).forEach((child) => {
+      const index = rules.findIndex(([name], i) => i >= position && name === child.name);
+      if (index === -1) {
+        errors.push(rules.some(([name]) => name === child.name)
+          ? `${path}: <${child.name}> is out of order`
+          : `${path}: unexpected element <${child.name}>`);
+        return;
+      }
+
+      const [name, occurs, value] = rules[index];
+      position = index;
+      counts[index]++;
+      if (counts[index] === 2 && (occurs === '1' || occurs === '?')) {
+        errors.push(`${path}: more than one <${name}>`);
+      }
+
+      const childPath = `${path}/${name}`;
+      if (SCHEMA[value]) {
+        this.validateElement(child, value, childPath, errors);
+      } else {
+        this.checkValue(child, value, childPath, errors);
+      }
+    });
+
+    rules.forEach(([name, occurs], index) => {
+      if ((occurs === '1' || occurs === '+') && counts[index] === 0) {
+        errors.push(`${path}: missing <${name}>`);
+      }
+    });
+  }
+
+  checkValue(element, check, path, errors) {
+    if (element.children.some(child => child.namespace === CAP_NAMESPACE)) {
+      errors.push(`${path}: must not contain elements`);
+      return;
+    }
+
+    const value = element.text.trim();
+    if (Array.isArray(check) && !check.includes(value)) {
+      errors.push(`${path}: "${value}" is not one of ${check.join(', ')}`);
+    } else if (VALUE_CHECKS[check] && !VALUE_CHECKS[check](value)) {
+      errors.push(`${path}: "${value}" is not a valid ${check}`);
+    }
+  }
+
+  /**
+   * CAP element tree for an alert
+   * Unsent alerts are CAP Drafts; a sent alert that was cancelled is a Cancel message
+   * referring to it, and a follow-up is an Update referring to the original alert
+   */
+  fromAlert(alert, parent = null) {
+    const sender = config.cap.sender;
+    const reference = original => `${sender},${original.alertId},${capDate(original.sentAt || original.createdAt)}`;
+    const cancel = alert.status === 'cancelled' && Boolean(alert.sentAt);
+
+    let msgType = 'Alert';
+    let references = null;
+    if (cancel) {
+      msgType = 'Cancel';
+      references = reference(alert);
+    } else if (alert.parentAlertId) {
+      msgType = 'Update';
+      references = parent ? reference(parent) : null;
+    }
+
+    const infos = [
+      this.buildInfo(alert, 'ha', alert.titleHausa, alert.contentHausa),
+      alert.contentEnglish ? this.buildInfo(alert, 'en', alert.titleEnglish || alert.titleHausa, alert.contentEnglish) : null,
+    ];
+
+    return {
+      name: 'alert',
+      attributes: { xmlns: CAP_NAMESPACE },
+      children: [
+        textNode('identifier', cancel ? `${alert.alertId}-cancel` : alert.alertId),
+        textNode('sender', sender),
+        textNode('sent', capDate(cancel ? alert.updatedAt : (alert.sentAt || alert.createdAt))),
+        textNode('status', alert.sentAt ? 'Actual' : 'Draft'),
+        textNode('msgType', msgType),
+        textNode('scope', 'Public'),
+        textNode('references', references),
+        ...infos,
+      ],
+    };
+  }
+
+  buildInfo(alert, language, title, content) {
+    const level = SEVERITY_LEVELS[alert.severity] || SEVERITY_LEVELS.info;
+    const date = value => (value ? capDate(value) : null);
+
+    return {
+      name: 'info',
+      children: [
+        textNode('language', language),
+        textNode('category', TYPE_CATEGORIES[alert.alertType] || 'Other'),
+        textNode('event', TYPE_EVENTS[alert.alertType] || 'Alert'),
+        textNode('responseType', alert.followUpType === 'all_clear' ? 'AllClear' : null),
+        textNode('urgency', level.urgency),
+        textNode('severity', level.severity),
+        textNode('certainty', 'Likely'),
+        textNode('effective', date(alert.validFrom)),
+        textNode('expires', date(alert.validUntil)),
+        textNode('senderName', config.cap.senderName),
+        textNode('headline', title),
+        textNode('description', content),
+        this.buildArea(alert),
+      ],
+    };
+  }
+
+  /**
+   * Target as a CAP area: geohash cells as polygons, the radius as a circle,
+   * the state (ISO 3166-2), LGAs and wards as geocodes
+   */
+  buildArea(alert) {
+    const pair = (valueName, value) => ({
+      name: 'geocode',
+      children: [{ name: 'valueName', text: valueName }, { name: 'value', text: value }],
+    });
+    const state = gazetteerService.findState(alert.targetAreaState);
+    const lgas = alert.targetAreaLgas || [];
+    const wards = [...(alert.targetAreaWards || []), ...(alert.targetAreaVillages || [])];
+    const geohashes = alert.targetAreaGeohashes || [];
+    const hasRadius = alert.targetAreaRadius > 0 &&
+      alert.targetAreaLatitude != null && alert.targetAreaLongitude != null;
+
+    const polygons = geohashes.map((hash) => {
+      const cell = geohash.bounds(hash);
+      const corners = [
+        [cell.minLat, cell.minLng], [cell.maxLat, cell.minLng], [cell.maxLat, cell.maxLng],
+        [cell.minLat, cell.maxLng], [cell.minLat, cell.minLng],
+      ];
+      return { name: 'polygon', text: corners.map(([lat, lng]) => `${lat},${lng}`).join(' ') };
+    });
+
+    let stateCode = null;
+    if (alert.targetAreaState) {
+      stateCode = state && state.code
+        ? pair(GEOCODES.state, state.code)
+        : pair(GEOCODES.stateName, alert.targetAreaState);
+    }
+
+    return {
+      name: 'area',
+      children: [
+        { name: 'areaDesc', text: this.describeArea(alert) },
+        ...polygons,
+        hasRadius
+          ? { name: 'circle', text: `${alert.targetAreaLatitude},${alert.targetAreaLongitude} ${alert.targetAreaRadius}` }
+          : null,
+        stateCode,
+        ...lgas.map(lga => pair(GEOCODES.lga, lga)),
+        ...wards.map(ward => pair(GEOCODES.ward, ward)),
+      ],
+    };
+  }
+
+  describeArea(alert) {
+    const parts = [];
+    if (alert.targetAreaState) {
+      const lgas = alert.targetAreaLgas || [];
+      parts.push(lgas.length > 0 ? `${lgas.join(', ')} (${alert.targetAreaState})` : `${alert.targetAreaState} State`);
+    }
+    if (alert.targetAreaRadius > 0 && alert.targetAreaLatitude != null) {
+      parts.push(`${alert.targetAreaRadius} km around ${alert.targetAreaLatitude},${alert.targetAreaLongitude}`);
+    }
+    if ((alert.targetAreaGeohashes || []).length > 0) {
+      parts.push(`geohash ${alert.targetAreaGeohashes.join(', ')}`);
+    }
+    return parts.length > 0 ? parts.join('; ') : config.location.defaultCountry;
+  }
+
+  toXml(tree) {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${xml.serialize(tree)}\n`;
+  }
+
+  /**
+   * Draft alert fields from a validated CAP alert
+   * Returns { data, references, warnings }; data.followUpType is set for Update messages
+   */
+  toAlertData(root) {
+    const status = xml.childText(root, 'status');
+    const msgType = xml.childText(root, 'msgType');
+    const scope = xml.childText(root, 'scope');
+    if (status !== 'Actual') {
+      throw statusError(`Only Actual alerts can be imported (status is ${status})`, 400);
+    }
+    if (!['Alert', 'Update'].includes(msgType)) {
+      throw statusError(`Only Alert and Update messages can be imported (msgType is ${msgType})`, 400);
+    }
+    if (scope !== 'Public') {
+      throw statusError(`Only Public alerts can be imported (scope is ${scope})`, 400);
+    }
+
+    const infos = root.children.filter(child => child.name === 'info' && child.namespace === CAP_NAMESPACE);
+    if (infos.length === 0) {
+      throw statusError('The alert has no <info> block', 400);
+    }
+
+    const warnings = [];
+    // CAP's default language is en-US
+    const inLanguage = language => infos.find(info =>
+      (xml.childText(info, 'language') || 'en-US').toLowerCase().split('-')[0] === language);
+    const hausa = inLanguage('ha');
+    const english = inLanguage('en') || (hausa ? null : infos[0]);
+    const main = english || hausa;
+
+    if (english && english !== inLanguage('en')) {
+      warnings.push(`No Hausa or English <info>; the ${xml.childText(english, 'language')} text was used as English`);
+    }
+
+    const title = info => xml.childText(info, 'headline') || xml.childText(info, 'event');
+    const content = info => [xml.childText(info, 'description'), xml.childText(info, 'instruction')]
+      .filter(Boolean)
+      .join('\n') || title(info);
+
+    const data = {
+      titleHausa: title(hausa || english),
+      contentHausa: content(hausa || english),
+      titleEnglish: english ? title(english) : null,
+      contentEnglish: english ? content(english) : null,
+      alertType: xml.childTexts(main, 'category').map(category => CATEGORY_TYPES[category]).find(Boolean),
+      severity: CAP_SEVERITIES[xml.childText(main, 'severity')],
+      validFrom: xml.childText(main, 'effective') || xml.childText(main, 'onset') || xml.childText(root, 'sent'),
+      validUntil: xml.childText(main, 'expires'),
+      ...this.readArea(infos, warnings),
+    };
+    if (!hausa) {
+      warnings.push('No Hausa <info>: the English text was copied into the Hausa fields; translate it before submitting');
+    }
+
+    if (msgType === 'Update') {
+      data.followUpType = xml.childTexts(main, 'responseType').includes('AllClear') ? 'all_clear' : 'update';
+    }
+
+    const references = (xml.childText(root, 'references') || '').split(/\s+/).filter(Boolean)
+      .map((reference) => {
+        const [sender, identifier] = reference.split(',');
+        return { sender, identifier };
+      });
+
+    return { data, references, warnings };
+  }
+
+  /**
+   * Target fields from the areas of every info (usually the same area in each language):
+   * geocodes for the state, LGAs and wards, the first circle as the radius, and polygons
+   * and further circles as geohash cells
+   */
+  readArea(infos, warnings) {
+    const areas = infos.flatMap(info =>
+      info.children.filter(child => child.name === 'area' && child.namespace === CAP_NAMESPACE));
+    const target = { targetAreaLgas: [], targetAreaWards: [], targetAreaGeohashes: [] };
+    const states = [];
+    const shapes = [];
+    const seen = new Set();
+    const unseen = (key) => {
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    };
+
+    areas.forEach((area) => {
+      area.children.filter(child => child.name === 'geocode').forEach((geocode) => {
+        const valueName = (xml.childText(geocode, 'valueName') || '').toUpperCase();
+        const value = xml.childText(geocode, 'value');
+        if (!unseen(`geocode ${valueName} ${value}`)) return;
+
+        if (valueName === GEOCODES.state) {
+          const state = gazetteerService.findStateByCode(value);
+          if (state) states.push(state.name);
+          else warnings.push(`Unknown state code ${value} was ignored`);
+        } else if (valueName === GEOCODES.stateName) {
+          const state = gazetteerService.findState(value);
+          if (state) states.push(state.name);
+          else warnings.push(`Unknown state ${value} was ignored`);
+        } else if (valueName === GEOCODES.lga) {
+          target.targetAreaLgas.push(value);
+        } else if (valueName === GEOCODES.ward) {
+          target.targetAreaWards.push(value);
+        } else {
+          warnings.push(`Geocode ${valueName}=${value} was ignored`);
+        }
+      });
+
+      xml.childTexts(area, 'circle').filter(circle => unseen(`circle ${circle}`)).forEach((circle) => {
+        const [centre, radius] = circle.split(/\s+/);
+        const [latitude, longitude] = centre.split(',').map(Number);
+        shapes.push({ type: 'circle', latitude, longitude, km: Number(radius) });
+      });
+      xml.childTexts(area, 'polygon').filter(polygon => unseen(`polygon ${polygon}`)).forEach((polygon) => {
+        const points = polygon.split(/\s+/).map((pair) => {
+          const [latitude, longitude] = pair.split(',').map(Number);
+          return { latitude, longitude };
+        });
+        shapes.push({ type: 'polygon', points });
+      });
+    });
+
+    const uniqueStates = [...new Set(states)];
+    if (uniqueStates.length > 0) {
+      target.targetAreaState = uniqueStates[0];
+      if (uniqueStates.length > 1) {
+        warnings.push(`Only one target state is supported; kept ${uniqueStates[0]}, dropped ${uniqueStates.slice(1).join(', ')}`);
+      }
+    }
+    if (!target.targetAreaState && (target.targetAreaLgas.length > 0 || target.targetAreaWards.length > 0)) {
+      warnings.push('LGA and ward geocodes without a state were ignored');
+      target.targetAreaLgas = [];
+      target.targetAreaWards = [];
+    }
+
+    const radius = shapes.find(shape => shape.type === 'circle' && shape.km > 0);
+    if (radius) {
+      target.targetAreaRadius = radius.km;
+      target.targetAreaLatitude = radius.latitude;
+      target.targetAreaLongitude = radius.longitude;
+    }
+
+    const approximated = shapes.filter(shape => shape !== radius && !(shape.type === 'circle' && shape.km === 0));
+    approximated.forEach((shape) => {
+      target.targetAreaGeohashes.push(...this.coverShape(shape));
+    });
+    target.targetAreaGeohashes = this.mergeCells(target.targetAreaGeohashes);
+    if (approximated.length > 0) {
+      warnings.push(`Polygons and extra circles were approximated by ${target.targetAreaGeohashes.length} geohash cells; check the target`);
+    }
+
+    if (!target.targetAreaState && !radius && target.targetAreaGeohashes.length === 0) {
+      warnings.push('No usable geocode, polygon or circle: the draft has no target; set one, or tick All areas, before submitting');
+    }
+
+    return target;
+  }
+
+  /**
+   * Geohash cells (at most MAX_AREA_CELLS, as fine as that allows) whose centre is inside a shape
+   * A shape smaller than every cell gets the cell its first point or centre falls in
+   */
+  coverShape(shape) {
+    const points = shape.type === 'polygon'
+      ? shape.points
+      : geolib.getBoundsOfDistance(shape, shape.km * 1000);
+    const inside = shape.type === 'polygon'
+      ? point => geolib.isPointInPolygon(point, shape.points)
+      : point => geolib.getDistance(point, shape) <= shape.km * 1000;
+
+    const latitudes = points.map(point => point.latitude);
+    const longitudes = points.map(point => point.longitude);
+    const box = {
+      minLat: Math.min(...latitudes),
+      maxLat: Math.max(...latitudes),
+      minLng: Math.min(...longitudes),
+      maxLng: Math.max(...longitudes),
+    };
+
+    let cover = [];
+    for (let precision = 2; precision <= 6; precision++) {
+      const size = geohash.cellSize(precision);
+      const cells = new Set();
+      for (let lat = Math.floor(box.minLat / size.lat) * size.lat + size.lat / 2; lat <= box.maxLat + size.lat / 2; lat += size.lat) {
+        for (let lng = Math.floor(box.minLng / size.lng) * size.lng + size.lng / 2; lng <= box.maxLng + size.lng / 2; lng += size.lng) {
+          if (inside({ latitude: lat, longitude: lng })) {
+            cells.add(geohash.encode(lat, lng, precision));
+          }
+        }
+      }
+      if (cells.size > MAX_AREA_CELLS) break;
+      if (cells.size > 0) cover = [...cells];
+    }
+
+    if (cover.length === 0) {
+      const point = shape.type === 'polygon' ? shape.points[0] : shape;
+      cover = [geohash.encode(point.latitude, point.longitude, 6)];
+    }
+    return cover;
+  }
+
+  /**
+   * Replace every complete set of 32 sibling cells by their parent cell
+   */
+  mergeCells(cells) {
+    let merged = [...new Set(cells)];
+    let changed = true;
+    while (changed) {
+      changed = false;
+      const siblings = {};
+      merged.forEach((cell) => {
+        const parent = cell.slice(0, -1);
+        (siblings[parent] = siblings[parent] || []).push(cell);
+      });
+      Object.entries(siblings).forEach(([parent, children]) => {
+        if (parent && children.length === geohash.BASE32.length) {
+          merged = [...merged.filter(cell => !children.includes(cell)), parent];
+          changed = true;
+        }
+      });
+    }
+    return merged;
+  }
+
+  /**
+   * Parent for an Update: the first alert it references (imported from that sender, or one of ours) that was sent (imported from that sender, or one of ours) that was sent
+   */
+  async findFollowUpParent(references, followUpType, warnings) {
+    for (const { sender, identifier } of references) {
+      const where = sender === config.cap.sender
+        ? { alertId: identifier }
+        : { capSender: sender, capIdentifier: identifier };
+      const parent = await Alert.findOne({ where });
+      if (!parent) continue;
+
+      if (!parent.sentAt) {
+        warnings.push(`Referenced alert ${parent.alertId} has not been sent; imported as a new draft`);
+        return { followUpType: null };
+      }
+      return { parentAlertId: parent.alertId, followUpType };
+    }
+
+    warnings.push('The referenced alerts were not found; imported as a new draft');
+    return { followUpType: null };
+  }
+}
+
+const capService = new CapService();
+capService.CAP_NAMESPACE = CAP_NAMESPACE;
+
+module.exports = capService;
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const readline = require('readline');
+const geolib = require('geolib');
+const { CellTower } = require('../models');
+
+// OpenCelliD export columns (used when the file has no header row)
+const OPENCELLID_COLUMNS = [
+  'radio', 'mcc', 'net', 'area', 'cell', 'unit', 'lon', 'lat',
+  'range', 'samples', 'changeable', 'created', 'updated', 'averageSignal',
+];
+
+// Accuracy used for towers without a range estimate (meters)
+const DEFAULT_RANGE_METERS = 2000;
+
+class CellTowerService {
+  constructor() {
+    this.batchSize = 1000;
+    this.maxAreaTowers = 500;
+  }
+
+  /**
+   * Approximate a handset position from its serving cell
+   * Falls back to the centre of the location area (LAC) when the cell is unknown
+   * Returns { latitude, longitude, accuracy, method } or null
+   */
+  async locate({ cellTowerId, lac, mcc, mnc } = {}) {
+    if (!lac || !mcc || !mnc) return null;
+
+    const area = {
+      mcc: this.normalizeId(mcc),
+      mnc: this.normalizeId(mnc),
+      lac: this.normalizeId(lac),
+    };
+
+    try {
+      if (cellTowerId) {
+        const tower = await CellTower.findOne({
+          where: { ...area, cellId: this.normalizeId(cellTowerId) },
+        });
+        if (tower) {
+          return {
+            latitude: tower.latitude,
+            longitude: tower.longitude,
+            accuracy: tower.range || DEFAULT_RANGE_METERS,
+            method: 'cell',
+          };
+        }
+      }
+
+      const towers = await CellTower.findAll({ where: area, limit: this.maxAreaTowers });
+      if (towers.length === 0) return null;
+
+      const center = geolib.getCenter(towers.map(t => ({ latitude: t.latitude, longitude: t.longitude })));
+
+      // Radius that covers every tower in the area plus its own range
+      const accuracy = Math.max(...towers.map(t =>
+        geolib.getDistance(center, { latitude: t.latitude, longitude: t.longitude }) +
+        (t.range || DEFAULT_RANGE_METERS)
+      ));
+
+      return {
+        latitude: center.latitude,
+        longitude: center.longitude,
+        accuracy,
+        method: 'lac',
+      };
+    } catch (error) {
+      console.error(`Cell tower lookup failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Import towers from an OpenCelliD-style CSV (with or without header row)
+   * options.mcc keeps only one country (e.g. '621' for Nigeria)
+   */
+  async importCsv(filePath, options = {}) {
+    const input = readline.createInterface({
+      input: fs.createReadStream(filePath),
+      crlfDelay: Infinity,
+    });
+
+    const mccFilter = options.mcc ? this.normalizeId(options.mcc) : null;
+    const results = { imported: 0, skipped: 0 };
+    let columns = null;
+    let batch = [];
+
+    for await (const line of input) {
+      if (!line.trim()) continue;
+
+      const values = line.split(',').map(value => value.trim());
+
+      if (!columns) {
+        if (values[0].toLowerCase() === 'radio') {
+          columns = values;
+          continue;
+        }
+        columns = OPENCELLID_COLUMNS;
+      }
+
+      const tower = this.parseRow(columns, values);
+      if (!tower || (mccFilter && tower.mcc !== mccFilter)) {
+        results.skipped++;
+        continue;
+      }
+
+      batch.push(tower);
+      if (batch.length >= this.batchSize) {
+        results.imported += await this.saveBatch(batch);
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      results.imported += await this.saveBatch(batch);
+    }
+
+    return results;
+  }
+
+  /**
+   * Map one CSV row onto CellTower fields
+   */
+  parseRow(columns, values) {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = values[index];
+    });
+
+    const latitude = parseFloat(row.lat);
+    const longitude = parseFloat(row.lon);
+    if (!row.mcc || !row.net || !row.area || !row.cell || isNaN(latitude) || isNaN(longitude)) {
+      return null;
+    }
+
+    return {
+      radio: row.radio || null,
+      mcc: this.normalizeId(row.mcc),
+      mnc: this.normalizeId(row.net),
+      lac: this.normalizeId(row.area),
+      cellId: this.normalizeId(row.cell),
+      latitude,
+      longitude,
+      range: parseInt(row.range, 10) || null,
+      samples: parseInt(row.samples, 10) || 0,
+      source: 'opencellid',
+    };
+  }
+
+  /**
+   * Upsert a batch of towers
+   */
+  async saveBatch(towers) {
+    await CellTower.bulkCreate(towers, {
+      updateOnDuplicate: ['radio', 'latitude', 'longitude', 'range', 'samples', 'source', 'updatedAt'],
+    });
+    return towers.length;
+  }
+
+  /**
+   * Split an MCC+MNC network code (e.g. '62120') into its parts
+   */
+  parseNetworkCode(networkCode) {
+    const digits = String(networkCode || '').replace(/\D/g, '');
+    if (digits.length < 5) return {};
+    return {
+      mcc: digits.substring(0, 3),
+      mnc: this.normalizeId(digits.substring(3)),
+    };
+  }
+
+  /**
+   * Numeric IDs are stored without leading zeros so '020' and '20' match
+   */
+  normalizeId(value) {
+    const text = String(value).trim();
+    return /^\d+$/.test(text) ? String(parseInt(text, 10)) : text.toUpperCase();
+  }
+}
+
+module.exports = new CellTowerService();
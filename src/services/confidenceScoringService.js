@@ -45,6 +45,7 @@ class ConfidenceScoringService {
     // Channel-based reliability
     const channelScores = {
       'ussd': 70,    // USSD - moderate reliability
+      'sms': 65,     // Keyword SMS - free text, phone number known
       'web': 60,     // Web - moderate reliability
       'mobile': 80,  // Mobile app - higher reliability
       'api': 65,     // API - unknown source
@@ -1,6 +1,8 @@
 const { Op } = require('sequelize');
 const { Incident } = require('../models');
 const geolib = require('geolib');
+const incidentEventService = require('./incidentEventService');
+const incidentStatusService = require('./incidentStatusService');
 
 class DeduplicationService {
   /**
@@ -244,7 +246,7 @@ class DeduplicationService {
   /**
    * Merge duplicate incidents
    */
-  async mergeIncidents(primaryId, secondaryIds) {
+  async mergeIncidents(primaryId, secondaryIds, actor) {
     const primary = await Incident.findOne({ where: { incidentId: primaryId } });
     if (!primary) {
       throw new Error(`Primary incident not found: ${primaryId}`);
@@ -260,8 +262,18 @@ class DeduplicationService {
       }
 
       // Update status
-      secondary.status = 'merged';
+      const previousStatus = incidentStatusService.applyTransition(secondary, 'merged');
       await secondary.save();
+
+      await incidentEventService.record(secondaryId, 'merge', {
+        actor,
+        from: { status: previousStatus },
+        to: { status: 'merged', mergedInto: primaryId },
+      });
+      await incidentEventService.record(primaryId, 'merge', {
+        actor,
+        to: { mergedFrom: secondaryId },
+      });
     }
 
     await primary.save();
@@ -1,6 +1,9 @@
 const { Op } = require('sequelize');
+const config = require('../config');
 const { Incident, EscalationRule } = require('../models');
 const notificationService = require('./notificationService');
+const incidentEventService = require('./incidentEventService');
+const incidentStatusService = require('./incidentStatusService');
 
 class EscalationService {
   /**
@@ -8,10 +11,15 @@ class EscalationService {
    */
   async processIncident(incident) {
     // Skip if already escalated beyond max level
-    if (incident.escalationLevel >= 5) {
+    if (incident.escalationLevel >= config.escalation.maxLevel) {
       return { skipped: 'max_level_reached' };
     }
 
+    // Skip incidents that were closed, merged or resolved before processing ran
+    if (!incidentStatusService.canTransition(incident.status, 'escalated')) {
+      return { skipped: `status_${incident.status}` };
+    }
+
     // Find matching escalation rules
     const matchingRules = await this.findMatchingRules(incident);
 
@@ -120,11 +128,14 @@ class EscalationService {
    * Apply escalation based on a rule
    */
   async applyEscalation(incident, rule) {
+    const before = this.getEscalationSnapshot(incident);
+
     // Update incident
-    incident.status = 'escalated';
+    incidentStatusService.applyTransition(incident, 'escalated');
     incident.escalationLevel = Math.max(incident.escalationLevel, rule.escalationLevel);
     incident.escalationRulesTriggered = [...(incident.escalationRulesTriggered || []), rule.ruleId];
     incident.escalationEscalatedAt = new Date();
+    this.startSlaClock(incident, this.getSlaMinutes(incident.escalationLevel, rule));
 
     // Set assignee
     incident.escalationAssignedToType = rule.escalationAssigneeType;
@@ -133,6 +144,7 @@ class EscalationService {
     incident.escalationAssignedToOrganization = rule.escalationAssigneeOrganization;
 
     await incident.save();
+    await this.recordEscalation(incident, before, { ruleId: rule.ruleId, ruleName: rule.name });
 
     // Send notification
     await notificationService.sendEscalationNotification(incident, rule);
@@ -164,16 +176,17 @@ class EscalationService {
 
     if (level === 0) {
       // Low severity, no escalation needed
-      incident.status = 'received';
-      await incident.save();
       return;
     }
 
+    const before = this.getEscalationSnapshot(incident);
+
     // Escalate to level based on severity
-    incident.status = 'escalated';
+    incidentStatusService.applyTransition(incident, 'escalated');
     incident.escalationLevel = level;
     incident.escalationEscalatedAt = new Date();
     incident.escalationRulesTriggered = [...(incident.escalationRulesTriggered || []), 'default_severity'];
+    this.startSlaClock(incident, this.getSlaMinutes(level));
 
     // Default assignment based on severity level
     const assigneeType = level >= 3 ? 'agency_liaison' : 'community_focal';
@@ -184,35 +197,88 @@ class EscalationService {
     incident.escalationAssignedToOrganization = assignee.organization;
 
     await incident.save();
+    await this.recordEscalation(incident, before, { ruleId: 'default_severity' });
 
     // Send notification
     await notificationService.sendEscalationNotification(incident, {
       name: 'Default Severity Escalation',
       escalation: {
         level,
-        slaMinutes: level * 30, // SLA: 30min for level 1, 60min for level 2, etc.
+        slaMinutes: incident.escalationSlaMinutes,
         notificationMethod: 'sms',
       },
     });
   }
 
+  /**
+   * Dispatch a help request straight to the requested service at critical level
+   * Escalation rules are not evaluated for help requests; an incident that already has an
+   * assignee is left alone
+   */
+  async dispatchHelpRequest(incident) {
+    if (!incidentStatusService.canTransition(incident.status, 'escalated')) {
+      return { skipped: `status_${incident.status}` };
+    }
+    // Already dispatched (a retried job, or someone assigned it first)
+    if (incident.escalationAssignedToPhone) {
+      return { skipped: 'already_dispatched' };
+    }
+
+    const service = incident.requestedService || 'community_focal';
+    const level = 3; // Critical, as in the default severity escalation
+    const before = this.getEscalationSnapshot(incident);
+
+    incidentStatusService.applyTransition(incident, 'escalated');
+    incident.escalationLevel = level;
+    incident.escalationEscalatedAt = new Date();
+    incident.escalationRulesTriggered = [...(incident.escalationRulesTriggered || []), 'help_request'];
+    this.startSlaClock(incident, this.getSlaMinutes(level));
+
+    // Falls back to the default community focal point when no such responder covers the area
+    const assignee = await this.getAssigneeForType(service, incident);
+    incident.escalationAssignedToType = assignee.type;
+    incident.escalationAssignedToName = assignee.contactName;
+    incident.escalationAssignedToPhone = assignee.contactPhone;
+    incident.escalationAssignedToOrganization = assignee.organization;
+
+    await incident.save();
+    await this.recordEscalation(incident, before, { ruleId: 'help_request', requestedService: service });
+
+    await notificationService.sendEscalationNotification(incident, {
+      name: 'Help Request Dispatch',
+      escalation: {
+        level,
+        slaMinutes: incident.escalationSlaMinutes,
+        notificationMethod: 'sms',
+      },
+    });
+
+    return { escalated: true, dispatched: assignee.type, level };
+  }
+
   /**
    * Get assignee for a given type
+   * excludePhone leaves out a responder, e.g. the one who let the SLA lapse
    */
-  async getAssigneeForType(type, incident) {
+  async getAssigneeForType(type, incident, { excludePhone } = {}) {
     const { Responder } = require('../models');
 
+    const where = {
+      type,
+      status: 'active',
+      [Op.or]: [
+        { state: incident.locationState, lga: incident.locationLga },
+        { state: incident.locationState, lga: null },
+        { state: null, lga: null },
+      ],
+    };
+    if (excludePhone) {
+      where.phone = { [Op.ne]: excludePhone };
+    }
+
     // Try to find a location-specific responder
     const responders = await Responder.findAll({
-      where: {
-        type,
-        status: 'active',
-        [Op.or]: [
-          { state: incident.locationState, lga: incident.locationLga },
-          { state: incident.locationState, lga: null },
-          { state: null, lga: null },
-        ],
-      },
+      where,
       order: [['state', 'DESC'], ['lga', 'DESC']],
     });
 
@@ -250,29 +316,67 @@ class EscalationService {
     if (targetLevel <= currentLevel) {
       throw new Error(`Cannot de-escalate from level ${currentLevel} to ${targetLevel}`);
     }
+    if (targetLevel > config.escalation.maxLevel) {
+      throw new Error(`Cannot escalate beyond level ${config.escalation.maxLevel}`);
+    }
+
+    const before = this.getEscalationSnapshot(incident);
 
+    incidentStatusService.applyTransition(incident, 'escalated');
     incident.escalationLevel = targetLevel;
-    incident.status = 'escalated';
     incident.escalationEscalatedAt = new Date();
+    if (reason) {
+      incident.escalationRulesTriggered = [...(incident.escalationRulesTriggered || []), reason];
+    }
+    this.startSlaClock(incident, this.getSlaMinutes(targetLevel));
 
     await incident.save();
 
-    // Get new assignee based on level
-    const assigneeType = targetLevel >= 3 ? 'agency_liaison' : 'community_focal';
-    const assignee = await this.getAssigneeForType(assigneeType, incident);
+    // Get new assignee based on level; help requests stay with the service asked for.
+    // The current assignee did not respond, so someone else is picked
+    const assigneeType = incident.incidentType === 'help_request' && incident.requestedService
+      ? incident.requestedService
+      : (targetLevel >= 3 ? 'agency_liaison' : 'community_focal');
+    const assignee = await this.getAssigneeForType(assigneeType, incident, {
+      excludePhone: incident.escalationAssignedToPhone,
+    });
     incident.escalationAssignedToType = assignee.type;
     incident.escalationAssignedToName = assignee.contactName;
     incident.escalationAssignedToPhone = assignee.contactPhone;
     incident.escalationAssignedToOrganization = assignee.organization;
 
     await incident.save();
+    await this.recordEscalation(incident, before, { reason });
 
     // Send notification
     await notificationService.sendEscalationNotification(incident, {
-      name: 'Manual Escalation',
+      name: reason === 'sla_breach' ? 'SLA Breach Escalation' : 'Manual Escalation',
       escalation: {
         level: targetLevel,
-        slaMinutes: targetLevel * 30,
+        slaMinutes: incident.escalationSlaMinutes,
+        notificationMethod: 'sms',
+      },
+    });
+
+    return incident;
+  }
+
+  /**
+   * Re-notify the current assignee and restart the SLA clock
+   * Used when the top level breaches its SLA and there is nowhere left to escalate
+   */
+  async remindAssignee(incident, reason) {
+    const before = this.getEscalationSnapshot(incident);
+
+    this.startSlaClock(incident, this.getSlaMinutes(incident.escalationLevel));
+    await incident.save();
+    await this.recordEscalation(incident, before, { reason, reminder: true });
+
+    await notificationService.sendEscalationNotification(incident, {
+      name: reason === 'sla_breach' ? 'SLA Breach Reminder' : 'Escalation Reminder',
+      escalation: {
+        level: incident.escalationLevel,
+        slaMinutes: incident.escalationSlaMinutes,
         notificationMethod: 'sms',
       },
     });
@@ -280,6 +384,48 @@ class EscalationService {
     return incident;
   }
 
+  /**
+   * Escalation fields recorded before/after on the timeline
+   */
+  getEscalationSnapshot(incident) {
+    return {
+      status: incident.status,
+      level: incident.escalationLevel,
+      slaDueAt: incident.escalationSlaDueAt,
+      assignee: incidentEventService.getAssignee(incident),
+    };
+  }
+
+  /**
+   * Record an escalation event on the incident timeline
+   */
+  async recordEscalation(incident, before, metadata = {}) {
+    return incidentEventService.record(incident.incidentId, 'escalation', {
+      from: before,
+      to: this.getEscalationSnapshot(incident),
+      metadata,
+    });
+  }
+
+  /**
+   * Get acknowledgement SLA for a level (rule setting wins over the level default)
+   */
+  getSlaMinutes(level, rule) {
+    if (rule && rule.escalationSlaMinutes) {
+      return rule.escalationSlaMinutes;
+    }
+    return config.escalation.slaMinutesByLevel[level] || 60;
+  }
+
+  /**
+   * Start (or restart) the acknowledgement SLA clock on an incident
+   */
+  startSlaClock(incident, slaMinutes) {
+    incident.escalationSlaMinutes = slaMinutes;
+    incident.escalationSlaDueAt = new Date(Date.now() + slaMinutes * 60000);
+    incident.escalationAcknowledgedAt = null;
+  }
+
   /**
    * Get escalation path for an incident
    */
@@ -292,6 +438,13 @@ class EscalationService {
     return {
       currentLevel: incident.escalationLevel,
       escalatedAt: incident.escalationEscalatedAt,
+      sla: {
+        minutes: incident.escalationSlaMinutes,
+        dueAt: incident.escalationSlaDueAt,
+        acknowledgedAt: incident.escalationAcknowledgedAt,
+        breachCount: incident.escalationSlaBreachCount || 0,
+        lastBreachAt: incident.escalationLastBreachAt,
+      },
       assignedTo: {
         type: incident.escalationAssignedToType,
         contactName: incident.escalationAssignedToName,
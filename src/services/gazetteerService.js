@@ -0,0 +1,84 @@
+const fs = require('fs');
+const config = require('../config');
+
+class GazetteerService {
+  constructor() {
+    this.states = null;
+  }
+
+  /**
+   * Load the state -> LGA -> ward dataset (once)
+   * Format: { states: [{ name, code, lgas: [{ name, wards: [name] }] }] }, code is ISO 3166-2 (NG-KN)
+   */
+  load() {
+    if (this.states) return this.states;
+
+    const raw = JSON.parse(fs.readFileSync(config.location.gazetteerPath, 'utf8'));
+    this.states = (raw.states || []).map(state => ({
+      name: state.name,
+      code: state.code || null,
+      lgas: (state.lgas || []).map(lga => ({
+        name: lga.name,
+        wards: lga.wards || [],
+      })),
+    }));
+
+    return this.states;
+  }
+
+  /**
+   * State names, with the configured default state first
+   */
+  getStates() {
+    const names = this.load().map(state => state.name);
+    const defaultState = config.location.defaultState;
+    if (!names.includes(defaultState)) return names;
+    return [defaultState, ...names.filter(name => name !== defaultState)];
+  }
+
+  /**
+   * LGA names for a state
+   */
+  getLgas(stateName) {
+    const state = this.findState(stateName);
+    return state ? state.lgas.map(lga => lga.name) : [];
+  }
+
+  /**
+   * Ward names for an LGA
+   */
+  getWards(stateName, lgaName) {
+    const lga = this.findLga(stateName, lgaName);
+    return lga ? lga.wards : [];
+  }
+
+  /**
+   * Find a state by name (case-insensitive)
+   */
+  findState(name) {
+    if (!name) return null;
+    const wanted = name.toUpperCase();
+    return this.load().find(state => state.name.toUpperCase() === wanted) || null;
+  }
+
+  /**
+   * Find a state by ISO 3166-2 code, e.g. NG-KN (case-insensitive)
+   */
+  findStateByCode(code) {
+    if (!code) return null;
+    const wanted = code.toUpperCase();
+    return this.load().find(state => state.code === wanted) || null;
+  }
+
+  /**
+   * Find an LGA within a state by name (case-insensitive)
+   */
+  findLga(stateName, lgaName) {
+    const state = this.findState(stateName);
+    if (!state || !lgaName) return null;
+    const wanted = lgaName.toUpperCase();
+    return state.lgas.find(lga => lga.name.toUpperCase() === wanted) || null;
+  }
+}
+
+module.exports = new GazetteerService();
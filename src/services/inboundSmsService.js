@@ -0,0 +1,363 @@
+const { Op } = require('sequelize');
+const config = require('../config');
+const { Incident, Responder } = require('../models');
+const incidentIngestionService = require('./incidentIngestionService');
+const notificationService = require('./notificationService');
+const gazetteerService = require('./gazetteerService');
+const messageCatalogService = require('./messageCatalogService');
+const subscriberService = require('./subscriberService');
+
+// Responder replies: <COMMAND> INC-XXXXXXXX [note]
+const RESPONDER_COMMAND_PATTERN = /^\s*(ACK|ARRIVED|RESOLVE|FALSE)\s+(INC-[A-Z0-9]+)\s*([\s\S]*)$/i;
+
+const RESPONDER_HELP = 'Reply ACK <ID>, ARRIVED <ID>, RESOLVE <ID> <note> or FALSE <ID>. Example: ACK INC-1A2B3C4D';
+
+// Hausa alias for the report keyword
+const HAUSA_KEYWORD = 'RAHOTO';
+
+// Report vocabulary per language: word -> incidentType / severity
+const REPORT_VOCABULARY = {
+  english: {
+    types: {
+      fire: ['FIRE'],
+      theft: ['THEFT', 'ROBBERY', 'STEAL', 'STOLEN'],
+      violence: ['VIOLENCE', 'ATTACK'],
+      gunshot: ['GUNSHOT', 'GUNSHOTS', 'SHOOTING', 'GUN'],
+      fight: ['FIGHT', 'FIGHTING'],
+      kidnap: ['KIDNAP', 'KIDNAPPING', 'ABDUCTION'],
+      explosion: ['EXPLOSION', 'BOMB', 'BLAST'],
+      medical_emergency: ['MEDICAL', 'INJURY', 'INJURED', 'AMBULANCE'],
+      suspicious_activity: ['SUSPICIOUS', 'SUSPECT'],
+      other: ['OTHER'],
+    },
+    severities: {
+      low: ['LOW'],
+      medium: ['MEDIUM'],
+      high: ['HIGH', 'SERIOUS'],
+      critical: ['CRITICAL', 'URGENT', 'EMERGENCY'],
+    },
+  },
+  hausa: {
+    types: {
+      fire: ['GOBARA', 'WUTA'],
+      theft: ['SATA', 'FASHI'],
+      violence: ['HARI'],
+      gunshot: ['BINDIGA', 'HARBI'],
+      fight: ['FADA'],
+      kidnap: ['SACE', 'GARKUWA'],
+      explosion: ['FASHEWA', 'BAM'],
+      medical_emergency: ['RAUNI', 'JINYA'],
+      suspicious_activity: ['SHAKKU', 'ZARGI'],
+      other: ['WANI'],
+    },
+    severities: {
+      low: ['KADAN'],
+      medium: ['MATSAKAICI'],
+      high: ['TSANANI'],
+      critical: ['GAGGAWA'],
+    },
+  },
+};
+
+// Common state aliases not in the gazetteer
+const STATE_ALIASES = { ABUJA: 'FCT', NASSARAWA: 'Nasarawa' };
+
+const REPORT_HELP = {
+  english: 'To report send: {keyword} <TYPE> <STATE> <LGA>, e.g. {keyword} FIRE KANO Dala. ' +
+    'Types: FIRE THEFT FIGHT GUNSHOT KIDNAP EXPLOSION MEDICAL VIOLENCE SUSPICIOUS',
+  hausa: 'Don rahoto aika: {keyword} <NAU\'I> <JIHA> <KARAMAR HUKUMA>, misali {keyword} GOBARA KANO Dala. ' +
+    'Nau\'i: GOBARA SATA FADA BINDIGA SACE BAM RAUNI HARI SHAKKU',
+};
+
+class InboundSmsService {
+  /**
+   * Handle an inbound SMS and return the reply text (null when no reply is needed)
+   */
+  async handleMessage({ from, text, provider }) {
+    const phoneNumber = notificationService.formatPhoneNumber(from);
+    if (!phoneNumber || !text) {
+      return { handled: 'ignored', reply: null };
+    }
+
+    // STOP/START for alerts come before everything else so an opt-out is never missed
+    const keyword = subscriberService.parseKeyword(text);
+    if (keyword) {
+      return this.handleSubscriptionKeyword(phoneNumber, keyword, text);
+    }
+
+    const command = this.parseResponderCommand(text);
+    if (command) {
+      const reply = await this.handleResponderCommand(phoneNumber, command);
+      return { handled: 'responder_command', incidentId: command.incidentId, reply };
+    }
+
+    // Looks like a command but could not be parsed
+    if (/^\s*(ACK|ARRIVED|RESOLVE|FALSE)\b/i.test(text)) {
+      return { handled: 'invalid_command', reply: RESPONDER_HELP };
+    }
+
+    if (this.hasReportKeyword(text)) {
+      return this.handleKeywordReport(phoneNumber, text, provider);
+    }
+
+    return { handled: 'ignored', reply: null };
+  }
+
+  /**
+   * Apply an alert STOP/START keyword and confirm in the subscriber's language
+   */
+  async handleSubscriptionKeyword(phoneNumber, keyword, text) {
+    const source = text.trim().substring(0, 160);
+
+    if (keyword === 'opt_out') {
+      const subscriber = await subscriberService.optOut(phoneNumber, { channel: 'sms', source });
+      const language = subscriber ? subscriber.language : config.ussd.defaultLanguage;
+      return { handled: 'opt_out', reply: messageCatalogService.get(language, 'unsubscribed') };
+    }
+
+    const subscriber = await subscriberService.optIn(phoneNumber, { channel: 'sms', source });
+    return { handled: 'opt_in', reply: messageCatalogService.get(subscriber.language, 'resubscribed') };
+  }
+
+  /**
+   * Check whether a message starts with the report keyword (or its Hausa alias)
+   */
+  hasReportKeyword(text) {
+    const first = (text || '').trim().split(/\s+/)[0].toUpperCase();
+    return first === config.africastalking.keyword.toUpperCase() || first === HAUSA_KEYWORD;
+  }
+
+  /**
+   * Create an incident from a keyword SMS and reply with its ID (or help)
+   */
+  async handleKeywordReport(phoneNumber, text, provider) {
+    const report = this.parseReport(text);
+    const language = report.language;
+
+    if (!report.incidentType) {
+      return { handled: 'invalid_report', reply: this.getReportHelp(language) };
+    }
+
+    const incident = await incidentIngestionService.createFromApi({
+      channel: 'sms',
+      phoneNumber,
+      callbackConsent: true,
+      incidentType: report.incidentType,
+      severity: report.severity,
+      state: report.state,
+      lga: report.lga,
+      village: report.village,
+      description: report.description,
+      language,
+    }, {
+      deviceInfo: provider ? `sms:${provider}` : 'sms',
+    });
+
+    return {
+      handled: 'report',
+      incidentId: incident.incidentId,
+      reply: messageCatalogService.get(language, 'thankYou', { incidentId: incident.incidentId }),
+    };
+  }
+
+  /**
+   * Parse "<KEYWORD> <TYPE> [SEVERITY] [STATE] [LGA[, village]]" in any word order
+   * Words that are not a type, severity or state form the LGA (and village after a comma)
+   */
+  parseReport(text) {
+    const body = text.trim().replace(/^\S+\s*/, '');
+    const words = body.split(/\s+/).filter(Boolean);
+    const upperWords = words.map(w => w.replace(/[.,;:!]+$/, '').toUpperCase());
+
+    const report = {
+      incidentType: null,
+      severity: null,
+      state: null,
+      lga: null,
+      village: null,
+      description: body || null,
+      language: text.trim().toUpperCase().startsWith(HAUSA_KEYWORD) ? 'hausa' : 'english',
+    };
+
+    const used = new Set();
+
+    upperWords.forEach((word, index) => {
+      const match = this.lookupWord(word);
+      if (!match) return;
+
+      if (match.field === 'types' && !report.incidentType) {
+        report.incidentType = match.value;
+      } else if (match.field === 'severities' && !report.severity) {
+        report.severity = match.value;
+      } else {
+        return;
+      }
+
+      used.add(index);
+      if (match.language === 'hausa') report.language = 'hausa';
+    });
+
+    // States may be two words (Akwa Ibom, Cross River)
+    for (let i = 0; i < upperWords.length && !report.state; i++) {
+      if (used.has(i)) continue;
+      const pair = `${upperWords[i]} ${upperWords[i + 1] || ''}`.trim();
+      const state = this.lookupState(pair) || this.lookupState(upperWords[i]);
+      if (state) {
+        report.state = state;
+        used.add(i);
+        if (state.includes(' ')) used.add(i + 1);
+      }
+    }
+
+    // Everything left is the place: "<LGA>[, <village>]"
+    const place = words.filter((w, i) => !used.has(i)).join(' ');
+    const [lga, ...village] = place.split(',').map(part => part.trim()).filter(Boolean);
+    report.lga = lga || null;
+    report.village = village.join(', ') || null;
+    report.state = report.state || config.location.defaultState;
+
+    return report;
+  }
+
+  /**
+   * Look a word up in the report vocabulary
+   * Returns { language, field: 'types' | 'severities', value } or null
+   */
+  lookupWord(word) {
+    for (const [language, vocabulary] of Object.entries(REPORT_VOCABULARY)) {
+      for (const field of ['types', 'severities']) {
+        const value = Object.keys(vocabulary[field]).find(key => vocabulary[field][key].includes(word));
+        if (value) return { language, field, value };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Match a state name or alias
+   */
+  lookupState(word) {
+    if (STATE_ALIASES[word]) return STATE_ALIASES[word];
+    const state = gazetteerService.findState(word);
+    return state ? state.name : null;
+  }
+
+  /**
+   * Help text for a keyword report that could not be parsed
+   */
+  getReportHelp(language) {
+    const template = REPORT_HELP[language] || REPORT_HELP.english;
+    return template.replace(/\{keyword\}/g, config.africastalking.keyword.toUpperCase());
+  }
+
+  /**
+   * Parse a responder command such as "RESOLVE INC-1A2B3C4D Suspect detained"
+   */
+  parseResponderCommand(text) {
+    const match = RESPONDER_COMMAND_PATTERN.exec(text || '');
+    if (!match) return null;
+
+    return {
+      command: match[1].toUpperCase(),
+      incidentId: match[2].toUpperCase(),
+      note: match[3].trim() || null,
+    };
+  }
+
+  /**
+   * Apply a responder command after checking the sender is the assigned responder
+   * The assignee may have no Responder record (a rule's contact, the fallback focal point);
+   * their number on the incident is enough
+   */
+  async handleResponderCommand(phoneNumber, { command, incidentId, note }) {
+    const responder = await this.findResponder(phoneNumber);
+    const incident = await Incident.findOne({ where: { incidentId } });
+    const assigned = Boolean(incident) &&
+      notificationService.formatPhoneNumber(incident.escalationAssignedToPhone) === phoneNumber;
+
+    if (!responder && !assigned) {
+      return 'This number is not registered as a responder.';
+    }
+
+    if (!incident) {
+      return `Incident ${incidentId} not found.`;
+    }
+
+    if (!assigned) {
+      return `You are not assigned to ${incidentId}.`;
+    }
+
+    const actor = responder
+      ? { type: 'responder', id: responder.id, name: responder.name }
+      : { type: 'responder', name: incident.escalationAssignedToName || phoneNumber };
+
+    try {
+      switch (command) {
+        case 'ACK':
+          await incidentIngestionService.acknowledgeIncident(incidentId, actor);
+          return `${incidentId} acknowledged. Reply ARRIVED ${incidentId} when on scene.`;
+
+        case 'ARRIVED':
+          if (!incident.escalationAcknowledgedAt) {
+            await incidentIngestionService.acknowledgeIncident(incidentId, actor);
+          }
+          await incidentIngestionService.updateStatus(incidentId, 'in_progress', {
+            actor,
+            note,
+            response: {
+              arrivalTime: new Date(),
+              firstResponder: actor.name,
+            },
+          });
+          return `Arrival recorded for ${incidentId}. Reply RESOLVE ${incidentId} <note> when done.`;
+
+        case 'RESOLVE':
+          if (!note) {
+            return `Include what happened: RESOLVE ${incidentId} <note>`;
+          }
+          await incidentIngestionService.updateStatus(incidentId, 'resolved', {
+            actor,
+            note,
+            resolution: note,
+          });
+          return `${incidentId} marked resolved. Thank you.`;
+
+        case 'FALSE':
+          await incidentIngestionService.updateStatus(incidentId, 'false_alarm', {
+            actor,
+            note,
+            resolution: note || 'False alarm reported by responder',
+          });
+          return `${incidentId} marked as a false alarm. Thank you.`;
+
+        default:
+          return RESPONDER_HELP;
+      }
+    } catch (error) {
+      if (error.status === 400 || error.status === 409) {
+        return `Cannot update ${incidentId}: ${error.message}`;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find an active responder by phone, tolerating local/international formats
+   */
+  async findResponder(phoneNumber) {
+    const digits = phoneNumber.replace(/\D/g, '');
+    const variants = [phoneNumber, digits];
+    if (digits.startsWith('234')) {
+      variants.push(`0${digits.substring(3)}`);
+    }
+
+    return Responder.findOne({
+      where: {
+        phone: { [Op.in]: variants },
+        status: 'active',
+      },
+    });
+  }
+}
+
+module.exports = new InboundSmsService();
@@ -0,0 +1,66 @@
+const { IncidentEvent } = require('../models');
+
+// Actor used for changes made by the platform itself (rules, queues, watchers)
+const SYSTEM_ACTOR = { type: 'system', id: null, name: 'system' };
+
+class IncidentEventService {
+  /**
+   * Append an event to an incident's timeline
+   * Failures are logged, never thrown, so auditing cannot block incident handling
+   */
+  async record(incidentId, eventType, details = {}) {
+    const actor = details.actor || SYSTEM_ACTOR;
+
+    try {
+      return await IncidentEvent.create({
+        incidentId,
+        eventType,
+        actorType: actor.type || 'system',
+        actorId: actor.id != null ? String(actor.id) : null,
+        actorName: actor.name,
+        fromValue: details.from,
+        toValue: details.to,
+        note: details.note,
+        metadata: details.metadata || {},
+      });
+    } catch (error) {
+      console.error(`Failed to record ${eventType} event for ${incidentId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Build an actor from an authenticated operator (req.user)
+   */
+  fromUser(user) {
+    if (!user) return SYSTEM_ACTOR;
+    return { type: 'user', id: user.id, name: user.name || user.username };
+  }
+
+  /**
+   * Snapshot of the assignee fields on an incident
+   */
+  getAssignee(incident) {
+    return {
+      type: incident.escalationAssignedToType,
+      name: incident.escalationAssignedToName,
+      phone: incident.escalationAssignedToPhone,
+      organization: incident.escalationAssignedToOrganization,
+    };
+  }
+
+  /**
+   * Get the full timeline for an incident, oldest first
+   */
+  async getTimeline(incidentId) {
+    return IncidentEvent.findAll({
+      where: { incidentId },
+      order: [['createdAt', 'ASC']],
+    });
+  }
+}
+
+const incidentEventService = new IncidentEventService();
+incidentEventService.SYSTEM_ACTOR = SYSTEM_ACTOR;
+
+module.exports = incidentEventService;
@@ -1,13 +1,30 @@
 const { Op } = require('sequelize');
+const config = require('../config');
 const { Incident, UssdSession } = require('../models');
 const deduplicationService = require('./deduplicationService');
 const escalationService = require('./escalationService');
+const confidenceScoringService = require('./confidenceScoringService');
+const queueService = require('./queueService');
+const incidentEventService = require('./incidentEventService');
+const incidentStatusService = require('./incidentStatusService');
+const cellTowerService = require('./cellTowerService');
+
+// Post-processing steps, recorded on the incident as they finish
+const PROCESSING_STEPS = { DISPATCH: 'dispatch', SCORING: 'scoring', ESCALATION: 'escalation' };
 
 class IncidentIngestionService {
   /**
    * Create incident from USSD session
+   * telcoMetadata carries the serving cell, used for the position when the session has none.
+   * The incident is filed even if queueing its processing fails; the job can be replayed
    */
   async createFromUssd(sessionData, telcoMetadata = {}) {
+    const mcc = telcoMetadata.mcc || config.location.defaultMcc;
+    // Approximate position from the serving cell when the session has none
+    const position = sessionData.location?.latitude == null
+      ? await cellTowerService.locate({ ...telcoMetadata, mcc })
+      : null;
+
     const incident = await Incident.create({
       channel: 'ussd',
       reporterPhoneNumber: sessionData.phoneNumber,
@@ -15,35 +32,33 @@ class IncidentIngestionService {
       reporterCallbackConsent: sessionData.callbackConsent,
       reporterSessionId: sessionData.sessionId,
       incidentType: sessionData.incidentType,
-      severity: sessionData.severity,
+      requestedService: sessionData.requestedService,
+      severity: sessionData.severity || 'medium',
       locationCellTowerId: telcoMetadata.cellTowerId,
       locationCellTowerLac: telcoMetadata.lac,
-      locationCellTowerMcc: telcoMetadata.mcc || '621',
+      locationCellTowerMcc: mcc,
       locationCellTowerMnc: telcoMetadata.mnc,
-      locationState: sessionData.location?.state,
+      locationState: sessionData.location?.state || config.location.defaultState,
       locationLga: sessionData.location?.lga,
       locationVillage: sessionData.location?.village,
-      locationLatitude: sessionData.location?.latitude,
-      locationLongitude: sessionData.location?.longitude,
+      locationLatitude: sessionData.location?.latitude ?? position?.latitude,
+      locationLongitude: sessionData.location?.longitude ?? position?.longitude,
+      locationAccuracy: sessionData.location?.accuracy ?? position?.accuracy,
       locationManual: sessionData.location?.manual || false,
       descriptionText: sessionData.description,
       descriptionLanguage: sessionData.language || 'hausa',
       status: 'received',
-      metadataReceivedVia: 'ussd',
+      metadataReceivedVia: sessionData.provider || 'ussd',
       metadataReportTimestamp: new Date(),
       metadataQueueTime: telcoMetadata.queueTime || 0,
     });
 
-    // Run de-duplication
-    const duplicates = await deduplicationService.findDuplicates(incident);
-    if (duplicates.length > 0) {
-      // Update with duplicates info
-      incident.confidenceDeDuplicationScore = duplicates[0]?.similarity || 0;
-      await incident.save();
-    }
+    await this.recordCreated(incident);
 
-    // Trigger escalation
-    await escalationService.processIncident(incident);
+    // De-duplication, scoring and escalation run on the incident-processing queue
+    await this.queuePostProcessing(incident).catch((error) => {
+      console.error(`Failed to queue processing for ${incident.incidentId}:`, error);
+    });
 
     return incident;
   }
@@ -58,7 +73,8 @@ class IncidentIngestionService {
       reporterAnonymous: reportData.anonymous !== false,
       reporterCallbackConsent: reportData.callbackConsent || false,
       incidentType: reportData.incidentType,
-      severity: reportData.severity || 'medium',
+      requestedService: reportData.requestedService,
+      severity: reportData.severity || (reportData.incidentType === 'help_request' ? 'critical' : 'medium'),
       locationLatitude: reportData.latitude,
       locationLongitude: reportData.longitude,
       locationAccuracy: reportData.accuracy,
@@ -79,21 +95,107 @@ class IncidentIngestionService {
       metadataReportTimestamp: new Date(),
     });
 
-    // Run de-duplication
-    const duplicates = await deduplicationService.findDuplicates(incident);
-    if (duplicates.length > 0) {
-      incident.confidenceDeDuplicationScore = duplicates[0]?.similarity || 0;
+    await this.recordCreated(incident);
+
+    // De-duplication, scoring and escalation run on the incident-processing queue
+    await this.queuePostProcessing(incident).catch((error) => {
+      console.error(`Failed to queue processing for ${incident.incidentId}:`, error);
+    });
+
+    return incident;
+  }
+
+  /**
+   * Record the creation event on a new incident's timeline
+   */
+  async recordCreated(incident) {
+    return incidentEventService.record(incident.incidentId, 'created', {
+      actor: { type: 'reporter', name: incident.channel },
+      to: {
+        status: incident.status,
+        incidentType: incident.incidentType,
+        severity: incident.severity,
+      },
+    });
+  }
+
+  /**
+   * Queue de-duplication, confidence scoring and escalation for an incident
+   * Help requests jump the queue
+   */
+  async queuePostProcessing(incident) {
+    const opts = incident.incidentType === 'help_request' ? { priority: 1 } : {};
+    return queueService.add(queueService.QUEUES.INCIDENT_PROCESSING, {
+      incidentId: incident.incidentId,
+    }, opts);
+  }
+
+  /**
+   * Process a job from the incident-processing queue
+   * Each step is recorded on the incident once done, so a retried or replayed job picks up
+   * where the last attempt failed instead of dispatching and notifying again
+   */
+  async processIncident(incidentId) {
+    const startedAt = Date.now();
+    const incident = await Incident.findOne({ where: { incidentId } });
+    if (!incident) {
+      throw new Error(`Incident not found: ${incidentId}`);
+    }
+
+    const done = new Set(incident.metadataProcessedSteps || []);
+    const markDone = async (step) => {
+      done.add(step);
+      incident.metadataProcessedSteps = [...done];
       await incident.save();
+    };
+
+    // Help requests are dispatched to the requested service before anything else
+    let helpDispatch = null;
+    if (incident.incidentType === 'help_request') {
+      helpDispatch = done.has(PROCESSING_STEPS.DISPATCH)
+        ? { skipped: 'already_dispatched' }
+        : await escalationService.dispatchHelpRequest(incident);
+      await markDone(PROCESSING_STEPS.DISPATCH);
+    }
+
+    let duplicates = [];
+    if (!done.has(PROCESSING_STEPS.SCORING)) {
+      // Run de-duplication
+      duplicates = await deduplicationService.findDuplicates(incident);
+      if (duplicates.length > 0) {
+        incident.confidenceDeDuplicationScore = duplicates[0]?.similarity || 0;
+      }
+
+      // Score confidence (uses the de-duplication score above)
+      const confidence = await confidenceScoringService.calculateConfidenceScore(incident);
+      incident.confidenceScore = confidence.score;
+      incident.confidenceSourceReliability = confidence.breakdown.sourceReliability;
+      incident.metadataProcessingTime = Date.now() - startedAt;
+      await markDone(PROCESSING_STEPS.SCORING);
     }
 
     // Trigger escalation
-    await escalationService.processIncident(incident);
+    let escalation = helpDispatch;
+    if (!escalation) {
+      escalation = done.has(PROCESSING_STEPS.ESCALATION)
+        ? { skipped: 'already_escalated' }
+        : await escalationService.processIncident(incident);
+      await markDone(PROCESSING_STEPS.ESCALATION);
+    }
 
-    return incident;
+    return {
+      incidentId,
+      duplicates: duplicates.length,
+      confidenceScore: incident.confidenceScore,
+      escalation,
+    };
   }
 
   /**
    * Update incident status
+   * Transitions are validated against the status graph (409 when illegal);
+   * resolving or closing needs additionalData.resolution.
+   * additionalData.actor and note are kept on the timeline
    */
   async updateStatus(incidentId, newStatus, additionalData = {}) {
     const incident = await Incident.findOne({ where: { incidentId } });
@@ -101,8 +203,6 @@ class IncidentIngestionService {
       throw new Error(`Incident not found: ${incidentId}`);
     }
 
-    incident.status = newStatus;
-
     if (additionalData.response) {
       if (additionalData.response.firstResponder) {
         incident.responseFirstResponder = additionalData.response.firstResponder;
@@ -121,8 +221,19 @@ class IncidentIngestionService {
       }
     }
 
+    const previousStatus = incidentStatusService.applyTransition(incident, newStatus, {
+      resolution: additionalData.resolution || additionalData.response?.resolution,
+    });
+
     await incident.save();
 
+    await incidentEventService.record(incidentId, 'status_change', {
+      actor: this.getActor(additionalData),
+      from: { status: previousStatus },
+      to: { status: newStatus },
+      note: additionalData.note,
+    });
+
     // Trigger escalation if status changed to escalated
     if (newStatus === 'escalated') {
       await escalationService.processIncident(incident);
@@ -134,13 +245,15 @@ class IncidentIngestionService {
   /**
    * Assign incident to responder
    */
-  async assignIncident(incidentId, assignee) {
+  async assignIncident(incidentId, assignee, actor) {
     const incident = await Incident.findOne({ where: { incidentId } });
     if (!incident) {
       throw new Error(`Incident not found: ${incidentId}`);
     }
 
-    incident.status = 'assigned';
+    const previousAssignee = incidentEventService.getAssignee(incident);
+
+    const previousStatus = incidentStatusService.applyTransition(incident, 'assigned');
     incident.escalationAssignedToType = assignee.type;
     incident.escalationAssignedToName = assignee.contactName;
     incident.escalationAssignedToPhone = assignee.contactPhone;
@@ -148,9 +261,84 @@ class IncidentIngestionService {
 
     await incident.save();
 
+    await incidentEventService.record(incidentId, 'assignment', {
+      actor,
+      from: { status: previousStatus, assignee: previousAssignee },
+      to: { status: incident.status, assignee: incidentEventService.getAssignee(incident) },
+      note: assignee.reason,
+    });
+
+    return incident;
+  }
+
+  /**
+   * Record that the assignee acknowledged an escalation
+   * Stops the SLA clock and moves an escalated incident to assigned
+   */
+  async acknowledgeIncident(incidentId, actor) {
+    const incident = await Incident.findOne({ where: { incidentId } });
+    if (!incident) {
+      throw new Error(`Incident not found: ${incidentId}`);
+    }
+
+    const previousStatus = incident.status;
+    if (incident.status === 'escalated') {
+      incidentStatusService.applyTransition(incident, 'assigned');
+    }
+
+    incident.escalationAcknowledgedAt = new Date();
+    if (actor?.name && !incident.responseFirstResponder) {
+      incident.responseFirstResponder = actor.name;
+    }
+
+    await incident.save();
+
+    await incidentEventService.record(incidentId, 'acknowledgement', {
+      actor,
+      from: { status: previousStatus },
+      to: { status: incident.status, acknowledgedAt: incident.escalationAcknowledgedAt },
+    });
+
     return incident;
   }
 
+  /**
+   * Add a free-text note to an incident's timeline
+   */
+  async addNote(incidentId, note, actor) {
+    const incident = await Incident.findOne({ where: { incidentId } });
+    if (!incident) {
+      throw new Error(`Incident not found: ${incidentId}`);
+    }
+
+    const event = await incidentEventService.record(incidentId, 'note', { actor, note });
+    if (!event) {
+      throw new Error(`Failed to record note for ${incidentId}`);
+    }
+
+    return event;
+  }
+
+  /**
+   * Get the audit timeline for an incident
+   */
+  async getTimeline(incidentId) {
+    const incident = await Incident.findOne({ where: { incidentId } });
+    if (!incident) {
+      return null;
+    }
+
+    return incidentEventService.getTimeline(incidentId);
+  }
+
+  /**
+   * Resolve who made a change from the caller's additional data
+   */
+  getActor(additionalData = {}) {
+    if (additionalData.actor) return additionalData.actor;
+    return incidentEventService.SYSTEM_ACTOR;
+  }
+
   /**
    * Get incident by ID
    */
@@ -252,4 +440,7 @@ class IncidentIngestionService {
   }
 }
 
-module.exports = new IncidentIngestionService();
+const incidentIngestionService = new IncidentIngestionService();
+incidentIngestionService.PROCESSING_STEPS = PROCESSING_STEPS;
+
+module.exports = incidentIngestionService;
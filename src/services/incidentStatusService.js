@@ -0,0 +1,113 @@
+// Allowed status transitions (from -> to)
+const STATUS_TRANSITIONS = {
+  received: ['processing', 'assigned', 'escalated', 'false_alarm', 'expired', 'merged'],
+  processing: ['assigned', 'escalated', 'false_alarm', 'expired', 'merged'],
+  assigned: ['assigned', 'in_progress', 'escalated', 'resolved', 'closed', 'false_alarm', 'merged'],
+  in_progress: ['assigned', 'escalated', 'resolved', 'closed', 'false_alarm'],
+  // Re-escalation to a higher level keeps the incident in 'escalated'
+  escalated: ['escalated', 'assigned', 'in_progress', 'resolved', 'closed', 'false_alarm', 'expired', 'merged'],
+  resolved: ['closed', 'in_progress'],
+  false_alarm: ['closed'],
+  expired: ['closed', 'escalated'],
+  closed: [],
+  merged: [],
+};
+
+// Statuses that need a resolution text
+const RESOLUTION_REQUIRED = ['resolved', 'closed'];
+
+// Statuses that end the response and stamp responseResolvedAt
+const RESOLVED_STATUSES = ['resolved', 'closed', 'false_alarm'];
+
+class IncidentStatusService {
+  constructor() {
+    this.transitions = STATUS_TRANSITIONS;
+  }
+
+  /**
+   * Get the statuses an incident may move to from its current status
+   */
+  getAllowedTransitions(fromStatus) {
+    return this.transitions[fromStatus] || [];
+  }
+
+  /**
+   * Check whether a status transition is allowed
+   */
+  canTransition(fromStatus, toStatus) {
+    return this.getAllowedTransitions(fromStatus).includes(toStatus);
+  }
+
+  /**
+   * Throw a 409 error when a transition is not allowed
+   */
+  assertTransition(fromStatus, toStatus) {
+    if (!this.transitions[toStatus]) {
+      const error = new Error(`Unknown status: ${toStatus}`);
+      error.status = 400;
+      throw error;
+    }
+
+    if (!this.canTransition(fromStatus, toStatus)) {
+      const error = new Error(`Cannot change status from ${fromStatus} to ${toStatus}`);
+      error.status = 409;
+      error.allowedTransitions = this.getAllowedTransitions(fromStatus);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate and apply a status change to an incident (not saved)
+   * Fills responseResolution, responseResolvedAt and responseTime on arrival or when the response ends
+   */
+  applyTransition(incident, toStatus, data = {}) {
+    this.assertTransition(incident.status, toStatus);
+
+    const resolution = data.resolution || incident.responseResolution;
+    if (RESOLUTION_REQUIRED.includes(toStatus) && !resolution) {
+      const error = new Error(`A resolution is required to mark an incident ${toStatus}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const previousStatus = incident.status;
+    incident.status = toStatus;
+
+    if (data.resolution) {
+      incident.responseResolution = data.resolution;
+    }
+
+    if (RESOLVED_STATUSES.includes(toStatus) && !incident.responseResolvedAt) {
+      incident.responseResolvedAt = new Date();
+    }
+
+    // Response time is fixed at arrival, or at resolution when nobody checked in
+    if (incident.responseTime == null &&
+      (incident.responseArrivalTime || RESOLVED_STATUSES.includes(toStatus))) {
+      incident.responseTime = this.calculateResponseTime(incident);
+    }
+
+    // Reopening clears the resolution timestamp
+    if (previousStatus === 'resolved' && toStatus === 'in_progress') {
+      incident.responseResolvedAt = null;
+    }
+
+    return previousStatus;
+  }
+
+  /**
+   * Minutes from the report to the responder's arrival (or resolution if they never checked in)
+   */
+  calculateResponseTime(incident) {
+    const reportedAt = incident.metadataReportTimestamp || incident.createdAt;
+    const respondedAt = incident.responseArrivalTime || incident.responseResolvedAt;
+    if (!reportedAt || !respondedAt) return null;
+
+    return Math.max(0, Math.round((new Date(respondedAt) - new Date(reportedAt)) / 60000));
+  }
+}
+
+const incidentStatusService = new IncidentStatusService();
+incidentStatusService.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = incidentStatusService;
@@ -6,6 +6,24 @@ const notificationService = require('./notificationService');
 const rateLimiterService = require('./rateLimiterService');
 const confidenceScoringService = require('./confidenceScoringService');
 const alertBroadcastService = require('./alertBroadcastService');
+const authService = require('./authService');
+const queueService = require('./queueService');
+const slaWatcherService = require('./slaWatcherService');
+const incidentEventService = require('./incidentEventService');
+const incidentStatusService = require('./incidentStatusService');
+const inboundSmsService = require('./inboundSmsService');
+const gazetteerService = require('./gazetteerService');
+const cellTowerService = require('./cellTowerService');
+const messageCatalogService = require('./messageCatalogService');
+const ussdSessionStoreService = require('./ussdSessionStoreService');
+const ussdFlowService = require('./ussdFlowService');
+const ussdProviderService = require('./ussdProviderService');
+const ussdAnalyticsService = require('./ussdAnalyticsService');
+const subscriberService = require('./subscriberService');
+const alertTargetService = require('./alertTargetService');
+const alertDeliveryService = require('./alertDeliveryService');
+const capService = require('./capService');
+const alertFeedService = require('./alertFeedService');
 
 module.exports = {
   ussdService,
@@ -16,4 +34,22 @@ module.exports = {
   rateLimiterService,
   confidenceScoringService,
   alertBroadcastService,
+  authService,
+  queueService,
+  slaWatcherService,
+  incidentEventService,
+  incidentStatusService,
+  inboundSmsService,
+  gazetteerService,
+  cellTowerService,
+  messageCatalogService,
+  ussdSessionStoreService,
+  ussdFlowService,
+  ussdProviderService,
+  ussdAnalyticsService,
+  subscriberService,
+  alertTargetService,
+  alertDeliveryService,
+  capService,
+  alertFeedService,
 };
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// Languages with a catalog
+const LANGUAGES = ['hausa', 'english', 'yoruba', 'igbo', 'fulfulde', 'pidgin'];
+
+// Languages offered on the USSD language menu, in order. Fulfulde is left off until its
+// catalog is fully translated; callers who already chose it keep it, with English for the gaps
+const MENU_LANGUAGES = ['hausa', 'english', 'yoruba', 'igbo', 'pidgin'];
+
+// Names shown on the language menu (each in its own language)
+const LANGUAGE_NAMES = {
+  hausa: 'Hausa',
+  english: 'English',
+  yoruba: 'Yoruba',
+  igbo: 'Igbo',
+  fulfulde: 'Fulfulde',
+  pidgin: 'Pidgin',
+};
+
+// Every catalog falls back to this one for keys it does not translate
+const FALLBACK_LANGUAGE = 'english';
+
+class MessageCatalogService {
+  constructor() {
+    this.catalogs = null;
+  }
+
+  /**
+   * Load every language catalog (once)
+   * Format: one JSON file per language, { key: 'text with {placeholders}' }
+   */
+  load() {
+    if (this.catalogs) return this.catalogs;
+
+    this.catalogs = {};
+    LANGUAGES.forEach((language) => {
+      const file = path.join(config.ussd.messagesPath, `${language}.json`);
+      this.catalogs[language] = fs.existsSync(file)
+        ? JSON.parse(fs.readFileSync(file, 'utf8'))
+        : {};
+    });
+
+    return this.catalogs;
+  }
+
+  /**
+   * Whether a language has a catalog
+   */
+  isSupported(language) {
+    return LANGUAGES.includes(language);
+  }
+
+  /**
+   * Map unknown languages onto the configured default
+   */
+  normalizeLanguage(language) {
+    return this.isSupported(language) ? language : config.ussd.defaultLanguage;
+  }
+
+  /**
+   * Whether a message exists for a language (or in the English fallback)
+   */
+  has(language, key) {
+    const catalogs = this.load();
+    return catalogs[this.normalizeLanguage(language)][key] !== undefined
+      || catalogs[FALLBACK_LANGUAGE][key] !== undefined;
+  }
+
+  /**
+   * Look up a message, falling back to English and then to the key itself
+   * Placeholders like {incidentId} are filled from params
+   */
+  get(language, key, params = {}) {
+    const catalogs = this.load();
+    const text = catalogs[this.normalizeLanguage(language)][key]
+      ?? catalogs[FALLBACK_LANGUAGE][key];
+
+    if (text === undefined) {
+      console.warn(`Missing USSD message "${key}" for ${language}`);
+      return key;
+    }
+
+    return text.replace(/\{(\w+)\}/g, (match, name) =>
+      (params[name] !== undefined ? String(params[name]) : match));
+  }
+
+  /**
+   * Language picker text, shown before the caller has chosen a language
+   */
+  getLanguageMenu() {
+    const options = MENU_LANGUAGES.map((language, index) => `${index + 1}. ${LANGUAGE_NAMES[language]}`);
+    return ['Zabi harshe / Choose language:', ...options].join('\n');
+  }
+
+  /**
+   * Language for a numbered language menu choice, or null
+   */
+  getLanguageForChoice(choice) {
+    return MENU_LANGUAGES[parseInt(choice, 10) - 1] || null;
+  }
+}
+
+const messageCatalogService = new MessageCatalogService();
+messageCatalogService.LANGUAGES = LANGUAGES;
+messageCatalogService.MENU_LANGUAGES = MENU_LANGUAGES;
+messageCatalogService.FALLBACK_LANGUAGE = FALLBACK_LANGUAGE;
+
+module.exports = messageCatalogService;
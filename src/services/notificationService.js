@@ -1,5 +1,9 @@
 const axios = require('axios');
 const config = require('../config');
+const queueService = require('./queueService');
+const incidentEventService = require('./incidentEventService');
+const alertDeliveryService = require('./alertDeliveryService');
+const smsEncoding = require('../utils/smsEncoding');
 
 class NotificationService {
   constructor() {
@@ -22,13 +26,12 @@ class NotificationService {
     } else {
       console.log('Twilio not configured - using Africa\'s Talking only');
     }
-    
-    // Message queue for offline support
-    this.messageQueue = [];
+
   }
 
   /**
    * Send SMS notification using Africa's Talking (primary) or Twilio (fallback)
+   * message may be a list of parts, sent in order; the result is the last part's
    */
   async sendSms(to, message, options = {}) {
     const phoneNumber = this.formatPhoneNumber(to);
@@ -38,33 +41,27 @@ class NotificationService {
       return { success: false, error: 'Invalid phone number' };
     }
 
+    const parts = Array.isArray(message) ? message : [message];
+    let sent = 0;
+
     try {
-      // Try Africa's Talking first
-      if (this.africastalking) {
-        const result = await this.sendViaAfricasTalking(phoneNumber, message);
-        if (result.success) {
-          return result;
-        }
+      let result;
+      for (; sent < parts.length; sent++) {
+        result = await this.deliverSms(phoneNumber, parts[sent]);
+        if (!result.success) break;
       }
-      
-      // Fallback to Twilio if available
-      if (this.twilioClient) {
-        const result = await this.sendViaTwilio(phoneNumber, message);
-        return result;
-      }
-      
-      // Fallback: log message (for development)
-      console.log(`[SMS] To: ${phoneNumber}, Message: ${message}`);
-      return {
-        success: true,
-        messageId: `dev-${Date.now()}`,
-        status: 'sent',
-      };
+      await this.recordNotification(phoneNumber, options, result);
+      return result;
     } catch (error) {
       console.error(`SMS send failed: ${error.message}`);
       
-      // Queue for retry
-      this.queueMessage('sms', { to: phoneNumber, message, options });
+      // Queue the parts not sent yet for retry
+      const remaining = parts.slice(sent);
+      await this.queueMessage('sms', {
+        to: phoneNumber,
+        message: remaining.length === 1 ? remaining[0] : remaining,
+        options,
+      });
       
       return {
         success: false,
@@ -74,6 +71,33 @@ class NotificationService {
     }
   }
 
+  /**
+   * Deliver SMS through the provider chain, throwing on transport errors
+   */
+  async deliverSms(phoneNumber, message) {
+    // Try Africa's Talking first
+    if (this.africastalking) {
+      const result = await this.sendViaAfricasTalking(phoneNumber, message);
+      if (result.success) {
+        return result;
+      }
+    }
+    
+    // Fallback to Twilio if available
+    if (this.twilioClient) {
+      const result = await this.sendViaTwilio(phoneNumber, message);
+      return result;
+    }
+    
+    // Fallback: log message (for development)
+    console.log(`[SMS] To: ${phoneNumber}, Message: ${message}`);
+    return {
+      success: true,
+      messageId: `dev-${Date.now()}`,
+      status: 'sent',
+    };
+  }
+
   /**
    * Send SMS via Africa's Talking API
    */
@@ -132,6 +156,7 @@ class NotificationService {
         body: message,
         from: config.twilio.phoneNumber,
         to: phoneNumber,
+        ...(config.twilio.statusCallbackUrl && { statusCallback: config.twilio.statusCallbackUrl }),
       });
       
       return {
@@ -150,47 +175,26 @@ class NotificationService {
    * Send escalation notification
    */
   async sendEscalationNotification(incident, rule) {
-    const assignee = incident.escalation.assignedTo;
-    if (!assignee || !assignee.contactPhone) {
+    const assigneePhone = incident.escalationAssignedToPhone;
+    if (!assigneePhone) {
       console.warn(`No assignee phone for incident ${incident.incidentId}`);
       return;
     }
 
     const message = this.formatEscalationMessage(incident, rule);
     
-    await this.sendSms(assignee.contactPhone, message, {
-      type: 'escalation',
-      incidentId: incident.incidentId,
-      priority: rule.escalation?.level || incident.severity,
+    // Escalations go through the durable queue so a restart cannot drop them
+    await this.queueMessage('sms', {
+      to: assigneePhone,
+      message,
+      options: {
+        type: 'escalation',
+        incidentId: incident.incidentId,
+        priority: rule.escalation?.level || incident.severity,
+      },
     });
   }
 
-  /**
-   * Send alert to subscribers
-   */
-  async sendAlert(alert, subscribers = []) {
-    const message = this.formatAlertMessage(alert);
-    const results = [];
-
-    for (const subscriber of subscribers) {
-      const result = await this.sendSms(subscriber.phone, message, {
-        type: 'alert',
-        alertId: alert.alertId,
-      });
-      results.push({
-        phone: subscriber.phone,
-        ...result,
-      });
-    }
-
-    return {
-      alertId: alert.alertId,
-      sent: results.filter(r => r.success).length,
-      failed: results.filter(r => !r.success).length,
-      results,
-    };
-  }
-
   /**
    * Send confirmation to reporter
    */
@@ -246,43 +250,68 @@ class NotificationService {
   }
 
   /**
-   * Queue message for retry
+   * Queue message for (re)delivery on the notifications queue
    */
-  queueMessage(type, data) {
-    this.messageQueue.push({
+  async queueMessage(type, data) {
+    return queueService.add(queueService.QUEUES.NOTIFICATIONS, {
       type,
-      data,
-      timestamp: new Date(),
-      retryCount: 0,
+      ...data,
+      queuedAt: new Date().toISOString(),
     });
   }
 
   /**
-   * Process queued messages
+   * Process a job from the notifications queue
+   * Throws so the queue retries with backoff. With the job, the parts already sent are saved
+   * in its data (sentParts, with the last part's result), so a retry carries on from the next one
    */
-  async processQueue() {
-    if (this.messageQueue.length === 0) return;
+  async processQueuedMessage(data, job) {
+    if (data.type !== 'sms') {
+      throw new Error(`Unsupported notification type: ${data.type}`);
+    }
 
-    const messages = [...this.messageQueue];
-    this.messageQueue = [];
+    const phoneNumber = this.formatPhoneNumber(data.to);
+    if (!phoneNumber) {
+      throw new Error(`Invalid phone number: ${data.to}`);
+    }
 
-    for (const msg of messages) {
-      if (msg.retryCount >= 3) {
-        console.warn(`Max retries reached for queued message`);
-        continue;
+    const parts = Array.isArray(data.message) ? data.message : [data.message];
+    let progress = data;
+    let result = data.partResult;
+    for (let index = data.sentParts || 0; index < parts.length; index++) {
+      result = await this.deliverSms(phoneNumber, parts[index]);
+      if (!result.success) {
+        throw new Error(result.error || 'SMS delivery failed');
       }
-
-      msg.retryCount++;
-      
-      try {
-        if (msg.type === 'sms') {
-          await this.sendSms(msg.data.to, msg.data.message, msg.data.options);
-        }
-      } catch (error) {
-        console.error(`Queue processing failed: ${error.message}`);
-        this.messageQueue.push(msg);
+      if (job) {
+        progress = { ...progress, sentParts: index + 1, partResult: result };
+        await job.update(progress);
       }
     }
+
+    await this.recordNotification(phoneNumber, data.options, result);
+
+    return result;
+  }
+
+  /**
+   * Record an SMS sent about an incident on its timeline, or the send of an alert SMS
+   */
+  async recordNotification(phoneNumber, options = {}, result = {}) {
+    if (options.alertId) {
+      await alertDeliveryService.recordSendResult(options.alertId, phoneNumber, result);
+    }
+
+    if (!options.incidentId || !result.success) return;
+
+    await incidentEventService.record(options.incidentId, 'notification', {
+      to: {
+        channel: 'sms',
+        recipient: phoneNumber,
+        type: options.type,
+        messageId: result.messageId,
+      },
+    });
   }
 
   /**
@@ -292,26 +321,20 @@ class NotificationService {
     const severity = incident.severity?.toUpperCase() || 'MEDIUM';
     const type = incident.incidentType?.replace('_', ' ').toUpperCase() || 'INCIDENT';
     const id = incident.incidentId;
-    const loc = incident.location?.village || incident.location?.lga || 'Unknown';
-    const desc = incident.description?.text?.substring(0, 100) || 'No description';
+    const loc = incident.locationVillage || incident.locationLga ||
+      incident.location?.village || incident.location?.lga || 'Unknown';
+    const descText = incident.descriptionText || incident.description?.text;
+    const desc = descText ? smsEncoding.trim(descText, 100) : 'No description';
+    const slaMinutes = rule.escalation?.slaMinutes || rule.escalationSlaMinutes || incident.escalationSlaMinutes || 60;
     
-    return `ESCALATION ${severity}\n` +
+    // Hausa letters in names and descriptions would make it UCS-2, at 70 characters a segment
+    return smsEncoding.transliterate(`ESCALATION ${severity}\n` +
       `Type: ${type}\n` +
       `ID: ${id}\n` +
       `Location: ${loc}\n` +
       `Desc: ${desc}\n` +
-      `SLA: ${rule.escalation?.slaMinutes || 60}min`;
-  }
-
-  /**
-   * Format alert message
-   */
-  formatAlertMessage(alert) {
-    const type = alert.type?.toUpperCase() || 'ALERT';
-    const severity = alert.severity?.toUpperCase() || 'INFO';
-    const content = alert.content?.english || alert.content?.hausa || '';
-    
-    return `[${type} ${severity}]\n${content.substring(0, 150)}`;
+      `SLA: ${slaMinutes}min\n` +
+      `Reply ACK ${id}`);
   }
 
   /**
@@ -0,0 +1,400 @@
+const { EventEmitter } = require('events');
+const { createClient } = require('redis');
+const Queue = require('bull');
+const config = require('../config');
+
+// Named queues used across the platform
+const QUEUES = {
+  NOTIFICATIONS: 'notifications',
+  ALERT_BROADCASTS: 'alert-broadcasts',
+  INCIDENT_PROCESSING: 'incident-processing',
+  DEAD_LETTER: 'dead-letter',
+};
+
+// Retry/backoff policy per queue
+const JOB_OPTIONS = {
+  [QUEUES.NOTIFICATIONS]: { attempts: 5, backoff: { type: 'exponential', delay: 30000 } },
+  [QUEUES.ALERT_BROADCASTS]: { attempts: 3, backoff: { type: 'exponential', delay: 60000 } },
+  [QUEUES.INCIDENT_PROCESSING]: { attempts: 3, backoff: { type: 'exponential', delay: 5000 } },
+  [QUEUES.DEAD_LETTER]: { attempts: 1 },
+};
+
+const JOB_STATES = ['waiting', 'active', 'delayed', 'completed', 'failed'];
+
+// Longest setTimeout delay; anything over 2^31 - 1 ms (~24.8 days) would fire at once
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+function statusError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * In-process job for the memory fallback (mirrors the parts of Bull's Job we use)
+ */
+class MemoryJob {
+  constructor(queue, id, data, opts) {
+    this.queue = queue;
+    this.id = String(id);
+    this.name = '__default__';
+    this.data = data;
+    this.opts = opts;
+    this.attemptsMade = 0;
+    this.failedReason = null;
+    this.timestamp = Date.now();
+    this.finishedOn = null;
+    this.state = 'waiting';
+    this.dueAt = this.timestamp;
+  }
+
+  async update(data) {
+    this.data = data;
+  }
+
+  async retry() {
+    this.failedReason = null;
+    this.queue.schedule(this, 0);
+  }
+
+  async remove() {
+    this.queue.jobs.delete(this.id);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      data: this.data,
+      opts: this.opts,
+      attemptsMade: this.attemptsMade,
+      failedReason: this.failedReason,
+      timestamp: this.timestamp,
+      finishedOn: this.finishedOn,
+    };
+  }
+}
+
+/**
+ * In-process queue used when Redis is unavailable or SKIP_REDIS=true
+ * Jobs do not survive a restart
+ */
+class MemoryQueue extends EventEmitter {
+  constructor(name, defaultJobOptions = {}) {
+    super();
+    this.name = name;
+    this.defaultJobOptions = defaultJobOptions;
+    this.jobs = new Map();
+    this.nextId = 1;
+    this.handler = null;
+    this.maxCompleted = 100;
+  }
+
+  async add(data, opts = {}) {
+    const job = new MemoryJob(this, this.nextId++, data, { ...this.defaultJobOptions, ...opts });
+    this.jobs.set(job.id, job);
+    this.schedule(job, opts.delay || 0);
+    return job;
+  }
+
+  process(handler) {
+    const armed = Boolean(this.handler);
+    this.handler = handler;
+    if (armed) return;
+    for (const job of this.jobs.values()) {
+      if (job.state === 'waiting' || job.state === 'delayed') this.arm(job);
+    }
+  }
+
+  schedule(job, delay) {
+    job.state = delay > 0 ? 'delayed' : 'waiting';
+    job.dueAt = Date.now() + Math.max(delay, 0);
+    if (!this.handler) return;
+    this.arm(job);
+  }
+
+  /**
+   * Run the job at its dueAt; longer delays than setTimeout takes wait in MAX_TIMEOUT_MS steps
+   */
+  arm(job) {
+    const { dueAt } = job;
+    const remaining = dueAt - Date.now();
+    if (remaining > MAX_TIMEOUT_MS) {
+      // A retry or reschedule in the meantime has armed its own timer
+      setTimeout(() => job.dueAt === dueAt && this.arm(job), MAX_TIMEOUT_MS).unref();
+      return;
+    }
+    setTimeout(() => this.run(job), Math.max(remaining, 0)).unref();
+  }
+
+  async run(job) {
+    if (!this.jobs.has(job.id) || job.state === 'active') return;
+
+    job.state = 'active';
+    try {
+      const result = await this.handler(job);
+      job.state = 'completed';
+      job.finishedOn = Date.now();
+      this.emit('completed', job, result);
+      this.pruneCompleted();
+    } catch (error) {
+      job.attemptsMade++;
+      job.failedReason = error.message;
+
+      const attempts = job.opts.attempts || 1;
+      if (job.attemptsMade < attempts) {
+        this.schedule(job, this.getBackoff(job));
+      } else {
+        job.state = 'failed';
+        job.finishedOn = Date.now();
+        this.emit('failed', job, error);
+      }
+    }
+  }
+
+  getBackoff(job) {
+    const backoff = job.opts.backoff;
+    if (!backoff) return 0;
+    if (backoff.type === 'exponential') {
+      return backoff.delay * Math.pow(2, job.attemptsMade - 1);
+    }
+    return backoff.delay || 0;
+  }
+
+  pruneCompleted() {
+    const completed = [...this.jobs.values()].filter(j => j.state === 'completed');
+    for (const job of completed.slice(0, Math.max(completed.length - this.maxCompleted, 0))) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  async getJob(jobId) {
+    return this.jobs.get(String(jobId)) || null;
+  }
+
+  async getJobs(types = JOB_STATES, start = 0, end = -1) {
+    const jobs = [...this.jobs.values()]
+      .filter(j => types.includes(j.state))
+      .sort((a, b) => b.timestamp - a.timestamp);
+    return jobs.slice(start, end === -1 ? undefined : end + 1);
+  }
+
+  async getJobCounts() {
+    const counts = Object.fromEntries(JOB_STATES.map(state => [state, 0]));
+    for (const job of this.jobs.values()) {
+      counts[job.state]++;
+    }
+    return counts;
+  }
+
+  async close() {
+    this.removeAllListeners();
+  }
+}
+
+class QueueService {
+  constructor() {
+    this.queues = {};
+    this.initialized = false;
+    this.initializing = null;
+    this.backend = null;
+  }
+
+  /**
+   * Initialize queues on Redis (Bull), falling back to in-process queues
+   */
+  async init() {
+    if (this.initialized) return;
+
+    // Concurrent callers share one initialisation
+    if (!this.initializing) {
+      this.initializing = this.createQueues();
+    }
+    await this.initializing;
+  }
+
+  /**
+   * Create every named queue on the selected backend
+   */
+  async createQueues() {
+    const useRedis = process.env.SKIP_REDIS !== 'true' && await this.isRedisAvailable();
+
+    for (const name of Object.values(QUEUES)) {
+      const queue = useRedis
+        ? new Queue(name, {
+          redis: {
+            host: config.redis.host,
+            port: config.redis.port,
+            password: config.redis.password,
+          },
+          prefix: config.queue.prefix,
+          defaultJobOptions: {
+            ...JOB_OPTIONS[name],
+            removeOnComplete: 100,
+            removeOnFail: false,
+          },
+        })
+        : new MemoryQueue(name, JOB_OPTIONS[name]);
+
+      queue.on('error', (error) => {
+        console.error(`Queue ${name} error: ${error.message}`);
+      });
+
+      if (name !== QUEUES.DEAD_LETTER) {
+        queue.on('failed', (job, error) => this.handleFailed(name, job, error));
+      }
+
+      this.queues[name] = queue;
+    }
+
+    this.backend = useRedis ? 'redis' : 'memory';
+    this.initialized = true;
+  }
+
+  /**
+   * Probe Redis once so an unreachable server falls back instead of retrying forever
+   */
+  async isRedisAvailable() {
+    const url = config.redis.password
+      ? `redis://:${config.redis.password}@${config.redis.host}:${config.redis.port}`
+      : `redis://${config.redis.host}:${config.redis.port}`;
+
+    const client = createClient({ url, socket: { reconnectStrategy: false } });
+    client.on('error', () => {});
+
+    try {
+      await client.connect();
+      await client.quit();
+      return true;
+    } catch (error) {
+      console.log('Job queues: Redis not available, using in-process fallback');
+      return false;
+    }
+  }
+
+  /**
+   * Add a job to a named queue
+   */
+  async add(queueName, data, opts = {}) {
+    await this.init();
+    return this.getQueue(queueName).add(data, opts);
+  }
+
+  /**
+   * Register the processor for a named queue
+   */
+  process(queueName, handler) {
+    this.getQueue(queueName).process(handler);
+  }
+
+  /**
+   * Get a queue by name
+   */
+  getQueue(queueName) {
+    const queue = this.queues[queueName];
+    if (!queue) {
+      throw statusError(`Unknown queue: ${queueName}`, 404);
+    }
+    return queue;
+  }
+
+  /**
+   * Move a job that exhausted its retries to the dead-letter queue
+   */
+  async handleFailed(queueName, job, error) {
+    const attempts = job.opts.attempts || 1;
+    if (job.attemptsMade < attempts) return;
+
+    console.error(`Job ${queueName}#${job.id} failed permanently: ${error.message}`);
+
+    try {
+      await this.getQueue(QUEUES.DEAD_LETTER).add({
+        queue: queueName,
+        originalJobId: job.id,
+        data: job.data,
+        failedReason: error.message,
+        attemptsMade: job.attemptsMade,
+        failedAt: new Date().toISOString(),
+      });
+    } catch (dlqError) {
+      console.error(`Failed to dead-letter job ${queueName}#${job.id}: ${dlqError.message}`);
+    }
+  }
+
+  /**
+   * Get job counts for every queue
+   */
+  async getStats() {
+    await this.init();
+
+    const stats = {};
+    for (const [name, queue] of Object.entries(this.queues)) {
+      stats[name] = await queue.getJobCounts();
+    }
+
+    return {
+      backend: this.backend,
+      queues: stats,
+    };
+  }
+
+  /**
+   * List jobs in a queue by state
+   */
+  async getJobs(queueName, status = 'failed', options = {}) {
+    await this.init();
+
+    if (!JOB_STATES.includes(status)) {
+      throw statusError(`Unknown job status: ${status}`, 400);
+    }
+
+    const limit = Math.min(options.limit || 50, 200);
+    const jobs = await this.getQueue(queueName).getJobs([status], 0, limit - 1);
+
+    return jobs.filter(Boolean).map(job => job.toJSON());
+  }
+
+  /**
+   * Replay a dead-lettered job onto its original queue
+   */
+  async replayDeadLetter(jobId) {
+    await this.init();
+
+    const job = await this.getQueue(QUEUES.DEAD_LETTER).getJob(jobId);
+    if (!job) {
+      throw statusError(`Dead-letter job not found: ${jobId}`, 404);
+    }
+
+    const replayed = await this.add(job.data.queue, job.data.data);
+    await job.remove();
+
+    return { queue: job.data.queue, jobId: replayed.id };
+  }
+
+  /**
+   * Retry a failed job in place
+   */
+  async retryFailed(queueName, jobId) {
+    await this.init();
+
+    const job = await this.getQueue(queueName).getJob(jobId);
+    if (!job) {
+      throw statusError(`Job not found: ${queueName}#${jobId}`, 404);
+    }
+
+    await job.retry();
+    return { queue: queueName, jobId: job.id };
+  }
+
+  /**
+   * Close all queues (graceful shutdown)
+   */
+  async close() {
+    await Promise.all(Object.values(this.queues).map(queue => queue.close()));
+  }
+}
+
+const queueService = new QueueService();
+queueService.QUEUES = QUEUES;
+
+module.exports = queueService;
@@ -0,0 +1,123 @@
+const { Op } = require('sequelize');
+const config = require('../config');
+const { Incident } = require('../models');
+const escalationService = require('./escalationService');
+const incidentEventService = require('./incidentEventService');
+
+class SlaWatcherService {
+  constructor() {
+    this.intervalMs = config.escalation.slaCheckIntervalMs;
+    this.timer = null;
+    this.running = false;
+    this.batchSize = 100;
+  }
+
+  /**
+   * Start the periodic SLA check
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.checkBreaches().catch((error) => {
+        console.error(`SLA watcher run failed: ${error.message}`);
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the periodic SLA check
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Find escalated incidents whose SLA expired without acknowledgement
+   */
+  async findBreachedIncidents(now = new Date()) {
+    return Incident.findAll({
+      where: {
+        status: 'escalated',
+        escalationAcknowledgedAt: null,
+        escalationSlaDueAt: { [Op.lte]: now },
+      },
+      order: [['escalationSlaDueAt', 'ASC']],
+      limit: this.batchSize,
+    });
+  }
+
+  /**
+   * Escalate every breached incident one level
+   */
+  async checkBreaches() {
+    // Skip if the previous run is still going
+    if (this.running) {
+      return { skipped: 'already_running' };
+    }
+
+    this.running = true;
+    const results = {
+      checked: 0,
+      escalated: 0,
+      reminded: 0,
+      errors: 0,
+    };
+
+    try {
+      const incidents = await this.findBreachedIncidents();
+
+      for (const incident of incidents) {
+        results.checked++;
+        try {
+          const action = await this.handleBreach(incident);
+          results[action]++;
+        } catch (error) {
+          console.error(`SLA breach handling failed for ${incident.incidentId}:`, error);
+          results.errors++;
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return results;
+  }
+
+  /**
+   * Record the breach and move the incident up one level
+   * At the top level the current assignee is reminded instead
+   */
+  async handleBreach(incident) {
+    const fromLevel = incident.escalationLevel || 0;
+
+    incident.escalationSlaBreachCount = (incident.escalationSlaBreachCount || 0) + 1;
+    incident.escalationLastBreachAt = new Date();
+    await incident.save();
+
+    console.warn(`SLA breach: ${incident.incidentId} at level ${fromLevel}`);
+
+    await incidentEventService.record(incident.incidentId, 'sla_breach', {
+      from: {
+        level: fromLevel,
+        slaDueAt: incident.escalationSlaDueAt,
+        assignee: incidentEventService.getAssignee(incident),
+      },
+      metadata: { breachCount: incident.escalationSlaBreachCount },
+    });
+
+    if (fromLevel >= config.escalation.maxLevel) {
+      await escalationService.remindAssignee(incident, 'sla_breach');
+      return 'reminded';
+    }
+
+    await escalationService.escalateToLevel(incident.incidentId, fromLevel + 1, 'sla_breach');
+    return 'escalated';
+  }
+}
+
+module.exports = new SlaWatcherService();
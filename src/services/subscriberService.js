@@ -0,0 +1,150 @@
+const { Subscriber, SubscriptionEvent } = require('../models');
+const config = require('../config');
+const notificationService = require('./notificationService');
+
+// SMS keywords (first word of the message); STOP must always work for NCC do-not-disturb
+const OPT_OUT_KEYWORDS = ['STOP', 'UNSUBSCRIBE'];
+const OPT_IN_KEYWORDS = ['START', 'SUBSCRIBE'];
+
+class SubscriberService {
+  /**
+   * Subscriber by phone number (any format), or null
+   */
+  async findByPhone(phoneNumber) {
+    const phone = notificationService.formatPhoneNumber(phoneNumber);
+    return phone ? Subscriber.findOne({ where: { phoneNumber: phone } }) : null;
+  }
+
+  /**
+   * Subscribe a phone to alerts for its home area, or change the area of an existing subscription
+   * area: { language, state, lga, ward, latitude, longitude, alertTypes }
+   */
+  async subscribe(phoneNumber, area, { channel, source } = {}) {
+    const phone = this.requirePhone(phoneNumber);
+    const now = new Date();
+    const fields = {
+      language: area.language || config.ussd.defaultLanguage,
+      homeState: area.state || null,
+      homeLga: area.lga || null,
+      homeWard: area.ward || null,
+      homeLatitude: area.latitude ?? null,
+      homeLongitude: area.longitude ?? null,
+      alertTypes: area.alertTypes && area.alertTypes.length > 0 ? area.alertTypes : null,
+      status: 'active',
+      consentedAt: now,
+      consentChannel: channel,
+      optedOutAt: null,
+      optOutChannel: null,
+    };
+
+    let subscriber = await Subscriber.findOne({ where: { phoneNumber: phone } });
+    const eventType = subscriber && subscriber.status === 'active' ? 'updated' : 'subscribed';
+
+    if (subscriber) {
+      await subscriber.update(fields);
+    } else {
+      subscriber = await Subscriber.create({ phoneNumber: phone, ...fields });
+    }
+
+    await this.recordEvent(phone, eventType, channel, source, this.describe(subscriber));
+    return subscriber;
+  }
+
+  /**
+   * Stop all alerts to a phone. The request is recorded even for numbers that never subscribed
+   */
+  async optOut(phoneNumber, { channel, source } = {}) {
+    const phone = this.requirePhone(phoneNumber);
+    const subscriber = await Subscriber.findOne({ where: { phoneNumber: phone } });
+
+    if (subscriber && subscriber.status !== 'opted_out') {
+      await subscriber.update({ status: 'opted_out', optedOutAt: new Date(), optOutChannel: channel });
+    }
+
+    await this.recordEvent(phone, 'opted_out', channel, source, subscriber ? this.describe(subscriber) : {});
+    return subscriber;
+  }
+
+  /**
+   * Resume alerts after an opt-out; a new number is subscribed without a home area
+   */
+  async optIn(phoneNumber, { channel, source, language } = {}) {
+    const phone = this.requirePhone(phoneNumber);
+    let subscriber = await Subscriber.findOne({ where: { phoneNumber: phone } });
+    const fields = {
+      status: 'active',
+      consentedAt: new Date(),
+      consentChannel: channel,
+      optedOutAt: null,
+      optOutChannel: null,
+    };
+
+    if (subscriber) {
+      await subscriber.update(fields);
+    } else {
+      subscriber = await Subscriber.create({
+        phoneNumber: phone,
+        language: language || config.ussd.defaultLanguage,
+        ...fields,
+      });
+    }
+
+    await this.recordEvent(phone, 'opted_in', channel, source, this.describe(subscriber));
+    return subscriber;
+  }
+
+  /**
+   * 'opt_out', 'opt_in' or null for an inbound SMS
+   */
+  parseKeyword(text) {
+    const first = (text || '').trim().split(/\s+/)[0].replace(/[.!]+$/, '').toUpperCase();
+    if (OPT_OUT_KEYWORDS.includes(first)) return 'opt_out';
+    if (OPT_IN_KEYWORDS.includes(first)) return 'opt_in';
+    return null;
+  }
+
+  /**
+   * Subscriber and every consent/opt-out event for a phone, oldest first
+   */
+  async getConsentHistory(phoneNumber) {
+    const phone = this.requirePhone(phoneNumber);
+    const [subscriber, events] = await Promise.all([
+      Subscriber.findOne({ where: { phoneNumber: phone } }),
+      SubscriptionEvent.findAll({
+        where: { phoneNumber: phone },
+        order: [['createdAt', 'ASC']],
+      }),
+    ]);
+
+    return { phoneNumber: phone, subscriber, events };
+  }
+
+  async recordEvent(phoneNumber, eventType, channel, source, details) {
+    return SubscriptionEvent.create({ phoneNumber, eventType, channel, source, details });
+  }
+
+  describe(subscriber) {
+    return {
+      status: subscriber.status,
+      language: subscriber.language,
+      homeState: subscriber.homeState,
+      homeLga: subscriber.homeLga,
+      homeWard: subscriber.homeWard,
+      alertTypes: subscriber.alertTypes,
+    };
+  }
+
+  requirePhone(phoneNumber) {
+    const phone = notificationService.formatPhoneNumber(phoneNumber);
+    if (!phone) {
+      throw new Error(`Invalid phone number: ${phoneNumber}`);
+    }
+    return phone;
+  }
+}
+
+const subscriberService = new SubscriberService();
+subscriberService.OPT_OUT_KEYWORDS = OPT_OUT_KEYWORDS;
+subscriberService.OPT_IN_KEYWORDS = OPT_IN_KEYWORDS;
+
+module.exports = subscriberService;
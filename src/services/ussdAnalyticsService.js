@@ -0,0 +1,217 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../models');
+const ussdFlowService = require('./ussdFlowService');
+
+// Session states that mean the caller went away
+const ABANDONED_STATES = { timeout: 'timeouts', terminated: 'hangUps' };
+
+// Sessions in the period, each with its screen history. Sessions recorded before screen
+// history was kept only have their final screen
+const SESSIONS_SQL = `
+  sessions AS (
+    SELECT id, state, last_state, incident_created, provider, operator, invalid_inputs,
+      CASE WHEN jsonb_array_length(COALESCE(step_history, '[]'::jsonb)) > 0 THEN step_history
+        ELSE jsonb_build_array(jsonb_build_object('state', COALESCE(last_state, state)))
+      END AS history
+    FROM ussd_sessions
+    WHERE started_at BETWEEN :from AND :to AND demo = false
+      AND (CAST(:provider AS text) IS NULL OR provider = :provider)
+  )`;
+
+// Sessions by provider, operator, furthest funnel stage reached (-1 for none) and whether
+// they filed a report
+const OUTCOMES_SQL = `
+  WITH ${SESSIONS_SQL},
+  furthest AS (
+    SELECT s.id, s.provider, s.operator, s.incident_created,
+      COALESCE(MAX(CAST(CAST(:stageIndex AS jsonb) ->> (step ->> 'state') AS integer)), -1) AS furthest
+    FROM sessions s
+    CROSS JOIN LATERAL jsonb_array_elements(s.history) AS step
+    GROUP BY s.id, s.provider, s.operator, s.incident_created
+  )
+  SELECT provider, operator, furthest, incident_created AS "incidentCreated", COUNT(*)::int AS sessions
+  FROM furthest
+  GROUP BY provider, operator, furthest, incident_created`;
+
+// Visits per screen and the median seconds before the caller answered it
+const VISITS_SQL = `
+  WITH ${SESSIONS_SQL},
+  steps AS (
+    SELECT s.id, e.n, e.step ->> 'state' AS state, CAST(e.step ->> 'at' AS timestamptz) AS at
+    FROM sessions s
+    CROSS JOIN LATERAL jsonb_array_elements(s.history) WITH ORDINALITY AS e(step, n)
+  ),
+  answered AS (
+    SELECT state, at, LEAD(at) OVER (PARTITION BY id ORDER BY n) AS next_at
+    FROM steps
+  )
+  SELECT state, COUNT(*)::int AS visits,
+    percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM next_at - at)) AS "medianSeconds"
+  FROM answered
+  GROUP BY state`;
+
+// Timed-out and hung-up sessions by the screen they were left on
+const ABANDONED_SQL = `
+  WITH ${SESSIONS_SQL}
+  SELECT last_state AS state, state AS "endState", COUNT(*)::int AS sessions
+  FROM sessions
+  WHERE state IN (:abandonedStates)
+  GROUP BY last_state, state`;
+
+// Invalid entries per screen
+const INVALID_SQL = `
+  WITH ${SESSIONS_SQL}
+  SELECT e.key AS state, SUM(CAST(e.value AS integer))::int AS count
+  FROM sessions s
+  CROSS JOIN LATERAL jsonb_each_text(COALESCE(s.invalid_inputs, '{}'::jsonb)) AS e
+  GROUP BY e.key`;
+
+class UssdAnalyticsService {
+  /**
+   * Funnel report for USSD sessions started in a period (demo sessions excluded)
+   * Sessions still held in Redis are counted once they are written to the database.
+   * Sessions are aggregated in the database; only grouped counts come back
+   */
+  async getFunnel({ from, to = new Date(), provider } = {}) {
+    const replacements = {
+      from,
+      to,
+      provider: provider || null,
+      stageIndex: JSON.stringify(this.getStageIndex()),
+      abandonedStates: Object.keys(ABANDONED_STATES),
+    };
+    const select = sql => sequelize.query(sql, { replacements, type: QueryTypes.SELECT });
+
+    const [outcomes, visits, abandoned, invalid] = await Promise.all([
+      select(OUTCOMES_SQL),
+      select(VISITS_SQL),
+      select(ABANDONED_SQL),
+      select(INVALID_SQL),
+    ]);
+
+    return this.buildReport({ outcomes, visits, abandoned, invalid });
+  }
+
+  /**
+   * Funnel stage position of every screen that belongs to a stage: { state: index }
+   */
+  getStageIndex() {
+    const stages = ussdFlowService.FUNNEL_STAGES;
+    const index = {};
+    Object.keys(ussdFlowService.load().nodes).forEach((state) => {
+      const stage = ussdFlowService.getStage(state);
+      if (stage) index[state] = stages.indexOf(stage);
+    });
+    return index;
+  }
+
+  /**
+   * Turn the grouped rows into:
+   *   funnel    sessions that reached each stage (or a later one) and the drop-off after it
+   *   screens   per screen: visits, median seconds before the caller answered, timeouts,
+   *             hang-ups and invalid entries
+   *   providers / operators   report completion by where the session came in
+   */
+  buildReport({ outcomes = [], visits = [], abandoned = [], invalid = [] }) {
+    const stages = ussdFlowService.FUNNEL_STAGES;
+    const reached = stages.map(() => 0);
+    const screens = {};
+    const providers = {};
+    const operators = {};
+    let started = 0;
+    let submitted = 0;
+
+    outcomes.forEach((row) => {
+      const count = Number(row.sessions);
+      started += count;
+      for (let i = 0; i <= row.furthest; i++) reached[i] += count;
+      if (row.incidentCreated) submitted += count;
+
+      // A report is under way once the caller picks a category
+      const reporting = row.furthest >= stages.indexOf('category');
+      this.countCompletion(providers, row.provider || 'unknown', count, reporting, row.incidentCreated);
+      this.countCompletion(operators, row.operator || 'unknown', count, reporting, row.incidentCreated);
+    });
+
+    visits.forEach((row) => {
+      const screen = this.getScreen(screens, row.state);
+      screen.visits += Number(row.visits);
+      screen.medianSeconds = row.medianSeconds == null ? null : Math.round(Number(row.medianSeconds));
+    });
+
+    abandoned.forEach((row) => {
+      this.getScreen(screens, row.state || 'unknown')[ABANDONED_STATES[row.endState]] += Number(row.sessions);
+    });
+
+    invalid.forEach((row) => {
+      this.getScreen(screens, row.state).invalidInputs += Number(row.count);
+    });
+
+    const funnel = stages.map((stage, index) => {
+      const nextCount = index + 1 < stages.length ? reached[index + 1] : submitted;
+      return {
+        stage,
+        sessions: reached[index],
+        rate: this.percentage(reached[index], started),
+        dropOff: reached[index] - nextCount,
+      };
+    });
+    funnel.push({ stage: 'submitted', sessions: submitted, rate: this.percentage(submitted, started), dropOff: 0 });
+
+    return {
+      started,
+      submitted,
+      funnel,
+      screens: this.sortScreens(Object.values(screens)),
+      providers: this.completionRows(providers),
+      operators: this.completionRows(operators),
+    };
+  }
+
+  getScreen(screens, state) {
+    if (!screens[state]) {
+      screens[state] = {
+        state,
+        stage: ussdFlowService.getStage(state),
+        visits: 0,
+        timeouts: 0,
+        hangUps: 0,
+        invalidInputs: 0,
+        medianSeconds: null,
+      };
+    }
+    return screens[state];
+  }
+
+  countCompletion(groups, key, count, reporting, submitted) {
+    if (!groups[key]) groups[key] = { sessions: 0, reports: 0, submitted: 0 };
+    groups[key].sessions += count;
+    if (reporting) groups[key].reports += count;
+    if (submitted) groups[key].submitted += count;
+  }
+
+  completionRows(groups) {
+    return Object.entries(groups)
+      .map(([name, counts]) => ({
+        name,
+        ...counts,
+        completionRate: this.percentage(counts.submitted, counts.reports),
+      }))
+      .sort((a, b) => b.sessions - a.sessions || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Funnel screens first, in stage order, then everything else by visits
+   */
+  sortScreens(screens) {
+    const stages = ussdFlowService.FUNNEL_STAGES;
+    const order = screen => (screen.stage ? stages.indexOf(screen.stage) : stages.length);
+    return screens.sort((a, b) => order(a) - order(b) || b.visits - a.visits || a.state.localeCompare(b.state));
+  }
+
+  percentage(count, total) {
+    return total > 0 ? Math.round((count / total) * 100) : 0;
+  }
+}
+
+module.exports = new UssdAnalyticsService();
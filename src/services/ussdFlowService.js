@@ -0,0 +1,236 @@
+const fs = require('fs');
+const config = require('../config');
+const messageCatalogService = require('./messageCatalogService');
+
+// Node types the USSD engine can run
+const NODE_TYPES = ['menu', 'input', 'picker'];
+
+// Code hooks a flow may call (implemented in ussdService)
+const ACTIONS = ['readAlerts', 'changeLanguage', 'lookupStatus', 'submitReport', 'subscribeAlerts', 'unsubscribeAlerts'];
+
+// Data sources for picker nodes
+const PICKER_SOURCES = ['location'];
+
+// Reporting funnel stages, in order; nodes name theirs with "stage"
+const FUNNEL_STAGES = ['main_menu', 'category', 'severity', 'location', 'description', 'consent', 'confirmation'];
+
+class UssdFlowService {
+  constructor() {
+    this.flow = null;
+    this.maxMessageLength = config.ussd.maxMessageLength;
+  }
+
+  /**
+   * Load and validate the flow definition (once)
+   * Format: { start, nodes: { id: { type, prompt, options, next, ... } } }, see src/data/ussdFlow.json
+   * Throws an error listing every problem if the flow is invalid
+   */
+  load() {
+    if (this.flow) return this.flow;
+
+    const flow = JSON.parse(fs.readFileSync(config.ussd.flowPath, 'utf8'));
+    const errors = this.validate(flow);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid USSD flow (${errors.length} problems): ${errors.join('; ')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    this.flow = flow;
+    return this.flow;
+  }
+
+  /**
+   * Id of the node every new report starts from
+   */
+  getStartNode() {
+    return this.load().start;
+  }
+
+  /**
+   * Node definition by id, or null
+   */
+  getNode(nodeId) {
+    return this.load().nodes[nodeId] || null;
+  }
+
+  /**
+   * Whether a session state is a node of the flow
+   */
+  isNode(nodeId) {
+    return Boolean(this.getNode(nodeId));
+  }
+
+  /**
+   * Funnel stage of a node, or null for nodes outside the reporting funnel
+   */
+  getStage(nodeId) {
+    const node = this.getNode(nodeId);
+    return (node && node.stage) || null;
+  }
+
+  /**
+   * Screen text for a menu or input node: prompt, then numbered options
+   */
+  renderNode(node, language, params = {}) {
+    const lines = [messageCatalogService.get(language, node.prompt, params)];
+    (node.options || []).forEach((option, index) => {
+      lines.push(`${index + 1}. ${messageCatalogService.get(language, option.label, params)}`);
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Check a flow definition; returns a list of problems (empty when valid)
+   */
+  validate(flow) {
+    const errors = [];
+    const nodes = (flow && flow.nodes) || {};
+    const nodeIds = Object.keys(nodes);
+
+    if (nodeIds.length === 0) {
+      return ['flow has no nodes'];
+    }
+    if (!nodes[flow.start]) {
+      errors.push(`start node "${flow.start}" does not exist`);
+    }
+
+    const checkTarget = (nodeId, field, target) => {
+      if (target !== undefined && !nodes[target]) {
+        errors.push(`${nodeId}: ${field} points to unknown node "${target}"`);
+      }
+    };
+    const checkMessage = (nodeId, key) => {
+      if (!key || !messageCatalogService.has(messageCatalogService.FALLBACK_LANGUAGE, key)) {
+        errors.push(`${nodeId}: message "${key}" is missing from the ${messageCatalogService.FALLBACK_LANGUAGE} catalog`);
+      }
+    };
+    const checkField = (nodeId, field) => {
+      if (!/^data[A-Z]\w*$/.test(field)) {
+        errors.push(`${nodeId}: can only store into session data fields, not "${field}"`);
+      }
+    };
+
+    nodeIds.forEach((nodeId) => {
+      const node = nodes[nodeId];
+
+      if (!NODE_TYPES.includes(node.type)) {
+        errors.push(`${nodeId}: unknown node type "${node.type}"`);
+        return;
+      }
+      if (node.stage !== undefined && !FUNNEL_STAGES.includes(node.stage)) {
+        errors.push(`${nodeId}: unknown funnel stage "${node.stage}"`);
+      }
+
+      if (node.type === 'picker') {
+        if (!PICKER_SOURCES.includes(node.source)) {
+          errors.push(`${nodeId}: unknown picker source "${node.source}"`);
+        }
+        if (!node.next) errors.push(`${nodeId}: picker needs a next node`);
+        checkTarget(nodeId, 'next', node.next);
+        checkTarget(nodeId, 'back', node.back);
+        return;
+      }
+
+      checkMessage(nodeId, node.prompt);
+
+      if (node.type === 'input') {
+        if (node.store) checkField(nodeId, node.store);
+        if (!node.next && !node.action) errors.push(`${nodeId}: input needs a next node or an action`);
+        if (node.action && !ACTIONS.includes(node.action)) {
+          errors.push(`${nodeId}: unknown action "${node.action}"`);
+        }
+        checkTarget(nodeId, 'next', node.next);
+        if (node.validation && node.validation.pattern) {
+          try {
+            new RegExp(node.validation.pattern);
+          } catch (error) {
+            errors.push(`${nodeId}: invalid validation pattern (${error.message})`);
+          }
+        }
+        this.checkLength(nodeId, node, errors);
+        return;
+      }
+
+      // Menu
+      if (!Array.isArray(node.options) || node.options.length === 0) {
+        errors.push(`${nodeId}: menu has no options`);
+        return;
+      }
+      if (node.defaultOption !== undefined &&
+          !(node.defaultOption >= 1 && node.defaultOption <= node.options.length)) {
+        errors.push(`${nodeId}: defaultOption ${node.defaultOption} is not an option`);
+      }
+
+      node.options.forEach((option, index) => {
+        const where = `${nodeId} option ${index + 1}`;
+        checkMessage(where, option.label);
+        if (Boolean(option.next) === Boolean(option.action)) {
+          errors.push(`${where}: needs exactly one of next or action`);
+        }
+        if (option.action && !ACTIONS.includes(option.action)) {
+          errors.push(`${where}: unknown action "${option.action}"`);
+        }
+        checkTarget(where, 'next', option.next);
+        Object.keys(option.set || {}).forEach(field => checkField(where, field));
+      });
+
+      this.checkLength(nodeId, node, errors);
+    });
+
+    this.findUnreachable(flow).forEach((nodeId) => {
+      errors.push(`${nodeId}: unreachable from start node "${flow.start}"`);
+    });
+
+    return errors;
+  }
+
+  /**
+   * Every option and screen must fit one USSD message in every language
+   */
+  checkLength(nodeId, node, errors) {
+    messageCatalogService.LANGUAGES.forEach((language) => {
+      (node.options || []).forEach((option, index) => {
+        const text = `${index + 1}. ${messageCatalogService.get(language, option.label)}`;
+        if (text.length > this.maxMessageLength) {
+          errors.push(`${nodeId} option ${index + 1}: ${language} text is ${text.length} characters (max ${this.maxMessageLength})`);
+        }
+      });
+
+      const screen = this.renderNode(node, language);
+      if (screen.length > this.maxMessageLength) {
+        errors.push(`${nodeId}: ${language} screen is ${screen.length} characters (max ${this.maxMessageLength})`);
+      }
+    });
+  }
+
+  /**
+   * Node ids that no path from the start node leads to
+   */
+  findUnreachable(flow) {
+    const nodes = flow.nodes || {};
+    const reached = new Set();
+    const queue = nodes[flow.start] ? [flow.start] : [];
+
+    while (queue.length > 0) {
+      const nodeId = queue.shift();
+      if (reached.has(nodeId)) continue;
+      reached.add(nodeId);
+
+      const node = nodes[nodeId];
+      const targets = [node.next, node.back, ...(node.options || []).map(option => option.next)];
+      targets.filter(target => target && nodes[target] && !reached.has(target))
+        .forEach(target => queue.push(target));
+    }
+
+    return Object.keys(nodes).filter(nodeId => !reached.has(nodeId));
+  }
+}
+
+const ussdFlowService = new UssdFlowService();
+ussdFlowService.NODE_TYPES = NODE_TYPES;
+ussdFlowService.ACTIONS = ACTIONS;
+ussdFlowService.PICKER_SOURCES = PICKER_SOURCES;
+ussdFlowService.FUNNEL_STAGES = FUNNEL_STAGES;
+
+module.exports = ussdFlowService;
@@ -0,0 +1,203 @@
+const config = require('../config');
+const cellTowerService = require('./cellTowerService');
+
+/**
+ * Session-end status from a provider callback mapped onto a session state, or null
+ */
+function callbackState(status) {
+  const value = String(status || '').toLowerCase();
+  if (value === 'timeout') return 'timeout';
+  if (['terminated', 'aborted', 'cancelled'].includes(value)) return 'terminated';
+  return null;
+}
+
+/**
+ * USSD provider adapters
+ *
+ * Every adapter implements:
+ *   type                              'text' (CON/END body) or 'json'
+ *   detect(body)                      whether a webhook payload looks like this provider's
+ *   parseRequest(body)                { sessionId, phoneNumber, input, serviceCode, operator, telco }
+ *   parseTelco(body)                  serving cell { cellTowerId, lac, mcc, mnc } where sent
+ *   formatResponse(message, isEnd, sessionId)
+ *   parseCallback(body)               { sessionId, state } for a session-end notification
+ *
+ * input is only the caller's latest entry ('' on the first screen of a session).
+ */
+const ADAPTERS = {
+  // Form-encoded; text is every entry of the session joined by '*' (e.g. '1*2*Kano')
+  africastalking: {
+    type: 'text',
+    detect: body => body.sessionId !== undefined && body.phoneNumber !== undefined && body.text !== undefined,
+    parseRequest(body) {
+      return {
+        sessionId: body.sessionId,
+        phoneNumber: body.phoneNumber,
+        input: String(body.text || '').split('*').pop(),
+        serviceCode: body.serviceCode || config.ussd.shortCode,
+        operator: body.operator,
+        telco: this.parseTelco(body),
+      };
+    },
+    parseTelco: body => ({
+      ...cellTowerService.parseNetworkCode(body.networkCode),
+      cellTowerId: body.cellId,
+      lac: body.lac,
+    }),
+    formatResponse: (message, isEnd) => `${isEnd ? 'END' : 'CON'} ${message}`,
+    parseCallback: body => ({ sessionId: body.sessionId, state: callbackState(body.status) }),
+  },
+
+  // JSON; ussd_text is the latest entry only
+  hub2: {
+    type: 'json',
+    detect: body => body.session_id !== undefined && body.msisdn !== undefined,
+    parseRequest(body) {
+      return {
+        sessionId: body.session_id,
+        phoneNumber: body.msisdn,
+        input: body.ussd_text || '',
+        serviceCode: body.service_code || config.ussd.shortCode,
+        operator: body.operator_name,
+        telco: this.parseTelco(body),
+      };
+    },
+    parseTelco: body => ({
+      cellTowerId: body.cell_id,
+      lac: body.lac,
+      mcc: body.mcc,
+      mnc: body.mnc,
+    }),
+    formatResponse: (message, isEnd, sessionId) => ({
+      ussd_response: {
+        SESSIONID: sessionId,
+        MENU: message,
+        ACTION: isEnd ? 0 : 1,
+      },
+    }),
+    parseCallback: body => ({ sessionId: body.session_id, state: callbackState(body.status) }),
+  },
+
+  // Twilio-style gateways (PascalCase fields, CON/END body); UserInput is the latest entry only
+  twilio: {
+    type: 'text',
+    detect: body => body.SessionId !== undefined && body.MobileNumber !== undefined,
+    parseRequest(body) {
+      return {
+        sessionId: body.SessionId,
+        phoneNumber: body.MobileNumber,
+        input: body.UserInput || '',
+        serviceCode: body.ServiceCode || config.ussd.shortCode,
+        operator: body.Operator,
+        telco: this.parseTelco(body),
+      };
+    },
+    parseTelco: body => ({
+      ...cellTowerService.parseNetworkCode(body.NetworkCode),
+      cellTowerId: body.CellId,
+      lac: body.Lac,
+    }),
+    formatResponse: (message, isEnd) => `${isEnd ? 'END' : 'CON'} ${message}`,
+    parseCallback: body => ({ sessionId: body.SessionId, state: callbackState(body.Status) }),
+  },
+
+  // Our own JSON format for aggregators without a dedicated adapter
+  generic: {
+    type: 'json',
+    detect: body => body.sessionId !== undefined && body.phoneNumber !== undefined && body.input !== undefined,
+    parseRequest(body) {
+      return {
+        sessionId: body.sessionId,
+        phoneNumber: body.phoneNumber,
+        input: body.input || '',
+        serviceCode: body.serviceCode || config.ussd.shortCode,
+        operator: body.operator,
+        telco: this.parseTelco(body),
+      };
+    },
+    parseTelco: (body) => {
+      const cell = body.cell || {};
+      return {
+        cellTowerId: cell.cellId,
+        lac: cell.lac,
+        mcc: cell.mcc,
+        mnc: cell.mnc,
+      };
+    },
+    formatResponse: (message, isEnd, sessionId) => ({
+      sessionId,
+      response: isEnd ? 'end' : 'continue',
+      message,
+    }),
+    parseCallback: body => ({ sessionId: body.sessionId, state: callbackState(body.status) }),
+  },
+};
+
+// Earlier configs named the Twilio-style format 'default'
+const ALIASES = { default: 'twilio' };
+
+class UssdProviderService {
+  constructor() {
+    this.adapters = { ...ADAPTERS };
+  }
+
+  /**
+   * Add (or replace) an adapter; it is served on /api/v1/ussd/<name>
+   */
+  register(name, adapter) {
+    this.adapters[name] = adapter;
+  }
+
+  /**
+   * Registered provider names
+   */
+  getNames() {
+    return Object.keys(this.adapters);
+  }
+
+  /**
+   * Adapter by name, or null
+   */
+  get(name) {
+    return this.adapters[ALIASES[name] || name] || null;
+  }
+
+  /**
+   * Name of the first adapter that recognises the payload, or null
+   */
+  detect(body = {}) {
+    return this.getNames().find(name => this.adapters[name].detect(body)) || null;
+  }
+
+  /**
+   * Provider for the shared webhook: the configured one, or detected from the payload
+   * when USSD_PROVIDER is 'auto' (or names no adapter)
+   */
+  resolve(body) {
+    const configured = config.ussd.provider;
+    if (configured !== 'auto' && this.get(configured)) {
+      return ALIASES[configured] || configured;
+    }
+    return this.detect(body);
+  }
+
+  /**
+   * Provider response as { type, body } ready to send
+   */
+  formatResponse(name, message, isEnd, sessionId) {
+    const adapter = this.get(name);
+    return { type: adapter.type, body: adapter.formatResponse(message, isEnd, sessionId) };
+  }
+
+  /**
+   * Error response in the provider's format: END screen for text providers, { error } for JSON
+   */
+  formatError(name, message) {
+    const adapter = this.get(name);
+    return adapter && adapter.type === 'text'
+      ? { type: 'text', body: `END ${message}` }
+      : { type: 'json', body: { error: message } };
+  }
+}
+
+module.exports = new UssdProviderService();
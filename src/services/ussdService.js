@@ -1,36 +1,81 @@
 const { v4: uuidv4 } = require('uuid');
 const { Op } = require('sequelize');
 const config = require('../config');
-const { UssdSession, Incident, Alert } = require('../models');
-const { sequelize } = require('../models/database'); // assuming sequelize instance is exported
-
-// Simple in‑memory cache for alerts (use Redis in production)
+const { UssdProfile, Incident, Alert } = require('../models');
+const gazetteerService = require('./gazetteerService');
+const cellTowerService = require('./cellTowerService');
+const messageCatalogService = require('./messageCatalogService');
+const notificationService = require('./notificationService');
+const ussdSessionStoreService = require('./ussdSessionStoreService');
+const ussdFlowService = require('./ussdFlowService');
+const subscriberService = require('./subscriberService');
+const alertDeliveryService = require('./alertDeliveryService');
+const smsEncoding = require('../utils/smsEncoding');
+
+// Simple in‑memory cache for alerts per language (use Redis in production)
 const alertCache = {
-  data: null,
-  timestamp: 0,
+  data: {},
+  timestamp: {},
   ttl: 30000, // 30 seconds
 };
 
+// Navigation inputs for paginated pickers
+const NAV = {
+  MORE: '98',
+  SKIP: '99',
+  BACK: '0',
+};
+
+// Incident IDs as typed on a keypad: INC-1A2B3C4D, INC1A2B3C4D or just 1A2B3C4D
+const INCIDENT_ID_PATTERN = /^(?:INC-?)?([A-Z0-9]{8})$/;
+
+// Flow actions (ussdFlowService.ACTIONS) -> handler methods
+const FLOW_ACTIONS = {
+  readAlerts: 'readAlerts',
+  changeLanguage: 'changeLanguage',
+  lookupStatus: 'handleStatusLookup',
+  submitReport: 'submitReport',
+  subscribeAlerts: 'subscribeAlerts',
+  unsubscribeAlerts: 'unsubscribeAlerts',
+};
+
+// "1. Continue previous report / 2. Start new" (rendered like a flow menu)
+const RESUME_MENU = {
+  prompt: 'resumePrompt',
+  options: [{ label: 'resumeContinue' }, { label: 'resumeStartNew' }],
+};
+
+// Shown instead of a real incident ID when a demonstration session submits
+const DEMO_INCIDENT_ID = 'INC-DEMO0000';
+
+// Prompt key per location picker level
+const LOCATION_PROMPTS = {
+  state: 'locationState',
+  lga: 'locationLga',
+  ward: 'locationWard',
+};
+
 class UssdGateway {
   constructor() {
-    this.menus = config.ussdMenus;
     this.sessionTimeout = config.ussd.sessionTimeoutMs;
     this.provider = config.ussd.provider || 'africastalking';
-    this.maxMessageLength = config.ussd.maxMessageLength || 182; // Configurable
+    this.maxMessageLength = config.ussd.maxMessageLength;
   }
 
   /**
    * Handle incoming USSD request
    */
   async handleRequest(params) {
-    const { sessionId, phoneNumber, input, serviceCode, operator, provider } = params;
+    const { sessionId, phoneNumber, input, serviceCode, operator, provider, telco, language, demo } = params;
 
-    // Find or create session
-    let session = await UssdSession.findOne({ where: { sessionId } });
+    // Find or create session (Redis when available, otherwise the database)
+    let session = await ussdSessionStoreService.find(sessionId);
     if (!session) {
-      session = await this.createSession(sessionId, phoneNumber);
+      session = await this.createSession(sessionId, phoneNumber, { provider, serviceCode, operator, language, demo });
     }
 
+    this.captureTelcoMetadata(session, telco);
+
     // Check for timeout
     if (this.isSessionExpired(session)) {
       await this.endSession(session, 'timeout');
@@ -38,47 +83,84 @@ class UssdGateway {
     }
 
     // Process input
+    const previousState = session.state;
     const response = await this.processInput(session, input);
 
-    // Update session only if changed
-    if (session.changed()) {
-      session.lastActivityAt = new Date();
-      await session.save();
+    // Screen history for the funnel report
+    if (session.state !== previousState) {
+      session.stepHistory = [...(session.stepHistory || []), { state: session.state, at: new Date() }];
+    }
+
+    // An END screen closes the session on the handset
+    if (response.response === 'end' && !ussdSessionStoreService.TERMINAL_STATES.includes(session.state)) {
+      session.state = 'completed';
+    }
+    if (ussdSessionStoreService.TERMINAL_STATES.includes(session.state) && !session.endedAt) {
+      session.lastState = previousState;
+      session.endedAt = new Date();
     }
 
+    session.lastActivityAt = new Date();
+    await ussdSessionStoreService.save(session);
+
     return response;
   }
 
   /**
    * Create new USSD session
+   * First-time callers start on the language menu; returning callers get their saved language.
+   * A caller whose last session dropped mid-report is offered to continue it.
+   * source.language (from the simulator) skips the language menu; source.demo marks a
+   * demonstration session that files no report, saves no preferences and, since its phone
+   * number is whatever the emulator sent, reads no saved language or unfinished report
    */
-  async createSession(sessionId, phoneNumber) {
-    return UssdSession.create({
+  async createSession(sessionId, phoneNumber, source = {}) {
+    const profile = source.demo ? null : await UssdProfile.findOne({ where: { phoneNumber } });
+    const previous = source.demo ? null : await this.findResumableSession(phoneNumber, sessionId);
+    const language = messageCatalogService.isSupported(source.language) ? source.language : null;
+
+    let state = profile || language ? ussdFlowService.getStartNode() : 'language_selection';
+    if (previous) state = 'resume_prompt';
+
+    return ussdSessionStoreService.create({
       sessionId,
       phoneNumber,
-      language: 'hausa', // Default; could be derived from phone number prefix
-      state: 'main_menu',
+      provider: source.provider || this.provider,
+      serviceCode: source.serviceCode,
+      operator: source.operator,
+      demo: Boolean(source.demo),
+      language: language || (profile ? profile.language : (previous?.language || config.ussd.defaultLanguage)),
+      state,
+      resumeFromSessionId: previous ? previous.sessionId : null,
       currentStep: 0,
+      stepHistory: [{ state, at: new Date() }],
       startedAt: new Date(),
       lastActivityAt: new Date(),
     });
   }
 
+  /**
+   * Keep the latest serving cell reported by the provider on the session
+   */
+  captureTelcoMetadata(session, telco = {}) {
+    if (telco.cellTowerId) session.dataLocationCellTowerId = String(telco.cellTowerId);
+    if (telco.lac) session.dataLocationCellTowerLac = String(telco.lac);
+    if (telco.mcc) session.dataLocationCellTowerMcc = String(telco.mcc);
+    if (telco.mnc) session.dataLocationCellTowerMnc = String(telco.mnc);
+  }
+
   /**
    * Map state names to handler methods
+   * Flow nodes run on the generic engine; the rest are built-in screens
    */
   getHandler(state) {
     const handlers = {
-      'main_menu': this.handleMainMenu,
-      'incident_category': this.handleIncidentCategory,
-      'severity_selection': this.handleSeveritySelection,
-      'location_selection': this.handleLocationSelection,
-      'description': this.handleDescription,
-      'callback_consent': this.handleCallbackConsent,
-      'confirmation': this.handleConfirmation,
-      'completed': this.handleMainMenu, // Restart on completed session
+      'language_selection': this.handleLanguageSelection,
+      'resume_prompt': this.handleResumePrompt,
+      'completed': this.handleCompleted,
     };
-    return handlers[state] || this.handleInvalidState;
+    if (handlers[state]) return handlers[state];
+    return ussdFlowService.isNode(state) ? this.runNode : this.handleInvalidState;
   }
 
   /**
@@ -89,7 +171,7 @@ class UssdGateway {
 
     // Basic input validation: length limit (typical USSD max 160)
     if (normalizedInput.length > 160) {
-      return this.getMenuResponse(session, 'invalid');
+      return this.invalidInput(session);
     }
 
     const handler = this.getHandler(session.state);
@@ -100,186 +182,567 @@ class UssdGateway {
    * Fallback handler for unknown state
    */
   async handleInvalidState(session, input) {
-    session.state = 'main_menu';
-    return this.getMenuResponse(session, 'welcome');
+    return this.enterNode(session, ussdFlowService.getStartNode());
+  }
+
+  /**
+   * A new request on a completed session starts again from the first menu
+   */
+  async handleCompleted(session, input) {
+    session.state = ussdFlowService.getStartNode();
+    return this.runNode(session, input);
   }
 
   /**
-   * Handle main menu selection
+   * Run the current flow node against the caller's input
    */
-  async handleMainMenu(session, input) {
-    const menu = this.getLocalizedMenu(session.language);
+  async runNode(session, input) {
+    const node = ussdFlowService.getNode(session.state);
+
+    if (node.type === 'picker') {
+      return this.handleLocationSelection(session, input, node);
+    }
 
+    // Empty input (the first screen of a session) shows the node again
     if (input === '') {
-      return this.continueResponse(menu.welcome);
+      return this.renderNode(session);
     }
 
+    return node.type === 'input'
+      ? this.handleInputNode(session, input, node)
+      : this.handleMenuNode(session, input, node);
+  }
+
+  /**
+   * Menu node: numbered choice, falling back to the node's default option if set
+   */
+  async handleMenuNode(session, input, node) {
     const choice = parseInt(input, 10);
+    const option = node.options[choice - 1] ||
+      (node.defaultOption ? node.options[node.defaultOption - 1] : null);
+
+    if (!option) {
+      return this.invalidInput(session);
+    }
+    if (option !== node.options[choice - 1]) {
+      this.countInvalidInput(session);
+    }
+
+    Object.entries(option.set || {}).forEach(([field, value]) => {
+      session[field] = value;
+    });
 
-    switch (choice) {
-      case 1: // Report suspicious activity
-        session.state = 'incident_category';
-        session.dataIncidentType = 'suspicious_activity';
-        return this.continueResponse(menu.suspiciousActivity);
+    return option.action
+      ? this.runAction(session, option.action, input)
+      : this.enterNode(session, option.next);
+  }
 
-      case 2: // Report incident in progress
-        session.state = 'incident_category';
-        session.dataIncidentType = 'incident_in_progress';
-        return this.continueResponse(menu.incidentInProgress);
+  /**
+   * Input node: free text, checked against the node's validation rules
+   */
+  async handleInputNode(session, input, node) {
+    const validation = node.validation || {};
+    const invalid = (validation.minLength && input.length < validation.minLength) ||
+      (validation.maxLength && input.length > validation.maxLength) ||
+      (validation.pattern && !new RegExp(validation.pattern, 'i').test(input));
+
+    if (invalid) {
+      return this.invalidInput(session);
+    }
 
-      case 3: // Request help
-        session.state = 'incident_category';
-        session.dataIncidentType = 'request_help';
-        return this.continueResponse(menu.requestHelp);
+    if (node.store) {
+      session[node.store] = input;
+    }
 
-      case 4: // Read alerts
-        const alertText = await this.getLatestAlerts(session.language);
-        return this.endResponse(alertText);
+    return node.action
+      ? this.runAction(session, node.action, input)
+      : this.enterNode(session, node.next);
+  }
 
-      case 5: // Repeat menu
-        return this.continueResponse(menu.welcome);
+  /**
+   * Move the session to a node and show its first screen
+   */
+  enterNode(session, nodeId) {
+    session.state = nodeId;
+    const node = ussdFlowService.getNode(nodeId);
 
-      default:
-        return this.getMenuResponse(session, 'invalid');
+    if (node.type === 'picker') {
+      return this.startLocationPicker(session);
     }
+    return this.renderNode(session);
   }
 
   /**
-   * Handle incident category selection
+   * Show the screen for the node the session is at
    */
-  async handleIncidentCategory(session, input) {
-    const choice = parseInt(input, 10);
-    const menu = this.getLocalizedMenu(session.language);
-
-    const typeMap = {
-      1: 'fight',
-      2: 'gunshot',
-      3: 'kidnap',
-      4: 'theft',
-      5: 'other',
-    };
+  renderNode(session) {
+    const node = ussdFlowService.getNode(session.state);
 
-    const medicalMap = {
-      1: 'police',
-      2: 'fire_service',
-      3: 'ambulance',
-      4: 'community_focal',
-    };
+    if (node.type === 'picker') {
+      return this.renderLocationPicker(session);
+    }
+    return this.continueResponse(ussdFlowService.renderNode(node, session.language, {
+      summary: this.buildIncidentSummary(session),
+      area: this.formatArea(session),
+    }));
+  }
+
+  /**
+   * Call a code hook named by the flow
+   */
+  async runAction(session, action, input) {
+    return this[FLOW_ACTIONS[action]](session, input);
+  }
+
+  /**
+   * Flow action: show the latest alerts and end the session
+   * Alerts this phone was sent count as read
+   */
+  async readAlerts(session) {
+    const { text, alertIds } = await this.getLatestAlerts(session.language);
+
+    if (!session.demo && alertIds.length > 0) {
+      const phoneNumber = notificationService.formatPhoneNumber(session.phoneNumber);
+      alertDeliveryService.recordRead(phoneNumber, alertIds).catch((error) => {
+        console.error(`Failed to record alert read for ${session.phoneNumber}:`, error.message);
+      });
+    }
+
+    return this.endResponse(text);
+  }
+
+  /**
+   * Flow action: subscribe the caller to alerts for the area picked on the location picker
+   */
+  async subscribeAlerts(session) {
+    const area = this.formatArea(session);
+    session.state = 'completed';
 
-    if (session.dataIncidentType === 'request_help') {
-      if (choice >= 1 && choice <= 4) {
-        session.dataIncidentType = medicalMap[choice];
-        session.dataSeverity = 'high'; // Help requests default to high
-      } else {
+    // Demonstration sessions subscribe nobody
+    if (!session.demo) {
+      try {
+        await this.locateSession(session);
+        await subscriberService.subscribe(session.phoneNumber, {
+          language: session.language,
+          state: session.dataLocationState,
+          lga: session.dataLocationLga,
+          ward: session.dataLocationVillage,
+          latitude: session.dataLocationLatitude,
+          longitude: session.dataLocationLongitude,
+          alertTypes: session.dataAlertTypes,
+        }, { channel: 'ussd', source: session.sessionId });
+      } catch (error) {
+        console.error(`Failed to subscribe ${session.phoneNumber}:`, error.message);
+        session.state = ussdFlowService.getStartNode();
         return this.getMenuResponse(session, 'invalid');
       }
-    } else {
-      if (choice >= 1 && choice <= 5) {
-        session.dataIncidentType = typeMap[choice];
-      } else {
+    }
+
+    return this.endResponse(this.getLocalizedPrompt(session.language, 'subscribed', { area }));
+  }
+
+  /**
+   * Flow action: stop alerts to the caller
+   */
+  async unsubscribeAlerts(session) {
+    session.state = 'completed';
+
+    if (!session.demo) {
+      try {
+        await subscriberService.optOut(session.phoneNumber, { channel: 'ussd', source: session.sessionId });
+      } catch (error) {
+        console.error(`Failed to unsubscribe ${session.phoneNumber}:`, error.message);
+        session.state = ussdFlowService.getStartNode();
         return this.getMenuResponse(session, 'invalid');
       }
     }
 
-    session.state = 'severity_selection';
-    return this.continueResponse(this.getLocalizedPrompt(session.language, 'severity'));
+    return this.endResponse(this.getLocalizedPrompt(session.language, 'unsubscribed'));
   }
 
   /**
-   * Handle severity selection
+   * Picked area, smallest part first (e.g. "Gwale, Dala, Kano")
    */
-  async handleSeveritySelection(session, input) {
-    const choice = parseInt(input, 10);
-    const severityMap = {
-      1: 'low',
-      2: 'medium',
-      3: 'high',
-      4: 'critical',
-    };
+  formatArea(session) {
+    return [session.dataLocationVillage, session.dataLocationLga, session.dataLocationState]
+      .filter(Boolean).join(', ');
+  }
 
-    if (choice >= 1 && choice <= 4) {
-      session.dataSeverity = severityMap[choice];
-    } else {
-      session.dataSeverity = 'medium'; // default
+  /**
+   * Flow action: open the language menu
+   */
+  async changeLanguage(session) {
+    session.state = 'language_selection';
+    return this.continueResponse(messageCatalogService.getLanguageMenu());
+  }
+
+  /**
+   * Handle language menu selection and remember the choice for this phone number
+   */
+  async handleLanguageSelection(session, input) {
+    if (input === '') {
+      return this.continueResponse(messageCatalogService.getLanguageMenu());
     }
 
-    session.state = 'location_selection';
-    return this.continueResponse(this.getLocalizedPrompt(session.language, 'location'));
+    const language = messageCatalogService.getLanguageForChoice(input);
+    if (!language) {
+      this.countInvalidInput(session);
+      return this.continueResponse(messageCatalogService.getLanguageMenu());
+    }
+
+    session.language = language;
+    if (!session.demo) {
+      await this.saveLanguagePreference(session.phoneNumber, language);
+    }
+
+    return this.enterNode(session, ussdFlowService.getStartNode());
   }
 
   /**
-   * Handle location selection
+   * Persist the caller's language so later sessions skip the language menu
    */
-  async handleLocationSelection(session, input) {
-    const choice = parseInt(input, 10);
+  async saveLanguagePreference(phoneNumber, language) {
+    try {
+      await UssdProfile.upsert({ phoneNumber, language, languageSelectedAt: new Date() });
+    } catch (error) {
+      // The session still uses the language; only the next dial will ask again
+      console.error(`Failed to save language for ${phoneNumber}:`, error.message);
+    }
+  }
 
-    if (choice === 1 || choice === 2) {
-      // In a real app, you'd handle auto vs manual differently
-      // For now, just proceed to description
-      session.state = 'description';
-      return this.continueResponse(this.getLocalizedPrompt(session.language, 'description'));
-    } else {
-      return this.getMenuResponse(session, 'invalid');
+  /**
+   * Latest session from this phone if it stopped part-way through a report
+   */
+  async findResumableSession(phoneNumber, sessionId) {
+    try {
+      const previous = await ussdSessionStoreService.findLatestForPhone(phoneNumber, sessionId);
+      return previous && this.getResumeStep(previous) ? previous : null;
+    } catch (error) {
+      console.error(`Resumable session lookup failed for ${phoneNumber}:`, error.message);
+      return null;
     }
   }
 
   /**
-   * Handle description input
+   * Report step an unfinished session stopped at, or null if there is nothing to resume
    */
-  async handleDescription(session, input) {
-    session.dataDescription = input || '';
-    session.state = 'callback_consent';
-    return this.continueResponse(this.getLocalizedPrompt(session.language, 'callback'));
+  getResumeStep(session) {
+    if (session.incidentCreated) return null;
+
+    const step = ussdSessionStoreService.TERMINAL_STATES.includes(session.state)
+      ? session.lastState
+      : session.state;
+    const node = step && ussdFlowService.getNode(step);
+    return node && node.resumable ? step : null;
   }
 
   /**
-   * Handle callback consent
+   * Handle "1. Continue previous report / 2. Start new"
    */
-  async handleCallbackConsent(session, input) {
+  async handleResumePrompt(session, input) {
+    if (input === '') {
+      return this.continueResponse(ussdFlowService.renderNode(RESUME_MENU, session.language));
+    }
+
     const choice = parseInt(input, 10);
-    session.dataCallbackConsent = (choice === 1);
-    session.state = 'confirmation';
 
-    // Build summary dynamically to avoid hardcoding
-    const summary = this.buildIncidentSummary(session);
-    const confirmPrompt = this.getLocalizedPrompt(session.language, 'confirmation')
-      .replace('{summary}', summary);
-    return this.continueResponse(confirmPrompt);
+    if (choice === 1) {
+      const previous = await ussdSessionStoreService.find(session.resumeFromSessionId, { includeFlushed: true });
+      const step = previous && this.getResumeStep(previous);
+      if (step) {
+        this.copyReportData(previous, session);
+        session.state = step;
+        return this.renderNode(session);
+      }
+      // The earlier session is gone; fall through to a fresh start
+    } else if (choice !== 2) {
+      return this.invalidInput(session);
+    }
+
+    session.resumeFromSessionId = null;
+    return this.enterNode(session, ussdFlowService.getStartNode());
   }
 
   /**
-   * Handle final confirmation
+   * Copy the collected data* fields (and picker position) into the new session
+   * Cell-tower details captured on this dial are newer, so they are kept
    */
-  async handleConfirmation(session, input) {
-    const choice = parseInt(input, 10);
+  copyReportData(from, to) {
+    const data = typeof from.get === 'function' ? from.get({ plain: true }) : from;
+
+    Object.keys(data)
+      .filter(key => key.startsWith('data') && data[key] != null)
+      .forEach((key) => {
+        const fromTelco = key.startsWith('dataLocationCellTower');
+        if (fromTelco && to[key] != null) return;
+        to[key] = data[key];
+      });
+
+    to.locationPickerLevel = data.locationPickerLevel;
+    to.locationPickerPage = data.locationPickerPage || 0;
+  }
 
-    if (choice === 1) {
-      // Submit the report inside a transaction
-      const transaction = await sequelize.transaction();
-      try {
-        const incident = await this.createIncident(session, transaction);
-        session.incidentCreated = true;
-        session.incidentId = incident.incidentId;
-        session.state = 'completed';
-        await session.save({ transaction });
+  /**
+   * Look up a report by ID; only the phone number that filed it sees the details
+   */
+  async handleStatusLookup(session, input) {
+    const match = input.toUpperCase().replace(/\s/g, '').match(INCIDENT_ID_PATTERN);
+    if (!match) {
+      return this.invalidInput(session);
+    }
 
-        await transaction.commit();
+    // Demonstration sessions never see a real report
+    const incidentId = `INC-${match[1]}`;
+    const incident = session.demo ? null : await Incident.findOne({ where: { incidentId } });
+    session.state = 'completed';
 
-        const menu = this.getLocalizedMenu(session.language);
-        const thankYou = menu.thankYou.replace('{incidentId}', incident.incidentId);
-        return this.endResponse(thankYou);
-      } catch (error) {
-        await transaction.rollback();
-        console.error('Error creating incident:', error);
-        // Return a generic error and restart
-        session.state = 'main_menu';
-        return this.getMenuResponse(session, 'invalid');
+    // Same answer for unknown IDs and other people's reports, so IDs cannot be probed
+    const reporter = incident && notificationService.formatPhoneNumber(incident.reporterPhoneNumber);
+    if (!reporter || reporter !== notificationService.formatPhoneNumber(session.phoneNumber)) {
+      return this.endResponse(this.getLocalizedPrompt(session.language, 'statusNotFound'));
+    }
+
+    return this.endResponse(this.getLocalizedPrompt(session.language, 'statusResult', {
+      incidentId,
+      status: this.getLocalizedPrompt(session.language, this.getStatusKey(incident.status)),
+      level: incident.escalationLevel || 0,
+      updatedAt: this.formatTimestamp(incident.updatedAt),
+    }));
+  }
+
+  /**
+   * Catalog key for an incident status label (e.g. false_alarm -> statusFalseAlarm)
+   */
+  getStatusKey(status) {
+    return `status_${status}`.replace(/_(\w)/g, (match, letter) => letter.toUpperCase());
+  }
+
+  /**
+   * Short local date/time for USSD screens (e.g. 19/10 14:05)
+   */
+  formatTimestamp(date) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: config.location.timeZone,
+      day: '2-digit',
+      month: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false,
+    }).formatToParts(new Date(date));
+    const part = (type) => parts.find(p => p.type === type).value;
+    return `${part('day')}/${part('month')} ${part('hour')}:${part('minute')}`;
+  }
+
+  /**
+   * Start the state -> LGA -> ward picker (session.state is the picker node)
+   */
+  startLocationPicker(session) {
+    session.locationPickerLevel = 'state';
+    session.locationPickerPage = 0;
+    return this.renderLocationPicker(session);
+  }
+
+  /**
+   * Handle location selection (one level of the picker per screen)
+   */
+  async handleLocationSelection(session, input, node) {
+    const level = session.locationPickerLevel || 'state';
+    const pages = this.getLocationPages(session);
+    const pageIndex = Math.min(session.locationPickerPage || 0, pages.length - 1);
+    const page = pages[pageIndex];
+
+    if (input === NAV.MORE && pageIndex < pages.length - 1) {
+      session.locationPickerPage = pageIndex + 1;
+      return this.renderLocationPicker(session);
+    }
+
+    if (input === NAV.BACK) {
+      return this.locationPickerBack(session, pageIndex, node);
+    }
+
+    if (input === NAV.SKIP && level !== 'state') {
+      return this.finishLocationPicker(session, node);
+    }
+
+    const choice = parseInt(input, 10);
+    if (!(choice >= 1 && choice <= page.labels.length)) {
+      return this.invalidInput(session);
+    }
+
+    const selected = page.labels[choice - 1];
+
+    if (level === 'state') {
+      session.dataLocationState = selected;
+      session.dataLocationLga = null;
+      session.dataLocationVillage = null;
+      if (gazetteerService.getLgas(selected).length === 0) {
+        return this.finishLocationPicker(session, node);
+      }
+      session.locationPickerLevel = 'lga';
+    } else if (level === 'lga') {
+      session.dataLocationLga = selected;
+      session.dataLocationVillage = null;
+      if (gazetteerService.getWards(session.dataLocationState, selected).length === 0) {
+        return this.finishLocationPicker(session, node);
       }
-    } else if (choice === 2) {
-      // Cancel and restart
-      session.state = 'main_menu';
-      return this.getMenuResponse(session, 'welcome');
+      session.locationPickerLevel = 'ward';
     } else {
+      session.dataLocationVillage = selected;
+      return this.finishLocationPicker(session, node);
+    }
+
+    session.locationPickerPage = 0;
+    return this.renderLocationPicker(session);
+  }
+
+  /**
+   * Go back one page, one level, or out of the picker to the node's back node
+   */
+  locationPickerBack(session, pageIndex, node) {
+    if (pageIndex > 0) {
+      session.locationPickerPage = pageIndex - 1;
+      return this.renderLocationPicker(session);
+    }
+
+    const previousLevel = { ward: 'lga', lga: 'state' }[session.locationPickerLevel];
+    if (!previousLevel) {
+      session.locationPickerLevel = null;
+      return this.enterNode(session, node.back || ussdFlowService.getStartNode());
+    }
+
+    session.locationPickerLevel = previousLevel;
+    session.locationPickerPage = 0;
+    return this.renderLocationPicker(session);
+  }
+
+  /**
+   * Leave the picker and continue to the node's next node
+   */
+  finishLocationPicker(session, node) {
+    session.locationPickerLevel = null;
+    session.locationPickerPage = 0;
+    return this.enterNode(session, node.next);
+  }
+
+  /**
+   * Render the current page of the location picker
+   */
+  renderLocationPicker(session) {
+    const pages = this.getLocationPages(session);
+    const page = pages[Math.min(session.locationPickerPage || 0, pages.length - 1)];
+    return this.continueResponse(page.text);
+  }
+
+  /**
+   * Paginate the options for the picker's current level
+   */
+  getLocationPages(session) {
+    const level = session.locationPickerLevel || 'state';
+
+    let options;
+    if (level === 'lga') {
+      options = gazetteerService.getLgas(session.dataLocationState);
+    } else if (level === 'ward') {
+      options = gazetteerService.getWards(session.dataLocationState, session.dataLocationLga);
+    } else {
+      options = gazetteerService.getStates();
+    }
+
+    const header = this.getLocalizedPrompt(session.language, LOCATION_PROMPTS[level]);
+    return this.paginateOptions(header, options, session.language, { canSkip: level !== 'state' });
+  }
+
+  /**
+   * Split numbered options into pages that fit the USSD message limit
+   * Each page is numbered from 1 and ends with More/Skip/Back lines
+   */
+  paginateOptions(header, labels, lang, { canSkip = false } = {}) {
+    const navigation = (hasMore) => [
+      hasMore && `${NAV.MORE}. ${this.getLocalizedPrompt(lang, 'more')}`,
+      canSkip && `${NAV.SKIP}. ${this.getLocalizedPrompt(lang, 'skip')}`,
+      `${NAV.BACK}. ${this.getLocalizedPrompt(lang, 'back')}`,
+    ].filter(Boolean);
+
+    const pages = [];
+    let start = 0;
+
+    do {
+      const lines = [header];
+      let end = start;
+
+      while (end < labels.length) {
+        const line = `${end - start + 1}. ${labels[end]}`;
+        const footer = navigation(end + 1 < labels.length);
+        const length = [...lines, line, ...footer].join('\n').length;
+
+        // Always take at least one option so a long label cannot stall paging
+        if (length > this.maxMessageLength && end > start) break;
+
+        lines.push(line);
+        end++;
+      }
+
+      pages.push({
+        labels: labels.slice(start, end),
+        text: [...lines, ...navigation(end < labels.length)].join('\n'),
+      });
+      start = end;
+    } while (start < labels.length);
+
+    return pages;
+  }
+
+  /**
+   * Flow action: submit the report
+   */
+  async submitReport(session) {
+    // Demonstration sessions walk the whole flow but file nothing
+    if (session.demo) {
+      session.state = 'completed';
+      return this.endResponse(this.getLocalizedPrompt(session.language, 'thankYou', {
+        incidentId: DEMO_INCIDENT_ID,
+      }));
+    }
+
+    // The session is saved by handleRequest
+    try {
+      const incidentIngestionService = require('./incidentIngestionService');
+      const incident = await incidentIngestionService.createFromUssd({
+        sessionId: session.sessionId,
+        phoneNumber: session.phoneNumber,
+        callbackConsent: session.dataCallbackConsent,
+        incidentType: session.dataIncidentType,
+        requestedService: session.dataRequestedService,
+        severity: session.dataSeverity,
+        description: session.dataDescription,
+        language: session.language,
+        provider: session.provider || this.provider,
+        location: {
+          state: session.dataLocationState,
+          lga: session.dataLocationLga,
+          village: session.dataLocationVillage,
+          latitude: session.dataLocationLatitude,
+          longitude: session.dataLocationLongitude,
+          accuracy: session.dataLocationAccuracy,
+        },
+      }, {
+        cellTowerId: session.dataLocationCellTowerId,
+        lac: session.dataLocationCellTowerLac,
+        mcc: session.dataLocationCellTowerMcc,
+        mnc: session.dataLocationCellTowerMnc,
+      });
+
+      session.incidentCreated = true;
+      session.incidentId = incident.incidentId;
+      session.state = 'completed';
+
+      return this.endResponse(this.getLocalizedPrompt(session.language, 'thankYou', {
+        incidentId: incident.incidentId,
+      }));
+    } catch (error) {
+      console.error('Error creating incident:', error);
+      // Return a generic error and restart
+      session.state = ussdFlowService.getStartNode();
       return this.getMenuResponse(session, 'invalid');
     }
   }
@@ -288,57 +751,54 @@ class UssdGateway {
    * Build a summary of the incident for confirmation
    */
   buildIncidentSummary(session) {
-    const type = session.dataIncidentType || 'unknown';
+    const type = session.dataRequestedService
+      ? `help (${session.dataRequestedService})`
+      : session.dataIncidentType || 'unknown';
     const severity = session.dataSeverity || 'medium';
     const desc = (session.dataDescription || '').substring(0, 50); // truncate long descriptions
     return `Type: ${type}\nSeverity: ${severity}\nDesc: ${desc}`;
   }
 
   /**
-   * Create incident from session data (within a transaction)
+   * Approximate position from the serving cell when the handset gave none
    */
-  async createIncident(session, transaction) {
-    const incident = await Incident.create({
-      channel: 'ussd',
-      reporterPhoneNumber: session.phoneNumber,
-      reporterAnonymous: true,
-      reporterCallbackConsent: session.dataCallbackConsent,
-      reporterSessionId: session.sessionId,
-      incidentType: session.dataIncidentType,
-      severity: session.dataSeverity || 'medium',
-      locationState: session.dataLocationState || config.location.defaultState,
-      locationLga: session.dataLocationLga,
-      locationVillage: session.dataLocationVillage,
-      locationLatitude: session.dataLocationLatitude,
-      locationLongitude: session.dataLocationLongitude,
-      descriptionText: session.dataDescription,
-      descriptionLanguage: session.language,
-      status: 'received',
-      metadataReceivedVia: this.provider,
-      metadataReportTimestamp: new Date(),
-    }, { transaction });
-
-    // Trigger escalation engine – if this fails, the transaction will rollback
-    const escalationService = require('./escalationService');
-    await escalationService.processIncident(incident, { transaction });
+  async locateSession(session) {
+    if (session.dataLocationLatitude != null) return;
+
+    const position = await cellTowerService.locate({
+      cellTowerId: session.dataLocationCellTowerId,
+      lac: session.dataLocationCellTowerLac,
+      mcc: session.dataLocationCellTowerMcc || config.location.defaultMcc,
+      mnc: session.dataLocationCellTowerMnc,
+    });
+    if (position) {
+      session.dataLocationLatitude = position.latitude;
+      session.dataLocationLongitude = position.longitude;
+      session.dataLocationAccuracy = position.accuracy;
+    }
+  }
 
-    return incident;
+  /**
+   * Get a specific prompt from the message catalog (falls back to English)
+   */
+  getLocalizedPrompt(lang, promptKey, params) {
+    return messageCatalogService.get(lang, promptKey, params);
   }
 
   /**
-   * Get menu for the specified language
+   * Count an invalid entry on the current screen and ask again
    */
-  getLocalizedMenu(lang) {
-    return lang === 'hausa' ? this.menus.hausa : this.menus.english;
+  invalidInput(session) {
+    this.countInvalidInput(session);
+    return this.getMenuResponse(session, 'invalid');
   }
 
   /**
-   * Get a specific prompt from the configuration
+   * Invalid entries per screen, for the funnel report
    */
-  getLocalizedPrompt(lang, promptKey) {
-    const menu = this.getLocalizedMenu(lang);
-    // Fallback to English if key missing
-    return menu[promptKey] || (lang === 'hausa' ? this.menus.english[promptKey] : '');
+  countInvalidInput(session) {
+    const counts = session.invalidInputs || {};
+    session.invalidInputs = { ...counts, [session.state]: (counts[session.state] || 0) + 1 };
   }
 
   /**
@@ -355,12 +815,12 @@ class UssdGateway {
   }
 
   /**
-   * Get latest alerts (cached)
+   * Latest alerts screen as { text, alertIds } (cached)
    */
   async getLatestAlerts(lang) {
     const now = Date.now();
-    if (alertCache.data && (now - alertCache.timestamp) < alertCache.ttl) {
-      return alertCache.data;
+    if (alertCache.data[lang] && (now - alertCache.timestamp[lang]) < alertCache.ttl) {
+      return alertCache.data[lang];
     }
 
     const alerts = await Alert.findAll({
@@ -376,18 +836,18 @@ class UssdGateway {
       limit: 3,
     });
 
-    let result;
-    if (alerts.length === 0) {
-      result = this.getLocalizedPrompt(lang, 'noAlerts') || 'No new alerts.';
-    } else {
-      result = alerts.map(a => {
-        const content = (lang === 'hausa' ? a.contentHausa : a.contentEnglish) || a.contentHausa || '';
-        return `${a.alertId}: ${content.substring(0, 100)}`;
-      }).join('\n\n');
-    }
+    const result = {
+      alertIds: alerts.map(a => a.alertId),
+      text: alerts.length === 0
+        ? this.getLocalizedPrompt(lang, 'noAlerts')
+        : alerts.map(a => {
+          const content = (lang === 'hausa' ? a.contentHausa : a.contentEnglish) || a.contentHausa || '';
+          return `${a.alertId}: ${content.substring(0, 100)}`;
+        }).join('\n\n'),
+    };
 
-    alertCache.data = result;
-    alertCache.timestamp = now;
+    alertCache.data[lang] = result;
+    alertCache.timestamp[lang] = now;
     return result;
   }
 
@@ -404,9 +864,10 @@ class UssdGateway {
    * End session
    */
   async endSession(session, reason) {
+    session.lastState = session.state;
     session.state = reason === 'timeout' ? 'timeout' : 'completed';
     session.endedAt = new Date();
-    await session.save();
+    await ussdSessionStoreService.save(session);
   }
 
   /**
@@ -430,11 +891,11 @@ class UssdGateway {
   }
 
   /**
-   * Truncate message to configured max length
+   * Fit a screen to the configured max length: transliterated to GSM-7 (a UCS-2 screen
+   * holds under half as much), then cut at a word boundary
    */
   truncateForUssd(message) {
-    if (message.length <= this.maxMessageLength) return message;
-    return message.substring(0, this.maxMessageLength - 3) + '...';
+    return smsEncoding.trim(smsEncoding.transliterate(message), this.maxMessageLength);
   }
 }
 
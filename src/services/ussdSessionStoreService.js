@@ -0,0 +1,319 @@
+const { createClient } = require('redis');
+const { Op } = require('sequelize');
+const config = require('../config');
+const { UssdSession } = require('../models');
+
+// Session states after which nothing more happens in the session
+const TERMINAL_STATES = ['completed', 'timeout', 'terminated'];
+
+// Reconnect backoff after a dropped connection: doubling from 100 ms, at most 30 s apart
+const RECONNECT_BASE_DELAY_MS = 100;
+const RECONNECT_MAX_DELAY_MS = 30000;
+
+/**
+ * Hot USSD session state lives in Redis; the UssdSession table is written behind.
+ *
+ * Keys (under config.queue.prefix):
+ *   ussd:session:<id>   session JSON, expires after sessionTimeoutMs of inactivity
+ *   ussd:pending        hash of sessions not yet written to the database
+ *   ussd:expiry         sorted set of pending session ids scored by expiry time
+ *   ussd:phone:<phone>  latest session id for a phone, kept for the resume window
+ *
+ * Finished sessions are flushed straight away; the sweeper flushes sessions the
+ * caller abandoned (their hot key has expired) as timeouts.
+ */
+class UssdSessionStoreService {
+  constructor() {
+    this.client = null;
+    this.initialized = false;
+    this.ttlMs = config.ussd.sessionTimeoutMs;
+    this.resumeWindowMs = config.ussd.resumeWindowMs;
+    this.intervalMs = config.ussd.sessionFlushIntervalMs;
+    this.timer = null;
+    this.running = false;
+    this.batchSize = 100;
+    this.prefix = `${config.queue.prefix}:ussd`;
+  }
+
+  /**
+   * Connect to Redis, or stay on the database path when it is unavailable
+   */
+  async init() {
+    if (this.initialized) return;
+
+    if (process.env.SKIP_REDIS === 'true') {
+      console.log('USSD sessions: SKIP_REDIS=true, using the database');
+      this.initialized = true;
+      return;
+    }
+
+    const url = config.redis.password
+      ? `redis://:${config.redis.password}@${config.redis.host}:${config.redis.port}`
+      : `redis://${config.redis.host}:${config.redis.port}`;
+
+    const client = createClient({
+      url,
+      socket: { reconnectStrategy: retries => this.getReconnectDelay(retries) },
+    });
+    client.on('error', () => {});
+    client.on('reconnecting', () => {
+      if (this.client) console.log('USSD sessions: Redis connection lost, using the database until it is back');
+    });
+    // Sessions left pending when the connection dropped are written behind once it is back
+    client.on('ready', () => {
+      if (!this.client) return;
+      console.log('USSD sessions: Redis reconnected');
+      this.flushExpired().catch((error) => {
+        console.error(`USSD session flush after reconnect failed: ${error.message}`);
+      });
+    });
+
+    try {
+      await client.connect();
+      this.client = client;
+      console.log('USSD sessions: Redis connected');
+    } catch (error) {
+      console.log('USSD sessions: Redis not available, using the database');
+      this.client = null;
+    }
+    this.initialized = true;
+  }
+
+  /**
+   * Delay before the next reconnect attempt
+   * The first connect is not retried, so startup without Redis falls back to the database at once
+   */
+  getReconnectDelay(retries) {
+    if (!this.client) return false;
+    return Math.min(RECONNECT_BASE_DELAY_MS * 2 ** retries, RECONNECT_MAX_DELAY_MS);
+  }
+
+  /**
+   * 'redis' or 'database'
+   */
+  get backend() {
+    return this.client && this.client.isReady ? 'redis' : 'database';
+  }
+
+  sessionKey(sessionId) {
+    return `${this.prefix}:session:${sessionId}`;
+  }
+
+  /**
+   * Load a session by provider session ID, or null
+   * In Redis mode this includes sessions whose hot key expired but are not yet flushed;
+   * options.includeFlushed also looks in the database for sessions already written
+   */
+  async find(sessionId, { includeFlushed = false } = {}) {
+    if (this.backend === 'redis') {
+      try {
+        const raw = await this.client.get(this.sessionKey(sessionId))
+          || await this.client.hGet(`${this.prefix}:pending`, sessionId);
+        if (raw) return this.build(JSON.parse(raw));
+        return includeFlushed ? UssdSession.findOne({ where: { sessionId } }) : null;
+      } catch (error) {
+        console.error(`USSD session read from Redis failed, using the database: ${error.message}`);
+      }
+    }
+
+    return UssdSession.findOne({ where: { sessionId } });
+  }
+
+  /**
+   * Most recent other session from this phone within the resume window, or null
+   */
+  async findLatestForPhone(phoneNumber, excludeSessionId) {
+    if (this.backend === 'redis') {
+      try {
+        const sessionId = await this.client.get(`${this.prefix}:phone:${phoneNumber}`);
+        if (!sessionId || sessionId === excludeSessionId) return null;
+        return this.find(sessionId, { includeFlushed: true });
+      } catch (error) {
+        console.error(`USSD session lookup in Redis failed, using the database: ${error.message}`);
+      }
+    }
+
+    return UssdSession.findOne({
+      where: {
+        phoneNumber,
+        sessionId: { [Op.ne]: excludeSessionId },
+        lastActivityAt: { [Op.gte]: new Date(Date.now() - this.resumeWindowMs) },
+      },
+      order: [['lastActivityAt', 'DESC']],
+    });
+  }
+
+  /**
+   * Start a new session
+   */
+  async create(data) {
+    if (this.backend === 'redis') {
+      const session = this.build(data);
+      await this.save(session);
+      return session;
+    }
+
+    return UssdSession.create(data);
+  }
+
+  /**
+   * Persist the session after a keypress
+   * Redis: refresh the hot copy and its TTL; finished sessions are flushed in the background
+   */
+  async save(session) {
+    if (this.backend === 'redis') {
+      try {
+        await this.writeToRedis(session);
+        if (TERMINAL_STATES.includes(session.state)) {
+          this.flush(session.sessionId).catch((error) => {
+            console.error(`USSD session flush failed for ${session.sessionId}: ${error.message}`);
+          });
+        }
+        return session;
+      } catch (error) {
+        console.error(`USSD session write to Redis failed, using the database: ${error.message}`);
+      }
+    }
+
+    if (session.isNewRecord) {
+      await UssdSession.upsert(this.toPlain(session));
+    } else if (session.changed()) {
+      await session.save();
+    }
+    return session;
+  }
+
+  /**
+   * Mark a session finished from a provider callback (timeout, hang-up)
+   */
+  async end(sessionId, state) {
+    const session = await this.find(sessionId);
+    if (!session) return null;
+    if (TERMINAL_STATES.includes(session.state)) return session;
+
+    session.lastState = session.state;
+    session.state = state;
+    session.endedAt = new Date();
+    return this.save(session);
+  }
+
+  /**
+   * Hot copy with TTL plus the pending copy the sweeper falls back on
+   */
+  async writeToRedis(session) {
+    const data = JSON.stringify(this.toPlain(session));
+    const expiresAt = Date.now() + this.ttlMs;
+
+    await this.client.multi()
+      .set(this.sessionKey(session.sessionId), data, { PX: this.ttlMs })
+      .hSet(`${this.prefix}:pending`, session.sessionId, data)
+      .zAdd(`${this.prefix}:expiry`, { score: expiresAt, value: session.sessionId })
+      .set(`${this.prefix}:phone:${session.phoneNumber}`, session.sessionId, { PX: this.resumeWindowMs })
+      .exec();
+  }
+
+  /**
+   * Write a pending session to the UssdSession table and drop it from the pending set
+   * An abandoned session (not finished) is recorded as a timeout
+   */
+  async flush(sessionId) {
+    const raw = await this.client.hGet(`${this.prefix}:pending`, sessionId);
+    if (!raw) return false;
+
+    const data = JSON.parse(raw);
+    if (!TERMINAL_STATES.includes(data.state)) {
+      const hot = await this.client.exists(this.sessionKey(sessionId));
+      if (hot) return false; // Still in progress
+
+      data.lastState = data.state;
+      data.state = 'timeout';
+      data.endedAt = new Date(new Date(data.lastActivityAt).getTime() + this.ttlMs);
+    }
+
+    // upsert bypasses the beforeSave hook, so lastActivityAt is kept as recorded
+    await UssdSession.upsert(data);
+
+    await this.client.multi()
+      .hDel(`${this.prefix}:pending`, sessionId)
+      .zRem(`${this.prefix}:expiry`, sessionId)
+      .exec();
+    return true;
+  }
+
+  /**
+   * Flush every pending session whose hot key has expired
+   */
+  async flushExpired(now = Date.now()) {
+    if (this.backend !== 'redis') return { skipped: 'no_redis' };
+    if (this.running) return { skipped: 'already_running' };
+
+    this.running = true;
+    const results = { flushed: 0, failed: 0 };
+
+    try {
+      const sessionIds = await this.client.zRangeByScore(`${this.prefix}:expiry`, 0, now, {
+        LIMIT: { offset: 0, count: this.batchSize },
+      });
+
+      for (const sessionId of sessionIds) {
+        try {
+          if (await this.flush(sessionId)) results.flushed++;
+        } catch (error) {
+          // Left pending; retried on the next run
+          results.failed++;
+          console.error(`USSD session flush failed for ${sessionId}: ${error.message}`);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return results;
+  }
+
+  /**
+   * Start the periodic flush of abandoned sessions
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.flushExpired().catch((error) => {
+        console.error(`USSD session sweep failed: ${error.message}`);
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the sweeper and flush what has already expired
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.client) {
+      await this.flushExpired().catch(() => {});
+      await this.client.quit().catch(() => {});
+      this.client = null;
+    }
+  }
+
+  /**
+   * Unsaved model instance, so handlers keep using model defaults and attribute access
+   */
+  build(data) {
+    return UssdSession.build(data);
+  }
+
+  toPlain(session) {
+    return typeof session.get === 'function' ? session.get({ plain: true }) : { ...session };
+  }
+}
+
+const ussdSessionStoreService = new UssdSessionStoreService();
+ussdSessionStoreService.TERMINAL_STATES = TERMINAL_STATES;
+
+module.exports = ussdSessionStoreService;
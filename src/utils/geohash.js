@@ -0,0 +1,84 @@
+// Geohash (base32) encoding for incident and subscriber locations
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Geohash of a point; each character narrows the cell (6 ~ 1.2km, 7 ~ 150m)
+ */
+function encode(latitude, longitude, precision = 7) {
+  const lat = [-90, 90];
+  const lng = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    // Bits alternate longitude, latitude, starting with longitude
+    const range = evenBit ? lng : lat;
+    const coordinate = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+
+    value <<= 1;
+    if (coordinate >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Cell a geohash covers: { minLat, maxLat, minLng, maxLng }
+ */
+function bounds(hash) {
+  const lat = [-90, 90];
+  const lng = [-180, 180];
+  let evenBit = true;
+
+  [...hash.toLowerCase()].forEach((char) => {
+    const value = BASE32.indexOf(char);
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lng : lat;
+      const mid = (range[0] + range[1]) / 2;
+      if ((value >> bit) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      evenBit = !evenBit;
+    }
+  });
+
+  return { minLat: lat[0], maxLat: lat[1], minLng: lng[0], maxLng: lng[1] };
+}
+
+/**
+ * Height and width in degrees of a cell at a precision
+ */
+function cellSize(precision) {
+  const bits = precision * 5;
+  return {
+    lat: 180 / Math.pow(2, Math.floor(bits / 2)),
+    lng: 360 / Math.pow(2, Math.ceil(bits / 2)),
+  };
+}
+
+/**
+ * Whether a string is a geohash (or prefix of one)
+ */
+function isValid(hash) {
+  return typeof hash === 'string' && hash.length > 0 &&
+    [...hash.toLowerCase()].every(char => BASE32.includes(char));
+}
+
+module.exports = { BASE32, encode, bounds, cellSize, isValid };
@@ -0,0 +1,200 @@
+// SMS character sets and segments
+// Text made only of GSM 03.38 characters is sent as GSM-7: 160 septets in one SMS, 153 per part
+// of a longer one, with the extension characters taking two. Anything else (Hausa ƙ ɗ ɓ ƴ, curly
+// quotes, emoji) switches the whole message to UCS-2: 70 UTF-16 units in one SMS, 67 per part.
+
+const GSM7_BASIC = new Set(Array.from(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+));
+const GSM7_EXTENDED = new Set(Array.from('\f^{}\\[~]|€'));
+
+const GSM7 = 'GSM-7';
+const UCS2 = 'UCS-2';
+
+// Units in a single SMS and in each part of a concatenated one
+const LIMITS = {
+  [GSM7]: { single: 160, multipart: 153 },
+  [UCS2]: { single: 70, multipart: 67 },
+};
+
+// Replacements for characters outside GSM-7 that accent stripping does not cover
+const TRANSLITERATIONS = {
+  'ƙ': 'k', 'Ƙ': 'K', 'ɗ': 'd', 'Ɗ': 'D', 'ɓ': 'b', 'Ɓ': 'B', 'ƴ': 'y', 'Ƴ': 'Y',
+  'ŋ': 'n', 'Ŋ': 'N', 'ɛ': 'e', 'Ɛ': 'E', 'ɔ': 'o', 'Ɔ': 'O',
+  'ʼ': "'", 'ʻ': "'", '‘': "'", '’': "'", '`': "'", '´': "'",
+  '“': '"', '”': '"', '„': '"', '«': '"', '»': '"',
+  '–': '-', '—': '-', '‐': '-', '…': '...', '•': '*',
+  ' ': ' ', '\t': ' ', '₦': 'N',
+};
+
+const ELLIPSIS = '...';
+
+function isGsm7Char(char) {
+  return GSM7_BASIC.has(char) || GSM7_EXTENDED.has(char);
+}
+
+/**
+ * GSM-7 when every character is in the GSM alphabet, otherwise UCS-2
+ */
+function detectEncoding(text) {
+  return Array.from(text).every(isGsm7Char) ? GSM7 : UCS2;
+}
+
+/**
+ * Units a character takes: septets in GSM-7, UTF-16 code units in UCS-2
+ */
+function charUnits(char, encoding) {
+  if (encoding === GSM7) return GSM7_EXTENDED.has(char) ? 2 : 1;
+  return char.length;
+}
+
+function countUnits(chars, encoding) {
+  return chars.reduce((total, char) => total + charUnits(char, encoding), 0);
+}
+
+/**
+ * Encoding, length and SMS segments of a text
+ * Returns { encoding, characters, units, segments, perSegment, remaining }; an escape
+ * sequence or surrogate pair is never split across segments, as handsets require
+ */
+function measure(text) {
+  const chars = Array.from(text);
+  const encoding = detectEncoding(text);
+  const { single, multipart } = LIMITS[encoding];
+  const units = countUnits(chars, encoding);
+
+  let segments = units > 0 ? 1 : 0;
+  if (units > single) {
+    let used = 0;
+    chars.forEach((char) => {
+      const size = charUnits(char, encoding);
+      if (used + size > multipart) {
+        segments++;
+        used = 0;
+      }
+      used += size;
+    });
+  }
+
+  const perSegment = segments > 1 ? multipart : single;
+  return {
+    encoding,
+    characters: chars.length,
+    units,
+    segments,
+    perSegment,
+    remaining: segments > 1 ? segments * multipart - units : single - units,
+  };
+}
+
+/**
+ * Replace characters outside GSM-7 so the text sends as GSM-7
+ * Hausa hooked letters lose the hook (ƙ -> k), accents are dropped when the plain letter is
+ * GSM (ọ -> o) and anything left is replaced with "?"
+ */
+function transliterate(text) {
+  return Array.from(text.normalize('NFC')).map((char) => {
+    if (isGsm7Char(char)) return char;
+    if (TRANSLITERATIONS[char] !== undefined) return TRANSLITERATIONS[char];
+    if (/\p{M}/u.test(char)) return '';
+
+    const stripped = char.normalize('NFD').replace(/\p{M}/gu, '');
+    return stripped && Array.from(stripped).every(isGsm7Char) ? stripped : '?';
+  }).join('');
+}
+
+/**
+ * Cut a text to at most maxUnits units of its encoding, at a word boundary, ending with "..."
+ * Words are only broken when the last space is in the first half of the text kept
+ */
+function trim(text, maxUnits) {
+  const chars = Array.from(text);
+  const encoding = detectEncoding(text);
+  const limit = maxUnits || LIMITS[encoding].single;
+  if (countUnits(chars, encoding) <= limit) return text;
+
+  const budget = limit - ELLIPSIS.length;
+  let end = 0;
+  let used = 0;
+  while (end < chars.length && used + charUnits(chars[end], encoding) <= budget) {
+    used += charUnits(chars[end], encoding);
+    end++;
+  }
+
+  const kept = chars.slice(0, end).join('');
+  const breakAt = chars[end] && /\s/.test(chars[end]) ? kept.length : kept.search(/\s\S*$/);
+  const cut = breakAt > kept.length / 2 ? kept.slice(0, breakAt) : kept;
+  return `${cut.trimEnd()}${ELLIPSIS}`;
+}
+
+/**
+ * Split a text into numbered parts that each fit one SMS, e.g. "(1/3) ...", at word boundaries
+ * A text that fits one SMS is returned as the only part, unnumbered
+ */
+function split(text) {
+  const encoding = detectEncoding(text);
+  const { single } = LIMITS[encoding];
+  if (countUnits(Array.from(text), encoding) <= single) return [text];
+
+  // The prefix width depends on the number of parts, so repeat until it settles
+  let count = 2;
+  for (;;) {
+    const budget = single - countUnits(Array.from(`(${count}/${count}) `), encoding);
+    const chunks = splitWords(text, budget, encoding);
+    if (String(chunks.length).length <= String(count).length) {
+      return chunks.map((chunk, index) => `(${index + 1}/${chunks.length}) ${chunk}`);
+    }
+    count = chunks.length;
+  }
+}
+
+function splitWords(text, budget, encoding) {
+  const chunks = [];
+  let current = [];
+  let used = 0;
+
+  const flush = () => {
+    const chunk = current.join('').trim();
+    if (chunk) chunks.push(chunk);
+    current = [];
+    used = 0;
+  };
+
+  text.split(/(\s+)/).filter(Boolean).forEach((token) => {
+    const chars = Array.from(token);
+    const size = countUnits(chars, encoding);
+
+    if (used + size <= budget) {
+      current.push(token);
+      used += size;
+    } else if (/^\s+$/.test(token)) {
+      flush();
+    } else if (size <= budget) {
+      flush();
+      current.push(token);
+      used = size;
+    } else {
+      // A word longer than a whole part is broken
+      chars.forEach((char) => {
+        if (used + charUnits(char, encoding) > budget) flush();
+        current.push(char);
+        used += charUnits(char, encoding);
+      });
+    }
+  });
+  flush();
+
+  return chunks;
+}
+
+module.exports = {
+  GSM7,
+  UCS2,
+  LIMITS,
+  detectEncoding,
+  measure,
+  transliterate,
+  trim,
+  split,
+};
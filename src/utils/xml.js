@@ -0,0 +1,144 @@
+// Minimal XML reading and writing for CAP documents
+// Elements are { name, namespace, attributes, children, text }: name without its prefix,
+// namespace resolved from xmlns declarations, text the element's own text and CDATA.
+// DOCTYPE declarations are refused, so no entity expansion or external entities.
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// One token per match, in document order (sticky, so nothing is skipped)
+const TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|(<!DOCTYPE)|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/y;
+const ATTRIBUTE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function decode(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    if (ENTITIES[entity] === undefined) {
+      throw new Error(`Unknown entity &${entity};`);
+    }
+    return ENTITIES[entity];
+  });
+}
+
+function escape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse a document into its root element; throws on malformed XML
+ */
+function parse(xml) {
+  const stack = [];
+  let root = null;
+  let match;
+
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < xml.length) {
+    const position = TOKEN.lastIndex;
+    match = TOKEN.exec(xml);
+    if (!match) {
+      throw new Error(`Malformed XML at position ${position}`);
+    }
+
+    const [, cdata, doctype, closeName, openName, attributeText, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+
+    if (doctype) {
+      throw new Error('DOCTYPE declarations are not allowed');
+    } else if (cdata !== undefined || text !== undefined) {
+      const value = cdata !== undefined ? cdata : decode(text);
+      if (parent) {
+        parent.text += value;
+      } else if (value.trim()) {
+        throw new Error(`Text outside the root element at position ${position}`);
+      }
+    } else if (openName) {
+      if (!parent && root) {
+        throw new Error('More than one root element');
+      }
+
+      const attributes = {};
+      let attribute;
+      ATTRIBUTE.lastIndex = 0;
+      while ((attribute = ATTRIBUTE.exec(attributeText)) !== null) {
+        attributes[attribute[1]] = decode(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+      }
+
+      // Prefix -> namespace, inherited from the parent
+      const namespaces = { ...(parent ? parent.namespaces : {}) };
+      Object.entries(attributes).forEach(([name, value]) => {
+        if (name === 'xmlns') namespaces[''] = value;
+        if (name.startsWith('xmlns:')) namespaces[name.slice(6)] = value;
+      });
+
+      const [prefix, localName] = openName.includes(':') ? openName.split(':') : ['', openName];
+      const element = {
+        name: localName,
+        qualifiedName: openName,
+        namespace: namespaces[prefix] || null,
+        namespaces,
+        attributes,
+        children: [],
+        text: '',
+      };
+
+      if (parent) parent.children.push(element);
+      else root = element;
+      if (!selfClosing) stack.push(element);
+    } else if (closeName) {
+      if (!parent || parent.qualifiedName !== closeName) {
+        throw new Error(`Unexpected closing tag </${closeName}> at position ${position}`);
+      }
+      stack.pop();
+    }
+  }
+
+  if (stack.length > 0) {
+    throw new Error(`Unclosed element <${stack[stack.length - 1].qualifiedName}>`);
+  }
+  if (!root) {
+    throw new Error('No root element');
+  }
+  return root;
+}
+
+/**
+ * Write an element tree as an indented document
+ * Nodes are { name, attributes, children } or { name, text }; children that are null are left out
+ */
+function serialize(node, indent = '') {
+  const attributes = Object.entries(node.attributes || {})
+    .map(([name, value]) => ` ${name}="${escape(value)}"`)
+    .join('');
+  const children = (node.children || []).filter(Boolean);
+
+  if (children.length > 0) {
+    const inner = children.map(child => serialize(child, `${indent}  `)).join('\n');
+    return `${indent}<${node.name}${attributes}>\n${inner}\n${indent}</${node.name}>`;
+  }
+  return `${indent}<${node.name}${attributes}>${escape(node.text ?? '')}</${node.name}>`;
+}
+
+/**
+ * Text of each child element with a name
+ */
+function childTexts(element, name) {
+  return element.children.filter(child => child.name === name).map(child => child.text.trim());
+}
+
+/**
+ * Text of the first child element with a name, or null
+ */
+function childText(element, name) {
+  return childTexts(element, name)[0] ?? null;
+}
+
+module.exports = { parse, serialize, escape, childText, childTexts };
@@ -0,0 +1,135 @@
+const express = require('express');
+const request = require('supertest');
+const { Op } = require('sequelize');
+const { Incident, User } = require('../src/models');
+const {
+  authService,
+  queueService,
+  incidentIngestionService,
+  confidenceScoringService,
+  alertBroadcastService,
+} = require('../src/services');
+const adminRoutes = require('../src/routes/admin');
+
+const USERS = {
+  'admin-token': { id: 1, username: 'admin', name: 'Administrator', role: 'admin' },
+};
+
+describe('Admin routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/admin', adminRoutes);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(authService, 'verifyToken').mockImplementation(async token => USERS[token] || null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('users', () => {
+    const ngozi = { id: 'a1b2', username: 'ngozi', role: 'dispatcher', status: 'active' };
+
+    beforeEach(() => {
+      ngozi.save = jest.fn().mockResolvedValue();
+      User.findByPk = jest.fn(async id => (id === ngozi.id ? ngozi : null));
+      User.create = jest.fn(async () => {
+        const error = new Error('Validation error');
+        error.name = 'SequelizeUniqueConstraintError';
+        throw error;
+      });
+    });
+
+    afterEach(() => {
+      delete User.findByPk;
+      delete User.create;
+    });
+
+    const send = (method, path, body) => request(app)[method](`/api/v1/admin/users${path}`)
+      .set('Authorization', 'Bearer admin-token')
+      .send(body);
+
+    it('answers 409 for a taken username', async () => {
+      const res = await send('post', '', { username: 'ngozi', password: 'secret' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('Username already taken: ngozi');
+    });
+
+    it('answers 400 for an unknown role or status', async () => {
+      expect((await send('post', '', { username: 'bala', password: 'secret', role: 'owner' })).status).toBe(400);
+      expect((await send('patch', '/a1b2', { role: 'owner' })).status).toBe(400);
+
+      const res = await send('patch', '/a1b2', { status: 'banned' });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Unknown status: banned');
+      expect(ngozi.save).not.toHaveBeenCalled();
+    });
+
+    it('answers 404 for an unknown user', async () => {
+      const res = await send('patch', '/zz99', { status: 'inactive' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('queues', () => {
+    const get = path => request(app).get(`/api/v1/admin/queues${path}`).set('Authorization', 'Bearer admin-token');
+
+    it('answers 404 for an unknown queue and 400 for an unknown status', async () => {
+      const unknownQueue = await get('/nope/jobs');
+      const unknownStatus = await get(`/${queueService.QUEUES.NOTIFICATIONS}/jobs?status=stuck`);
+
+      expect(unknownQueue.status).toBe(404);
+      expect(unknownQueue.body.error).toBe('Unknown queue: nope');
+      expect(unknownStatus.status).toBe(400);
+    });
+  });
+
+  describe('response statistics', () => {
+    // Level 1 answered in 20 minutes, level 2 in 75 (over its 60), level 1 still open after 10
+    const escalated = [
+      { status: 'resolved', incidentType: 'fire', escalationLevel: 1, responseTime: 20, escalationAssignedToName: 'Aisha Bello' },
+      { status: 'closed', incidentType: 'flood', escalationLevel: 2, responseTime: 75, escalationAssignedToName: 'Dr Halima Usman' },
+      { status: 'escalated', incidentType: 'fire', escalationLevel: 1, responseTime: null, getAgeInMinutes: () => 10 },
+    ];
+
+    beforeEach(() => {
+      Incident.findAll = jest.fn(async ({ where }) => {
+        if (where.escalationLevel) return escalated;
+        if (where.status[Op.in]) return escalated.filter(i => where.status[Op.in].includes(i.status));
+        return escalated;
+      });
+      Incident.count = jest.fn(async () => 1);
+      jest.spyOn(incidentIngestionService, 'getStatistics').mockResolvedValue({ total: 4 });
+      jest.spyOn(confidenceScoringService, 'getConfidenceStats').mockResolvedValue({});
+      jest.spyOn(alertBroadcastService, 'getAlertStats').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      delete Incident.findAll;
+      delete Incident.count;
+    });
+
+    it('reports response times on the dashboard', async () => {
+      const res = await request(app).get('/api/v1/admin/stats/dashboard?period=7d').set('Authorization', 'Bearer admin-token');
+
+      expect(res.status).toBe(200);
+      expect(res.body.escalations).toEqual({ total: 1, rate: 25 });
+      expect(res.body.response).toEqual({ resolved: 2, averageResponseTime: 48 });
+    });
+
+    it('counts open escalations against the time elapsed in the SLA compliance', async () => {
+      const res = await request(app).get('/api/v1/admin/response/status').set('Authorization', 'Bearer admin-token');
+
+      expect(res.status).toBe(200);
+      expect(res.body.slaCompliance).toEqual({ total: 3, onTime: 2, rate: 67 });
+      expect(res.body.byAssignee).toEqual({ 'Aisha Bello': 1, 'Dr Halima Usman': 1, Unassigned: 1 });
+    });
+  });
+});
@@ -0,0 +1,212 @@
+const { Op } = require('sequelize');
+const { Alert } = require('../src/models');
+const alertBroadcastService = require('../src/services/alertBroadcastService');
+const queueService = require('../src/services/queueService');
+const { makeAlert } = require('./fixtures/alerts');
+
+// Evaluates the subset of Sequelize where clauses getActiveAlerts builds against a plain row
+function matchesWhere(row, where) {
+  const conditions = Object.entries(where).map(([field, wanted]) => ({ field, wanted }));
+  Object.getOwnPropertySymbols(where).forEach(op => conditions.push({ op, wanted: where[op] }));
+
+  return conditions.every(({ field, op, wanted }) => {
+    if (op === Op.and) return wanted.every(part => matchesWhere(row, part));
+    if (op === Op.or) return wanted.some(part => matchesWhere(row, part));
+
+    const value = row[field] === undefined ? null : row[field];
+    if (wanted && wanted[Op.gt]) return value > wanted[Op.gt];
+    if (wanted && wanted[Op.contains]) return (value || []).some(item => wanted[Op.contains].includes(item));
+    return JSON.stringify(value) === JSON.stringify(wanted);
+  });
+}
+
+const author = { id: '1', name: 'Amina Bello' };
+const supervisor = { id: '2', name: 'Ibrahim Musa' };
+
+describe('Alert approval workflow', () => {
+  let alert;
+
+  const draft = fields => makeAlert({ targetAreaState: 'Kano', createdByUserId: author.id, ...fields });
+
+  beforeEach(() => {
+    Alert.findOne = jest.fn(async () => alert);
+    jest.spyOn(queueService, 'add').mockResolvedValue({ id: '1' });
+  });
+
+  afterEach(() => {
+    delete Alert.findOne;
+    jest.restoreAllMocks();
+  });
+
+  describe('submit', () => {
+    it('holds critical and security alerts for approval', async () => {
+      for (const fields of [{ severity: 'critical' }, { alertType: 'security' }]) {
+        alert = draft(fields);
+        await alertBroadcastService.submit('ALT-1', author);
+
+        expect(alert).toMatchObject({ status: 'pending_approval', submittedByUserId: author.id });
+      }
+      expect(queueService.add).not.toHaveBeenCalled();
+    });
+
+    it('sends other alerts straight away', async () => {
+      alert = draft({});
+      await alertBroadcastService.submit('ALT-1', author);
+
+      expect(alert).toMatchObject({ status: 'active', sentAt: expect.any(Date) });
+      expect(queueService.add).toHaveBeenCalledWith(queueService.QUEUES.ALERT_BROADCASTS, { alertId: 'ALT-1', options: {} }, {});
+    });
+
+    it('only submits drafts', async () => {
+      alert = draft({ status: 'active' });
+
+      await expect(alertBroadcastService.submit('ALT-1', author)).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('clears an earlier rejection', async () => {
+      alert = draft({ severity: 'critical', rejectedByName: supervisor.name, rejectionReason: 'Wrong LGA' });
+      await alertBroadcastService.submit('ALT-1', author);
+
+      expect(alert).toMatchObject({ rejectedByName: null, rejectionReason: null });
+    });
+  });
+
+  describe('approve', () => {
+    it('needs a second person', async () => {
+      alert = draft({ status: 'pending_approval', severity: 'critical', submittedByUserId: '3' });
+
+      await expect(alertBroadcastService.approve('ALT-1', author)).rejects.toMatchObject({ status: 403 });
+      await expect(alertBroadcastService.approve('ALT-1', { id: '3', name: 'Submitter' })).rejects.toMatchObject({ status: 403 });
+      expect(alert.status).toBe('pending_approval');
+    });
+
+    it('broadcasts an alert that is due and records the approver', async () => {
+      alert = draft({ status: 'pending_approval', severity: 'critical', submittedByUserId: author.id });
+      await alertBroadcastService.approve('ALT-1', supervisor);
+
+      expect(alert).toMatchObject({
+        status: 'active',
+        approvedByUserId: supervisor.id,
+        approvedByName: supervisor.name,
+        sentAt: expect.any(Date),
+      });
+      expect(queueService.add).toHaveBeenCalledTimes(1);
+    });
+
+    it('schedules an alert whose send time is in the future', async () => {
+      const validFrom = new Date(Date.now() + 3600000);
+      alert = draft({ status: 'pending_approval', severity: 'critical', validFrom });
+      await alertBroadcastService.approve('ALT-1', supervisor);
+
+      expect(alert).toMatchObject({ status: 'scheduled', sentAt: null });
+      expect(queueService.add).toHaveBeenCalledWith(
+        queueService.QUEUES.ALERT_BROADCASTS,
+        { alertId: 'ALT-1', options: {} },
+        { delay: expect.any(Number), jobId: `ALT-1:${validFrom.getTime()}` }
+      );
+      expect(queueService.add.mock.calls[0][2].delay).toBeGreaterThan(3590000);
+    });
+
+    it('refuses an alert that expired while it waited', async () => {
+      alert = draft({ status: 'pending_approval', severity: 'critical', validUntil: new Date(Date.now() - 1000) });
+
+      await expect(alertBroadcastService.approve('ALT-1', supervisor)).rejects.toMatchObject({ status: 409 });
+      expect(queueService.add).not.toHaveBeenCalled();
+    });
+
+    it('only approves alerts waiting for approval', async () => {
+      alert = draft({});
+
+      await expect(alertBroadcastService.approve('ALT-1', supervisor)).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('reject', () => {
+    it('needs a reason', async () => {
+      alert = draft({ status: 'pending_approval', severity: 'critical' });
+
+      await expect(alertBroadcastService.reject('ALT-1', supervisor, '  ')).rejects.toMatchObject({ status: 400 });
+      expect(alert.status).toBe('pending_approval');
+    });
+
+    it('sends the alert back to its author as a draft', async () => {
+      alert = draft({ status: 'pending_approval', severity: 'critical' });
+      await alertBroadcastService.reject('ALT-1', supervisor, ' Wrong LGA ');
+
+      expect(alert).toMatchObject({ status: 'draft', rejectedByName: supervisor.name, rejectionReason: 'Wrong LGA' });
+    });
+  });
+
+  describe('scheduled broadcasts', () => {
+    beforeEach(() => {
+      Alert.update = jest.fn(async () => [1]);
+      jest.spyOn(alertBroadcastService, 'broadcastAlert').mockResolvedValue({ sent: 2, failed: 0, total: 2 });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      delete Alert.update;
+    });
+
+    it('sends a scheduled alert once it is due', async () => {
+      alert = draft({ status: 'scheduled', reload: jest.fn() });
+
+      expect(await alertBroadcastService.processBroadcastJob({ alertId: 'ALT-1' })).toEqual({ sent: 2, failed: 0, total: 2 });
+      expect(Alert.update).toHaveBeenCalledWith(
+        { status: 'active', sentAt: expect.any(Date) },
+        { where: { alertId: 'ALT-1', status: 'scheduled' } }
+      );
+    });
+
+    it('skips jobs that run early, lose the race or find the alert cancelled', async () => {
+      alert = draft({ status: 'scheduled', validFrom: new Date(Date.now() + 3600000) });
+      expect(await alertBroadcastService.processBroadcastJob({ alertId: 'ALT-1' })).toEqual({ skipped: 'not_due' });
+
+      alert = draft({ status: 'scheduled' });
+      Alert.update.mockResolvedValueOnce([0]);
+      expect(await alertBroadcastService.processBroadcastJob({ alertId: 'ALT-1' })).toEqual({ skipped: 'already_sent' });
+
+      alert = draft({ status: 'cancelled' });
+      expect(await alertBroadcastService.processBroadcastJob({ alertId: 'ALT-1' })).toEqual({ skipped: 'cancelled' });
+
+      expect(alertBroadcastService.broadcastAlert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getActiveAlerts', () => {
+    const sent = (name, fields) => ({ name, status: 'active', validUntil: null, ...fields });
+    const alerts = [
+      sent('kano', { targetAreaState: 'Kano', targetAreaLgas: [] }),
+      sent('kano-fagge', { targetAreaState: 'Kano', targetAreaLgas: ['Fagge'] }),
+      sent('kano-dala', { targetAreaState: 'Kano', targetAreaLgas: ['Dala'] }),
+      sent('lagos', { targetAreaState: 'Lagos', targetAreaLgas: [] }),
+      sent('jigawa-fagge', { targetAreaState: 'Jigawa', targetAreaLgas: ['Fagge'] }),
+      sent('nationwide', { targetAreaLgas: [], targetAreaGeohashes: [] }),
+      sent('geohash', { targetAreaLgas: [], targetAreaGeohashes: ['s4nh'] }),
+      sent('lapsed', { targetAreaState: 'Kano', validUntil: new Date(Date.now() - 1000) }),
+      sent('cancelled', { targetAreaState: 'Kano', status: 'cancelled' }),
+    ];
+    const names = async filters => (await alertBroadcastService.getActiveAlerts(filters)).map(a => a.name);
+
+    beforeEach(() => {
+      Alert.findAll = jest.fn(async ({ where }) => alerts.filter(a => matchesWhere(a, where)));
+    });
+
+    afterEach(() => {
+      delete Alert.findAll;
+    });
+
+    it('keeps alerts in force', async () => {
+      expect(await names()).toEqual(['kano', 'kano-fagge', 'kano-dala', 'lagos', 'jigawa-fagge', 'nationwide', 'geohash']);
+    });
+
+    it('keeps the state\'s alerts and nationwide ones for a state', async () => {
+      expect(await names({ state: 'Kano' })).toEqual(['kano', 'kano-fagge', 'kano-dala', 'nationwide']);
+    });
+
+    it('keeps whole-state alerts for an LGA only when they are for its state', async () => {
+      expect(await names({ state: 'Kano', lga: 'Fagge' })).toEqual(['kano', 'kano-fagge', 'nationwide']);
+      expect(await names({ lga: 'Fagge' })).toEqual(['kano-fagge', 'jigawa-fagge', 'nationwide']);
+    });
+  });
+});
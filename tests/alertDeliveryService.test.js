@@ -0,0 +1,110 @@
+const { Alert, AlertDelivery } = require('../src/models');
+const alertDeliveryService = require('../src/services/alertDeliveryService');
+
+describe('Alert delivery reports', () => {
+  let delivery;
+
+  const build = fields => ({
+    alertId: 'ALT-1',
+    phoneNumber: '+2348033333333',
+    providerMessageId: 'SM1',
+    deliveredAt: null,
+    ...fields,
+    update: jest.fn(async function update(changes) { return Object.assign(this, changes); }),
+  });
+
+  beforeEach(() => {
+    delivery = build({ status: 'sent' });
+    AlertDelivery.findOne = jest.fn(async ({ where }) => (
+      where.providerMessageId === delivery.providerMessageId ? delivery : null
+    ));
+    Alert.increment = jest.fn();
+    Alert.decrement = jest.fn();
+  });
+
+  afterEach(() => {
+    delete AlertDelivery.findOne;
+    delete Alert.increment;
+    delete Alert.decrement;
+  });
+
+  it('marks a delivery delivered and counts it on the alert', async () => {
+    const result = await alertDeliveryService.applyReport('twilio', { messageId: 'SM1', status: 'delivered' });
+
+    expect(result).toBe(delivery);
+    expect(delivery).toMatchObject({ status: 'delivered', deliveredAt: expect.any(Date) });
+    expect(Alert.increment).toHaveBeenCalledWith('statsDeliveredCount', { where: { alertId: 'ALT-1' } });
+    expect(Alert.decrement).not.toHaveBeenCalled();
+  });
+
+  it('maps each provider\'s statuses and keeps the failure reason', async () => {
+    await alertDeliveryService.applyReport('africastalking', {
+      messageId: 'SM1',
+      status: 'Failed',
+      failureReason: 'UserInBlacklist',
+    });
+
+    expect(delivery).toMatchObject({ status: 'failed', failureReason: 'UserInBlacklist' });
+    expect(Alert.increment).toHaveBeenCalledWith('statsFailedCount', { where: { alertId: 'ALT-1' } });
+
+    delivery = build({ status: 'sent' });
+    await alertDeliveryService.applyReport('twilio', { messageId: 'SM1', status: 'failed', failureReason: '30007' });
+
+    expect(delivery).toMatchObject({ status: 'rejected', failureReason: '30007' });
+  });
+
+  it('moves a queued delivery to sent without counting it', async () => {
+    delivery = build({ status: 'queued' });
+
+    await alertDeliveryService.applyReport('africastalking', { messageId: 'SM1', status: 'Buffered' });
+
+    expect(delivery.status).toBe('sent');
+    expect(Alert.increment).not.toHaveBeenCalled();
+  });
+
+  it('ignores reports after a final status, for unknown messages and with unknown statuses', async () => {
+    delivery = build({ status: 'delivered' });
+
+    expect(await alertDeliveryService.applyReport('twilio', { messageId: 'SM1', status: 'undelivered' })).toBeNull();
+    expect(await alertDeliveryService.applyReport('twilio', { messageId: 'SM9', status: 'delivered' })).toBeNull();
+    expect(await alertDeliveryService.applyReport('twilio', { messageId: 'SM1', status: 'queued' })).toBeNull();
+    expect(await alertDeliveryService.applyReport('twilio', { status: 'delivered' })).toBeNull();
+    expect(await alertDeliveryService.applyReport('unknown', { messageId: 'SM1', status: 'delivered' })).toBeNull();
+
+    expect(delivery.update).not.toHaveBeenCalled();
+    expect(Alert.increment).not.toHaveBeenCalled();
+  });
+
+  describe('recordSendResult', () => {
+    beforeEach(() => {
+      AlertDelivery.findOne = jest.fn(async () => delivery);
+    });
+
+    it('records the message ID the provider accepted, uncounting an earlier failure', async () => {
+      delivery = build({ status: 'failed', providerMessageId: null, failureReason: 'timeout' });
+
+      await alertDeliveryService.recordSendResult('ALT-1', '+2348033333333', {
+        success: true,
+        provider: 'twilio',
+        messageId: 'SM2',
+      });
+
+      expect(delivery).toMatchObject({ status: 'sent', providerMessageId: 'SM2', failureReason: null });
+      expect(Alert.decrement).toHaveBeenCalledWith('statsFailedCount', { where: { alertId: 'ALT-1' } });
+    });
+
+    it('counts a refused send as rejected but leaves a queued retry alone', async () => {
+      delivery = build({ status: 'queued', providerMessageId: null });
+      await alertDeliveryService.recordSendResult('ALT-1', '+2348033333333', { success: false, queued: true });
+      expect(delivery.status).toBe('queued');
+
+      await alertDeliveryService.recordSendResult('ALT-1', '+2348033333333', {
+        success: false,
+        provider: 'africastalking',
+        error: 'InvalidPhoneNumber',
+      });
+      expect(delivery).toMatchObject({ status: 'rejected', failureReason: 'InvalidPhoneNumber' });
+      expect(Alert.increment).toHaveBeenCalledWith('statsFailedCount', { where: { alertId: 'ALT-1' } });
+    });
+  });
+});
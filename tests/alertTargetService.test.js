@@ -0,0 +1,175 @@
+const { Alert, Subscriber } = require('../src/models');
+const alertTargetService = require('../src/services/alertTargetService');
+const alertBroadcastService = require('../src/services/alertBroadcastService');
+const geohash = require('../src/utils/geohash');
+const { makeAlert } = require('./fixtures/alerts');
+
+function subscriber(fields) {
+  return { status: 'active', alertTypes: null, language: 'hausa', ...fields };
+}
+
+// Fatima's home is in Kano Municipal, about 1 km from the city centre; Emeka lives in Ikeja
+const fatima = subscriber({
+  phoneNumber: '+2348030000001',
+  homeState: 'Kano',
+  homeLga: 'Kano Municipal',
+  homeWard: 'Jakara',
+  homeLatitude: 12.0,
+  homeLongitude: 8.52,
+  homeGeohash: geohash.encode(12.0, 8.52, 6),
+});
+const musa = subscriber({ phoneNumber: '+2348030000002', homeState: 'Kano', homeLga: 'Fagge', language: 'english' });
+const emeka = subscriber({
+  phoneNumber: '+2348030000003',
+  homeState: 'Lagos',
+  homeLga: 'Ikeja',
+  homeLatitude: 6.6,
+  homeLongitude: 3.35,
+  homeGeohash: geohash.encode(6.6, 3.35, 6),
+});
+
+describe('Alert targeting', () => {
+  describe('matches', () => {
+    const target = fields => alertTargetService.getTarget(fields);
+
+    it('narrows a state by LGA and then ward', () => {
+      expect(alertTargetService.matches(musa, target({ targetAreaState: 'Kano' }))).toBe(true);
+      expect(alertTargetService.matches(musa, target({ targetAreaState: 'Kano', targetAreaLgas: ['Kano Municipal'] }))).toBe(false);
+      expect(alertTargetService.matches(fatima, target({
+        targetAreaState: 'Kano',
+        targetAreaLgas: ['Kano Municipal'],
+        targetAreaVillages: ['Jakara'],
+      }))).toBe(true);
+      expect(alertTargetService.matches(fatima, target({ targetAreaState: 'Kano', targetAreaWards: ['Sharada'] }))).toBe(false);
+    });
+
+    it('matches geohash prefixes and radii against home coordinates only', () => {
+      expect(alertTargetService.matches(fatima, target({ targetAreaGeohashes: ['S4NH'] }))).toBe(true);
+      expect(alertTargetService.matches(musa, target({ targetAreaGeohashes: ['s4nh'] }))).toBe(false);
+
+      const radius = { targetAreaLatitude: 12.0, targetAreaLongitude: 8.53, targetAreaRadius: 5 };
+      expect(alertTargetService.matches(fatima, target(radius))).toBe(true);
+      expect(alertTargetService.matches(emeka, target(radius))).toBe(false);
+      expect(alertTargetService.matches(musa, target(radius))).toBe(false);
+    });
+
+    it('takes the union of the shapes', () => {
+      const both = target({ targetAreaState: 'Lagos', targetAreaGeohashes: ['s4nh'] });
+
+      expect(alertTargetService.matches(fatima, both)).toBe(true);
+      expect(alertTargetService.matches(emeka, both)).toBe(true);
+      expect(alertTargetService.matches(musa, both)).toBe(false);
+    });
+  });
+
+  describe('findRecipients', () => {
+    beforeEach(() => {
+      Subscriber.findAll = jest.fn(async () => [fatima, musa, emeka]);
+    });
+
+    afterEach(() => {
+      delete Subscriber.findAll;
+    });
+
+    it('reaches nobody when the alert has no target', async () => {
+      const recipients = await alertTargetService.findRecipients({ alertType: 'security' });
+
+      expect(recipients).toEqual([]);
+      expect(Subscriber.findAll).not.toHaveBeenCalled();
+    });
+
+    it('reaches every subscriber who wants the type when targetAllAreas is set', async () => {
+      const recipients = await alertTargetService.findRecipients({ alertType: 'security', targetAllAreas: true });
+
+      expect(recipients).toEqual([fatima, musa, emeka]);
+    });
+
+    it('keeps only the subscribers inside the target', async () => {
+      const recipients = await alertTargetService.findRecipients({
+        alertType: 'security',
+        targetAreaState: 'Kano',
+        targetAreaLgas: ['Fagge'],
+      });
+
+      expect(recipients).toEqual([musa]);
+    });
+  });
+
+  describe('normalizeTarget', () => {
+    it('matches names to the gazetteer and reads list and flag values from the form', () => {
+      const target = alertTargetService.normalizeTarget({
+        targetAreaState: 'kano',
+        targetAreaLgas: 'kano municipal, Fagge',
+      });
+
+      expect(target).toEqual(expect.objectContaining({
+        targetAreaState: 'Kano',
+        targetAreaLgas: ['Kano Municipal', 'Fagge'],
+      }));
+      expect(alertTargetService.normalizeTarget({ targetAllAreas: 'on' }).targetAllAreas).toBe(true);
+      expect(alertTargetService.normalizeTarget({ targetAllAreas: 'true' }).targetAllAreas).toBe(true);
+      expect(alertTargetService.normalizeTarget({ targetAllAreas: false }).targetAllAreas).toBe(false);
+      expect(alertTargetService.normalizeTarget({}).targetAllAreas).toBe(false);
+    });
+
+    it('refuses all areas together with a shape', () => {
+      expect(() => alertTargetService.normalizeTarget({ targetAllAreas: true, targetAreaState: 'Kano' }))
+        .toThrow(expect.objectContaining({ status: 400, message: expect.stringMatching(/All areas cannot be combined/) }));
+    });
+
+    it('lists every problem in one 400 error', () => {
+      expect(() => alertTargetService.normalizeTarget({
+        targetAreaLgas: ['Fagge'],
+        targetAreaGeohashes: 'abc!',
+        targetAreaRadius: '10',
+      })).toThrow(expect.objectContaining({
+        status: 400,
+        message: 'LGAs and wards need a target state; "abc!" is not a geohash; Radius needs a valid centre latitude and longitude',
+      }));
+    });
+  });
+
+  describe('submitting and estimating', () => {
+    const draft = fields => makeAlert({ severity: 'info', ...fields });
+
+    beforeEach(() => {
+      Subscriber.findAll = jest.fn(async () => [fatima, musa, emeka]);
+    });
+
+    afterEach(() => {
+      delete Alert.findOne;
+      delete Subscriber.findAll;
+      jest.restoreAllMocks();
+    });
+
+    it('refuses to submit an alert without a target', async () => {
+      Alert.findOne = jest.fn(async () => draft({}));
+
+      await expect(alertBroadcastService.submit('ALT-1', { id: '1' }))
+        .rejects.toMatchObject({ status: 400, message: expect.stringMatching(/tick All areas/) });
+    });
+
+    it('submits an all-areas alert', async () => {
+      const alert = draft({ targetAllAreas: true });
+      Alert.findOne = jest.fn(async () => alert);
+      jest.spyOn(alertBroadcastService, 'release').mockResolvedValue(alert);
+
+      await alertBroadcastService.submit('ALT-1', { id: '1' });
+
+      expect(alertBroadcastService.release).toHaveBeenCalledWith(alert, expect.objectContaining({ submittedByUserId: '1' }));
+    });
+
+    it('warns in the estimate when there is no target, and when it is every subscriber', async () => {
+      const data = { alertType: 'weather', titleHausa: 'Ruwan sama', contentHausa: 'Ruwan sama mai karfi' };
+
+      const none = await alertBroadcastService.estimateRecipients(data);
+      expect(none).toMatchObject({ recipients: 0, warning: expect.stringMatching(/No target area/) });
+
+      const all = await alertBroadcastService.estimateRecipients({ ...data, targetAllAreas: true });
+      expect(all).toMatchObject({ recipients: 3, warning: expect.stringMatching(/every subscriber/) });
+
+      const kano = await alertBroadcastService.estimateRecipients({ ...data, targetAreaState: 'Kano' });
+      expect(kano).toMatchObject({ recipients: 2, byLanguage: { hausa: 1, english: 1 }, warning: null });
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const config = require('../src/config');
+const { User } = require('../src/models');
+const authService = require('../src/services/authService');
+const { authenticate, requirePermission } = require('../src/middleware/auth');
+
+describe('Operator authentication', () => {
+  let user;
+
+  beforeAll(async () => {
+    user = {
+      id: 'a1b2',
+      username: 'ngozi',
+      displayName: 'Ngozi Eze',
+      role: 'dispatcher',
+      status: 'active',
+      passwordHash: await authService.hashPassword('correct horse'),
+    };
+  });
+
+  beforeEach(() => {
+    user.status = 'active';
+    user.save = jest.fn().mockResolvedValue();
+    User.scope = jest.fn(() => ({ findOne: jest.fn(async ({ where }) => (where.username === user.username ? user : null)) }));
+    User.findByPk = jest.fn(async id => (id === user.id ? user : null));
+  });
+
+  afterEach(() => {
+    delete User.scope;
+    delete User.findByPk;
+    delete User.create;
+  });
+
+  describe('login', () => {
+    it('issues a token for the right password', async () => {
+      const session = await authService.login('ngozi', 'correct horse');
+
+      expect(session.user).toMatchObject({ id: 'a1b2', name: 'Ngozi Eze', role: 'dispatcher' });
+      expect(jwt.verify(session.token, config.auth.jwtSecret).sub).toBe('a1b2');
+      expect(user.lastLoginAt).toEqual(expect.any(Date));
+    });
+
+    it('refuses a bad password, an unknown user and a disabled user', async () => {
+      expect(await authService.login('ngozi', 'wrong horse')).toBeNull();
+      expect(await authService.login('nobody', 'correct horse')).toBeNull();
+
+      user.status = 'inactive';
+      expect(await authService.login('ngozi', 'correct horse')).toBeNull();
+      expect(user.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyToken', () => {
+    it('resolves a valid token to the current principal', async () => {
+      const principal = await authService.verifyToken(authService.issueToken(user));
+
+      expect(principal).toMatchObject({ id: 'a1b2', role: 'dispatcher', permissions: expect.arrayContaining(['incidents:update']) });
+    });
+
+    it('refuses tampered and expired tokens', async () => {
+      const [header, , signature] = authService.issueToken(user).split('.');
+      const forged = Buffer.from(JSON.stringify({ sub: user.id, role: 'admin' })).toString('base64url');
+      const expired = jwt.sign({ sub: user.id }, config.auth.jwtSecret, { expiresIn: -10 });
+      const otherSecret = jwt.sign({ sub: user.id }, 'not-the-secret');
+
+      expect(await authService.verifyToken(`${header}.${forged}.${signature}`)).toBeNull();
+      expect(await authService.verifyToken(expired)).toBeNull();
+      expect(await authService.verifyToken(otherSecret)).toBeNull();
+      expect(User.findByPk).not.toHaveBeenCalled();
+    });
+
+    it('refuses the token of an account disabled since it was issued', async () => {
+      const token = authService.issueToken(user);
+      user.status = 'inactive';
+
+      expect(await authService.verifyToken(token)).toBeNull();
+    });
+  });
+
+  describe('managing accounts', () => {
+    it('rejects unknown roles and statuses with 400 and unknown users with 404', async () => {
+      await expect(authService.updateUser('a1b2', { status: 'banned' })).rejects.toMatchObject({ status: 400 });
+      await expect(authService.updateUser('a1b2', { role: 'owner' })).rejects.toMatchObject({ status: 400 });
+      await expect(authService.updateUser('zz99', { status: 'inactive' })).rejects.toMatchObject({ status: 404 });
+      await expect(authService.createUser({ username: 'bala', password: 'x', role: 'owner' })).rejects.toMatchObject({ status: 400 });
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('disables an account', async () => {
+      await authService.updateUser('a1b2', { status: 'inactive' });
+
+      expect(user.status).toBe('inactive');
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('rejects a taken username with 409', async () => {
+      User.create = jest.fn(async () => {
+        const error = new Error('Validation error');
+        error.name = 'SequelizeUniqueConstraintError';
+        throw error;
+      });
+
+      await expect(authService.createUser({ username: 'ngozi', password: 'x' })).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('middleware', () => {
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.get('/incidents', authenticate, requirePermission('incidents:view'), (req, res) => res.json({ user: req.user.username }));
+      app.get('/users', authenticate, requirePermission('users:manage'), (req, res) => res.json({}));
+    });
+
+    it('needs a bearer token that verifies', async () => {
+      expect((await request(app).get('/incidents')).status).toBe(401);
+      expect((await request(app).get('/incidents').set('Authorization', 'Bearer not-a-jwt')).status).toBe(401);
+    });
+
+    it('puts the principal on the request', async () => {
+      const res = await request(app).get('/incidents').set('Authorization', `Bearer ${authService.issueToken(user)}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toBe('ngozi');
+    });
+
+    it('answers 403 when the role lacks the permission', async () => {
+      const res = await request(app).get('/users').set('Authorization', `Bearer ${authService.issueToken(user)}`);
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('Missing permission: users:manage');
+    });
+  });
+});
@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const { Alert } = require('../src/models');
+const capService = require('../src/services/capService');
+const alertBroadcastService = require('../src/services/alertBroadcastService');
+
+// Sample CAP 1.2 messages as partner agencies send them
+const sample = name => fs.readFileSync(path.join(__dirname, 'fixtures/cap', `${name}.xml`), 'utf8');
+const parseSample = name => capService.parse(sample(name));
+
+const sentAlert = {
+  alertId: 'ALT-MG4K2Q',
+  titleHausa: 'Ku yi hankali da ambaliya',
+  contentHausa: 'Ruwa zai yi yawa a kogin Hadejia <gobe> & jibi.',
+  titleEnglish: 'Flood warning',
+  contentEnglish: 'The Hadejia river is expected to flood.',
+  alertType: 'weather',
+  severity: 'critical',
+  targetAreaState: 'Kano',
+  targetAreaLgas: ['Dala', 'Fagge'],
+  targetAreaWards: [],
+  targetAreaVillages: ['Gwammaja'],
+  targetAreaGeohashes: ['s4nh'],
+  targetAreaRadius: 5,
+  targetAreaLatitude: 12,
+  targetAreaLongitude: 8.5,
+  validFrom: new Date('2026-10-19T08:00:00Z'),
+  validUntil: new Date('2026-10-20T08:00:00Z'),
+  status: 'active',
+  sentAt: new Date('2026-10-19T08:00:05Z'),
+  createdAt: new Date('2026-10-19T07:30:00Z'),
+  updatedAt: new Date('2026-10-19T08:00:05Z'),
+};
+
+describe('CAP 1.2', () => {
+  describe('validation', () => {
+    it.each(['nema-flood', 'kano-security', 'nema-flood-all-clear'])('accepts %s', (name) => {
+      expect(capService.validate(parseSample(name))).toEqual([]);
+    });
+
+    it('lists every schema problem', () => {
+      const errors = capService.validate(parseSample('invalid'));
+      expect(errors).toEqual(expect.arrayContaining([
+        'alert: missing <sender>',
+        'alert/identifier: "BAD ID" is not a valid identifier',
+        'alert/sent: "2026-08-14T05:00:00Z" is not a valid dateTime',
+        expect.stringMatching(/^alert\/status: "Real" is not one of/),
+        expect.stringMatching(/^alert\/info\/category: "Weather" is not one of/),
+        'alert/info: <urgency> is out of order',
+        'alert/info/area/polygon: "12.4,10.0 12.6,10.0 12.6,10.2" is not a valid polygon',
+        'alert/info/area/circle: "12.0,8.5" is not a valid circle',
+        'alert/info: unexpected element <colour>',
+        'alert: Restricted scope needs <restriction>',
+      ]));
+    });
+
+    it('rejects malformed XML, DOCTYPEs and other documents', () => {
+      expect(() => capService.parse('<alert><identifier>x</alert>')).toThrow(/Invalid XML/);
+      expect(() => capService.parse('<!DOCTYPE alert [<!ENTITY x "y">]><alert/>')).toThrow(/DOCTYPE/);
+      expect(() => capService.parse('<rss version="2.0"/>')).toThrow(/Not a CAP 1.2 alert/);
+      expect(() => capService.parse('')).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe('import mapping', () => {
+    it('maps an English-only flood warning, approximating its polygon', () => {
+      const { data, references, warnings } = capService.toAlertData(parseSample('nema-flood'));
+
+      expect(data).toMatchObject({
+        alertType: 'weather',
+        severity: 'alert',
+        titleEnglish: 'Flood warning for the Hadejia river',
+        titleHausa: 'Flood warning for the Hadejia river',
+        validFrom: '2026-08-14T06:00:00+01:00',
+        validUntil: '2026-08-17T18:00:00+01:00',
+        targetAreaState: 'Jigawa',
+      });
+      expect(data.contentEnglish).toContain('Move to higher ground & keep away');
+      expect(data.targetAreaGeohashes.length).toBeGreaterThan(0);
+      expect(data.targetAreaGeohashes.every(hash => hash.startsWith('s4p'))).toBe(true);
+      expect(references).toEqual([]);
+      expect(warnings).toEqual(expect.arrayContaining([
+        expect.stringMatching(/approximated by \d+ geohash cells/),
+        expect.stringMatching(/^No Hausa <info>/),
+      ]));
+    });
+
+    it('maps Hausa and English infos, geocodes from both and a circle', () => {
+      const { data, warnings } = capService.toAlertData(parseSample('kano-security'));
+
+      expect(data).toMatchObject({
+        alertType: 'security',
+        severity: 'critical',
+        titleHausa: 'Ku guji kasuwar Kurmi',
+        contentHausa: "Jami'an tsaro suna aiki a kusa da kasuwar Kurmi. Ku zauna a gida.",
+        titleEnglish: 'Avoid Kurmi market',
+        targetAreaState: 'Kano',
+        targetAreaLgas: ['dala', 'Fagge'],
+        targetAreaRadius: 3,
+        targetAreaLatitude: 12,
+        targetAreaLongitude: 8.5167,
+        targetAreaGeohashes: [],
+      });
+      expect(warnings).toEqual([]);
+    });
+
+    it('maps an AllClear update with its references', () => {
+      const { data, references, warnings } = capService.toAlertData(parseSample('nema-flood-all-clear'));
+
+      expect(data.followUpType).toBe('all_clear');
+      expect(references).toEqual([{ sender: 'alerts@nema.gov.ng', identifier: 'NEMA-2026-0412' }]);
+      expect(warnings).toEqual(expect.arrayContaining([expect.stringMatching(/has no target/)]));
+    });
+
+    it('refuses exercises, cancellations and restricted alerts', () => {
+      const variant = (from, to) => capService.parse(sample('nema-flood').replace(from, to));
+
+      expect(() => capService.toAlertData(variant('<status>Actual', '<status>Exercise')))
+        .toThrow('Only Actual alerts can be imported (status is Exercise)');
+      expect(() => capService.toAlertData(variant('<msgType>Alert', '<msgType>Cancel')))
+        .toThrow(/Only Alert and Update messages/);
+      expect(() => capService.toAlertData(variant('<scope>Public', '<scope>Private')))
+        .toThrow(/Only Public alerts/);
+    });
+  });
+
+  describe('importAlert', () => {
+    let createDraft;
+
+    beforeEach(() => {
+      Alert.findOne = jest.fn().mockResolvedValue(null);
+      createDraft = jest.spyOn(alertBroadcastService, 'createDraft')
+        .mockImplementation(async (data, author, source) => ({ alertId: 'ALT-NEW', status: 'draft', ...data, ...source }));
+    });
+
+    afterEach(() => {
+      createDraft.mockRestore();
+      delete Alert.findOne;
+    });
+
+    it('creates a draft recording the CAP sender and identifier', async () => {
+      const author = { id: 'u1', name: 'Amina', role: 'alert_author' };
+      const { alert, warnings } = await capService.importAlert(sample('kano-security'), author);
+
+      expect(alert.status).toBe('draft');
+      expect(warnings).toEqual([]);
+      expect(createDraft).toHaveBeenCalledWith(
+        expect.objectContaining({ alertType: 'security', severity: 'critical' }),
+        author,
+        { capSender: 'sema@kanostate.gov.ng', capIdentifier: 'KNSEMA-0093' }
+      );
+    });
+
+    it('refuses invalid documents with the list of problems', async () => {
+      await expect(capService.importAlert(sample('invalid'))).rejects.toMatchObject({
+        status: 400,
+        message: 'Invalid CAP 1.2 alert',
+        errors: expect.arrayContaining(['alert: missing <sender>']),
+      });
+      expect(createDraft).not.toHaveBeenCalled();
+    });
+
+    it('refuses a message imported before', async () => {
+      Alert.findOne.mockResolvedValue({ alertId: 'ALT-OLD' });
+
+      await expect(capService.importAlert(sample('nema-flood'))).rejects.toMatchObject({
+        status: 409,
+        message: 'Already imported as ALT-OLD',
+      });
+    });
+
+    it('makes an AllClear update a follow-up to the alert it references', async () => {
+      Alert.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ alertId: 'ALT-FLOOD', sentAt: new Date() });
+
+      await capService.importAlert(sample('nema-flood-all-clear'));
+
+      expect(Alert.findOne).toHaveBeenLastCalledWith({
+        where: { capSender: 'alerts@nema.gov.ng', capIdentifier: 'NEMA-2026-0412' },
+      });
+      expect(createDraft.mock.calls[0][0]).toMatchObject({ parentAlertId: 'ALT-FLOOD', followUpType: 'all_clear' });
+    });
+
+    it('imports an update to an unknown alert as a new draft', async () => {
+      const { warnings } = await capService.importAlert(sample('nema-flood-all-clear'));
+
+      expect(createDraft.mock.calls[0][0]).toMatchObject({ followUpType: null });
+      expect(createDraft.mock.calls[0][0].parentAlertId).toBeUndefined();
+      expect(warnings).toContain('The referenced alerts were not found; imported as a new draft');
+    });
+  });
+
+  describe('export', () => {
+    it('renders a valid document with both languages and the target area', () => {
+      const document = capService.toXml(capService.fromAlert(sentAlert));
+      const root = capService.parse(document);
+
+      expect(capService.validate(root)).toEqual([]);
+      expect(document).toContain('<identifier>ALT-MG4K2Q</identifier>');
+      expect(document).toContain('<sent>2026-10-19T08:00:05-00:00</sent>');
+      expect(document).toContain('<status>Actual</status>');
+      expect(document).toContain('<language>ha</language>');
+      expect(document).toContain('<language>en</language>');
+      expect(document).toContain('<severity>Extreme</severity>');
+      expect(document).toContain('<expires>2026-10-20T08:00:00-00:00</expires>');
+      expect(document).toContain('&lt;gobe&gt; &amp; jibi');
+      expect(document).toContain('<circle>12,8.5 5</circle>');
+      expect(document).toContain('<value>NG-KN</value>');
+    });
+
+    it('reads back as the same alert', () => {
+      const { data } = capService.toAlertData(capService.parse(capService.toXml(capService.fromAlert(sentAlert))));
+
+      expect(data).toMatchObject({
+        titleHausa: sentAlert.titleHausa,
+        contentHausa: sentAlert.contentHausa,
+        contentEnglish: sentAlert.contentEnglish,
+        alertType: 'weather',
+        severity: 'critical',
+        targetAreaState: 'Kano',
+        targetAreaLgas: ['Dala', 'Fagge'],
+        targetAreaWards: ['Gwammaja'],
+        targetAreaGeohashes: ['s4nh'],
+        targetAreaRadius: 5,
+      });
+    });
+
+    it('marks unsent alerts as drafts, follow-ups as updates and cancellations as cancels', () => {
+      const field = (tree, name) => tree.children.find(child => child && child.name === name);
+
+      const draft = capService.fromAlert({ ...sentAlert, status: 'pending_approval', sentAt: null });
+      expect(field(draft, 'status').text).toBe('Draft');
+
+      const allClear = capService.fromAlert(
+        { ...sentAlert, alertId: 'ALT-MG9Z01', parentAlertId: 'ALT-MG4K2Q', followUpType: 'all_clear' },
+        sentAlert
+      );
+      expect(field(allClear, 'msgType').text).toBe('Update');
+      expect(field(allClear, 'references').text).toBe('matasa-alerts,ALT-MG4K2Q,2026-10-19T08:00:05-00:00');
+      expect(capService.toXml(allClear)).toContain('<responseType>AllClear</responseType>');
+
+      const cancelled = capService.fromAlert({ ...sentAlert, status: 'cancelled' });
+      expect(field(cancelled, 'msgType').text).toBe('Cancel');
+      expect(field(cancelled, 'identifier').text).toBe('ALT-MG4K2Q-cancel');
+      expect(capService.validate(capService.parse(capService.toXml(cancelled)))).toEqual([]);
+    });
+  });
+});
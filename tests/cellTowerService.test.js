@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CellTower, sequelize } = require('../src/models');
+const cellTowerService = require('../src/services/cellTowerService');
+const { main: importCellTowers } = require('../scripts/import-cell-towers');
+
+// Two MTN cells in one Kano location area
+const TOWERS = [
+  { mcc: '621', mnc: '30', lac: '120', cellId: '4411', latitude: 12.0, longitude: 8.5, range: 900 },
+  { mcc: '621', mnc: '30', lac: '120', cellId: '4412', latitude: 12.02, longitude: 8.52, range: null },
+];
+
+describe('Cell tower lookup', () => {
+  beforeEach(() => {
+    CellTower.findOne = jest.fn(async ({ where }) => TOWERS.find(t => Object.keys(where).every(k => t[k] === where[k])) || null);
+    CellTower.findAll = jest.fn(async ({ where }) => TOWERS.filter(t => Object.keys(where).every(k => t[k] === where[k])));
+  });
+
+  afterEach(() => {
+    delete CellTower.findOne;
+    delete CellTower.findAll;
+  });
+
+  it('places a known cell at the tower, matching IDs with or without leading zeros', async () => {
+    const position = await cellTowerService.locate({ cellTowerId: '04411', lac: '0120', mcc: '621', mnc: '030' });
+
+    expect(position).toEqual({ latitude: 12.0, longitude: 8.5, accuracy: 900, method: 'cell' });
+    expect(CellTower.findOne).toHaveBeenCalledWith({ where: { mcc: '621', mnc: '30', lac: '120', cellId: '4411' } });
+  });
+
+  it('falls back to the centre of the location area for an unknown tower', async () => {
+    const position = await cellTowerService.locate({ cellTowerId: '9999', lac: '120', mcc: '621', mnc: '30' });
+
+    expect(position).toMatchObject({ method: 'lac' });
+    expect(position.latitude).toBeCloseTo(12.01, 2);
+    expect(position.longitude).toBeCloseTo(8.51, 2);
+    // Half the distance between the towers plus the default 2 km range of the second
+    expect(position.accuracy).toBeGreaterThan(3500);
+    expect(position.accuracy).toBeLessThan(3700);
+  });
+
+  it('gives up on an unknown area or a request without network details', async () => {
+    expect(await cellTowerService.locate({ cellTowerId: '4411', lac: '999', mcc: '621', mnc: '30' })).toBeNull();
+    expect(await cellTowerService.locate({ cellTowerId: '4411', mcc: '621' })).toBeNull();
+    expect(CellTower.findOne).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Cell tower import', () => {
+  let dir;
+  let saved;
+
+  const writeCsv = (name, lines) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, lines.join('\n'));
+    return file;
+  };
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cell-towers-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    saved = [];
+    CellTower.bulkCreate = jest.fn(async (towers) => { saved.push(...towers); });
+  });
+
+  afterEach(() => {
+    delete CellTower.bulkCreate;
+    jest.restoreAllMocks();
+  });
+
+  it('skips malformed rows and other countries', async () => {
+    const file = writeCsv('towers.csv', [
+      'radio,mcc,net,area,cell,unit,lon,lat,range,samples,changeable,created,updated,averageSignal',
+      'GSM,621,30,120,4411,,8.5,12.0,900,12,1,0,0,0',
+      'GSM,621,30,120,4412,,not-a-number,12.02,,3,1,0,0,0',
+      'GSM,621,30,120',
+      '',
+      'UMTS,621,20,,5511,,7.4,10.5,1500,8,1,0,0,0',
+      'LTE,234,10,300,7711,,-0.1,51.5,500,40,1,0,0,0',
+      'LTE,621,060,0130,06611,,8.6,11.9,abc,,1,0,0,0',
+    ]);
+
+    const results = await cellTowerService.importCsv(file, { mcc: '621' });
+
+    expect(results).toEqual({ imported: 2, skipped: 4 });
+    expect(saved).toEqual([
+      expect.objectContaining({ radio: 'GSM', mcc: '621', mnc: '30', lac: '120', cellId: '4411', range: 900, samples: 12 }),
+      expect.objectContaining({ radio: 'LTE', mnc: '60', lac: '130', cellId: '6611', range: null, samples: 0 }),
+    ]);
+  });
+
+  it('reads a headerless OpenCelliD export in batches', async () => {
+    cellTowerService.batchSize = 2;
+    const file = writeCsv('headerless.csv', [
+      'GSM,621,30,120,4411,,8.5,12.0,900,12,1,0,0,0',
+      'GSM,621,30,120,4412,,8.52,12.02,,3,1,0,0,0',
+      'GSM,621,30,121,4413,,8.54,12.04,,3,1,0,0,0',
+    ]);
+
+    try {
+      expect(await cellTowerService.importCsv(file)).toEqual({ imported: 3, skipped: 0 });
+    } finally {
+      cellTowerService.batchSize = 1000;
+    }
+    expect(CellTower.bulkCreate).toHaveBeenCalledTimes(2);
+  });
+
+  describe('script', () => {
+    const argv = process.argv;
+
+    beforeEach(() => {
+      jest.spyOn(process, 'exit').mockImplementation(() => {});
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(sequelize, 'authenticate').mockResolvedValue();
+      jest.spyOn(sequelize, 'close').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      process.argv = argv;
+    });
+
+    it('imports the file for the default MCC and reports the skipped rows', async () => {
+      const file = writeCsv('script.csv', [
+        'GSM,621,30,120,4411,,8.5,12.0,900,12,1,0,0,0',
+        'GSM,621,30,,,,,,,,,,,',
+        'LTE,234,10,300,7711,,-0.1,51.5,500,40,1,0,0,0',
+      ]);
+      process.argv = ['node', 'scripts/import-cell-towers.js', file];
+
+      await importCellTowers();
+
+      expect(console.log).toHaveBeenCalledWith('✅ Imported 1 towers, skipped 2 rows');
+      expect(process.exit).toHaveBeenCalledWith(0);
+    });
+
+    it('fails on a missing file', async () => {
+      process.argv = ['node', 'scripts/import-cell-towers.js', path.join(dir, 'missing.csv'), '--mcc=621'];
+
+      await importCellTowers();
+
+      expect(console.error).toHaveBeenCalledWith('❌ Cell tower import failed:', expect.stringMatching(/ENOENT/));
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+  });
+});
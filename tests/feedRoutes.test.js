@@ -0,0 +1,84 @@
+const express = require('express');
+const request = require('supertest');
+const { Alert } = require('../src/models');
+const { alertBroadcastService } = require('../src/services');
+const feedRoutes = require('../src/routes/feeds');
+
+describe('Alert feeds', () => {
+  let app;
+  let alerts;
+  let updatedAt;
+
+  const kanoFlood = {
+    alertId: 'ALT-1',
+    alertType: 'flood',
+    severity: 'warning',
+    titleHausa: 'Ambaliya',
+    contentHausa: 'Ku guji bakin kogi',
+    targetAreaState: 'Kano',
+    targetAreaLgas: [],
+    validFrom: new Date('2026-10-01T08:00:00Z'),
+    sentAt: new Date('2026-10-01T08:00:00Z'),
+    updatedAt: new Date('2026-10-01T08:00:00Z'),
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use('/feeds', feedRoutes);
+  });
+
+  beforeEach(() => {
+    alerts = [kanoFlood];
+    updatedAt = new Date('2026-10-01T08:00:00.500Z');
+    jest.spyOn(alertBroadcastService, 'getActiveAlerts').mockImplementation(async () => alerts);
+    Alert.max = jest.fn(async field => (field === 'updatedAt' ? updatedAt : null));
+  });
+
+  afterEach(() => {
+    delete Alert.max;
+    jest.restoreAllMocks();
+  });
+
+  it('sends the feed with its validators', async () => {
+    const res = await request(app).get('/feeds/alerts.json?state=kano');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^application\/feed\+json/);
+    expect(res.headers.etag).toMatch(/^W\/"/);
+    expect(res.headers['last-modified']).toBe('Thu, 01 Oct 2026 08:00:00 GMT');
+    expect(JSON.parse(res.text).items.map(item => item.id)).toEqual(['ALT-1']);
+    expect(alertBroadcastService.getActiveAlerts).toHaveBeenCalledWith({ state: 'Kano', lga: undefined });
+  });
+
+  it('answers 304 to a matching ETag or a current Last-Modified', async () => {
+    const first = await request(app).get('/feeds/alerts.atom');
+
+    const byEtag = await request(app).get('/feeds/alerts.atom').set('If-None-Match', first.headers.etag);
+    const byDate = await request(app).get('/feeds/alerts.atom').set('If-Modified-Since', first.headers['last-modified']);
+
+    expect(byEtag.status).toBe(304);
+    expect(byEtag.text).toBe('');
+    expect(byDate.status).toBe(304);
+  });
+
+  it('sends the feed again once an alert changes or drops out', async () => {
+    const first = await request(app).get('/feeds/alerts.rss');
+
+    alerts = [{ ...kanoFlood, updatedAt: new Date('2026-10-01T09:00:00Z') }];
+    const updated = await request(app).get('/feeds/alerts.rss').set('If-None-Match', first.headers.etag);
+    alerts = [];
+    const removed = await request(app).get('/feeds/alerts.rss').set('If-None-Match', first.headers.etag);
+
+    expect(updated.status).toBe(200);
+    expect(updated.headers.etag).not.toBe(first.headers.etag);
+    expect(removed.status).toBe(200);
+    expect(removed.headers.etag).not.toBe(first.headers.etag);
+  });
+
+  it('refuses unknown filters', async () => {
+    const res = await request(app).get('/feeds/alerts.json?state=Atlantis');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Unknown state "Atlantis"');
+  });
+});
@@ -0,0 +1,21 @@
+// Alert rows as the services see them; update() applies the changes and fields override the defaults
+
+function makeAlert(fields = {}) {
+  return {
+    alertId: 'ALT-1',
+    status: 'draft',
+    alertType: 'weather',
+    severity: 'warning',
+    titleHausa: 'Ruwan sama',
+    contentHausa: 'Ruwan sama mai karfi',
+    validFrom: new Date(Date.now() - 60000),
+    validUntil: null,
+    ...fields,
+    get() { return this; },
+    update: jest.fn(async function update(changes) { return Object.assign(this, changes); }),
+  };
+}
+
+module.exports = {
+  makeAlert,
+};
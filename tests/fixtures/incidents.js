@@ -0,0 +1,34 @@
+// Incident rows as the services see them; save() is a mock and fields override the defaults
+
+function makeIncident(fields = {}) {
+  return {
+    incidentId: 'INC-1A2B3C4D',
+    incidentType: 'fire',
+    severity: 'high',
+    status: 'received',
+    escalationLevel: 0,
+    metadataProcessedSteps: [],
+    metadataStatusHistory: [],
+    save: jest.fn().mockResolvedValue(),
+    ...fields,
+  };
+}
+
+// Escalated to a community focal point whose SLA has just run out
+function makeEscalatedIncident(fields = {}) {
+  return makeIncident({
+    status: 'escalated',
+    escalationLevel: 1,
+    escalationSlaDueAt: new Date(Date.now() - 60000),
+    escalationAcknowledgedAt: null,
+    escalationAssignedToType: 'community_focal',
+    escalationAssignedToName: 'Aisha Bello',
+    escalationAssignedToPhone: '+2348031111111',
+    ...fields,
+  });
+}
+
+module.exports = {
+  makeIncident,
+  makeEscalatedIncident,
+};
@@ -0,0 +1,204 @@
+const { Op } = require('sequelize');
+const { Incident, Responder } = require('../src/models');
+const config = require('../src/config');
+const inboundSmsService = require('../src/services/inboundSmsService');
+const incidentIngestionService = require('../src/services/incidentIngestionService');
+const incidentEventService = require('../src/services/incidentEventService');
+const { makeEscalatedIncident } = require('./fixtures/incidents');
+
+const RESPONDER = { id: 4, name: 'Dr Halima Usman', phone: '+2348033333333', status: 'active' };
+
+// Escalated to Dr Halima Usman at level 3, reported half an hour ago
+const makeIncident = fields => makeEscalatedIncident({
+  escalationLevel: 3,
+  escalationAssignedToName: 'Dr Halima Usman',
+  escalationAssignedToPhone: '+2348033333333',
+  metadataReportTimestamp: new Date(Date.now() - 30 * 60000),
+  ...fields,
+});
+
+describe('Inbound SMS', () => {
+  describe('responder commands', () => {
+    let incident;
+    let responders;
+
+    beforeEach(() => {
+      incident = makeIncident();
+      responders = [RESPONDER];
+      Incident.findOne = jest.fn(async () => incident);
+      Responder.findOne = jest.fn(async ({ where }) => responders.find(responder => (
+        where.phone[Op.in].includes(responder.phone)
+      )) || null);
+      jest.spyOn(incidentEventService, 'record').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      delete Incident.findOne;
+      delete Responder.findOne;
+    });
+
+    it('parses the command, incident ID and note', () => {
+      expect(inboundSmsService.parseResponderCommand('resolve inc-1a2b3c4d  Fire put out ')).toEqual({
+        command: 'RESOLVE',
+        incidentId: 'INC-1A2B3C4D',
+        note: 'Fire put out',
+      });
+      expect(inboundSmsService.parseResponderCommand('ACK INC-1A2B3C4D')).toMatchObject({ note: null });
+      expect(inboundSmsService.parseResponderCommand('ACK please')).toBeNull();
+    });
+
+    it('acknowledges for the assigned responder', async () => {
+      const result = await inboundSmsService.handleMessage({ from: '08033333333', text: 'ACK INC-1A2B3C4D' });
+
+      expect(result).toMatchObject({ handled: 'responder_command', incidentId: 'INC-1A2B3C4D' });
+      expect(result.reply).toMatch(/acknowledged/);
+      expect(incident.status).toBe('assigned');
+      expect(incident.escalationAcknowledgedAt).toBeInstanceOf(Date);
+      expect(incidentEventService.record).toHaveBeenCalledWith('INC-1A2B3C4D', 'acknowledgement', expect.objectContaining({
+        actor: { type: 'responder', id: 4, name: 'Dr Halima Usman' },
+      }));
+    });
+
+    it('accepts the assignee\'s number when it has no Responder record', async () => {
+      responders = [];
+      incident = makeIncident({
+        escalationAssignedToName: 'Community Focal Point',
+        escalationAssignedToPhone: '+2348000000002',
+      });
+
+      const result = await inboundSmsService.handleMessage({ from: '+2348000000002', text: 'ACK INC-1A2B3C4D' });
+
+      expect(result.reply).toMatch(/acknowledged/);
+      expect(incident.responseFirstResponder).toBe('Community Focal Point');
+    });
+
+    it('refuses responders who are not assigned and unknown numbers', async () => {
+      incident = makeIncident({ escalationAssignedToPhone: '+2348034444444' });
+
+      const other = await inboundSmsService.handleMessage({ from: '+2348033333333', text: 'ACK INC-1A2B3C4D' });
+      const stranger = await inboundSmsService.handleMessage({ from: '+2348039999999', text: 'ACK INC-1A2B3C4D' });
+
+      expect(other.reply).toBe('You are not assigned to INC-1A2B3C4D.');
+      expect(stranger.reply).toBe('This number is not registered as a responder.');
+      expect(incident.save).not.toHaveBeenCalled();
+    });
+
+    it('records arrival, acknowledging first if needed', async () => {
+      const result = await inboundSmsService.handleMessage({ from: '+2348033333333', text: 'ARRIVED INC-1A2B3C4D' });
+
+      expect(result.reply).toMatch(/^Arrival recorded/);
+      expect(incident.status).toBe('in_progress');
+      expect(incident.escalationAcknowledgedAt).toBeInstanceOf(Date);
+      expect(incident.responseArrivalTime).toBeInstanceOf(Date);
+      expect(incident.responseTime).toBe(30);
+    });
+
+    it('needs a note to resolve', async () => {
+      incident = makeIncident({ status: 'in_progress' });
+
+      const missing = await inboundSmsService.handleMessage({ from: '+2348033333333', text: 'RESOLVE INC-1A2B3C4D' });
+      expect(missing.reply).toBe('Include what happened: RESOLVE INC-1A2B3C4D <note>');
+      expect(incident.status).toBe('in_progress');
+
+      await inboundSmsService.handleMessage({ from: '+2348033333333', text: 'RESOLVE INC-1A2B3C4D Suspect detained' });
+      expect(incident.status).toBe('resolved');
+      expect(incident.responseResolution).toBe('Suspect detained');
+    });
+
+    it('explains an illegal transition instead of failing', async () => {
+      incident = makeIncident({ status: 'closed' });
+
+      const result = await inboundSmsService.handleMessage({ from: '+2348033333333', text: 'FALSE INC-1A2B3C4D' });
+
+      expect(result.reply).toBe('Cannot update INC-1A2B3C4D: Cannot change status from closed to false_alarm');
+    });
+
+    it('sends the command help for a malformed command', async () => {
+      const result = await inboundSmsService.handleMessage({ from: '+2348033333333', text: 'ACK the fire' });
+
+      expect(result).toEqual({ handled: 'invalid_command', reply: expect.stringMatching(/^Reply ACK <ID>/) });
+    });
+  });
+
+  describe('keyword reports', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('recognises the report keyword and its Hausa alias', () => {
+      expect(inboundSmsService.hasReportKeyword(`${config.africastalking.keyword.toLowerCase()} fire kano`)).toBe(true);
+      expect(inboundSmsService.hasReportKeyword('Rahoto gobara')).toBe(true);
+      expect(inboundSmsService.hasReportKeyword('fire in kano')).toBe(false);
+    });
+
+    it('reads type, severity, state, LGA and village in any order', () => {
+      expect(inboundSmsService.parseReport('INCIDENT Kano urgent FIRE Dala, Kofar Mata')).toMatchObject({
+        incidentType: 'fire',
+        severity: 'critical',
+        state: 'Kano',
+        lga: 'Dala',
+        village: 'Kofar Mata',
+        language: 'english',
+        description: 'Kano urgent FIRE Dala, Kofar Mata',
+      });
+    });
+
+    it('switches to Hausa for the Hausa keyword or vocabulary', () => {
+      expect(inboundSmsService.parseReport('RAHOTO sata Kaduna Zaria')).toMatchObject({
+        incidentType: 'theft',
+        state: 'Kaduna',
+        lga: 'Zaria',
+        language: 'hausa',
+      });
+      expect(inboundSmsService.parseReport('INCIDENT gobara gaggawa Kano').language).toBe('hausa');
+    });
+
+    it('matches two-word states and aliases', () => {
+      expect(inboundSmsService.parseReport('INCIDENT kidnap Akwa Ibom Uyo')).toMatchObject({ state: 'Akwa Ibom', lga: 'Uyo' });
+      expect(inboundSmsService.parseReport('INCIDENT gunshot Abuja Gwagwalada')).toMatchObject({ state: 'FCT', lga: 'Gwagwalada' });
+    });
+
+    it('falls back to the default state', () => {
+      expect(inboundSmsService.parseReport('INCIDENT fight Tarauni')).toMatchObject({
+        incidentType: 'fight',
+        severity: null,
+        state: config.location.defaultState,
+        lga: 'Tarauni',
+        village: null,
+      });
+    });
+
+    it('replies with help in the report\'s language when there is no type', async () => {
+      const create = jest.spyOn(incidentIngestionService, 'createFromApi');
+
+      const english = await inboundSmsService.handleMessage({ from: '+2348031234567', text: 'INCIDENT Kano Dala' });
+      const hausa = await inboundSmsService.handleMessage({ from: '+2348031234567', text: 'RAHOTO Kano' });
+
+      expect(english).toEqual({ handled: 'invalid_report', reply: expect.stringMatching(/^To report send: INCIDENT <TYPE>/) });
+      expect(hausa.reply).toMatch(/^Don rahoto aika: INCIDENT/);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('creates an SMS incident and replies with its ID', async () => {
+      const create = jest.spyOn(incidentIngestionService, 'createFromApi').mockResolvedValue({ incidentId: 'INC-2B3C4D5E' });
+
+      const result = await inboundSmsService.handleMessage({
+        from: '08031234567',
+        text: 'INCIDENT medical high Kano Nassarawa',
+        provider: 'africastalking',
+      });
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        channel: 'sms',
+        phoneNumber: '+2348031234567',
+        incidentType: 'medical_emergency',
+        severity: 'high',
+        state: 'Kano',
+        lga: 'Nassarawa',
+      }), { deviceInfo: 'sms:africastalking' });
+      expect(result).toMatchObject({ handled: 'report', incidentId: 'INC-2B3C4D5E' });
+      expect(result.reply).toContain('INC-2B3C4D5E');
+    });
+  });
+});
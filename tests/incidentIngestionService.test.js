@@ -0,0 +1,174 @@
+const { Incident } = require('../src/models');
+const incidentIngestionService = require('../src/services/incidentIngestionService');
+const escalationService = require('../src/services/escalationService');
+const deduplicationService = require('../src/services/deduplicationService');
+const confidenceScoringService = require('../src/services/confidenceScoringService');
+const notificationService = require('../src/services/notificationService');
+const incidentEventService = require('../src/services/incidentEventService');
+const cellTowerService = require('../src/services/cellTowerService');
+const queueService = require('../src/services/queueService');
+const { makeIncident } = require('./fixtures/incidents');
+
+const { PROCESSING_STEPS } = incidentIngestionService;
+
+describe('Incident processing jobs', () => {
+  let incident;
+
+  beforeEach(() => {
+    incident = makeIncident();
+    Incident.findOne = jest.fn(async () => incident);
+    jest.spyOn(deduplicationService, 'findDuplicates').mockResolvedValue([]);
+    jest.spyOn(confidenceScoringService, 'calculateConfidenceScore')
+      .mockResolvedValue({ score: 70, breakdown: { sourceReliability: 0.5 } });
+    jest.spyOn(escalationService, 'processIncident').mockResolvedValue({ escalated: true, level: 2 });
+    jest.spyOn(escalationService, 'dispatchHelpRequest').mockResolvedValue({ escalated: true, level: 3 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete Incident.findOne;
+  });
+
+  it('scores and escalates, recording each step', async () => {
+    const result = await incidentIngestionService.processIncident(incident.incidentId);
+
+    expect(result).toMatchObject({ confidenceScore: 70, escalation: { escalated: true } });
+    expect(incident.metadataProcessedSteps).toEqual([PROCESSING_STEPS.SCORING, PROCESSING_STEPS.ESCALATION]);
+  });
+
+  it('resumes a retried job after the last step it finished', async () => {
+    escalationService.processIncident.mockRejectedValueOnce(new Error('database down'));
+
+    await expect(incidentIngestionService.processIncident(incident.incidentId)).rejects.toThrow('database down');
+    expect(incident.metadataProcessedSteps).toEqual([PROCESSING_STEPS.SCORING]);
+
+    await incidentIngestionService.processIncident(incident.incidentId);
+    expect(confidenceScoringService.calculateConfidenceScore).toHaveBeenCalledTimes(1);
+    expect(escalationService.processIncident).toHaveBeenCalledTimes(2);
+
+    // A replay from the dead-letter queue after that changes nothing
+    const replay = await incidentIngestionService.processIncident(incident.incidentId);
+    expect(replay.escalation).toEqual({ skipped: 'already_escalated' });
+    expect(escalationService.processIncident).toHaveBeenCalledTimes(2);
+  });
+
+  it('dispatches a help request once, without rule escalation', async () => {
+    incident = makeIncident({ incidentType: 'help_request', requestedService: 'medical' });
+    deduplicationService.findDuplicates.mockRejectedValueOnce(new Error('database down'));
+
+    await expect(incidentIngestionService.processIncident(incident.incidentId)).rejects.toThrow('database down');
+    const retry = await incidentIngestionService.processIncident(incident.incidentId);
+
+    expect(escalationService.dispatchHelpRequest).toHaveBeenCalledTimes(1);
+    expect(escalationService.processIncident).not.toHaveBeenCalled();
+    expect(retry.escalation).toEqual({ skipped: 'already_dispatched' });
+    expect(incident.metadataProcessedSteps).toEqual([PROCESSING_STEPS.DISPATCH, PROCESSING_STEPS.SCORING]);
+  });
+});
+
+describe('USSD reports', () => {
+  beforeEach(() => {
+    Incident.create = jest.fn(async fields => ({ incidentId: 'INC-7E6D5C4B', ...fields }));
+    jest.spyOn(incidentEventService, 'record').mockResolvedValue({});
+    jest.spyOn(queueService, 'add').mockResolvedValue({ id: '1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete Incident.create;
+  });
+
+  it('places the report by the serving cell when the caller gave no position', async () => {
+    jest.spyOn(cellTowerService, 'locate').mockResolvedValue({ latitude: 12.0, longitude: 8.5, accuracy: 1500 });
+
+    const incident = await incidentIngestionService.createFromUssd({
+      sessionId: 'ATUid_1',
+      phoneNumber: '+2348031234567',
+      incidentType: 'fire',
+      provider: 'africastalking',
+      location: { lga: 'Dala' },
+    }, { cellTowerId: '4411', lac: '120' });
+
+    expect(cellTowerService.locate).toHaveBeenCalledWith({ cellTowerId: '4411', lac: '120', mcc: '621' });
+    expect(incident).toMatchObject({
+      channel: 'ussd',
+      severity: 'medium',
+      locationState: 'Kano',
+      locationLatitude: 12.0,
+      locationAccuracy: 1500,
+      locationCellTowerMcc: '621',
+      metadataReceivedVia: 'africastalking',
+    });
+    expect(queueService.add).toHaveBeenCalledWith(
+      queueService.QUEUES.INCIDENT_PROCESSING,
+      { incidentId: 'INC-7E6D5C4B' },
+      {}
+    );
+  });
+
+  it('keeps the incident when its processing cannot be queued', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    queueService.add.mockRejectedValue(new Error('queue down'));
+
+    const incident = await incidentIngestionService.createFromUssd({
+      incidentType: 'help_request',
+      requestedService: 'medical',
+      location: { state: 'Kaduna', latitude: 10.5, longitude: 7.4 },
+    });
+
+    expect(incident).toMatchObject({ incidentId: 'INC-7E6D5C4B', locationState: 'Kaduna' });
+    expect(queueService.add).toHaveBeenCalledWith(expect.anything(), expect.anything(), { priority: 1 });
+  });
+});
+
+describe('API reports', () => {
+  beforeEach(() => {
+    Incident.create = jest.fn(async fields => ({ incidentId: 'INC-3C4D5E6F', ...fields }));
+    jest.spyOn(incidentEventService, 'record').mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete Incident.create;
+  });
+
+  it('keeps the report when its processing cannot be queued', async () => {
+    jest.spyOn(queueService, 'add').mockRejectedValue(new Error('queue down'));
+
+    const incident = await incidentIngestionService.createFromApi({
+      incidentType: 'flood',
+      latitude: 12.0,
+      longitude: 8.5,
+      state: 'Kano',
+    }, { ip: '10.0.0.1' });
+
+    expect(incident).toMatchObject({ incidentId: 'INC-3C4D5E6F', channel: 'web', sourceIp: '10.0.0.1' });
+    expect(incidentEventService.record).toHaveBeenCalledWith('INC-3C4D5E6F', 'created', expect.anything());
+    expect(console.error).toHaveBeenCalledWith('Failed to queue processing for INC-3C4D5E6F:', expect.any(Error));
+  });
+});
+
+describe('Help request dispatch', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('leaves an incident that already has an assignee alone', async () => {
+    const send = jest.spyOn(notificationService, 'sendEscalationNotification').mockResolvedValue();
+    const record = jest.spyOn(incidentEventService, 'record').mockResolvedValue({});
+    const incident = makeIncident({
+      incidentType: 'help_request',
+      status: 'escalated',
+      escalationLevel: 3,
+      escalationAssignedToPhone: '+2348031234567',
+    });
+
+    const result = await escalationService.dispatchHelpRequest(incident);
+
+    expect(result).toEqual({ skipped: 'already_dispatched' });
+    expect(incident.save).not.toHaveBeenCalled();
+    expect(send).not.toHaveBeenCalled();
+    expect(record).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,145 @@
+const express = require('express');
+const request = require('supertest');
+const { Incident } = require('../src/models');
+const { authService, incidentEventService, incidentIngestionService } = require('../src/services');
+const incidentRoutes = require('../src/routes/incidents');
+const { makeIncident } = require('./fixtures/incidents');
+
+const USERS = {
+  'dispatcher-token': { id: 7, username: 'ngozi', name: 'Ngozi Eze', role: 'dispatcher' },
+  'author-token': { id: 9, username: 'bala', name: 'Bala Yusuf', role: 'alert_author' },
+};
+
+describe('Incident routes', () => {
+  let app;
+  let incident;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/incidents', incidentRoutes);
+  });
+
+  beforeEach(() => {
+    incident = makeIncident();
+    Incident.findOne = jest.fn(async () => incident);
+    jest.spyOn(authService, 'verifyToken').mockImplementation(async token => USERS[token] || null);
+    jest.spyOn(incidentEventService, 'record').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete Incident.findOne;
+  });
+
+  describe('PATCH /:id/status', () => {
+    it('needs a token', async () => {
+      const res = await request(app)
+        .patch('/api/v1/incidents/INC-1A2B3C4D/status')
+        .send({ status: 'processing', noteAuthor: 'Someone Else' });
+
+      expect(res.status).toBe(401);
+      expect(incident.save).not.toHaveBeenCalled();
+    });
+
+    it('needs incidents:update', async () => {
+      const res = await request(app)
+        .patch('/api/v1/incidents/INC-1A2B3C4D/status')
+        .set('Authorization', 'Bearer author-token')
+        .send({ status: 'processing' });
+
+      expect(res.status).toBe(403);
+      expect(incident.save).not.toHaveBeenCalled();
+    });
+
+    it('records the signed-in operator, not a name in the body', async () => {
+      const res = await request(app)
+        .patch('/api/v1/incidents/INC-1A2B3C4D/status')
+        .set('Authorization', 'Bearer dispatcher-token')
+        .send({ status: 'processing', note: 'Calling the reporter', noteAuthor: 'Someone Else' });
+
+      expect(res.status).toBe(200);
+      expect(incident.status).toBe('processing');
+      expect(incidentEventService.record).toHaveBeenCalledWith('INC-1A2B3C4D', 'status_change', expect.objectContaining({
+        actor: { type: 'user', id: 7, name: 'Ngozi Eze' },
+        note: 'Calling the reporter',
+      }));
+    });
+
+    it('returns 409 and the allowed statuses for an illegal transition', async () => {
+      incident = makeIncident({ status: 'closed' });
+
+      const res = await request(app)
+        .patch('/api/v1/incidents/INC-1A2B3C4D/status')
+        .set('Authorization', 'Bearer dispatcher-token')
+        .send({ status: 'in_progress' });
+
+      expect(res.status).toBe(409);
+      expect(res.body).toEqual({ error: 'Cannot change status from closed to in_progress', allowedTransitions: [] });
+      expect(incident.save).not.toHaveBeenCalled();
+      expect(incidentEventService.record).not.toHaveBeenCalled();
+    });
+
+    it('returns 400 when resolving without a resolution', async () => {
+      incident = makeIncident({ status: 'in_progress' });
+
+      const res = await request(app)
+        .patch('/api/v1/incidents/INC-1A2B3C4D/status')
+        .set('Authorization', 'Bearer dispatcher-token')
+        .send({ status: 'resolved' });
+
+      expect(res.status).toBe(400);
+      expect(incident.status).toBe('in_progress');
+    });
+  });
+
+  describe('POST /:id/assign', () => {
+    const assignee = { type: 'medical', contactName: 'Dr Halima Usman', contactPhone: '+2348033333333' };
+
+    it('needs a token', async () => {
+      const res = await request(app).post('/api/v1/incidents/INC-1A2B3C4D/assign').send(assignee);
+
+      expect(res.status).toBe(401);
+      expect(incident.save).not.toHaveBeenCalled();
+    });
+
+    it('records the operator who assigned it', async () => {
+      const res = await request(app)
+        .post('/api/v1/incidents/INC-1A2B3C4D/assign')
+        .set('Authorization', 'Bearer dispatcher-token')
+        .send(assignee);
+
+      expect(res.status).toBe(200);
+      expect(incident.escalationAssignedToPhone).toBe('+2348033333333');
+      expect(incidentEventService.record).toHaveBeenCalledWith('INC-1A2B3C4D', 'assignment', expect.objectContaining({
+        actor: { type: 'user', id: 7, name: 'Ngozi Eze' },
+        to: expect.objectContaining({ status: 'assigned' }),
+      }));
+    });
+  });
+
+  describe('GET /:id/timeline', () => {
+    it('needs a token', async () => {
+      const res = await request(app).get('/api/v1/incidents/INC-1A2B3C4D/timeline');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('returns the events for an operator and 404s for an unknown incident', async () => {
+      const events = [{ eventType: 'created' }, { eventType: 'status_change' }];
+      jest.spyOn(incidentEventService, 'getTimeline').mockResolvedValue(events);
+
+      const res = await request(app)
+        .get('/api/v1/incidents/INC-1A2B3C4D/timeline')
+        .set('Authorization', 'Bearer dispatcher-token');
+      expect(res.status).toBe(200);
+      expect(res.body.events).toEqual(events);
+
+      incident = null;
+      const missing = await request(app)
+        .get('/api/v1/incidents/INC-00000000/timeline')
+        .set('Authorization', 'Bearer dispatcher-token');
+      expect(missing.status).toBe(404);
+    });
+  });
+});
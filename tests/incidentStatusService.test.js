@@ -0,0 +1,84 @@
+const incidentStatusService = require('../src/services/incidentStatusService');
+
+describe('Incident status transitions', () => {
+  it('lists the statuses reachable from each status', () => {
+    expect(incidentStatusService.getAllowedTransitions('resolved')).toEqual(['closed', 'in_progress']);
+    expect(incidentStatusService.getAllowedTransitions('closed')).toEqual([]);
+    expect(incidentStatusService.getAllowedTransitions('nonsense')).toEqual([]);
+  });
+
+  it('throws a 409 with the allowed statuses for an illegal transition', () => {
+    expect.assertions(3);
+    try {
+      incidentStatusService.assertTransition('closed', 'in_progress');
+    } catch (error) {
+      expect(error.status).toBe(409);
+      expect(error.message).toBe('Cannot change status from closed to in_progress');
+      expect(error.allowedTransitions).toEqual([]);
+    }
+  });
+
+  it('throws a 400 for an unknown status', () => {
+    expect(() => incidentStatusService.assertTransition('received', 'done'))
+      .toThrow(expect.objectContaining({ status: 400, message: 'Unknown status: done' }));
+  });
+
+  it('allows re-escalating an escalated incident', () => {
+    expect(incidentStatusService.canTransition('escalated', 'escalated')).toBe(true);
+    expect(incidentStatusService.canTransition('merged', 'escalated')).toBe(false);
+  });
+
+  describe('applyTransition', () => {
+    const reportedAt = new Date('2026-03-02T08:00:00Z');
+
+    it('needs a resolution to resolve or close', () => {
+      const incident = { status: 'in_progress' };
+
+      expect(() => incidentStatusService.applyTransition(incident, 'resolved'))
+        .toThrow(expect.objectContaining({ status: 400 }));
+      expect(incident.status).toBe('in_progress');
+    });
+
+    it('leaves the incident unchanged when the transition is illegal', () => {
+      const incident = { status: 'false_alarm', responseResolvedAt: reportedAt };
+
+      expect(() => incidentStatusService.applyTransition(incident, 'in_progress'))
+        .toThrow(expect.objectContaining({ status: 409 }));
+      expect(incident).toEqual({ status: 'false_alarm', responseResolvedAt: reportedAt });
+    });
+
+    it('stamps the resolution and response time when the response ends', () => {
+      const incident = { status: 'escalated', metadataReportTimestamp: reportedAt };
+
+      const previous = incidentStatusService.applyTransition(incident, 'resolved', { resolution: 'Fire put out' });
+
+      expect(previous).toBe('escalated');
+      expect(incident.status).toBe('resolved');
+      expect(incident.responseResolution).toBe('Fire put out');
+      expect(incident.responseResolvedAt).toBeInstanceOf(Date);
+      expect(incident.responseTime).toBeGreaterThan(0);
+    });
+
+    it('fixes the response time at arrival', () => {
+      const incident = {
+        status: 'assigned',
+        metadataReportTimestamp: reportedAt,
+        responseArrivalTime: new Date('2026-03-02T08:25:00Z'),
+      };
+
+      incidentStatusService.applyTransition(incident, 'in_progress');
+
+      expect(incident.responseTime).toBe(25);
+      expect(incident.responseResolvedAt).toBeUndefined();
+    });
+
+    it('clears the resolution timestamp when a resolved incident is reopened', () => {
+      const incident = { status: 'resolved', responseResolution: 'Cleared', responseResolvedAt: new Date(), responseTime: 40 };
+
+      incidentStatusService.applyTransition(incident, 'in_progress');
+
+      expect(incident.responseResolvedAt).toBeNull();
+      expect(incident.responseTime).toBe(40);
+    });
+  });
+});
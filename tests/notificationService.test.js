@@ -0,0 +1,68 @@
+const notificationService = require('../src/services/notificationService');
+const queueService = require('../src/services/queueService');
+
+const { QUEUES } = queueService;
+const parts = ['(1/3) Ruwan sama', '(2/3) mai karfi', '(3/3) gobe'];
+
+describe('Queued SMS', () => {
+  beforeAll(async () => {
+    await queueService.init();
+    queueService.process(QUEUES.NOTIFICATIONS, job => notificationService.processQueuedMessage(job.data, job));
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(notificationService, 'recordNotification').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('carries on from the part that failed when the job is retried', async () => {
+    jest.spyOn(notificationService, 'deliverSms')
+      .mockResolvedValueOnce({ success: true, messageId: 'SM1' })
+      .mockRejectedValueOnce(new Error('gateway timeout'))
+      .mockResolvedValueOnce({ success: true, messageId: 'SM2' })
+      .mockResolvedValueOnce({ success: true, messageId: 'SM3' });
+
+    const job = await notificationService.queueMessage('sms', {
+      to: '08033333333',
+      message: parts,
+      options: { type: 'alert', alertId: 'ALT-1' },
+    });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(job.data).toMatchObject({ sentParts: 1, partResult: { messageId: 'SM1' } });
+
+    await jest.advanceTimersByTimeAsync(30000);
+
+    expect(notificationService.deliverSms.mock.calls.map(call => call[1])).toEqual([parts[0], parts[1], parts[1], parts[2]]);
+    expect(notificationService.recordNotification).toHaveBeenCalledTimes(1);
+    expect(notificationService.recordNotification).toHaveBeenCalledWith(
+      '+2348033333333',
+      { type: 'alert', alertId: 'ALT-1' },
+      { success: true, messageId: 'SM3' }
+    );
+    expect(job.state).toBe('completed');
+  });
+
+  it('records the send without resending when every part went out on an earlier attempt', async () => {
+    jest.spyOn(notificationService, 'deliverSms');
+    const data = {
+      type: 'sms',
+      to: '+2348033333333',
+      message: parts,
+      options: { alertId: 'ALT-1' },
+      sentParts: 3,
+      partResult: { success: true, messageId: 'SM3' },
+    };
+
+    const result = await notificationService.processQueuedMessage(data);
+
+    expect(result).toEqual({ success: true, messageId: 'SM3' });
+    expect(notificationService.deliverSms).not.toHaveBeenCalled();
+    expect(notificationService.recordNotification).toHaveBeenCalledWith('+2348033333333', { alertId: 'ALT-1' }, result);
+  });
+});
@@ -0,0 +1,114 @@
+const queueService = require('../src/services/queueService');
+
+const { QUEUES } = queueService;
+
+// Dead-lettered copies of the jobs for one incident
+async function deadLettered(incidentId) {
+  const jobs = await queueService.getJobs(QUEUES.DEAD_LETTER, 'waiting');
+  return jobs.filter(job => job.data.data.incidentId === incidentId);
+}
+
+describe('Job queues (in-process backend)', () => {
+  let handler;
+
+  beforeAll(async () => {
+    await queueService.init();
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    handler = jest.fn();
+    queueService.process(QUEUES.INCIDENT_PROCESSING, handler);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('uses the memory backend when Redis is skipped', () => {
+    expect(queueService.backend).toBe('memory');
+  });
+
+  it('retries with exponential backoff, then dead-letters the job', async () => {
+    handler.mockRejectedValue(new Error('database down'));
+    await queueService.add(QUEUES.INCIDENT_PROCESSING, { incidentId: 'INC-RETRY' });
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(handler).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(4999);
+    expect(handler).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(handler).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(10000);
+    expect(handler).toHaveBeenCalledTimes(3);
+
+    const [dead] = await deadLettered('INC-RETRY');
+    expect(dead.data).toMatchObject({
+      queue: QUEUES.INCIDENT_PROCESSING,
+      failedReason: 'database down',
+      attemptsMade: 3,
+    });
+
+    const failed = await queueService.getJobs(QUEUES.INCIDENT_PROCESSING, 'failed');
+    expect(failed.map(job => job.data.incidentId)).toContain('INC-RETRY');
+  });
+
+  it('replays a dead-lettered job onto its original queue', async () => {
+    handler.mockRejectedValue(new Error('database down'));
+    await queueService.add(QUEUES.INCIDENT_PROCESSING, { incidentId: 'INC-REPLAY' });
+    await jest.advanceTimersByTimeAsync(15000);
+    const [dead] = await deadLettered('INC-REPLAY');
+
+    handler.mockReset();
+    handler.mockResolvedValue({ ok: true });
+    const result = await queueService.replayDeadLetter(dead.id);
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(result.queue).toBe(QUEUES.INCIDENT_PROCESSING);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0].data).toEqual({ incidentId: 'INC-REPLAY' });
+    expect(await deadLettered('INC-REPLAY')).toEqual([]);
+  });
+
+  it('retries a failed job in place', async () => {
+    handler.mockRejectedValue(new Error('database down'));
+    const job = await queueService.add(QUEUES.INCIDENT_PROCESSING, { incidentId: 'INC-FAILED' });
+    await jest.advanceTimersByTimeAsync(15000);
+    expect((await queueService.getQueue(QUEUES.INCIDENT_PROCESSING).getJob(job.id)).state).toBe('failed');
+
+    handler.mockResolvedValue({ ok: true });
+    await queueService.retryFailed(QUEUES.INCIDENT_PROCESSING, job.id);
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect((await queueService.getQueue(QUEUES.INCIDENT_PROCESSING).getJob(job.id)).state).toBe('completed');
+  });
+
+  it('holds a job delayed past the longest setTimeout until it is due', async () => {
+    const thirtyDays = 30 * 24 * 60 * 60 * 1000;
+    handler.mockResolvedValue({ ok: true });
+    const job = await queueService.add(QUEUES.INCIDENT_PROCESSING, { incidentId: 'INC-LATER' }, { delay: thirtyDays });
+
+    await jest.advanceTimersByTimeAsync(2 ** 31);
+    expect(handler).not.toHaveBeenCalled();
+    expect(job.state).toBe('delayed');
+
+    await jest.advanceTimersByTimeAsync(thirtyDays - 2 ** 31 - 1);
+    expect(handler).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(1);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(job.state).toBe('completed');
+  });
+
+  it('reports unknown dead-letter jobs', async () => {
+    await expect(queueService.replayDeadLetter('nope')).rejects.toThrow('Dead-letter job not found: nope');
+  });
+
+  it('marks unknown queues and jobs 404 and unknown statuses 400', async () => {
+    await expect(queueService.getJobs('nope')).rejects.toMatchObject({ status: 404, message: 'Unknown queue: nope' });
+    await expect(queueService.getJobs(QUEUES.NOTIFICATIONS, 'stuck')).rejects.toMatchObject({ status: 400 });
+    await expect(queueService.replayDeadLetter('nope')).rejects.toMatchObject({ status: 404 });
+    await expect(queueService.retryFailed(QUEUES.NOTIFICATIONS, 'nope')).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,6 @@
+// Config needs database settings to load; no test talks to Postgres or Redis
+process.env.DB_HOST = process.env.DB_HOST || 'localhost';
+process.env.DB_USERNAME = process.env.DB_USERNAME || 'test';
+process.env.DB_PASSWORD = process.env.DB_PASSWORD || 'test';
+process.env.DB_NAME = process.env.DB_NAME || 'test';
+process.env.SKIP_REDIS = 'true';
@@ -0,0 +1,100 @@
+const { Op } = require('sequelize');
+const config = require('../src/config');
+const { Incident, Responder } = require('../src/models');
+const slaWatcherService = require('../src/services/slaWatcherService');
+const notificationService = require('../src/services/notificationService');
+const incidentEventService = require('../src/services/incidentEventService');
+const { makeEscalatedIncident } = require('./fixtures/incidents');
+
+const RESPONDERS = [
+  { type: 'community_focal', name: 'Aisha Bello', phone: '+2348031111111', organization: 'Kano Focal' },
+  { type: 'community_focal', name: 'Musa Garba', phone: '+2348032222222', organization: 'Kano Focal' },
+  { type: 'medical', name: 'Dr Halima Usman', phone: '+2348033333333', organization: 'AKTH' },
+  { type: 'medical', name: 'Dr Sani Idris', phone: '+2348034444444', organization: 'AKTH' },
+  { type: 'agency_liaison', name: 'SEMA Desk', phone: '+2348035555555', organization: 'SEMA' },
+];
+
+const makeIncident = fields => makeEscalatedIncident({ incidentType: 'flood', locationState: 'Kano', locationLga: 'Nassarawa', ...fields });
+
+describe('SLA watcher', () => {
+  let incident;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    Incident.findOne = jest.fn(async () => incident);
+    Responder.findAll = jest.fn(async ({ where }) => RESPONDERS.filter(responder => (
+      responder.type === where.type && (!where.phone || responder.phone !== where.phone[Op.ne])
+    )));
+    jest.spyOn(notificationService, 'sendEscalationNotification').mockResolvedValue();
+    jest.spyOn(incidentEventService, 'record').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete Incident.findOne;
+    delete Responder.findAll;
+  });
+
+  it('moves a breached incident to the next level and someone else', async () => {
+    incident = makeIncident();
+
+    const action = await slaWatcherService.handleBreach(incident);
+
+    expect(action).toBe('escalated');
+    expect(incident.escalationLevel).toBe(2);
+    expect(incident.escalationSlaBreachCount).toBe(1);
+    expect(incident.escalationAssignedToPhone).toBe('+2348032222222');
+    expect(incident.escalationSlaDueAt.getTime()).toBeGreaterThan(Date.now());
+    expect(incidentEventService.record).toHaveBeenCalledWith(incident.incidentId, 'sla_breach', expect.anything());
+    expect(notificationService.sendEscalationNotification).toHaveBeenCalledWith(
+      incident,
+      expect.objectContaining({ name: 'SLA Breach Escalation' })
+    );
+  });
+
+  it('keeps a help request with the service that was asked for', async () => {
+    incident = makeIncident({
+      incidentType: 'help_request',
+      requestedService: 'medical',
+      escalationLevel: 3,
+      escalationAssignedToType: 'medical',
+      escalationAssignedToName: 'Dr Halima Usman',
+      escalationAssignedToPhone: '+2348033333333',
+    });
+
+    await slaWatcherService.handleBreach(incident);
+
+    expect(incident.escalationLevel).toBe(4);
+    expect(incident.escalationAssignedToType).toBe('medical');
+    expect(incident.escalationAssignedToPhone).toBe('+2348034444444');
+  });
+
+  it('reminds the assignee when the incident is already at the top level', async () => {
+    incident = makeIncident({ escalationLevel: config.escalation.maxLevel });
+
+    const action = await slaWatcherService.handleBreach(incident);
+
+    expect(action).toBe('reminded');
+    expect(incident.escalationLevel).toBe(config.escalation.maxLevel);
+    expect(incident.escalationAssignedToPhone).toBe('+2348031111111');
+    expect(Incident.findOne).not.toHaveBeenCalled();
+    expect(notificationService.sendEscalationNotification).toHaveBeenCalledWith(
+      incident,
+      expect.objectContaining({ name: 'SLA Breach Reminder' })
+    );
+  });
+
+  it('counts the outcome of each breached incident in a run', async () => {
+    const top = makeIncident({ incidentId: 'INC-00000001', escalationLevel: config.escalation.maxLevel });
+    const broken = makeIncident({ incidentId: 'INC-00000002' });
+    broken.save.mockRejectedValue(new Error('database down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Incident.findAll = jest.fn().mockResolvedValue([top, broken]);
+
+    const results = await slaWatcherService.checkBreaches();
+
+    expect(results).toEqual({ checked: 2, escalated: 0, reminded: 1, errors: 1 });
+    delete Incident.findAll;
+  });
+});
@@ -0,0 +1,82 @@
+const smsEncoding = require('../src/utils/smsEncoding');
+
+const hausa = 'Ruwan sama mai ƙarfi zai sauka a Kano gobe. Ku guji ƙetare kogi, ku kula da yara ' +
+  'kuma ku saurari rediyo domin ƙarin bayani daga hukumar agaji ta jiha.';
+
+describe('SMS encoding', () => {
+  describe('measure', () => {
+    it('counts GSM-7 segments, with extension characters taking two septets', () => {
+      expect(smsEncoding.measure('a'.repeat(160))).toMatchObject({ encoding: 'GSM-7', segments: 1, remaining: 0 });
+      expect(smsEncoding.measure('a'.repeat(161))).toMatchObject({ segments: 2, perSegment: 153 });
+      expect(smsEncoding.measure('[ALERT] ok')).toMatchObject({ characters: 10, units: 12 });
+      expect(smsEncoding.measure('')).toMatchObject({ segments: 0 });
+    });
+
+    it('switches to UCS-2 for Hausa hooked letters', () => {
+      expect(smsEncoding.measure('ƙ'.repeat(70))).toMatchObject({ encoding: 'UCS-2', segments: 1 });
+      expect(smsEncoding.measure('ƙ'.repeat(71))).toMatchObject({ segments: 2, perSegment: 67 });
+      expect(smsEncoding.measure(hausa)).toMatchObject({ encoding: 'UCS-2', segments: 3 });
+    });
+
+    it('does not split an escape sequence across segments', () => {
+      // 152 septets, then a two-septet character that no longer fits the first part
+      expect(smsEncoding.measure(`${'a'.repeat(152)}€${'a'.repeat(10)}`).segments).toBe(2);
+      expect(smsEncoding.measure(`${'a'.repeat(152)}€${'a'.repeat(152)}`).segments).toBe(3);
+    });
+  });
+
+  describe('transliterate', () => {
+    it('drops hooks and accents so the text is GSM-7', () => {
+      const text = smsEncoding.transliterate('Ƙungiyar ɗalibai ta ɓata ’yan ƴaƴa — ọjọ́ “ok”');
+
+      expect(text).toBe('Kungiyar dalibai ta bata \'yan yaya - ojo "ok"');
+      expect(smsEncoding.detectEncoding(text)).toBe('GSM-7');
+    });
+
+    it('keeps GSM characters and replaces the rest with ?', () => {
+      expect(smsEncoding.transliterate('Café € 😀')).toBe('Café € ?');
+    });
+  });
+
+  describe('trim', () => {
+    it('cuts at a word boundary within the limit', () => {
+      const trimmed = smsEncoding.trim(hausa, 60);
+
+      expect(trimmed).toBe('Ruwan sama mai ƙarfi zai sauka a Kano gobe. Ku guji...');
+      expect(smsEncoding.measure(trimmed).units).toBeLessThanOrEqual(60);
+    });
+
+    it('leaves short text alone and breaks a single long word', () => {
+      expect(smsEncoding.trim('short', 60)).toBe('short');
+      expect(smsEncoding.trim('x'.repeat(100), 20)).toBe(`${'x'.repeat(17)}...`);
+    });
+
+    it('defaults to one segment of the text\'s encoding', () => {
+      expect(smsEncoding.measure(smsEncoding.trim(hausa)).segments).toBe(1);
+    });
+  });
+
+  describe('split', () => {
+    it('numbers the parts, each one SMS, at word boundaries', () => {
+      const parts = smsEncoding.split(hausa);
+
+      expect(parts).toHaveLength(3);
+      expect(parts[0]).toMatch(/^\(1\/3\) Ruwan sama/);
+      expect(parts[2]).toMatch(/^\(3\/3\) \S/);
+      parts.forEach(part => expect(smsEncoding.measure(part).segments).toBe(1));
+      expect(parts.map(part => part.replace(/^\(\d+\/\d+\) /, '')).join(' ')).toBe(hausa);
+    });
+
+    it('returns a text that fits one SMS unnumbered', () => {
+      expect(smsEncoding.split('Ku yi hankali')).toEqual(['Ku yi hankali']);
+    });
+
+    it('widens the numbering when there are ten or more parts', () => {
+      const parts = smsEncoding.split(Array(400).fill('kalma').join(' '));
+
+      expect(parts.length).toBeGreaterThanOrEqual(10);
+      expect(parts[9]).toMatch(new RegExp(`^\\(10/${parts.length}\\) `));
+      parts.forEach(part => expect(smsEncoding.measure(part).segments).toBe(1));
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const config = require('../src/config');
+const { inboundSmsService, rateLimiterService, alertDeliveryService } = require('../src/services');
+const smsRoutes = require('../src/routes/sms');
+
+// Twilio's scheme: base64 HMAC-SHA1 of the URL followed by each sorted parameter name and value
+function twilioSignature(token, url, params) {
+  const data = Object.keys(params).sort().reduce((text, key) => text + key + params[key], url);
+  return crypto.createHmac('sha1', token).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+describe('SMS webhooks', () => {
+  let app;
+  const saved = {};
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.use('/api/v1/sms', smsRoutes);
+  });
+
+  beforeEach(() => {
+    Object.assign(saved, {
+      env: config.env,
+      authToken: config.twilio.authToken,
+      webhookToken: config.africastalking.webhookToken,
+      webhookBaseUrl: config.sms.webhookBaseUrl,
+    });
+    config.twilio.authToken = 'twilio-secret';
+    config.africastalking.webhookToken = 'at-secret';
+    config.sms.webhookBaseUrl = 'https://alerts.example.org';
+    jest.spyOn(rateLimiterService, 'checkRateLimit').mockResolvedValue({ limited: false });
+    jest.spyOn(inboundSmsService, 'handleMessage').mockResolvedValue({ handled: 'ignored', reply: null });
+    jest.spyOn(alertDeliveryService, 'applyReport').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    config.env = saved.env;
+    config.twilio.authToken = saved.authToken;
+    config.africastalking.webhookToken = saved.webhookToken;
+    config.sms.webhookBaseUrl = saved.webhookBaseUrl;
+    jest.restoreAllMocks();
+  });
+
+  describe('inbound Twilio', () => {
+    const params = { From: '+2348033333333', To: '+2348000000000', Body: 'ACK INC-1A2B3C4D', MessageSid: 'SM1' };
+    const url = 'https://alerts.example.org/api/v1/sms/inbound/twilio';
+
+    it('handles a correctly signed message', async () => {
+      const res = await request(app)
+        .post('/api/v1/sms/inbound/twilio')
+        .set('X-Twilio-Signature', twilioSignature('twilio-secret', url, params))
+        .type('form')
+        .send(params);
+
+      expect(res.status).toBe(200);
+      expect(inboundSmsService.handleMessage).toHaveBeenCalledWith(expect.objectContaining({
+        from: '+2348033333333',
+        text: 'ACK INC-1A2B3C4D',
+      }));
+    });
+
+    it('escapes the reply in the TwiML response', async () => {
+      inboundSmsService.handleMessage.mockResolvedValue({ handled: 'ack', reply: 'INC-1A2B3C4D <acknowledged> & "noted"' });
+
+      const res = await request(app)
+        .post('/api/v1/sms/inbound/twilio')
+        .set('X-Twilio-Signature', twilioSignature('twilio-secret', url, params))
+        .type('form')
+        .send(params);
+
+      expect(res.headers['content-type']).toMatch(/^text\/xml/);
+      expect(res.text).toContain('<Message>INC-1A2B3C4D &lt;acknowledged&gt; &amp; &quot;noted&quot;</Message>');
+    });
+
+    it('refuses a missing or forged signature', async () => {
+      const unsigned = await request(app).post('/api/v1/sms/inbound/twilio').type('form').send(params);
+      const forged = await request(app)
+        .post('/api/v1/sms/inbound/twilio')
+        .set('X-Twilio-Signature', twilioSignature('wrong-secret', url, params))
+        .type('form')
+        .send(params);
+
+      expect(unsigned.status).toBe(403);
+      expect(forged.status).toBe(403);
+      expect(inboundSmsService.handleMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('inbound Africa\'s Talking', () => {
+    const params = { from: '+2348033333333', to: '12345', text: 'STOP', id: 'ATXid_1' };
+
+    it('takes the shared token from the query or a header', async () => {
+      const query = await request(app).post('/api/v1/sms/inbound/africastalking?token=at-secret').type('form').send(params);
+      const header = await request(app)
+        .post('/api/v1/sms/inbound/africastalking')
+        .set('X-Webhook-Token', 'at-secret')
+        .type('form')
+        .send(params);
+
+      expect(query.status).toBe(200);
+      expect(header.status).toBe(200);
+      expect(inboundSmsService.handleMessage).toHaveBeenCalledTimes(2);
+    });
+
+    it('refuses a wrong or missing token', async () => {
+      const wrong = await request(app).post('/api/v1/sms/inbound/africastalking?token=guess').type('form').send(params);
+      const missing = await request(app).post('/api/v1/sms/inbound/africastalking').type('form').send(params);
+
+      expect(wrong.status).toBe(403);
+      expect(missing.status).toBe(403);
+      expect(inboundSmsService.handleMessage).not.toHaveBeenCalled();
+    });
+
+    it('lets unverified callbacks through only outside production', async () => {
+      config.africastalking.webhookToken = undefined;
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      config.env = 'development';
+      const development = await request(app).post('/api/v1/sms/inbound/africastalking').type('form').send(params);
+      config.env = 'production';
+      const production = await request(app).post('/api/v1/sms/inbound/africastalking').type('form').send(params);
+
+      expect(development.status).toBe(200);
+      expect(production.status).toBe(403);
+    });
+  });
+
+  describe('delivery reports', () => {
+    const params = { MessageSid: 'SM1', MessageStatus: 'delivered', To: '+2348033333333' };
+    const url = 'https://alerts.example.org/api/v1/sms/delivery/twilio';
+
+    it('applies a signed Twilio status callback', async () => {
+      const res = await request(app)
+        .post('/api/v1/sms/delivery/twilio')
+        .set('X-Twilio-Signature', twilioSignature('twilio-secret', url, params))
+        .type('form')
+        .send(params);
+
+      expect(res.status).toBe(200);
+      expect(alertDeliveryService.applyReport).toHaveBeenCalledWith('twilio', {
+        messageId: 'SM1',
+        status: 'delivered',
+        failureReason: undefined,
+      });
+    });
+
+    it('refuses forged reports from either provider', async () => {
+      const twilio = await request(app)
+        .post('/api/v1/sms/delivery/twilio')
+        .set('X-Twilio-Signature', twilioSignature('wrong-secret', url, params))
+        .type('form')
+        .send(params);
+      const africastalking = await request(app)
+        .post('/api/v1/sms/delivery/africastalking?token=guess')
+        .type('form')
+        .send({ id: 'ATXid_1', status: 'Failed', failureReason: 'UserInBlacklist' });
+
+      expect(twilio.status).toBe(403);
+      expect(africastalking.status).toBe(403);
+      expect(alertDeliveryService.applyReport).not.toHaveBeenCalled();
+    });
+
+    it('applies an Africa\'s Talking report carrying the token', async () => {
+      const res = await request(app)
+        .post('/api/v1/sms/delivery/africastalking?token=at-secret')
+        .type('form')
+        .send({ id: 'ATXid_1', status: 'Failed', failureReason: 'UserInBlacklist' });
+
+      expect(res.status).toBe(200);
+      expect(alertDeliveryService.applyReport).toHaveBeenCalledWith('africastalking', {
+        messageId: 'ATXid_1',
+        status: 'Failed',
+        failureReason: 'UserInBlacklist',
+      });
+    });
+  });
+});
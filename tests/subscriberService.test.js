@@ -0,0 +1,112 @@
+const { Subscriber, SubscriptionEvent } = require('../src/models');
+const subscriberService = require('../src/services/subscriberService');
+
+describe('Subscriber consent', () => {
+  let subscribers;
+  let events;
+
+  beforeEach(() => {
+    subscribers = {};
+    events = [];
+
+    const build = (fields) => {
+      const subscriber = {
+        ...fields,
+        update: jest.fn(async (changes) => Object.assign(subscriber, changes)),
+      };
+      return subscriber;
+    };
+    Subscriber.findOne = jest.fn(async ({ where }) => subscribers[where.phoneNumber] || null);
+    Subscriber.create = jest.fn(async (fields) => {
+      subscribers[fields.phoneNumber] = build(fields);
+      return subscribers[fields.phoneNumber];
+    });
+    SubscriptionEvent.create = jest.fn(async (event) => {
+      events.push(event);
+      return event;
+    });
+    SubscriptionEvent.findAll = jest.fn(async ({ where }) => events.filter(event => event.phoneNumber === where.phoneNumber));
+  });
+
+  afterEach(() => {
+    delete Subscriber.findOne;
+    delete Subscriber.create;
+    delete SubscriptionEvent.create;
+    delete SubscriptionEvent.findAll;
+  });
+
+  it('records consent with the channel when a number subscribes', async () => {
+    const subscriber = await subscriberService.subscribe('0803 123 4567', {
+      language: 'hausa',
+      state: 'Kano',
+      lga: 'Dala',
+      alertTypes: [],
+    }, { channel: 'ussd', source: 'ATUid_1' });
+
+    expect(subscriber).toMatchObject({
+      phoneNumber: '+2348031234567',
+      status: 'active',
+      consentChannel: 'ussd',
+      homeLga: 'Dala',
+      alertTypes: null,
+    });
+    expect(subscriber.consentedAt).toBeInstanceOf(Date);
+    expect(events).toEqual([expect.objectContaining({
+      phoneNumber: '+2348031234567',
+      eventType: 'subscribed',
+      channel: 'ussd',
+      source: 'ATUid_1',
+      details: expect.objectContaining({ status: 'active', homeState: 'Kano' }),
+    })]);
+  });
+
+  it('records an area change by an active subscriber as an update', async () => {
+    await subscriberService.subscribe('+2348031234567', { state: 'Kano', lga: 'Dala' }, { channel: 'ussd' });
+    await subscriberService.subscribe('+2348031234567', { state: 'Kano', lga: 'Fagge' }, { channel: 'ussd' });
+
+    expect(events.map(event => event.eventType)).toEqual(['subscribed', 'updated']);
+    expect(subscribers['+2348031234567'].homeLga).toBe('Fagge');
+  });
+
+  it('opts out and back in, keeping the home area', async () => {
+    await subscriberService.subscribe('+2348031234567', { state: 'Kano', lga: 'Dala' }, { channel: 'ussd' });
+
+    const stopped = await subscriberService.optOut('2348031234567', { channel: 'sms', source: 'STOP' });
+    expect(stopped).toMatchObject({ status: 'opted_out', optOutChannel: 'sms' });
+    expect(stopped.optedOutAt).toBeInstanceOf(Date);
+
+    const resumed = await subscriberService.optIn('+2348031234567', { channel: 'sms', source: 'START' });
+    expect(resumed).toMatchObject({ status: 'active', consentChannel: 'sms', optedOutAt: null, homeLga: 'Dala' });
+
+    const history = await subscriberService.getConsentHistory('08031234567');
+    expect(history.events.map(event => event.eventType)).toEqual(['subscribed', 'opted_out', 'opted_in']);
+  });
+
+  it('records STOP from a number that never subscribed', async () => {
+    const subscriber = await subscriberService.optOut('+2348039999999', { channel: 'sms', source: 'STOP' });
+
+    expect(subscriber).toBeNull();
+    expect(Subscriber.create).not.toHaveBeenCalled();
+    expect(events).toEqual([expect.objectContaining({ phoneNumber: '+2348039999999', eventType: 'opted_out', details: {} })]);
+  });
+
+  it('subscribes a new number on START without a home area', async () => {
+    const subscriber = await subscriberService.optIn('+2348035555555', { channel: 'sms', language: 'english' });
+
+    expect(subscriber).toMatchObject({ status: 'active', language: 'english', consentChannel: 'sms' });
+    expect(subscriber.homeState).toBeUndefined();
+  });
+
+  it('reads STOP and START keywords', () => {
+    expect(subscriberService.parseKeyword(' stop.')).toBe('opt_out');
+    expect(subscriberService.parseKeyword('UNSUBSCRIBE please')).toBe('opt_out');
+    expect(subscriberService.parseKeyword('Start')).toBe('opt_in');
+    expect(subscriberService.parseKeyword('STOPPED')).toBeNull();
+    expect(subscriberService.parseKeyword('')).toBeNull();
+  });
+
+  it('rejects a missing number', async () => {
+    await expect(subscriberService.optOut('', { channel: 'sms' })).rejects.toThrow('Invalid phone number');
+    expect(events).toEqual([]);
+  });
+});
@@ -0,0 +1,71 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../src/models');
+const ussdAnalyticsService = require('../src/services/ussdAnalyticsService');
+
+describe('USSD funnel', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('aggregates in the database for the period and provider', async () => {
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValue([]);
+    const from = new Date('2026-10-01T00:00:00Z');
+    const to = new Date('2026-10-08T00:00:00Z');
+
+    const report = await ussdAnalyticsService.getFunnel({ from, to, provider: 'twilio' });
+
+    expect(query).toHaveBeenCalledTimes(4);
+    query.mock.calls.forEach(([sql, options]) => {
+      expect(sql).toMatch(/FROM ussd_sessions\s+WHERE started_at BETWEEN :from AND :to AND demo = false/);
+      expect(sql).toMatch(/GROUP BY/);
+      expect(options).toMatchObject({ type: QueryTypes.SELECT, replacements: { from, to, provider: 'twilio' } });
+    });
+    expect(JSON.parse(query.mock.calls[0][1].replacements.stageIndex)).toMatchObject({
+      main_menu: 0,
+      incident_category: 1,
+      confirmation: 6,
+    });
+    expect(report).toMatchObject({ started: 0, submitted: 0, screens: [], providers: [] });
+  });
+
+  it('builds the funnel, screens and completion from grouped rows', () => {
+    const report = ussdAnalyticsService.buildReport({
+      outcomes: [
+        { provider: 'africastalking', operator: 'MTN', furthest: 6, incidentCreated: true, sessions: 3 },
+        { provider: 'africastalking', operator: 'Airtel', furthest: 2, incidentCreated: false, sessions: 2 },
+        { provider: 'twilio', operator: null, furthest: 0, incidentCreated: false, sessions: 5 },
+      ],
+      visits: [
+        { state: 'main_menu', visits: 10, medianSeconds: 7.6 },
+        { state: 'severity_selection', visits: 5, medianSeconds: 12 },
+        { state: 'check_status', visits: 4, medianSeconds: null },
+      ],
+      abandoned: [
+        { state: 'severity_selection', endState: 'timeout', sessions: 2 },
+        { state: null, endState: 'terminated', sessions: 1 },
+      ],
+      invalid: [{ state: 'main_menu', count: 6 }],
+    });
+
+    expect(report.started).toBe(10);
+    expect(report.submitted).toBe(3);
+    expect(report.funnel.slice(0, 4)).toEqual([
+      { stage: 'main_menu', sessions: 10, rate: 100, dropOff: 5 },
+      { stage: 'category', sessions: 5, rate: 50, dropOff: 0 },
+      { stage: 'severity', sessions: 5, rate: 50, dropOff: 2 },
+      { stage: 'location', sessions: 3, rate: 30, dropOff: 0 },
+    ]);
+    expect(report.funnel[report.funnel.length - 1]).toEqual({ stage: 'submitted', sessions: 3, rate: 30, dropOff: 0 });
+
+    expect(report.screens.map(screen => screen.state)).toEqual(['main_menu', 'severity_selection', 'check_status', 'unknown']);
+    expect(report.screens[0]).toMatchObject({ visits: 10, invalidInputs: 6, medianSeconds: 8 });
+    expect(report.screens[1]).toMatchObject({ timeouts: 2, medianSeconds: 12 });
+    expect(report.screens[3]).toMatchObject({ hangUps: 1, visits: 0 });
+
+    expect(report.providers).toEqual([
+      { name: 'africastalking', sessions: 5, reports: 5, submitted: 3, completionRate: 60 },
+      { name: 'twilio', sessions: 5, reports: 0, submitted: 0, completionRate: 0 },
+    ]);
+    expect(report.operators.map(operator => operator.name)).toEqual(['unknown', 'MTN', 'Airtel']);
+  });
+});
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const ussdFlowService = require('../src/services/ussdFlowService');
+const shippedFlow = require('../src/data/ussdFlow.json');
+
+// Smallest valid flow: a menu that reads alerts or asks for a report ID
+const flow = nodes => ({
+  start: 'main_menu',
+  nodes: {
+    main_menu: {
+      type: 'menu',
+      prompt: 'welcome',
+      options: [
+        { label: 'menuReadAlerts', action: 'readAlerts' },
+        { label: 'menuReportStatus', next: 'status_lookup' },
+      ],
+    },
+    status_lookup: { type: 'input', prompt: 'statusPrompt', action: 'lookupStatus' },
+    ...nodes,
+  },
+});
+
+describe('USSD flow validation', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts the shipped flow', () => {
+    expect(ussdFlowService.validate(shippedFlow)).toEqual([]);
+    expect(ussdFlowService.validate(flow())).toEqual([]);
+  });
+
+  it('refuses an unknown node type', () => {
+    const broken = flow();
+    broken.nodes.status_lookup.type = 'keypad';
+
+    expect(ussdFlowService.validate(broken)).toEqual(['status_lookup: unknown node type "keypad"']);
+  });
+
+  it('refuses prompts and labels missing from the English catalog', () => {
+    const broken = flow();
+    broken.nodes.status_lookup.prompt = 'statusPromt';
+    broken.nodes.main_menu.options[0].label = undefined;
+
+    expect(ussdFlowService.validate(broken)).toEqual([
+      'main_menu option 1: message "undefined" is missing from the english catalog',
+      'status_lookup: message "statusPromt" is missing from the english catalog',
+    ]);
+  });
+
+  it('refuses a screen over 182 characters in any language', () => {
+    const broken = flow();
+    broken.nodes.main_menu.options.push(...Array(8).fill({ label: 'menuReportSuspicious', next: 'main_menu' }));
+
+    const errors = ussdFlowService.validate(broken);
+
+    expect(errors).toContainEqual(expect.stringMatching(/^main_menu: english screen is \d+ characters \(max 182\)$/));
+    expect(errors).toContainEqual(expect.stringMatching(/^main_menu: hausa screen is \d+ characters \(max 182\)$/));
+    expect(errors.every(error => error.startsWith('main_menu: '))).toBe(true);
+  });
+
+  it('refuses nodes no path from the start reaches', () => {
+    const broken = flow({
+      orphan: { type: 'picker', source: 'location', next: 'status_lookup' },
+      orphan_menu: { type: 'menu', prompt: 'severity', options: [{ label: 'back', next: 'orphan' }] },
+    });
+
+    expect(ussdFlowService.validate(broken)).toEqual([
+      'orphan: unreachable from start node "main_menu"',
+      'orphan_menu: unreachable from start node "main_menu"',
+    ]);
+  });
+
+  it('refuses broken links, actions and stored fields', () => {
+    const broken = flow({
+      description: { type: 'input', prompt: 'description', store: 'phoneNumber', next: 'nowhere' },
+    });
+    broken.nodes.main_menu.options.push({ label: 'menuRepeat', next: 'description', action: 'callHome' });
+
+    expect(ussdFlowService.validate(broken)).toEqual([
+      'main_menu option 3: needs exactly one of next or action',
+      'main_menu option 3: unknown action "callHome"',
+      'description: can only store into session data fields, not "phoneNumber"',
+      'description: next points to unknown node "nowhere"',
+    ]);
+  });
+
+  describe('load', () => {
+    let dir;
+    const flowPath = config.ussd.flowPath;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ussd-flow-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+      config.ussd.flowPath = flowPath;
+      ussdFlowService.flow = null;
+    });
+
+    it('refuses to start with an invalid flow, listing every problem', () => {
+      const broken = flow();
+      broken.nodes.status_lookup.type = 'keypad';
+      broken.start = 'home';
+      config.ussd.flowPath = path.join(dir, 'flow.json');
+      fs.writeFileSync(config.ussd.flowPath, JSON.stringify(broken));
+      ussdFlowService.flow = null;
+
+      expect(() => ussdFlowService.load()).toThrow(expect.objectContaining({
+        message: expect.stringMatching(/^Invalid USSD flow \(4 problems\): start node "home" does not exist; /),
+        errors: expect.arrayContaining(['status_lookup: unknown node type "keypad"']),
+      }));
+    });
+  });
+});
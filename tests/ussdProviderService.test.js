@@ -0,0 +1,69 @@
+const path = require('path');
+const config = require('../src/config');
+const ussdProviderService = require('../src/services/ussdProviderService');
+
+// Payloads recorded from each provider's webhook, with what the adapter must make of them
+const PROVIDERS = ['africastalking', 'hub2', 'twilio', 'generic'];
+const fixture = provider => require(path.join(__dirname, 'fixtures/ussd', `${provider}.json`));
+
+describe('USSD provider adapters', () => {
+  describe.each(PROVIDERS)('%s', (provider) => {
+    const { requests, responses, callbacks } = fixture(provider);
+    const adapter = ussdProviderService.get(provider);
+
+    it.each(requests.map(r => [r.description, r]))('parses a request: %s', (description, { body, expected }) => {
+      expect(adapter.parseRequest(body)).toMatchObject(expected);
+    });
+
+    it('detects its own payloads', () => {
+      requests.forEach(({ body }) => {
+        expect(ussdProviderService.detect(body)).toBe(provider);
+      });
+    });
+
+    it('formats continue and end screens', () => {
+      responses.forEach(({ message, isEnd, sessionId, type, body }) => {
+        expect(ussdProviderService.formatResponse(provider, message, isEnd, sessionId)).toEqual({ type, body });
+      });
+    });
+
+    it('parses session-end callbacks', () => {
+      callbacks.forEach(({ body, expected }) => {
+        expect(adapter.parseCallback(body)).toEqual(expected);
+      });
+    });
+  });
+
+  it('maps the old "default" provider name to the Twilio-style adapter', () => {
+    expect(ussdProviderService.get('default')).toBe(ussdProviderService.get('twilio'));
+  });
+
+  it('returns null for unknown providers and payloads', () => {
+    expect(ussdProviderService.get('nope')).toBeNull();
+    expect(ussdProviderService.detect({ foo: 'bar' })).toBeNull();
+  });
+
+  describe('resolve', () => {
+    const configured = config.ussd.provider;
+    afterEach(() => {
+      config.ussd.provider = configured;
+    });
+
+    it('uses the configured provider', () => {
+      config.ussd.provider = 'hub2';
+      expect(ussdProviderService.resolve(fixture('twilio').requests[0].body)).toBe('hub2');
+    });
+
+    it('detects the provider when set to auto', () => {
+      config.ussd.provider = 'auto';
+      expect(ussdProviderService.resolve(fixture('twilio').requests[0].body)).toBe('twilio');
+    });
+  });
+
+  it('formats errors as an END screen or JSON', () => {
+    expect(ussdProviderService.formatError('africastalking', 'Missing required fields'))
+      .toEqual({ type: 'text', body: 'END Missing required fields' });
+    expect(ussdProviderService.formatError('hub2', 'Missing required fields'))
+      .toEqual({ type: 'json', body: { error: 'Missing required fields' } });
+  });
+});
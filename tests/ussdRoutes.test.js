@@ -0,0 +1,94 @@
+const express = require('express');
+const request = require('supertest');
+const { Incident, UssdProfile } = require('../src/models');
+const { ussdSessionStoreService } = require('../src/services');
+const ussdRoutes = require('../src/routes/ussd');
+const { makeIncident } = require('./fixtures/incidents');
+
+const PHONE = '+2348031234567';
+
+describe('USSD emulator', () => {
+  let app;
+  let sessions;
+  let realSession;
+
+  const simulate = body => request(app).post('/api/v1/ussd/simulate').send({ phoneNumber: PHONE, demo: true, ...body });
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/ussd', ussdRoutes);
+  });
+
+  beforeEach(() => {
+    // A caller halfway through a fire report from this phone
+    realSession = {
+      sessionId: 'ATUid_1',
+      phoneNumber: PHONE,
+      demo: false,
+      state: 'description',
+      language: 'hausa',
+      dataIncidentType: 'fire',
+      lastActivityAt: new Date(),
+    };
+    sessions = new Map([[realSession.sessionId, realSession]]);
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(ussdSessionStoreService, 'find').mockImplementation(async sessionId => sessions.get(sessionId) || null);
+    jest.spyOn(ussdSessionStoreService, 'findLatestForPhone').mockResolvedValue(realSession);
+    jest.spyOn(ussdSessionStoreService, 'create').mockImplementation(async (data) => {
+      sessions.set(data.sessionId, { ...data });
+      return sessions.get(data.sessionId);
+    });
+    jest.spyOn(ussdSessionStoreService, 'save').mockImplementation(async (saved) => {
+      sessions.set(saved.sessionId, saved);
+    });
+    UssdProfile.findOne = jest.fn(async () => ({ phoneNumber: PHONE, language: 'hausa' }));
+    Incident.findOne = jest.fn(async () => makeIncident({ reporterPhoneNumber: PHONE }));
+  });
+
+  afterEach(() => {
+    delete UssdProfile.findOne;
+    delete Incident.findOne;
+    jest.restoreAllMocks();
+  });
+
+  it('keeps demo sessions under their own prefix, away from a real dial with the same ID', async () => {
+    const res = await simulate({ sessionId: 'ATUid_1', input: '', language: 'english' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessionInfo).toMatchObject({ sessionId: 'demo-ATUid_1', demo: true });
+    expect(res.body.response.message).toMatch(/^MATASA Incident Report\n/);
+    expect(sessions.get('demo-ATUid_1')).toMatchObject({ demo: true, state: 'main_menu' });
+    expect(sessions.get('ATUid_1')).toEqual(realSession);
+    expect(realSession.state).toBe('description');
+  });
+
+  it('refuses to continue a session that is not a demo one', async () => {
+    sessions.set('demo-ATUid_9', { ...realSession, sessionId: 'demo-ATUid_9' });
+
+    const res = await simulate({ sessionId: 'demo-ATUid_9', input: '1' });
+
+    expect(res.status).toBe(409);
+    expect(ussdSessionStoreService.save).not.toHaveBeenCalled();
+    expect(sessions.get('demo-ATUid_9').state).toBe('description');
+  });
+
+  it('does not look anything up by the phone number it was given', async () => {
+    const first = await simulate({ sessionId: 'SIM-1', input: '' });
+    expect(first.body.response.message).toMatch(/^Zabi harshe \/ Choose language:/);
+    expect(sessions.get('demo-SIM-1').resumeFromSessionId).toBeNull();
+
+    await simulate({ sessionId: 'SIM-1', input: '2' });
+    await simulate({ sessionId: 'SIM-1', input: '7' });
+    const status = await simulate({ sessionId: 'SIM-1', input: 'INC-1A2B3C4D' });
+
+    expect(UssdProfile.findOne).not.toHaveBeenCalled();
+    expect(ussdSessionStoreService.findLatestForPhone).not.toHaveBeenCalled();
+    expect(Incident.findOne).not.toHaveBeenCalled();
+    expect(status.body.response).toEqual({
+      response: 'end',
+      message: 'No report with that ID was found for this phone number.',
+    });
+  });
+});
@@ -0,0 +1,257 @@
+const { UssdProfile, Incident } = require('../src/models');
+const { makeIncident } = require('./fixtures/incidents');
+const ussdService = require('../src/services/ussdService');
+const ussdSessionStoreService = require('../src/services/ussdSessionStoreService');
+
+const PHONE = '+2348031234567';
+
+describe('USSD menus', () => {
+  let sessions;
+  let profile;
+  let last;
+
+  // One keypress on the current dial; the store keeps the session between presses
+  const press = async (input, sessionId = 'ATUid_1') => {
+    last = await ussdService.handleRequest({ sessionId, phoneNumber: PHONE, input, provider: 'africastalking' });
+    return last;
+  };
+  const session = (sessionId = 'ATUid_1') => sessions.get(sessionId);
+
+  beforeEach(() => {
+    sessions = new Map();
+    profile = { phoneNumber: PHONE, language: 'english' };
+    UssdProfile.findOne = jest.fn(async () => profile);
+    jest.spyOn(ussdSessionStoreService, 'find').mockImplementation(async sessionId => sessions.get(sessionId) || null);
+    jest.spyOn(ussdSessionStoreService, 'findLatestForPhone').mockResolvedValue(null);
+    jest.spyOn(ussdSessionStoreService, 'create').mockImplementation(async (data) => {
+      sessions.set(data.sessionId, { ...data });
+      return sessions.get(data.sessionId);
+    });
+    jest.spyOn(ussdSessionStoreService, 'save').mockImplementation(async (saved) => {
+      sessions.set(saved.sessionId, saved);
+    });
+  });
+
+  afterEach(() => {
+    delete UssdProfile.findOne;
+    delete UssdProfile.upsert;
+    jest.restoreAllMocks();
+  });
+
+  describe('language', () => {
+    beforeEach(() => {
+      UssdProfile.upsert = jest.fn().mockResolvedValue([{}]);
+    });
+
+    it('asks a first-time caller for a language and remembers the choice', async () => {
+      profile = null;
+
+      expect((await press('')).message).toMatch(/^Zabi harshe \/ Choose language:\n1\. Hausa\n2\. English\n/);
+      expect((await press('6')).message).toMatch(/^Zabi harshe/);
+      expect((await press('5')).message).toMatch(/\n1\. Report wetin dey suspicious\n/);
+
+      expect(session().language).toBe('pidgin');
+      expect(UssdProfile.upsert).toHaveBeenCalledWith(expect.objectContaining({ phoneNumber: PHONE, language: 'pidgin' }));
+    });
+
+    it('starts a returning caller on the main menu in the saved language', async () => {
+      profile.language = 'hausa';
+
+      await press('');
+
+      expect(session()).toMatchObject({ state: 'main_menu', language: 'hausa' });
+      expect(UssdProfile.upsert).not.toHaveBeenCalled();
+    });
+
+    it('falls back to English for screens a catalog does not translate yet', async () => {
+      profile.language = 'fulfulde';
+
+      expect((await press('')).message).toMatch(/^MATASA Habaru\n1\. Habaru sikke\n/);
+      expect((await press('1')).message).toMatch(/^What did you see\?:\n1\. Fight\n/);
+    });
+  });
+
+  describe('resuming a report', () => {
+    // Dropped on the description screen after picking fire, high severity, Kano / Dala
+    const dropped = fields => ({
+      sessionId: 'ATUid_0',
+      phoneNumber: PHONE,
+      state: 'timeout',
+      lastState: 'description',
+      incidentCreated: false,
+      dataIncidentType: 'fire',
+      dataSeverity: 'high',
+      dataLocationState: 'Kano',
+      dataLocationLga: 'Dala',
+      dataLocationCellTowerId: '4411',
+      ...fields,
+    });
+
+    const redial = async (previous) => {
+      sessions.set(previous.sessionId, previous);
+      ussdSessionStoreService.findLatestForPhone.mockResolvedValue(previous);
+      return press('', 'ATUid_2');
+    };
+
+    it('offers to continue and picks up at the screen the caller left', async () => {
+      const prompt = await redial(dropped());
+      expect(prompt.message).toBe('You have an unfinished report.\n1. Continue previous report\n2. Start new');
+
+      ussdService.captureTelcoMetadata(session('ATUid_2'), { cellTowerId: '5522' });
+      await press('1', 'ATUid_2');
+
+      expect(last.message).toBe('Briefly describe what happened:');
+      expect(session('ATUid_2')).toMatchObject({
+        state: 'description',
+        dataIncidentType: 'fire',
+        dataSeverity: 'high',
+        dataLocationState: 'Kano',
+        dataLocationLga: 'Dala',
+        dataLocationCellTowerId: '5522',
+      });
+    });
+
+    it('starts again from the main menu on 2', async () => {
+      await redial(dropped());
+      await press('2', 'ATUid_2');
+
+      expect(session('ATUid_2')).toMatchObject({ state: 'main_menu', resumeFromSessionId: null });
+      expect(session('ATUid_2').dataIncidentType).toBeUndefined();
+    });
+
+    it('does not offer a report that was filed or a session that never reached a report screen', async () => {
+      await redial(dropped({ incidentCreated: true }));
+      expect(session('ATUid_2').state).toBe('main_menu');
+
+      sessions.delete('ATUid_2');
+      await redial(dropped({ lastState: 'status_lookup' }));
+      expect(session('ATUid_2').state).toBe('main_menu');
+    });
+  });
+
+  describe('report status', () => {
+    let incident;
+
+    beforeEach(async () => {
+      incident = makeIncident({
+        status: 'escalated',
+        escalationLevel: 2,
+        reporterPhoneNumber: '08031234567',
+        updatedAt: new Date('2026-10-19T13:05:00Z'),
+      });
+      Incident.findOne = jest.fn(async ({ where }) => (where.incidentId === incident.incidentId ? incident : null));
+      await press('');
+      await press('7');
+    });
+
+    afterEach(() => {
+      delete Incident.findOne;
+    });
+
+    it('shows the reporter their report however they type the ID', async () => {
+      expect(last.message).toBe('Enter your report ID (e.g. INC-1A2B3C4D):');
+
+      await press('inc 1a2b3c4d');
+
+      expect(Incident.findOne).toHaveBeenCalledWith({ where: { incidentId: 'INC-1A2B3C4D' } });
+      expect(last).toEqual({
+        response: 'end',
+        message: 'Report INC-1A2B3C4D\nStatus: Escalated\nEscalation level: 2\nLast update: 19/10 14:05',
+      });
+    });
+
+    it('gives another phone the same answer as an unknown ID', async () => {
+      incident.reporterPhoneNumber = '+2348099999999';
+      const otherPhone = await press('INC-1A2B3C4D');
+
+      await press('');
+      await press('7');
+      const unknown = await press('9Z9Z9Z9Z');
+
+      expect(otherPhone).toEqual({ response: 'end', message: 'No report with that ID was found for this phone number.' });
+      expect(unknown).toEqual(otherPhone);
+    });
+
+    it('asks again for something that is not an ID', async () => {
+      await press('12345');
+
+      expect(last.message).toBe('Invalid input. Try again.');
+      expect(session().state).toBe('status_lookup');
+      expect(Incident.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('location picker', () => {
+    // Press 98 until the label is on screen, then its number
+    const pick = async (label) => {
+      for (let page = 0; page < 10; page++) {
+        const line = last.message.split('\n').find(text => text.endsWith(`. ${label}`));
+        if (line) return press(line.split('.')[0]);
+        await press('98');
+      }
+      throw new Error(`${label} is not on any page`);
+    };
+
+    // Main menu -> report an incident -> fire -> medium severity
+    beforeEach(async () => {
+      for (const input of ['', '2', '1', '2']) await press(input);
+    });
+
+    it('pages the states with 98 and goes back a page with 0', async () => {
+      const first = last.message;
+      expect(first).toMatch(/^Select state:\n1\. Kano\n2\. Abia\n/);
+      expect(first).toMatch(/\n98\. More\n0\. Back$/);
+      expect(first).not.toMatch(/\n99\./);
+      expect(first.length).toBeLessThanOrEqual(182);
+
+      const second = await press('98');
+      expect(second.message).toMatch(/^Select state:\n1\. /);
+      expect(second.message).not.toContain('Abia');
+      expect(session().locationPickerPage).toBe(1);
+
+      expect((await press('0')).message).toBe(first);
+    });
+
+    it('walks state, LGA and ward, and 99 skips the ward', async () => {
+      await pick('Kano');
+      expect(last.message).toMatch(/^Select LGA:\n/);
+      expect(last.message).toContain('\n99. Skip\n');
+
+      await pick('Dala');
+      expect(last.message).toMatch(/^Select ward:\n1\. Adakawa\n/);
+
+      await press('99');
+      expect(last.message).toBe('Briefly describe what happened:');
+      expect(session()).toMatchObject({
+        state: 'description',
+        dataLocationState: 'Kano',
+        dataLocationLga: 'Dala',
+        dataLocationVillage: null,
+        locationPickerLevel: null,
+      });
+    });
+
+    it('finishes on a state without LGAs and steps back a level or out of the picker with 0', async () => {
+      await pick('Kano');
+      await press('0');
+      expect(last.message).toMatch(/^Select state:\n1\. Kano\n2\. Abia\n/);
+      expect(session().locationPickerLevel).toBe('state');
+
+      await press('0');
+      expect(last.message).toMatch(/^How serious is it\?/);
+      expect(session().state).toBe('severity_selection');
+
+      await press('2');
+      await pick('Lagos');
+      expect(session()).toMatchObject({ state: 'description', dataLocationState: 'Lagos', dataLocationLga: null });
+    });
+
+    it('asks again on a number that is not on the page', async () => {
+      await press('99');
+      await press('40');
+
+      expect(last.message).toBe('Invalid input. Try again.');
+      expect(session()).toMatchObject({ state: 'location_selection', invalidInputs: { location_selection: 2 } });
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const { EventEmitter } = require('events');
+
+jest.mock('redis', () => ({ createClient: jest.fn() }));
+
+const { createClient } = require('redis');
+const ussdSessionStoreService = require('../src/services/ussdSessionStoreService');
+
+describe('USSD session store', () => {
+  let client;
+  const skipRedis = process.env.SKIP_REDIS;
+
+  beforeEach(() => {
+    delete process.env.SKIP_REDIS;
+    client = new EventEmitter();
+    client.isReady = true;
+    client.connect = jest.fn(async () => client.emit('ready'));
+    client.quit = jest.fn().mockResolvedValue();
+    createClient.mockReturnValue(client);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    if (skipRedis !== undefined) process.env.SKIP_REDIS = skipRedis;
+    jest.spyOn(ussdSessionStoreService, 'flushExpired').mockResolvedValue({});
+    await ussdSessionStoreService.stop();
+    ussdSessionStoreService.initialized = false;
+    jest.restoreAllMocks();
+  });
+
+  it('does not retry the first connect, so startup falls back to the database', async () => {
+    client.connect = jest.fn().mockRejectedValue(new Error('ECONNREFUSED'));
+
+    await ussdSessionStoreService.init();
+
+    const { reconnectStrategy } = createClient.mock.calls.pop()[0].socket;
+    expect(reconnectStrategy(0)).toBe(false);
+    expect(ussdSessionStoreService.backend).toBe('database');
+  });
+
+  it('reconnects with a doubling delay of at most 30 seconds once connected', async () => {
+    await ussdSessionStoreService.init();
+
+    const { reconnectStrategy } = createClient.mock.calls.pop()[0].socket;
+    expect([0, 1, 2, 3].map(reconnectStrategy)).toEqual([100, 200, 400, 800]);
+    expect(reconnectStrategy(20)).toBe(30000);
+  });
+
+  it('uses the database while reconnecting and flushes pending sessions when Redis is back', async () => {
+    const flush = jest.spyOn(ussdSessionStoreService, 'flushExpired').mockResolvedValue({ flushed: 2, failed: 0 });
+    await ussdSessionStoreService.init();
+    expect(flush).not.toHaveBeenCalled();
+
+    client.isReady = false;
+    client.emit('reconnecting');
+    expect(ussdSessionStoreService.backend).toBe('database');
+
+    client.isReady = true;
+    client.emit('ready');
+    expect(ussdSessionStoreService.backend).toBe('redis');
+    expect(flush).toHaveBeenCalledTimes(1);
+  });
+});